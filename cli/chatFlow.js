@@ -0,0 +1,264 @@
+/**
+ * @file chatFlow.js
+ * @description Chat with a saved flow in the terminal, through the same
+ *   headless runtime a backend would use (src/utils/flowRuntime.js).
+ *
+ *   npm run chat -- welcome.flow.json
+ *   npm run chat -- flow-data/flow-lq8x2k.json --var first_name=Ada
+ *   npm run chat -- welcome.flow.json --lang es
+ *
+ * Accepts an exported `*.flow.json` or a snapshot stored by the flow
+ * server. Declared variables start with their sample values, as in the
+ * builder's preview; `--var name=value` (repeatable) overrides one and
+ * `--no-samples` starts with none. `--lang code` chats in another of the
+ * flow's languages.
+ *
+ * Delay nodes are honoured: the bot waits before the message they hold
+ * back, printing "typing…" meanwhile when the node asks for it (on a
+ * terminal). `--no-delays` prints everything at once.
+ *
+ * Subflow nodes run the flow stored next to the given file as
+ * `<flowId>.json` — the flow server's layout; a subflow whose file is
+ * missing is skipped with a note.
+ *
+ * Formatted messages (Markdown, see src/utils/markdown.js) are printed as
+ * plain text, the way an SMS would show them: links spelled out, lists as
+ * "•" lines.
+ *
+ * At the prompt, type a reply — or the number of an offered choice.
+ * REPL-style commands:
+ *
+ *   .restart   start the conversation again
+ *   .vars      show the collected variables
+ *   .help      list the commands
+ *   .exit      quit (so do Ctrl+C and Ctrl+D)
+ *
+ * Input may also be piped in, one reply per line, which makes the command
+ * usable in scripts and smoke tests. Exits with 1 when the file cannot be
+ * read or is not a valid flow.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { createFlowRuntime } from '../src/utils/flowRuntime.js';
+import { declaredSamples } from '../src/utils/variables.js';
+import { renderMarkdown } from '../src/utils/markdown.js';
+
+const USAGE = 'Usage: npm run chat -- <flow.json> [--var name=value …] [--no-samples] [--no-delays] [--lang code]';
+
+const HELP = `Commands:
+  .restart   start the conversation again
+  .vars      show the collected variables
+  .help      show this list
+  .exit      quit`;
+
+/* Styling — plain text when the output is not a terminal */
+const tty = process.stdout.isTTY;
+const paint = (code) => (text) => (tty ? `\x1b[${code}m${text}\x1b[0m` : text);
+const dim = paint('2');
+const bold = paint('1');
+const botColor = paint('36');
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Arguments
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * @param {string[]} argv - process.argv without the node and script paths.
+ * @returns {{ file: string|null, vars: Record<string, string>, samples: boolean, delays: boolean, language: string|null, error: string|null }}
+ */
+function parseArgs(argv) {
+    const result = { file: null, vars: {}, samples: true, delays: true, language: null, error: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--no-samples') {
+            result.samples = false;
+        } else if (arg === '--no-delays') {
+            result.delays = false;
+        } else if (arg === '--var') {
+            const pair = argv[++i] ?? '';
+            const eq = pair.indexOf('=');
+            if (eq <= 0) return { ...result, error: `--var expects name=value (got "${pair}").` };
+            result.vars[pair.slice(0, eq)] = pair.slice(eq + 1);
+        } else if (arg === '--lang') {
+            result.language = argv[++i] ?? '';
+            if (!result.language) return { ...result, error: '--lang expects a language code, e.g. es.' };
+        } else if (arg.startsWith('-')) {
+            return { ...result, error: `Unknown option ${arg}.` };
+        } else if (result.file) {
+            return { ...result, error: 'Only one flow file can be given.' };
+        } else {
+            result.file = arg;
+        }
+    }
+    if (!result.file) result.error = 'No flow file given.';
+    return result;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Output
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Prints one transcript message. User messages are not echoed — the user
+ * just typed them.
+ *
+ * @param {object} message - See the state shape in conversation.js.
+ */
+function printMessage(message) {
+    if (message.from === 'user') return;
+    if (message.from === 'system') {
+        console.log(dim(`  · ${message.text}`));
+        return;
+    }
+    if (message.image) {
+        console.log(`${botColor('bot>')} ${dim(`[image${message.image.alt ? `: ${message.image.alt}` : ''}]`)} ${message.image.url.startsWith('data:') ? dim('(uploaded image)') : message.image.url}`);
+        if (message.text) console.log(`     ${message.text}`);
+    } else {
+        const text = message.markdown ? renderMarkdown(message.text) : message.text;
+        console.log(`${botColor('bot>')} ${text.replace(/\n(?=.)/g, '\n     ')}`);
+    }
+    message.choices?.forEach((choice, i) => console.log(dim(`     ${i + 1}) ${choice}`)));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Prints one message after the wait a delay node put on it.
+ *
+ * @param {object}  message
+ * @param {boolean} delays - false to skip the wait (--no-delays).
+ * @returns {Promise<void>}
+ */
+async function printTimed(message, delays) {
+    if (delays && message.delay > 0) {
+        const typing = tty && message.typing;
+        if (typing) process.stdout.write(dim('bot> typing…'));
+        await sleep(message.delay);
+        if (typing) process.stdout.write('\r\x1b[K'); // clear the indicator line
+    }
+    printMessage(message);
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Subflows
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * A resolveFlow for the runtime that reads `<flowId>.json` from `dir`.
+ *
+ * @param {string} dir
+ * @returns {(flowId: string) => string|null}
+ */
+function resolveFromDir(dir) {
+    return (flowId) => {
+        if (!/^[\w-]+$/.test(flowId)) return null; // never leave the directory
+        try {
+            return readFileSync(path.join(dir, `${flowId}.json`), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    };
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Main
+───────────────────────────────────────────────────────────────────────── */
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.error) {
+        console.error(`${args.error}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    let runtime;
+    try {
+        runtime = createFlowRuntime(await readFile(args.file, 'utf8'), {
+            resolveFlow: resolveFromDir(path.dirname(args.file)),
+            language: args.language,
+        });
+    } catch (err) {
+        console.error(err.code === 'ENOENT' ? `Cannot read ${args.file}: no such file.` : err.message);
+        process.exit(1);
+    }
+
+    const initialVariables = {
+        ...(args.samples ? declaredSamples(runtime.flow.variables) : {}),
+        ...args.vars,
+    };
+
+    /** Messages already printed, so each step prints only what is new. */
+    let printed = 0;
+    const show = async (state) => {
+        const fresh = state.messages.slice(printed);
+        printed = state.messages.length;
+        for (const message of fresh) await printTimed(message, args.delays);
+        if (state.ended) console.log(dim('  (type .restart to chat again, or .exit to quit)'));
+    };
+
+    const restart = () => {
+        printed = 0;
+        return show(runtime.start(initialVariables));
+    };
+
+    console.log(bold(`Chatting with "${runtime.flow.meta.name}"`) + dim(` — ${runtime.flow.nodes.length} nodes. Type .help for commands.`));
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'you> ' });
+
+    /**
+     * Lines are handled one after the other, each after the previous one's
+     * messages (and their delays) are out — piped input arrives all at once.
+     */
+    let busy = restart().then(() => rl.prompt());
+
+    const handleLine = async (line) => {
+        const input = line.trim();
+        const state = runtime.getState();
+
+        if (input === '.exit') {
+            rl.close();
+            return;
+        }
+        if (input === '.restart') {
+            await restart();
+        } else if (input === '.vars') {
+            const entries = Object.entries(state.variables);
+            console.log(entries.length > 0
+                ? entries.map(([name, value]) => `  ${name} = ${JSON.stringify(value)}`).join('\n')
+                : dim('  (no variables yet)'));
+        } else if (input === '.help') {
+            console.log(HELP);
+        } else if (input.startsWith('.')) {
+            console.log(dim(`  Unknown command ${input} — type .help`));
+        } else if (!state.awaitingInput) {
+            console.log(dim(state.ended ? '  The conversation has ended.' : '  The bot is not waiting for a reply.'));
+        } else {
+            // "2" picks the second choice the waiting node offered
+            const choices = state.messages.findLast((m) => m.nodeId === state.currentNodeId && m.choices)?.choices;
+            const picked = /^\d+$/.test(input) ? choices?.[Number(input) - 1] : undefined;
+            await show(runtime.send(picked ?? line));
+        }
+        rl.prompt();
+    };
+
+    rl.on('line', (line) => {
+        busy = busy.then(() => handleLine(line));
+    });
+
+    rl.on('close', () => {
+        busy.then(() => {
+            if (tty) process.stdout.write('\n');
+            process.exit(0);
+        });
+    });
+}
+
+main();
@@ -0,0 +1,454 @@
+/**
+ * @file flowServer.js
+ * @description Small local REST server that stores saved flows as JSON
+ *   files — the backend of the HTTP storage adapter
+ *   (src/utils/storageAdapters.js).
+ *
+ *   npm run server                          # http://localhost:8787
+ *   PORT=9000 FLOW_DATA_DIR=./my-flows npm run server
+ *
+ * The server has no authentication, so by default it only listens on this
+ * machine (HOST=127.0.0.1) and only answers pages served by the builder's
+ * dev server (http://localhost:5173). HOST and ALLOWED_ORIGINS — a comma-
+ * separated list of origins — widen that; a request from any other origin
+ * is refused with 403, so a web page the user happens to open cannot
+ * read, overwrite or delete their flows.
+ *
+ * Point the builder at it with VITE_FLOW_SERVER_URL=http://localhost:8787
+ * in `.env.local`.
+ *
+ * Routes
+ * ──────
+ *   GET    /flows      → [{ id, name, createdAt, updatedAt, nodeCount, edgeCount }]
+ *   GET    /flows/:id  → the stored snapshot, with its ETag         (404 if none)
+ *   PUT    /flows/:id  ← a snapshot { nodes, edges, … }; answers with the new ETag
+ *                        (201 when created, 200 when replaced)
+ *   DELETE /flows/:id  → 204                                        (404 if none)
+ *
+ *   GET    /flows/:id/revisions      → [{ id, savedAt, author, message, nodeCount, edgeCount }],
+ *                                      newest first
+ *   GET    /flows/:id/revisions/:rev → the snapshot stored by that save  (404 if none)
+ *
+ * Revision history
+ * ────────────────
+ * Every successful PUT also stores its snapshot as an immutable revision,
+ * `<FLOW_DATA_DIR>/<id>.revisions/<rev>.json`, named by the `revision.id`
+ * the client put in the snapshot — or by a fresh id the server writes into
+ * the snapshot when that one is missing or already taken. The revision is
+ * written before the flow, and removed again if the flow cannot be, so a
+ * failed PUT changes neither. There is no route that changes or removes a
+ * single revision; deleting the flow removes its history.
+ *
+ * Conflict detection
+ * ──────────────────
+ * Each flow is one file, `<FLOW_DATA_DIR>/<id>.json`, and its ETag is a
+ * hash of the file's bytes. Writes are conditional:
+ *
+ *   If-Match: "<etag>"   replace only while the stored version still has
+ *                        this ETag
+ *   If-None-Match: *     create only while no version is stored
+ *
+ * A PUT or DELETE whose condition fails is refused with 412 Precondition
+ * Failed, so two editors can never overwrite each other unnoticed. A PUT
+ * with neither header is refused with 428 — it would be a blind overwrite.
+ * Requests for one flow are handled one at a time, so the check and the
+ * write cannot interleave.
+ *
+ * Errors are JSON: { "error": "…" }. Only Node's standard library is used.
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rm, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_DIR = path.resolve(process.env.FLOW_DATA_DIR || 'flow-data');
+
+/** Largest request body accepted — inline image uploads make flows big. */
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/** Flow ids map straight to file names, so only safe characters are allowed. */
+const FLOW_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/** Origins whose pages may call the server — the builder's dev server by default. */
+const ALLOWED_ORIGINS = new Set(
+    (process.env.ALLOWED_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+        .split(',')
+        .map((origin) => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean)
+);
+
+/** Sent to allowed origins, together with Access-Control-Allow-Origin. */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+};
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Storage
+───────────────────────────────────────────────────────────────────────── */
+
+/** @returns {string} Path of a flow's file. */
+const flowFile = (id) => path.join(DATA_DIR, `${id}.json`);
+
+/** @returns {string} Directory holding a flow's revisions. */
+const revisionsDir = (id) => path.join(DATA_DIR, `${id}.revisions`);
+
+/** @returns {string} The quoted ETag of a stored file's contents. */
+const etagOf = (bytes) => `"${createHash('sha1').update(bytes).digest('hex')}"`;
+
+/**
+ * Reads a stored flow.
+ *
+ * @param {string} id
+ * @returns {Promise<{ bytes: Buffer, etag: string } | null>} null when none is stored.
+ */
+async function readFlow(id) {
+    try {
+        const bytes = await readFile(flowFile(id));
+        return { bytes, etag: etagOf(bytes) };
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/**
+ * Writes a flow atomically: a reader sees the old file or the new one,
+ * never half of it.
+ *
+ * @param {string} id
+ * @param {Buffer} bytes
+ */
+async function writeFlow(id, bytes) {
+    const temp = `${flowFile(id)}.${process.pid}.tmp`;
+    await writeFile(temp, bytes);
+    await rename(temp, flowFile(id));
+}
+
+/** A fresh revision id, e.g. "rev-lq8x2k-4f9a". */
+const createRevisionId = () => `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Records a snapshot that is about to be saved as a revision. Revisions
+ * never change, so an id that is missing, unsafe or already stored is
+ * replaced by a fresh one, in the snapshot too.
+ *
+ * @param {string} id
+ * @param {object} snapshot
+ * @returns {Promise<{ bytes: Buffer, file: string }>} The snapshot as
+ *   written — the flow is stored with the same bytes — and the revision's file.
+ */
+async function recordRevision(id, snapshot) {
+    const given = snapshot.revision?.id;
+    let rev = typeof given === 'string' && FLOW_ID_PATTERN.test(given) ? given : createRevisionId();
+    await mkdir(revisionsDir(id), { recursive: true });
+    for (;;) {
+        const bytes = Buffer.from(JSON.stringify({ ...snapshot, revision: { ...snapshot.revision, id: rev } }, null, 2) + '\n');
+        const file = path.join(revisionsDir(id), `${rev}.json`);
+        try {
+            await writeFile(file, bytes, { flag: 'wx' });
+            return { bytes, file };
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                await rm(file, { force: true });
+                throw err;
+            }
+            rev = createRevisionId();
+        }
+    }
+}
+
+/** One promise chain per flow id — see "Conflict detection" above. */
+const queues = new Map();
+
+/**
+ * Runs `task` after every earlier task for the same flow has finished.
+ *
+ * @param {string}   id
+ * @param {Function} task - () => Promise
+ * @returns {Promise}
+ */
+function serialized(id, task) {
+    const run = (queues.get(id) ?? Promise.resolve()).then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => { if (queues.get(id) === tail) queues.delete(id); });
+    return run;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   HTTP helpers
+───────────────────────────────────────────────────────────────────────── */
+
+/** An error that becomes a JSON response with `status`. */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Sends a JSON (or empty) response, after any CORS headers handle() set.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number}              status
+ * @param {unknown|Buffer}      [body]    - Buffers are sent as they are.
+ * @param {object}              [headers]
+ */
+function send(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    res.writeHead(status, {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+        ...headers,
+    });
+    res.end(payload);
+}
+
+/**
+ * Collects the request body, refusing anything over MAX_BODY_BYTES.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk); // keep draining, so the 413 can be sent
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) reject(new HttpError(413, `Flows may be at most ${MAX_BODY_BYTES / 1024 / 1024} MB.`));
+            else resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parses and checks an uploaded snapshot.
+ *
+ * @param {Buffer} bytes
+ * @returns {object}
+ */
+function parseSnapshot(bytes) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(bytes.toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'The body is not valid JSON.');
+    }
+    if (!Array.isArray(snapshot?.nodes) || !Array.isArray(snapshot?.edges)) {
+        throw new HttpError(400, 'A flow needs "nodes" and "edges" arrays.');
+    }
+    return snapshot;
+}
+
+/**
+ * The decoded segments of a request path.
+ *
+ * @param {string} pathname
+ * @returns {string[]}
+ */
+function pathSegments(pathname) {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        throw new HttpError(400, `The path ${pathname} is not validly percent-encoded.`);
+    }
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Routes
+───────────────────────────────────────────────────────────────────────── */
+
+/** GET /flows */
+async function listFlows(res) {
+    const files = (await readdir(DATA_DIR)).filter((f) => f.endsWith('.json'));
+    const entries = [];
+    for (const file of files) {
+        const id = file.slice(0, -'.json'.length);
+        try {
+            const snapshot = JSON.parse(await readFile(flowFile(id), 'utf8'));
+            entries.push({
+                id,
+                name: snapshot.meta?.name,
+                createdAt: snapshot.meta?.createdAt,
+                updatedAt: snapshot.savedAt,
+                nodeCount: snapshot.nodes?.length ?? 0,
+                edgeCount: snapshot.edges?.length ?? 0,
+            });
+        } catch {
+            /* unreadable or removed meanwhile — leave it out */
+        }
+    }
+    send(res, 200, entries);
+}
+
+/** GET /flows/:id */
+async function getFlow(res, id) {
+    const stored = await readFlow(id);
+    if (!stored) throw new HttpError(404, `No flow "${id}".`);
+    send(res, 200, stored.bytes, { ETag: stored.etag });
+}
+
+/** PUT /flows/:id */
+async function putFlow(req, res, id) {
+    const bytes = await readBody(req);
+    const snapshot = parseSnapshot(bytes);
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (!ifMatch && ifNoneMatch !== '*') {
+        throw new HttpError(428, 'Send If-Match with the ETag you loaded, or If-None-Match: * to create.');
+    }
+
+    await serialized(id, async () => {
+        const stored = await readFlow(id);
+        if (ifNoneMatch === '*' && stored) {
+            throw new HttpError(412, `Flow "${id}" already exists.`);
+        }
+        if (ifMatch && (!stored || (ifMatch !== '*' && ifMatch !== stored.etag))) {
+            throw new HttpError(412, `Flow "${id}" was changed since you loaded it.`);
+        }
+
+        // The revision first: a failure then leaves the stored flow and its ETag as they were
+        const { bytes: out, file } = await recordRevision(id, snapshot);
+        try {
+            await writeFlow(id, out);
+        } catch (err) {
+            await rm(file, { force: true });
+            throw err;
+        }
+        send(res, stored ? 200 : 201, { id }, { ETag: etagOf(out) });
+    });
+}
+
+/** DELETE /flows/:id */
+async function deleteFlow(req, res, id) {
+    const ifMatch = req.headers['if-match'];
+    await serialized(id, async () => {
+        const stored = await readFlow(id);
+        if (!stored) throw new HttpError(404, `No flow "${id}".`);
+        if (ifMatch && ifMatch !== '*' && ifMatch !== stored.etag) {
+            throw new HttpError(412, `Flow "${id}" was changed since you loaded it.`);
+        }
+        await unlink(flowFile(id));
+        await rm(revisionsDir(id), { recursive: true, force: true });
+        send(res, 204);
+    });
+}
+
+/** GET /flows/:id/revisions */
+async function listRevisions(res, id) {
+    let files;
+    try {
+        files = (await readdir(revisionsDir(id))).filter((f) => f.endsWith('.json'));
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new HttpError(404, `No revisions of flow "${id}".`);
+        throw err;
+    }
+    const entries = [];
+    for (const file of files) {
+        try {
+            const snapshot = JSON.parse(await readFile(path.join(revisionsDir(id), file), 'utf8'));
+            entries.push({
+                id: file.slice(0, -'.json'.length),
+                savedAt: snapshot.savedAt,
+                author: snapshot.revision?.author,
+                message: snapshot.revision?.message ?? '',
+                nodeCount: snapshot.nodes?.length ?? 0,
+                edgeCount: snapshot.edges?.length ?? 0,
+            });
+        } catch {
+            /* unreadable — leave it out */
+        }
+    }
+    entries.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    send(res, 200, entries);
+}
+
+/** GET /flows/:id/revisions/:rev */
+async function getRevision(res, id, rev) {
+    try {
+        send(res, 200, await readFile(path.join(revisionsDir(id), `${rev}.json`)));
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new HttpError(404, `No revision "${rev}" of flow "${id}".`);
+        throw err;
+    }
+}
+
+/**
+ * Dispatches one request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ */
+async function handle(req, res) {
+    // Browsers send Origin with cross-origin calls; tools such as curl don't
+    const { origin } = req.headers;
+    if (origin) {
+        if (!ALLOWED_ORIGINS.has(origin)) throw new HttpError(403, `Origin ${origin} may not use this server.`);
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        Object.entries(CORS_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    }
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathSegments(pathname);
+    if (parts[0] !== 'flows' || parts.length > 4 || (parts.length > 2 && parts[2] !== 'revisions')) {
+        throw new HttpError(404, `No route ${pathname}.`);
+    }
+
+    if (parts.length === 1) {
+        if (req.method === 'GET') return listFlows(res);
+        throw new HttpError(405, `${req.method} is not allowed on /flows.`);
+    }
+
+    const id = parts[1];
+    if (!FLOW_ID_PATTERN.test(id)) throw new HttpError(400, 'Flow ids may only use letters, digits, - and _.');
+
+    if (parts.length > 2) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Revisions are read-only.');
+        if (parts.length === 3) return listRevisions(res, id);
+        if (!FLOW_ID_PATTERN.test(parts[3])) throw new HttpError(400, 'Revision ids may only use letters, digits, - and _.');
+        return getRevision(res, id, parts[3]);
+    }
+
+    if (req.method === 'GET') return getFlow(res, id);
+    if (req.method === 'PUT') return putFlow(req, res, id);
+    if (req.method === 'DELETE') return deleteFlow(req, res, id);
+    throw new HttpError(405, `${req.method} is not allowed on /flows/:id.`);
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Startup
+───────────────────────────────────────────────────────────────────────── */
+
+await mkdir(DATA_DIR, { recursive: true });
+
+http
+    .createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            if (res.headersSent) return;
+            if (err instanceof HttpError) {
+                send(res, err.status, { error: err.message });
+            } else {
+                console.error(err);
+                send(res, 500, { error: 'The server could not complete the request.' });
+            }
+        });
+    })
+    .listen(PORT, HOST, () => {
+        console.log(`Flow server listening on http://${HOST}:${PORT} — storing flows in ${DATA_DIR}`);
+    });
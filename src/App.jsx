@@ -12,16 +12,86 @@
  *   • nodes / edges  — the canvas graph, managed by React Flow's own hooks
  *   • selectedNode   — drives the right-hand SettingsPanel
  *   • toast          — the top-centre notification banner
+ *   • pendingDraft   — an autosaved draft offered back for restore on load
+ *   • workspace      — the list of named flows and which one is open
+ *                      (useWorkspace); each flow keeps its own saved copy,
+ *                      draft, and viewport in localStorage
+ *   • flowMeta       — { name, createdAt } of the open flow, derived from
+ *                      its workspace entry and written into exported files
+ *   • history        — undo / redo stacks (useFlowHistory); every mutating
+ *                      handler below calls takeSnapshot() before it edits
+ *   • previewOpen    — whether the chat-preview panel is shown
+ *   • previewNodeId  — node the preview conversation is on (highlighted)
+ *   • diagnostics    — every problem in the graph (utils/diagnostics.js),
+ *                      re-derived on each change; shown as node / edge
+ *                      badges and in the Problems panel
+ *   • variables      — the flow's declared variables and sample values
+ *                      (utils/variables.js); saved with the flow but not
+ *                      part of undo history, like the flow's name
+ *   • showSamples    — canvas shows messages with samples substituted
+ *   • historyView    — a past revision (or a comparison of two) shown on
+ *                      the canvas read-only instead of the graph; the
+ *                      graph itself is untouched while it is up
+ *   • shortcuts      — the user's keyboard-shortcut overrides, plus whether
+ *                      the command palette / cheat sheet are open; the
+ *                      sidebar and minimap visibility they can toggle
+ *   • search         — the find bar's query and options (null when it is
+ *                      closed); nodes without a hit are dimmed
+ *   • subflowSources — the saved flows the canvas's Subflow nodes run
+ *                      (utils/subflows.js), reloaded whenever one of them
+ *                      is saved; read by the cards, the diagnostics and
+ *                      the preview
+ *   • languages      — the flow's default language and translations
+ *                      (utils/translations.js); saved with the flow but
+ *                      not part of undo history, like the variables
+ *   • language       — the language the canvas, SettingsPanel and preview
+ *                      show and edit; per session, not saved
+ *   • channels       — the messaging channels the flow is published to
+ *                      (utils/channels.js), whose limits the diagnostics
+ *                      check; saved with the flow, not part of undo history
+ *
+ * Group containers (utils/groups.js) are nodes of their own in `nodes`;
+ * displayGroups turns them into frames — or collapsed cards — on the way
+ * to React Flow, next to the preview highlight and search dimming. In
+ * another language than the default, the nodes are localized on the way
+ * too (localizeNode) and edits are routed into their translations
+ * (translatePatch), so `nodes` itself always holds the default text.
  *
  * Data flow
  * ─────────
  *   Sidebar        → (drag dataTransfer) → FlowBuilder.onDrop → nodes
  *   CustomTextNode → (onNodeDataChange)  → FlowBuilder        → nodes
  *   SettingsPanel  → (onLabelChange)     → FlowBuilder        → nodes + selectedNode
- *   SaveButton     → (onSave / resolve)  → FlowBuilder        → toast
+ *   ImageSettings  → (onDataChange)      → FlowBuilder        → nodes + selectedNode
+ *   SaveButton     → (onSave / resolve)  → FlowBuilder        → toast + storage adapter (+ revision)
+ *   FlowFileButtons→ (onExport/onImport) → FlowBuilder        → .flow.json file ⇄ nodes / edges
+ *                  (onExportCsv / .csv)  → utils/csvScript.js → message script ⇄ merged into nodes / edges
+ *   nodes / edges  → DiagramMenu         → utils/diagramExport.js → Mermaid / DOT text (copy, download)
+ *   UndoRedoButtons→ (onUndo / onRedo)   → useFlowHistory     → nodes + edges
+ *   PreviewPanel   → (onActiveNodeChange)→ FlowBuilder        → highlighted node
+ *   HistoryPanel   → (onView / onCompare / onRestore) → FlowBuilder → historyView / nodes
+ *   WorkspaceMenu  → (onOpen / onCreate …)→ FlowBuilder.openFlow → nodes / edges / viewport
+ *   system clipboard ⇄ (copy / paste events, Ctrl+D) → utils/clipboard.js → nodes / edges
+ *   nodes / edges  → (diagnoseFlow)      → DiagnosticsContext → node / edge badges
+ *   ProblemsPanel  → (onSelect)          → FlowBuilder        → fitView + selection
+ *   ArrangeControls→ (onArrange)         → utils/autoLayout.js → animated node positions
+ *   VariablesMenu  → (onChange)          → FlowBuilder        → variables
+ *   nodes / edges / variables → (knownVariablesByNode) → VariablesContext → `{{` autocomplete
+ *   nodes / edges  → (debounced effect)  → localStorage draft → restore banner
+ *   keyboard       → (useShortcuts)      → command handlers   → the same handlers as the buttons
+ *   CommandPalette → (item.run)          → command handlers / focusNode / openFlow
+ *   FindReplaceBar → (onReplace / onReplaceAll) → onLocalizedLabelChange → nodes + selectedNode
+ *   ArrangeControls / GroupNode → (onGroup / onToggle / onUngroup) → utils/groups.js → nodes
+ *   nodes          → (loadSubflowSources)→ subflowSources     → SubflowContext / diagnostics
+ *   nodes + subflowSources → (expandSubflows) → PreviewPanel  → the conversation, subflows inlined
+ *   LanguageMenu   → (onLanguageChange / onLanguagesChange) → FlowBuilder → language / languages
+ *                  (onImport .xlf / .po) → utils/translations.js → translations merged into nodes
+ *   nodes + languages → (translationGaps) → TranslationContext → missing-translation badges
+ *   ChannelMenu    → (onChange)          → FlowBuilder        → channels → diagnostics (Save)
+ *                                                               + ChannelContext → character counters
  */
 
-import React, { useState, useCallback, useRef, useMemo } from 'react';
+import React, { useState, useCallback, useRef, useMemo, useEffect } from 'react';
 import ReactFlow, {
     addEdge,          // helper to append an edge while avoiding duplicates
     Background,       // dot/line pattern behind the canvas
@@ -34,12 +104,87 @@ import ReactFlow, {
     BackgroundVariant,// enum: Dots | Lines | Cross
     MarkerType,       // enum for arrowhead styles on edges
 } from 'reactflow';
+import { Command, History, Play } from 'lucide-react';
 
 import Sidebar from './components/Sidebar.jsx';
 import SettingsPanel from './components/SettingsPanel.jsx';
 import SaveButton from './components/SaveButton.jsx';
+import FlowFileButtons from './components/FlowFileButtons.jsx';
+import DiagramMenu from './components/DiagramMenu.jsx';
+import UndoRedoButtons from './components/UndoRedoButtons.jsx';
+import WorkspaceMenu from './components/WorkspaceMenu.jsx';
+import PreviewPanel from './components/PreviewPanel.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import HistoryBanner, { ReadOnlyContext } from './components/HistoryBanner.jsx';
+import ProblemsPanel from './components/ProblemsPanel.jsx';
+import ArrangeControls from './components/ArrangeControls.jsx';
+import { DiagnosticsContext } from './components/ProblemBadge.jsx';
+import { VariablesContext } from './components/VariableTextarea.jsx';
+import VariablesMenu from './components/VariablesMenu.jsx';
+import LanguageMenu from './components/LanguageMenu.jsx';
+import { TranslationContext } from './components/TranslationBadge.jsx';
+import ChannelMenu from './components/ChannelMenu.jsx';
+import { ChannelContext } from './components/ChannelCounter.jsx';
 import CustomTextNode from './components/CustomTextNode.jsx';
+import ImageNode from './components/ImageNode.jsx';
+import ConditionNode from './components/ConditionNode.jsx';
+import QuestionNode from './components/QuestionNode.jsx';
+import SubflowNode, { SubflowContext } from './components/SubflowNode.jsx';
+import DelayNode from './components/DelayNode.jsx';
+import GroupNode from './components/GroupNode.jsx';
 import CustomEdge from './components/CustomEdge.jsx';
+import CommandPalette from './components/CommandPalette.jsx';
+import ShortcutsSheet, { KeyCombo } from './components/ShortcutsSheet.jsx';
+import FindReplaceBar from './components/FindReplaceBar.jsx';
+import {
+    createSnapshot,
+    isSameGraph,
+    maxNumericId,
+    loadSavedFlow,
+    storeSavedFlow,
+    loadDraft,
+    storeDraft,
+    clearDraft,
+    loadAuthor,
+    storeAuthor,
+    loadShortcuts,
+    storeShortcuts,
+} from './utils/flowStorage.js';
+import {
+    sourceHandleIds,
+    edgeSourceHandle,
+    outputSlot,
+    isFlowStep,
+} from './utils/flowValidation.js';
+import { diagnoseFlow, indexDiagnostics, describeNode } from './utils/diagnostics.js';
+import { COMMANDS, resolveBindings, isEditableTarget } from './utils/shortcuts.js';
+import { findMatches, replaceHit, replaceAll } from './utils/textSearch.js';
+import { copySelection, parseClipboard, instantiateClipboard } from './utils/clipboard.js';
+import { layoutGraph } from './utils/autoLayout.js';
+import { EMPTY_VARIABLES, capturedVariables, allVariableNames, knownVariablesByNode } from './utils/variables.js';
+import { createConditionData } from './utils/conditions.js';
+import { createQuestionData } from './utils/questions.js';
+import { isGroup, groupNodes, pruneGroups, expandGroupMoves, displayGroups, groupOfMember } from './utils/groups.js';
+import { createSubflowData, referencedFlowIds, loadSubflowSources, expandSubflows, hostNodeId } from './utils/subflows.js';
+import { createDelayData } from './utils/delays.js';
+import {
+    DEFAULT_LANGUAGES,
+    translationGaps,
+    localizeNode,
+    translatePatch,
+    applyTranslations,
+    planTranslationImport,
+    languageName,
+} from './utils/translations.js';
+import { NO_CHANNELS } from './utils/channels.js';
+import { exportFlow, parseFlowDocument } from './utils/flowSchema.js';
+import { planScriptImport, toScriptCsv, SCRIPT_ROW_TYPES } from './utils/csvScript.js';
+import { downloadTextFile, slugify } from './utils/download.js';
+import { createStorageAdapter } from './utils/storageAdapters.js';
+import { createRevisionInfo, diffSnapshots } from './utils/revisions.js';
+import useFlowHistory from './hooks/useFlowHistory.js';
+import useWorkspace from './hooks/useWorkspace.js';
+import useShortcuts from './hooks/useShortcuts.js';
 
 /* ─────────────────────────────────────────────────────────────────────────
    CONSTANTS — defined at module level so they are created once, not on
@@ -62,6 +207,77 @@ const initialNodes = [
 /** No edges on first load — the user creates connections manually. */
 const initialEdges = [];
 
+/**
+ * Factories for the `data` of a freshly dropped node, keyed by node type.
+ * Each receives the new node's id so placeholders can be told apart.
+ */
+const NODE_DEFAULT_DATA = {
+    textNode: (id) => ({ label: `New message ${id}` }),
+    imageNode: () => ({ url: '', alt: '', caption: '' }),
+    conditionNode: () => createConditionData(),
+    questionNode: (id) => createQuestionData(id),
+    subflowNode: () => createSubflowData(),
+    delayNode: () => createDelayData(),
+};
+
+/** MiniMap fill per node type — matches each type's header gradient. */
+const MINIMAP_COLORS = {
+    textNode: '#6366f1',
+    imageNode: '#0ea5e9',
+    conditionNode: '#f59e0b',
+    questionNode: '#f43f5e',
+    subflowNode: '#14b8a6',
+    delayNode: '#d946ef',
+    groupNode: '#1e1b4b',
+};
+
+/** MiniMap fill of a node the find bar has dimmed. */
+const DIMMED_MINIMAP_COLOR = '#2d2b55';
+
+/** Find-bar state right after Ctrl+F. */
+const EMPTY_SEARCH = { query: '', replacement: '', regex: false, caseSensitive: false, showReplace: false };
+
+/** MiniMap fill per comparison status (see the diff-* classes in index.css). */
+const DIFF_MINIMAP_COLORS = {
+    'diff-added': '#34d399',
+    'diff-removed': '#f43f5e',
+    'diff-changed': '#f59e0b',
+};
+
+/** Diagnostics of a revision on display — its badges would only distract. */
+const NO_DIAGNOSTICS = indexDiagnostics([]);
+
+/**
+ * Where "Save Flow" writes: browser storage, or the flow server when the
+ * build sets VITE_FLOW_SERVER_URL (see utils/storageAdapters.js).
+ */
+const flowStore = createStorageAdapter();
+
+/** Quiet period after the last edit before the draft is autosaved. */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/** Step between nodes added from the keyboard at the same spot. */
+const KEYBOARD_NODE_OFFSET = 32;
+
+/** How long nodes take to glide to their auto-arranged positions. */
+const ARRANGE_DURATION_MS = 450;
+
+/** Longest list of problems shown in a single toast before truncating. */
+const MAX_TOAST_PROBLEMS = 5;
+
+/**
+ * Formats a list of problems as a bulleted, multi-line toast message.
+ *
+ * @param {string}   heading  - First line, e.g. "Import failed — flow.json:".
+ * @param {string[]} problems - One entry per problem.
+ * @returns {string}
+ */
+const formatProblems = (heading, problems) => {
+    const shown = problems.slice(0, MAX_TOAST_PROBLEMS).map((p) => `• ${p}`);
+    const hidden = problems.length - shown.length;
+    return [heading, ...shown, ...(hidden > 0 ? [`…and ${hidden} more`] : [])].join('\n');
+};
+
 /**
  * Monotonically increasing unique ID generator.
  * Stored as a module-level variable so it persists across re-renders
@@ -73,6 +289,17 @@ const initialEdges = [];
 let _uid = 2;
 const nextId = () => String(_uid++);
 
+/**
+ * Fast-forwards the ID counter past every id in a restored node list.
+ * Never moves the counter backwards, so calling it twice (StrictMode) or
+ * with an older snapshot is harmless.
+ *
+ * @param {object[]} nodes - Nodes that are about to be placed on the canvas.
+ */
+const syncUid = (nodes) => {
+    _uid = Math.max(_uid, maxNumericId(nodes) + 1);
+};
+
 
 /* ─────────────────────────────────────────────────────────────────────────
    FLOWBUILDER — the real application component.
@@ -86,6 +313,19 @@ function FlowBuilder() {
      */
     const reactFlowWrapper = useRef(null);
 
+    /**
+     * Last pointer position over the canvas in screen pixels, or null when
+     * the pointer is elsewhere. Paste drops nodes here when it can.
+     */
+    const pointerRef = useRef(null);
+
+    /**
+     * requestAnimationFrame id of a running auto-arrange animation. Undo,
+     * redo and switching flows cancel it so a late frame cannot move nodes
+     * on the graph that replaced the arranged one.
+     */
+    const arrangeFrameRef = useRef(null);
+
     /**
      * screenToFlowPosition converts a {x, y} in browser viewport pixels
      * to the equivalent coordinates in the React Flow canvas space,
@@ -93,26 +333,191 @@ function FlowBuilder() {
      *
      * Provided by useReactFlow() — requires <ReactFlowProvider> ancestor.
      */
-    const { screenToFlowPosition } = useReactFlow();
+    const { screenToFlowPosition, getViewport, setViewport, fitView } = useReactFlow();
+
+    /**
+     * The workspace: every named flow, and which one is on the canvas.
+     * Switching flows is handled by openFlow below.
+     */
+    const {
+        flows,
+        activeFlow,
+        setActiveFlow,
+        createFlow,
+        renameFlow,
+        duplicateFlow,
+        deleteFlow,
+        touchFlow,
+        adoptFlows,
+    } = useWorkspace();
+
+    /**
+     * The open flow's last validated version from localStorage, read
+     * exactly once. The lazy initialiser also resumes the ID counter so the
+     * first node dropped after a reload does not reuse a restored node's id.
+     */
+    const [bootFlow] = useState(() => {
+        const saved = loadSavedFlow(activeFlow.id);
+        if (saved) syncUid(saved.nodes);
+        return saved;
+    });
 
     /* ── Graph state managed by React Flow's specialised hooks ── */
     // useNodesState returns [nodes, setNodes, onNodesChange].
     // onNodesChange handles built-in interactions (drag, select, delete).
-    const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
+    const [nodes, setNodes, onNodesChange] = useNodesState(bootFlow?.nodes ?? initialNodes);
 
     // useEdgesState similarly manages the edge list.
-    const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+    const [edges, setEdges, onEdgesChange] = useEdgesState(bootFlow?.edges ?? initialEdges);
+
+    /**
+     * The graph as of the last successful save (or first load).
+     * The autosave effect compares against it to decide whether there are
+     * unsaved changes worth writing as a draft.
+     */
+    const lastSavedRef = useRef(bootFlow ?? { nodes: initialNodes, edges: initialEdges });
+
+    /**
+     * Etag of the stored version lastSavedRef came from (null for a flow
+     * never saved). Handed to the storage adapter on save so a version
+     * stored by someone else in the meantime is detected, not overwritten.
+     */
+    const savedEtagRef = useRef(bootFlow?.etag ?? null);
+
+    /**
+     * The open flow's declared variables and sample values. Snapshots from
+     * before variables existed have none.
+     */
+    const [variables, setVariables] = useState(bootFlow?.variables ?? EMPTY_VARIABLES);
+
+    /** Whether message nodes show their text with sample values substituted. */
+    const [showSamples, setShowSamples] = useState(false);
+
+    /**
+     * The open flow's default language and the languages it is translated
+     * into. Snapshots from before translations existed are English only.
+     */
+    const [languages, setLanguages] = useState(bootFlow?.languages ?? DEFAULT_LANGUAGES);
+
+    /**
+     * The language picked in the header. A flow that does not have it —
+     * another flow was opened, or it was removed — is edited in its
+     * default language instead.
+     */
+    const [pickedLanguage, setPickedLanguage] = useState(languages.default);
+    const language = languages.list.includes(pickedLanguage) ? pickedLanguage : languages.default;
+
+    /**
+     * Ids of the messaging channels the open flow is published to, whose
+     * limits its text must fit (utils/channels.js). Saved with the flow
+     * but not part of undo history; older snapshots target none.
+     */
+    const [channels, setChannels] = useState(bootFlow?.channels ?? NO_CHANNELS);
+
+    /**
+     * Name and creation date of the open flow, written into saves and
+     * exported files. Derived from the workspace entry, which owns them;
+     * memoised on the primitives so index updates that only touch counts
+     * do not re-trigger the autosave effect.
+     */
+    const flowMeta = useMemo(
+        () => ({ name: activeFlow.name, createdAt: activeFlow.createdAt }),
+        [activeFlow.name, activeFlow.createdAt]
+    );
+
+    /**
+     * An autosaved draft left over from a previous session, if it differs
+     * from the saved flow. While non-null the restore banner is shown and
+     * autosave is paused so the draft is not overwritten before the user
+     * has decided what to do with it.
+     */
+    const [pendingDraft, setPendingDraft] = useState(() => {
+        const draft = loadDraft(activeFlow.id);
+        return draft && !isSameGraph(draft, lastSavedRef.current) ? draft : null;
+    });
 
     /** The currently selected node, or null when nothing is selected. */
     const [selectedNode, setSelectedNode] = useState(null);
 
     /**
      * Toast notification state.
-     * Shape: { type: 'success' | 'error', msg: string } | null
+     * Shape: { type: 'success' | 'warning' | 'error', msg: string } | null
      * Auto-cleared after 4 seconds by showToast().
      */
     const [toast, setToast] = useState(null);
 
+    /** Whether the chat-preview panel is open. */
+    const [previewOpen, setPreviewOpen] = useState(false);
+
+    /** Node the running preview conversation is on, or null. */
+    const [previewNodeId, setPreviewNodeId] = useState(null);
+
+    /** Whether the revision-history panel is open. */
+    const [historyOpen, setHistoryOpen] = useState(false);
+
+    /**
+     * What the canvas shows instead of the graph, or null for the graph:
+     *   { mode: 'view', entry, snapshot }                      — one revision
+     *   { mode: 'compare', from: { entry, snapshot }, to, diff } — two versions
+     * While set, the canvas is read-only.
+     */
+    const [historyView, setHistoryView] = useState(null);
+
+    /** Name recorded as the author of this browser's saves. */
+    const [author, setAuthor] = useState(loadAuthor);
+
+    /** Whether the Ctrl+K command palette / the "?" cheat sheet is open. */
+    const [paletteOpen, setPaletteOpen] = useState(false);
+    const [shortcutsOpen, setShortcutsOpen] = useState(false);
+
+    /** The user's shortcut overrides; see utils/shortcuts.js. */
+    const [shortcutOverrides, setShortcutOverrides] = useState(loadShortcuts);
+
+    /** Whether the node library and the minimap are shown. */
+    const [sidebarOpen, setSidebarOpen] = useState(true);
+    const [showMiniMap, setShowMiniMap] = useState(true);
+
+    /** Find-bar query and options (see EMPTY_SEARCH), or null while it is closed. */
+    const [search, setSearch] = useState(null);
+
+    /** The nodes that are steps of the conversation — everything but group containers. */
+    const steps = useMemo(() => nodes.filter(isFlowStep), [nodes]);
+
+    /** The steps as the canvas shows them: in the language being edited. */
+    const localizedSteps = useMemo(
+        () => (language === languages.default ? steps : steps.map((n) => localizeNode(n, language, languages))),
+        [steps, language, languages]
+    );
+
+    /** Hits of the find bar's query; null while there is nothing to search for. */
+    const searchResult = useMemo(
+        () => (search?.query ? findMatches(localizedSteps, search) : null),
+        [localizedSteps, search]
+    );
+
+    /**
+     * The graph handed to React Flow: the graph itself in the language
+     * being edited, plus a highlight class on the node the preview is
+     * currently at (or the collapsed group hiding it) and a dimming class on
+     * nodes the find bar has no hit in, with groups drawn as frames or cards
+     * by displayGroups. Kept out of `nodes` so none of it ever reaches
+     * history, drafts or saved flows.
+     */
+    const display = useMemo(() => {
+        const dimmed = searchResult && !searchResult.error ? searchResult.nodeIds : null;
+        const owner = nodes.find((n) => n.id === groupOfMember(nodes).get(previewNodeId));
+        const activeId = owner?.data.collapsed ? owner.id : previewNodeId;
+        const localized = language === languages.default ? nodes : nodes.map((n) => localizeNode(n, language, languages));
+        const classed = !activeId && !dimmed ? localized : localized.map((n) => {
+            const classes = [
+                n.id === activeId && 'preview-active',
+                dimmed && isFlowStep(n) && !dimmed.has(n.id) && 'search-dim',
+            ].filter(Boolean);
+            return classes.length > 0 ? { ...n, className: classes.join(' ') } : n;
+        });
+        return displayGroups(classed, edges);
+    }, [nodes, edges, previewNodeId, searchResult, language, languages]);
+
     /**
      * A derived Set of source node IDs that already have at least one
      * outgoing edge. Passed to Sidebar so it could, for example, visually
@@ -124,6 +529,128 @@ function FlowBuilder() {
     );
 
 
+    /**
+     * The saved flows run by the canvas's Subflow nodes, and the flows those
+     * run in turn: Map<flowId, { name, nodes, edges } | null>. Loaded by the
+     * effect in the Subflows section below.
+     */
+    const [subflowSources, setSubflowSources] = useState(() => new Map());
+
+    /**
+     * Every problem in the current graph, errors first. Cheap enough to
+     * re-run on each change, so the badges and Problems panel are always live.
+     */
+    const diagnostics = useMemo(
+        () => diagnoseFlow(nodes, edges, variables, { sources: subflowSources, flowId: activeFlow.id }, languages, channels),
+        [nodes, edges, variables, subflowSources, activeFlow.id, languages, channels]
+    );
+
+    /** The same diagnostics keyed by node / edge id, for DiagnosticsContext. */
+    const diagnosticIndex = useMemo(() => indexDiagnostics(diagnostics), [diagnostics]);
+
+    /** How many nodes are over a channel limit, for the Channels button. */
+    const overLimitCount = useMemo(
+        () => new Set(diagnostics.filter((d) => d.rule === 'channel-limit').flatMap((d) => d.nodeIds)).size,
+        [diagnostics]
+    );
+
+    /** Whether the Problems panel list is expanded. */
+    const [problemsOpen, setProblemsOpen] = useState(false);
+
+    /** Variables captured by questions, for the Variables menu. */
+    const captured = useMemo(() => capturedVariables(nodes), [nodes]);
+
+    /** What the `{{` editors offer and flag, via VariablesContext. */
+    const variablesContext = useMemo(
+        () => ({
+            knownByNode: knownVariablesByNode(nodes, edges, variables),
+            allNames: allVariableNames(nodes, variables),
+            samples: variables.samples,
+            showSamples,
+        }),
+        [nodes, edges, variables, showSamples]
+    );
+
+    /** The language being edited and what it still misses, via TranslationContext. */
+    const translationContext = useMemo(
+        () => ({ language, languages, gaps: translationGaps(nodes, languages) }),
+        [nodes, language, languages]
+    );
+
+
+    /**
+     * Undo / redo stacks. See useFlowHistory for how keystrokes are
+     * coalesced and how a drag is recorded as one step.
+     */
+    const { takeSnapshot, beginGesture, endGesture, undo, redo, clearHistory, canUndo, canRedo } =
+        useFlowHistory({ nodes, edges, setNodes, setEdges });
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Draft autosave
+       ──────────────
+       Debounced: each nodes/edges change restarts a short timer, so a burst
+       of keystrokes or a node drag produces a single write once the user
+       pauses. When the canvas matches the last save again (e.g. an edit was
+       reverted by hand) the stale draft is cleared instead. Each write also
+       refreshes the flow's counts in the workspace list.
+    ───────────────────────────────────────────────────────────────────── */
+    const activeFlowId = activeFlow.id;
+
+    /**
+     * The open flow and its graph as of the latest render, for async work
+     * (saving, store checks) that finishes after the render it started in.
+     */
+    const canvasRef = useRef(null);
+    canvasRef.current = { flowId: activeFlowId, nodes, edges, variables, languages, language };
+
+    /**
+     * Writes the canvas as the open flow's draft — or clears the draft when
+     * the canvas matches the last save. Also called directly before
+     * switching away from, or duplicating, the open flow.
+     */
+    const flushDraft = useCallback(() => {
+        if (isSameGraph({ nodes, edges, variables, languages, channels }, lastSavedRef.current)) {
+            clearDraft(activeFlowId);
+        } else if (storeDraft(activeFlowId, createSnapshot(nodes, edges, getViewport(), flowMeta, variables, languages, channels))) {
+            touchFlow(activeFlowId, { nodes, edges });
+        }
+    }, [nodes, edges, variables, languages, channels, activeFlowId, getViewport, flowMeta, touchFlow]);
+
+    useEffect(() => {
+        if (pendingDraft) return; // don't clobber a draft awaiting restore
+
+        const timer = setTimeout(flushDraft, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [pendingDraft, flushDraft]);
+
+    /**
+     * Replaces the canvas with the pending draft and dismisses the banner.
+     * Autosave resumes afterwards and re-writes the draft, since the
+     * restored graph still differs from the saved flow.
+     */
+    const restoreDraft = useCallback(() => {
+        if (!pendingDraft) return;
+        takeSnapshot();
+        syncUid(pendingDraft.nodes);
+        setNodes(pendingDraft.nodes);
+        setEdges(pendingDraft.edges);
+        setVariables(pendingDraft.variables ?? EMPTY_VARIABLES);
+        setLanguages(pendingDraft.languages ?? DEFAULT_LANGUAGES);
+        setChannels(pendingDraft.channels ?? NO_CHANNELS);
+        if (pendingDraft.viewport) setViewport(pendingDraft.viewport);
+        setSelectedNode(null);
+        setPendingDraft(null);
+    }, [pendingDraft, setNodes, setEdges, setViewport, takeSnapshot]);
+
+    /** Throws the pending draft away and keeps the saved flow on the canvas. */
+    const discardDraft = useCallback(() => {
+        clearDraft(activeFlowId);
+        setPendingDraft(null);
+    }, [activeFlowId]);
+
+
+
     /* ─────────────────────────────────────────────────────────────────────
        isValidConnection
        ─────────────────
@@ -132,21 +659,33 @@ function FlowBuilder() {
        the target handle red — the user gets immediate visual feedback.
 
        Rules enforced here:
-         1. A source node may only have ONE outgoing edge.
+         1. A source HANDLE may only have ONE outgoing edge. Most nodes have
+            a single handle; condition nodes have one per branch, so each
+            branch can lead somewhere different.
          2. No self-loops (source === target).
+         3. Nothing connects to a group container (see utils/groups.js).
     ───────────────────────────────────────────────────────────────────── */
     const isValidConnection = useCallback(
         (connection) => {
-            // Check if this source node already drives another edge
-            const sourceHasOutgoing = edges.some((e) => e.source === connection.source);
-            if (sourceHasOutgoing) return false; // block second outgoing edge
+            const sourceNode = nodes.find((n) => n.id === connection.source);
+            if (!sourceNode || isGroup(sourceNode)) return false;
+
+            // Groups are frames, not steps: edges belong to their members
+            if (nodes.some((n) => n.id === connection.target && isGroup(n))) return false;
+
+            // Check if this output already drives another edge
+            const slot = outputSlot(sourceNode, connection);
+            const slotTaken = edges.some(
+                (e) => e.source === connection.source && outputSlot(sourceNode, e) === slot
+            );
+            if (slotTaken) return false; // block second outgoing edge from the same output
 
             // Prevent a node from connecting to itself
             if (connection.source === connection.target) return false;
 
             return true; // all checks passed — allow the connection
         },
-        [edges] // must re-run when edges change so the closure sees fresh data
+        [nodes, edges] // must re-run when the graph changes so the closure sees fresh data
     );
 
 
@@ -161,6 +700,7 @@ function FlowBuilder() {
     ───────────────────────────────────────────────────────────────────── */
     const onConnect = useCallback(
         (params) => {
+            takeSnapshot();
             setEdges((eds) =>
                 addEdge(
                     {
@@ -174,7 +714,7 @@ function FlowBuilder() {
                 )
             );
         },
-        [setEdges]
+        [setEdges, takeSnapshot]
     );
 
 
@@ -187,55 +727,71 @@ function FlowBuilder() {
        onDrop:     reads the node type string written to dataTransfer by
                    Sidebar's DraggableNode.onDragStart, converts the
                    mouse position to canvas coordinates, then appends a
-                   new node at that position.
+                   new node at that position (addNode, which the "Add …"
+                   commands use too).
     ───────────────────────────────────────────────────────────────────── */
     const onDragOver = useCallback((event) => {
         event.preventDefault();                     // required to enable drop
         event.dataTransfer.dropEffect = 'move';     // show a move cursor
     }, []);
 
+    /**
+     * Appends a new node of `type` at a canvas position.
+     *
+     * @param {string}                 type
+     * @param {{x: number, y: number}} position - Canvas coordinates.
+     * @returns {object} The new node.
+     */
+    const addNode = useCallback(
+        (type, position) => {
+            const id = nextId();
+            const newNode = {
+                id,
+                type,
+                position,
+                data: NODE_DEFAULT_DATA[type](id), // type-specific placeholder data
+            };
+
+            // Append the new node; using a functional update avoids stale closure issues
+            takeSnapshot();
+            setNodes((nds) => nds.concat(newNode));
+            return newNode;
+        },
+        [setNodes, takeSnapshot]
+    );
+
     const onDrop = useCallback(
         (event) => {
             event.preventDefault();
 
             // Read the node type written by DraggableNode.onDragStart
             const type = event.dataTransfer.getData('application/reactflow');
-            if (!type) return; // safety guard: ignore drops without a type
+            if (!NODE_DEFAULT_DATA[type]) return; // safety guard: ignore unknown / missing types
 
             // Convert mouse screen coordinates to React Flow canvas coordinates.
             // This accounts for the canvas pan offset and current zoom level.
-            const position = screenToFlowPosition({
+            addNode(type, screenToFlowPosition({
                 x: event.clientX,
                 y: event.clientY,
-            });
-
-            const id = nextId();
-            const newNode = {
-                id,
-                type,
-                position,
-                data: { label: `New message ${id}` }, // default placeholder label
-            };
-
-            // Append the new node; using a functional update avoids stale closure issues
-            setNodes((nds) => nds.concat(newNode));
+            }));
         },
-        [screenToFlowPosition, setNodes]
+        [screenToFlowPosition, addNode]
     );
 
 
     /* ─────────────────────────────────────────────────────────────────────
        Node selection callbacks
        ───────────────────────
-       onNodeClick:  React Flow passes the event + the full node object.
-                     We store the node so SettingsPanel knows what to show.
+       onNodeClick:  React Flow passes the event + the node it drew. We
+                     store the node as it is in `nodes` — not localized or
+                     restyled for display — so SettingsPanel knows what to show.
 
        onPaneClick:  Clicking the empty canvas background deselects the node
                      and collapses the SettingsPanel.
     ───────────────────────────────────────────────────────────────────── */
     const onNodeClick = useCallback((_event, node) => {
-        setSelectedNode(node);
-    }, []);
+        setSelectedNode(nodes.find((n) => n.id === node.id) ?? node);
+    }, [nodes]);
 
     const onPaneClick = useCallback(() => {
         setSelectedNode(null); // collapse the settings panel
@@ -243,27 +799,40 @@ function FlowBuilder() {
 
 
     /* ─────────────────────────────────────────────────────────────────────
-       onNodeDataChange
-       ────────────────
-       Single source of truth for updating a node's label text.
-       Called from two places:
+       onNodeDataPatch
+       ───────────────
+       Single source of truth for updating a node's data.
+       onNodeDataPatch(id, patch) shallow-merges `patch` into node.data. The
+       editors reach it through the localized wrappers below, whose label
+       shorthand (onLocalizedLabelChange) is called from:
          1. CustomTextNode's inline textarea (user types inside the node)
          2. SettingsPanel's textarea (user types in the right panel)
+         3. FindReplaceBar's Replace / All
 
-       Both surfaces call this with (id, newLabel), which:
-         a) Updates the nodes array → canvas re-renders with new text.
-         b) Updates selectedNode → SettingsPanel textarea stays in sync.
+       Every edit:
+         a) Updates the nodes array → canvas re-renders with new data.
+         b) Updates selectedNode → SettingsPanel form stays in sync.
 
        Using functional updates for both `setNodes` and `setSelectedNode`
        ensures we always operate on the latest state, not a stale closure.
+
+       The history snapshot is keyed per node and per field, so a run of
+       keystrokes in one input collapses into a single undo step.
+
+       When a condition node's branches (or a message's quick-reply buttons)
+       change, edges hanging off a handle that no longer exists are removed
+       in the same step — otherwise they would point out of a handle that is
+       no longer rendered.
     ───────────────────────────────────────────────────────────────────── */
-    const onNodeDataChange = useCallback(
-        (id, newLabel) => {
+    const onNodeDataPatch = useCallback(
+        (id, patch) => {
+            takeSnapshot(`data:${id}:${Object.keys(patch).join(',')}`);
+
             // Update the matching node in the nodes array
             setNodes((nds) =>
                 nds.map((n) =>
                     n.id === id
-                        ? { ...n, data: { ...n.data, label: newLabel } }
+                        ? { ...n, data: { ...n.data, ...patch } }
                         : n
                 )
             );
@@ -271,13 +840,187 @@ function FlowBuilder() {
             // Mirror the change into selectedNode so SettingsPanel stays live
             setSelectedNode((prev) =>
                 prev?.id === id
-                    ? { ...prev, data: { ...prev.data, label: newLabel } }
+                    ? { ...prev, data: { ...prev.data, ...patch } }
                     : prev
             );
+
+            // Drop edges attached to branches / buttons that were just removed
+            const handleType = patch.branches ? 'conditionNode' : patch.buttons ? 'textNode' : null;
+            if (handleType) {
+                const kept = new Set(sourceHandleIds({ type: handleType, data: patch }));
+                setEdges((eds) =>
+                    eds.filter((e) => e.source !== id || kept.has(edgeSourceHandle(e)))
+                );
+            }
         },
-        [setNodes]
+        [setNodes, setEdges, takeSnapshot]
     );
 
+    /*
+       The editors (CustomTextNode, SettingsPanel and its forms) show the
+       language picked in the header. Their edits come through these two,
+       which hand a default-language edit on unchanged and turn any other
+       into a patch of the node's translations (translatePatch). They read
+       the language from canvasRef so nodeTypes survives a switch.
+    */
+    const onLocalizedDataPatch = useCallback(
+        (id, patch) => {
+            const { nodes: current, language: editing, languages: settings } = canvasRef.current;
+            const node = current.find((n) => n.id === id);
+            if (!node) return;
+            onNodeDataPatch(id, editing === settings.default ? patch : translatePatch(node, patch, editing));
+        },
+        [onNodeDataPatch]
+    );
+
+    const onLocalizedLabelChange = useCallback(
+        (id, newLabel) => onLocalizedDataPatch(id, { label: newLabel }),
+        [onLocalizedDataPatch]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       History-aware React Flow handlers
+       ─────────────────────────────────
+       handleNodesChange / handleEdgesChange: pass every change straight to
+         React Flow's handlers, snapshotting first when the batch removes
+         something (Backspace / Delete). Deleting a node also removes its
+         edges in a second batch; both land in one undo step because they
+         arrive in the same JS task.
+
+       Dragging a group frame moves its members (expandGroupMoves), and
+       removing nodes takes them out of their groups — dissolving a group
+       left with fewer than two (pruneGroups) in the same undo step.
+
+       onNodeDragStart / onNodeDragStop: bracket the whole drag — including
+         multi-node selection drags — as one gesture, so undo jumps back to
+         where the drag began rather than replaying every mouse-move.
+
+       onEdgeDoubleClick: removes the edge as an undoable step.
+    ───────────────────────────────────────────────────────────────────── */
+    const handleNodesChange = useCallback(
+        (changes) => {
+            const removes = changes.some((c) => c.type === 'remove');
+            if (removes) takeSnapshot();
+            onNodesChange(expandGroupMoves(changes, nodes));
+            if (removes) setNodes(pruneGroups);
+        },
+        [nodes, onNodesChange, setNodes, takeSnapshot]
+    );
+
+    const handleEdgesChange = useCallback(
+        (changes) => {
+            if (changes.some((c) => c.type === 'remove')) takeSnapshot();
+            onEdgesChange(changes);
+        },
+        [onEdgesChange, takeSnapshot]
+    );
+
+    const onNodeDragStart = useCallback(() => beginGesture(), [beginGesture]);
+    const onNodeDragStop = useCallback(() => endGesture(), [endGesture]);
+
+    const onEdgeDoubleClick = useCallback(
+        (_event, edge) => {
+            takeSnapshot();
+            setEdges((eds) => eds.filter((e) => e.id !== edge.id));
+        },
+        [setEdges, takeSnapshot]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Undo / redo
+       ───────────
+       After travelling in history the SettingsPanel must show the restored
+       copy of the selected node — or close if that node no longer exists.
+
+       Shortcuts: Ctrl+Z undo, Ctrl+Shift+Z or Ctrl+Y redo (⌘ on macOS) by
+       default — see the command handlers below. They are global commands,
+       so they also work while a textarea has focus, replacing the
+       browser's per-field undo with the flow-wide one.
+    ───────────────────────────────────────────────────────────────────── */
+    const syncSelectedNode = useCallback((nextNodes) => {
+        setSelectedNode((prev) =>
+            prev ? nextNodes.find((n) => n.id === prev.id) ?? null : null
+        );
+    }, []);
+
+    const handleUndo = useCallback(() => {
+        cancelAnimationFrame(arrangeFrameRef.current);
+        const restored = undo();
+        if (restored) syncSelectedNode(restored.nodes);
+    }, [undo, syncSelectedNode]);
+
+    const handleRedo = useCallback(() => {
+        cancelAnimationFrame(arrangeFrameRef.current);
+        const restored = redo();
+        if (restored) syncSelectedNode(restored.nodes);
+    }, [redo, syncSelectedNode]);
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Copy / paste / duplicate
+       ────────────────────────
+       Ctrl+C / Ctrl+V use the browser's own copy and paste events, so the
+       payload (utils/clipboard.js) travels through the system clipboard:
+       it survives switching flows and can be pasted into another tab.
+       Ctrl+D duplicates the selection in place without touching it.
+
+       Pasted nodes land with their top-left at the pointer when it is over
+       the canvas, otherwise offset from the originals; duplicates are
+       always offset. Either way they get fresh ids from nextId, keep the
+       edges between them, and become the new selection — one undo step.
+
+       Inside text fields all three keys keep their usual meaning.
+    ───────────────────────────────────────────────────────────────────── */
+    const insertClipboard = useCallback(
+        (payload, at) => {
+            const pasted = instantiateClipboard(payload, { nextId, at });
+            takeSnapshot();
+            setNodes((nds) => [...nds.map((n) => (n.selected ? { ...n, selected: false } : n)), ...pasted.nodes]);
+            setEdges((eds) => [...eds, ...pasted.edges]);
+            setSelectedNode(pasted.nodes.length === 1 ? pasted.nodes[0] : null);
+        },
+        [setNodes, setEdges, takeSnapshot]
+    );
+
+    useEffect(() => {
+        if (historyView) return;
+
+        const onCopy = (event) => {
+            if (isEditableTarget(event.target) || !window.getSelection()?.isCollapsed) return;
+            const payload = copySelection(nodes, edges);
+            if (!payload) return;
+            event.clipboardData.setData('text/plain', JSON.stringify(payload));
+            event.preventDefault();
+        };
+
+        const onPaste = (event) => {
+            if (isEditableTarget(event.target)) return;
+            const payload = parseClipboard(event.clipboardData.getData('text/plain'));
+            if (!payload) return;
+            event.preventDefault();
+            insertClipboard(payload, pointerRef.current ? screenToFlowPosition(pointerRef.current) : undefined);
+        };
+
+        const onKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey) return;
+            if (event.key.toLowerCase() !== 'd' || isEditableTarget(event.target)) return;
+            event.preventDefault(); // the browser would bookmark the page
+            const payload = copySelection(nodes, edges);
+            if (payload) insertClipboard(payload);
+        };
+
+        document.addEventListener('copy', onCopy);
+        document.addEventListener('paste', onPaste);
+        window.addEventListener('keydown', onKeyDown);
+        return () => {
+            document.removeEventListener('copy', onCopy);
+            document.removeEventListener('paste', onPaste);
+            window.removeEventListener('keydown', onKeyDown);
+        };
+    }, [nodes, edges, insertClipboard, screenToFlowPosition, historyView]);
+
 
     /* ─────────────────────────────────────────────────────────────────────
        Toast helper
@@ -291,17 +1034,508 @@ function FlowBuilder() {
     }, []);
 
 
+    /* ─────────────────────────────────────────────────────────────────────
+       Workspace
+       ─────────
+       openFlow swaps the canvas to another flow. Unsaved work on the flow
+       being left is kept as its draft first (unless a boot-time draft is
+       still awaiting restore — that one is left untouched in storage), and
+       the target's draft, if any, is loaded straight onto the canvas: within
+       a session, switching flows never loses or hides edits.
+
+       Undo history, selection, the preview and any revision on display all
+       belong to one flow, so they are reset on every switch.
+    ───────────────────────────────────────────────────────────────────── */
+    const openFlow = useCallback(
+        (id, { keepCurrent = true } = {}) => {
+            if (id === activeFlowId) return;
+            if (keepCurrent && !pendingDraft) flushDraft();
+            cancelAnimationFrame(arrangeFrameRef.current);
+
+            const saved = loadSavedFlow(id);
+            const base = saved ?? { nodes: initialNodes, edges: initialEdges };
+            const draft = loadDraft(id);
+            const content = draft && !isSameGraph(draft, base) ? draft : base;
+
+            syncUid(content.nodes);
+            setNodes(content.nodes);
+            setEdges(content.edges);
+            setVariables(content.variables ?? EMPTY_VARIABLES);
+            setLanguages(content.languages ?? DEFAULT_LANGUAGES);
+            setChannels(content.channels ?? NO_CHANNELS);
+            lastSavedRef.current = base;
+            savedEtagRef.current = saved?.etag ?? null;
+            setPendingDraft(null);
+            setSelectedNode(null);
+            setPreviewOpen(false);
+            setHistoryView(null);
+            clearHistory();
+            setActiveFlow(id);
+
+            if (content.viewport) setViewport(content.viewport);
+            else requestAnimationFrame(() => fitView({ padding: 0.3 })); // wait for nodes to mount
+        },
+        [activeFlowId, pendingDraft, flushDraft, setNodes, setEdges, clearHistory, setActiveFlow, setViewport, fitView]
+    );
+
+    /** Adds an empty flow to the workspace and opens it. */
+    const handleCreateFlow = useCallback(() => {
+        openFlow(createFlow().id);
+    }, [createFlow, openFlow]);
+
+    /** Copies a flow (including the open one's unsaved edits) next to the original. */
+    const handleDuplicateFlow = useCallback(
+        (id) => {
+            if (id === activeFlowId && !pendingDraft) flushDraft();
+            const copy = duplicateFlow(id);
+            if (copy) showToast('success', `Duplicated as "${copy.name}".`);
+            else showToast('error', 'Duplicate failed: browser storage is unavailable or full.');
+        },
+        [activeFlowId, pendingDraft, flushDraft, duplicateFlow, showToast]
+    );
+
+    /**
+     * Deletes a flow after confirmation. Deleting the open flow first moves
+     * the canvas to its neighbour — or to a fresh flow if it was the last.
+     */
+    const handleDeleteFlow = useCallback(
+        (id) => {
+            const flow = flows.find((f) => f.id === id);
+            if (!flow || !window.confirm(`Delete "${flow.name}"? This cannot be undone.`)) return;
+
+            if (id === activeFlowId) {
+                const next = flows.find((f) => f.id !== id) ?? createFlow();
+                openFlow(next.id, { keepCurrent: false });
+            }
+            deleteFlow(id);
+            flowStore.remove(id).catch((err) => showToast('error', `"${flow.name}" was deleted here but not in ${flowStore.label}: ${err.message}`));
+        },
+        [flows, activeFlowId, createFlow, openFlow, deleteFlow, showToast]
+    );
+
+    /* ── Store sync ───────────────────────────────────────────────────────
+       The canvas opens from this browser's copy of the saved flow. With a
+       flow server, another client may have saved the flow since, so every
+       flow that is opened is checked against the store: a newer version
+       replaces the canvas while it has no unsaved edits. With edits, the
+       canvas is left alone and the next save asks before overwriting.
+       Flows saved to the server from elsewhere are added to the list.
+    ───────────────────────────────────────────────────────────────────── */
+    useEffect(() => {
+        flowStore.list()
+            .then(adoptFlows)
+            .catch((err) => showToast('warning', `Could not list the saved flows: ${err.message}`));
+    }, [adoptFlows, showToast]);
+
+    useEffect(() => {
+        let cancelled = false;
+        flowStore.load(activeFlowId)
+            .then((stored) => {
+                if (cancelled || !stored || stored.etag === savedEtagRef.current) return;
+
+                if (!isSameGraph(canvasRef.current, lastSavedRef.current)) {
+                    showToast('warning', 'A newer version of this flow was saved elsewhere. Saving will ask before overwriting it.');
+                    return;
+                }
+
+                const { snapshot, etag } = stored;
+                storeSavedFlow(activeFlowId, { ...snapshot, etag }); // now the local copy
+                syncUid(snapshot.nodes);
+                setNodes(snapshot.nodes);
+                setEdges(snapshot.edges);
+                setVariables(snapshot.variables ?? EMPTY_VARIABLES);
+                setLanguages(snapshot.languages ?? DEFAULT_LANGUAGES);
+                setChannels(snapshot.channels ?? NO_CHANNELS);
+                lastSavedRef.current = snapshot;
+                savedEtagRef.current = etag;
+                setSelectedNode(null);
+                clearHistory();
+                touchFlow(activeFlowId, snapshot);
+            })
+            .catch((err) => {
+                if (!cancelled) showToast('warning', `Could not check for a newer saved version: ${err.message}`);
+            });
+        return () => { cancelled = true; };
+    }, [activeFlowId, setNodes, setEdges, clearHistory, touchFlow, showToast]);
+
+    // Show the open flow in the browser tab too
+    useEffect(() => {
+        document.title = `${flowMeta.name} · Chatbot Flow Builder`;
+    }, [flowMeta.name]);
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Preview
+       ───────
+       Opening the preview closes the SettingsPanel and the History panel so
+       the chat has room; the conversation itself runs inside PreviewPanel.
+    ───────────────────────────────────────────────────────────────────── */
+    const togglePreview = useCallback(() => {
+        setPreviewOpen((open) => !open);
+        setHistoryOpen(false);
+        setHistoryView(null);
+        setSelectedNode(null);
+    }, []);
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       History
+       ───────
+       Every successful save records a revision (see handleSave). The
+       History panel lists the open flow's revisions, newest first, and can
+       put one — or a comparison of two — on the canvas in place of the
+       graph. The graph, its undo stacks and its draft are untouched
+       meanwhile; closing the view brings them back as they were.
+
+       Restoring is the only way a revision reaches the graph: it replaces
+       the canvas as one undo step, and becomes a new revision only once
+       it is saved.
+    ───────────────────────────────────────────────────────────────────── */
+    const [revisions, setRevisions] = useState({ status: 'loading', items: [], error: null });
+
+    /** Bumped to reload the revision list, e.g. after a save recorded one. */
+    const [revisionsStamp, setRevisionsStamp] = useState(0);
+
+    useEffect(() => {
+        if (!historyOpen) return;
+        let cancelled = false;
+        setRevisions({ status: 'loading', items: [], error: null });
+        flowStore.listRevisions(activeFlowId)
+            .then((items) => {
+                if (!cancelled) setRevisions({ status: 'ready', items, error: null });
+            })
+            .catch((err) => {
+                if (!cancelled) setRevisions({ status: 'error', items: [], error: `Could not load the history: ${err.message}` });
+            });
+        return () => { cancelled = true; };
+    }, [historyOpen, activeFlowId, revisionsStamp]);
+
+    const toggleHistory = useCallback(() => {
+        setHistoryOpen((open) => !open);
+        setHistoryView(null);
+        setPreviewOpen(false);
+        setSelectedNode(null);
+    }, []);
+
+    /**
+     * The graph of a revision list entry — or of the canvas for the
+     * "Current canvas" entry. Failures are toasted and resolve to null.
+     *
+     * @param {object} entry
+     * @returns {Promise<object|null>}
+     */
+    const fetchVersion = useCallback(
+        async (entry) => {
+            if (entry.id === 'canvas') return { nodes, edges, variables, languages, channels };
+            try {
+                const snapshot = await flowStore.loadRevision(activeFlowId, entry.id);
+                if (!snapshot) showToast('error', 'That revision no longer exists.');
+                return snapshot;
+            } catch (err) {
+                showToast('error', `Could not load the revision: ${err.message}`);
+                return null;
+            }
+        },
+        [nodes, edges, variables, languages, channels, activeFlowId, showToast]
+    );
+
+    const viewRevision = useCallback(
+        async (entry) => {
+            const flowId = activeFlowId;
+            const snapshot = await fetchVersion(entry);
+            if (!snapshot || canvasRef.current.flowId !== flowId) return;
+            setSelectedNode(null);
+            setHistoryView({ mode: 'view', entry, snapshot });
+        },
+        [activeFlowId, fetchVersion]
+    );
+
+    /** Compares two list entries, the older one as the "before" side. */
+    const compareRevisions = useCallback(
+        async (idA, idB) => {
+            const flowId = activeFlowId;
+            const age = (entry) => (entry.id === 'canvas' ? Infinity : Date.parse(entry.savedAt));
+            const [from, to] = [idA, idB]
+                .map((id) => (id === 'canvas' ? { id } : revisions.items.find((r) => r.id === id)))
+                .sort((a, b) => age(a) - age(b));
+
+            const [before, after] = await Promise.all([fetchVersion(from), fetchVersion(to)]);
+            if (!before || !after || canvasRef.current.flowId !== flowId) return;
+            setSelectedNode(null);
+            setHistoryView({
+                mode: 'compare',
+                from: { entry: from, snapshot: before },
+                to: { entry: to, snapshot: after },
+                diff: diffSnapshots(before, after),
+            });
+        },
+        [activeFlowId, revisions.items, fetchVersion]
+    );
+
+    const restoreRevision = useCallback(
+        async (entry) => {
+            const flowId = activeFlowId;
+            const snapshot = historyView?.mode === 'view' && historyView.entry.id === entry.id
+                ? historyView.snapshot
+                : await fetchVersion(entry);
+            if (!snapshot || canvasRef.current.flowId !== flowId) return;
+
+            takeSnapshot();
+            syncUid(snapshot.nodes);
+            setNodes(snapshot.nodes);
+            setEdges(snapshot.edges);
+            setVariables(snapshot.variables ?? EMPTY_VARIABLES);
+            setLanguages(snapshot.languages ?? DEFAULT_LANGUAGES);
+            setChannels(snapshot.channels ?? NO_CHANNELS);
+            setSelectedNode(null);
+            setHistoryView(null);
+            showToast('success', `Restored the version saved ${new Date(entry.savedAt).toLocaleString()} — save to keep it.`);
+        },
+        [activeFlowId, historyView, fetchVersion, takeSnapshot, setNodes, setEdges, showToast]
+    );
+
+    /**
+     * What React Flow shows while historyView is set: the revision as it
+     * was, or the newer side of a comparison with each difference classed
+     * (diff-added / diff-removed / diff-changed, see index.css) and the
+     * removed nodes and edges put back where they were.
+     */
+    const historyDisplay = useMemo(() => {
+        if (!historyView) return null;
+        const plain = (item) => ({ ...item, selected: false });
+        const mark = (item, status) => ({ ...item, selected: false, className: `diff-${status}` });
+
+        if (historyView.mode === 'view') {
+            return displayGroups(historyView.snapshot.nodes.map(plain), historyView.snapshot.edges.map(plain));
+        }
+
+        const { to, diff } = historyView;
+        const addedEdgeIds = new Set(diff.addedEdges.map((e) => e.id));
+        return displayGroups(
+            [
+                ...to.snapshot.nodes.map((n) => (diff.nodeStatus.has(n.id) ? mark(n, diff.nodeStatus.get(n.id)) : plain(n))),
+                ...diff.removedNodes.map((n) => mark(n, 'removed')),
+            ],
+            [
+                ...to.snapshot.edges.map((e) => (addedEdgeIds.has(e.id) ? mark(e, 'added') : plain(e))),
+                // Prefixed so a removed edge never shares an id with a current one
+                ...diff.removedEdges.map((e) => ({ ...mark(e, 'removed'), id: `removed:${e.id}` })),
+            ]
+        );
+    }, [historyView]);
+
+    const readOnly = historyView !== null;
+
+    const handleAuthorChange = useCallback((name) => {
+        setAuthor(name);
+        storeAuthor(name);
+    }, []);
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Subflows
+       ────────
+       A Subflow node runs the SAVED version of another flow, so the flows
+       the canvas references are read through the storage adapter — again
+       whenever the set of references changes, any other flow is touched in
+       the workspace (saved, renamed, deleted) or this browser saves one.
+       Nothing is copied into the referencing flow: saving the source flow
+       updates every reference. See utils/subflows.js.
+    ───────────────────────────────────────────────────────────────────── */
+    const subflowKey = useMemo(() => referencedFlowIds(nodes).join('|'), [nodes]);
+
+    /** Changes whenever a flow other than the open one changes in the workspace. */
+    const otherFlowsStamp = useMemo(
+        () => flows.filter((f) => f.id !== activeFlowId).map((f) => `${f.id}@${f.updatedAt}`).join('|'),
+        [flows, activeFlowId]
+    );
+
+    useEffect(() => {
+        if (!subflowKey) {
+            setSubflowSources((current) => (current.size === 0 ? current : new Map()));
+            return undefined;
+        }
+        let cancelled = false;
+        loadSubflowSources(canvasRef.current.nodes, flowStore.load).then((sources) => {
+            if (!cancelled) setSubflowSources(sources);
+        });
+        return () => { cancelled = true; };
+    }, [subflowKey, otherFlowsStamp, revisionsStamp]); // ← only re-run when the references or the flows they name change
+
+    /** What SubflowContext hands the subflow cards and SettingsPanel form. */
+    const subflowContext = useMemo(
+        () => ({ flows, activeFlowId, sources: subflowSources, openFlow }),
+        [flows, activeFlowId, subflowSources, openFlow]
+    );
+
+    /**
+     * The graph the preview runs: every subflow inlined, groups left out,
+     * in the language being edited — texts not translated yet are sent in
+     * the default language, as the runtime does.
+     */
+    const previewGraph = useMemo(() => {
+        if (!previewOpen) return { nodes: steps, edges };
+        const graph = expandSubflows(nodes, edges, subflowSources, activeFlowId);
+        return language === languages.default
+            ? graph
+            : { ...graph, nodes: graph.nodes.map((n) => localizeNode(n, language, languages, true)) };
+    }, [previewOpen, nodes, steps, edges, subflowSources, activeFlowId, language, languages]);
+
+    /** The preview's position, as the node of this flow to highlight. */
+    const handlePreviewNodeChange = useCallback(
+        (id) => setPreviewNodeId(hostNodeId(id, new Set(canvasRef.current.nodes.map((n) => n.id)))),
+        []
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       focusDiagnostic
+       ───────────────
+       Called when a Problems panel entry is clicked: zooms the canvas to
+       the nodes the problem is about and selects them. A single node also
+       opens in the SettingsPanel, ready to be fixed.
+    ───────────────────────────────────────────────────────────────────── */
+    const focusDiagnostic = useCallback(
+        (diagnostic) => {
+            const ids = new Set(diagnostic.nodeIds);
+            if (ids.size === 0) return;
+
+            fitView({ nodes: [...ids].map((id) => ({ id })), padding: 0.6, maxZoom: 1.25, duration: 400 });
+            setNodes((nds) => nds.map((n) => ({ ...n, selected: ids.has(n.id) })));
+            setSelectedNode(ids.size === 1 ? nodes.find((n) => ids.has(n.id)) ?? null : null);
+        },
+        [fitView, setNodes, nodes]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Auto-arrange
+       ────────────
+       utils/autoLayout.js computes the target positions; the nodes then
+       glide there over ARRANGE_DURATION_MS (instantly when the user prefers
+       reduced motion). The snapshot is taken once, before the first frame,
+       so the whole arrangement is a single undo step.
+
+       Arranging the whole flow refits the view afterwards; arranging a
+       selection leaves the view alone, since the selection keeps its
+       top-left corner.
+    ───────────────────────────────────────────────────────────────────── */
+    const selectedCount = useMemo(() => steps.filter((n) => n.selected).length, [steps]);
+
+    const handleArrange = useCallback(
+        ({ direction, selectionOnly }) => {
+            // Group frames follow their members; they are not laid out themselves
+            const targets = selectionOnly ? steps.filter((n) => n.selected) : steps;
+            const positions = layoutGraph(targets, edges, { direction });
+            const moved = targets.filter((n) => {
+                const p = positions.get(n.id);
+                return p.x !== n.position.x || p.y !== n.position.y;
+            });
+            if (moved.length === 0) {
+                showToast('success', 'Already arranged.');
+                return;
+            }
+
+            cancelAnimationFrame(arrangeFrameRef.current);
+            takeSnapshot();
+
+            const from = new Map(moved.map((n) => [n.id, n.position]));
+            const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            const startedAt = performance.now();
+
+            const step = (now) => {
+                const t = reduceMotion ? 1 : Math.min(1, (now - startedAt) / ARRANGE_DURATION_MS);
+                const eased = 1 - (1 - t) ** 3; // ease-out cubic
+
+                setNodes((nds) =>
+                    nds.map((n) => {
+                        const start = from.get(n.id);
+                        if (!start) return n;
+                        const end = positions.get(n.id);
+                        return {
+                            ...n,
+                            position: {
+                                x: start.x + (end.x - start.x) * eased,
+                                y: start.y + (end.y - start.y) * eased,
+                            },
+                        };
+                    })
+                );
+
+                if (t < 1) {
+                    arrangeFrameRef.current = requestAnimationFrame(step);
+                } else if (!selectionOnly) {
+                    fitView({ padding: 0.3, duration: 400 });
+                }
+            };
+            arrangeFrameRef.current = requestAnimationFrame(step);
+        },
+        [steps, edges, setNodes, takeSnapshot, fitView, showToast]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Groups
+       ──────
+       Ctrl+G (or "Group" in the arrange toolbar) puts the selected nodes
+       into a new group container, taking them out of any group they were
+       in; Ctrl+Shift+G — or the frame's own button — removes the selected
+       groups and keeps their members. A group is collapsed from its title
+       bar or the SettingsPanel. Each is one undo step. See utils/groups.js.
+    ───────────────────────────────────────────────────────────────────── */
+    const groupSelection = useCallback(() => {
+        const id = nextId();
+        const next = groupNodes(nodes, nodes.filter((n) => n.selected).map((n) => n.id), id);
+        if (!next) {
+            showToast('warning', 'Select two or more nodes to group them.');
+            return;
+        }
+        takeSnapshot();
+        setNodes(next.map((n) => (n.selected !== (n.id === id) ? { ...n, selected: n.id === id } : n)));
+        setSelectedNode(next.find((n) => n.id === id));
+    }, [nodes, setNodes, takeSnapshot, showToast]);
+
+    /**
+     * Removes group containers, keeping what they hold.
+     *
+     * @param {string[]} ids
+     */
+    const ungroup = useCallback(
+        (ids) => {
+            const gone = new Set(ids);
+            if (!nodes.some((n) => gone.has(n.id) && isGroup(n))) return;
+            takeSnapshot();
+            setNodes((nds) => nds.filter((n) => !(gone.has(n.id) && isGroup(n))));
+            setSelectedNode((prev) => (prev && gone.has(prev.id) ? null : prev));
+        },
+        [nodes, setNodes, takeSnapshot]
+    );
+
+    const toggleGroup = useCallback(
+        (id) => {
+            const group = nodes.find((n) => n.id === id);
+            if (group) onNodeDataPatch(id, { collapsed: !group.data.collapsed });
+        },
+        [nodes, onNodeDataPatch]
+    );
+
+    /** Stable wrappers for the group cards, so nodeTypes is not rebuilt on every edit. */
+    const groupActionsRef = useRef(null);
+    groupActionsRef.current = { toggle: toggleGroup, ungroup: (id) => ungroup([id]) };
+
+
     /* ─────────────────────────────────────────────────────────────────────
        handleSave — validation + save logic
        ─────────────────────────────────────
        Called by SaveButton with a Promise `resolve` callback.
        SaveButton awaits resolve(true | false) to pick its visual state.
 
-       Validation rules
+       Validation rules (the error-level diagnostics from utils/diagnostics.js;
+       rules 1 and 2 mirror validateGraph as used by the JSON importer)
        ─────────────────
-       Rule 1 — Single outgoing edge (belt-and-suspenders):
-         isValidConnection already blocks >1 outgoing edges at connection
-         time, but we re-check here to guard against any edge-case where
+       Rule 1 — Single outgoing edge per output (belt-and-suspenders):
+         isValidConnection already blocks >1 outgoing edges per handle at
+         connection time, but we re-check here to guard against any edge-case where
          the edge list could be out of sync.
 
        Rule 2 — All nodes except one must have an incoming edge:
@@ -309,9 +1543,32 @@ function FlowBuilder() {
          (start) node that has no incoming edges. Any other node with no
          incoming edge is a dangling/orphaned node that would never be
          reached in a real chatbot conversation.
+
+       Subflows — every Subflow node names a saved flow, an entry and a
+         return node that exist, and does not run the flow it is in again
+         (utils/subflows.js).
+
+       Channel limits — every text and button fits the channels the flow
+         targets (utils/channels.js), in each of its languages; otherwise
+         the channel would cut it off or reject it once published.
+
+       Once these rules pass, the nodes, edges and viewport are written
+       through the storage adapter — browser storage or the flow server —
+       together with the revision info (author and the optional message
+       from SaveButton; see utils/revisions.js), and any autosaved draft is
+       discarded: the saved flow is now the newest copy. The button shows "Saving…" for as long as the write
+       takes. When someone else stored a newer version in the meantime the
+       adapter reports a conflict, and the user is asked whether to
+       overwrite it; declining (or any storage error) fails the save with
+       the adapter's message, and the canvas keeps the unsaved work.
+
+       Every failing rule is listed, not just the first, and the Problems
+       panel opens so each one can be clicked and fixed. Warning-level
+       diagnostics (e.g. unreachable nodes, placeholder text) never block
+       the save; they turn the success toast amber and are listed in it.
     ───────────────────────────────────────────────────────────────────── */
     const handleSave = useCallback(
-        (resolve) => {
+        async (resolve, { message = '' } = {}) => {
             /**
              * Shorthand helpers that fire the toast AND signal the button.
              * @param {string} msg - Human-readable message shown in the toast.
@@ -325,44 +1582,410 @@ function FlowBuilder() {
                 return;
             }
 
-            // Rule 1 — no node may have more than 1 outgoing edge
-            const multiOutgoing = nodes.filter(
-                (n) => edges.filter((e) => e.source === n.id).length > 1
-            );
-            if (multiOutgoing.length > 0) {
-                fail(
-                    `Save failed: node${multiOutgoing.length > 1 ? 's' : ''} ` +
-                    `(id: ${multiOutgoing.map((n) => n.id).join(', ')}) ` +
-                    `have more than one outgoing connection.`
-                );
+            // Every rule above — report every failure
+            const errors = diagnostics.filter((d) => d.severity === 'error').map((d) => d.message);
+            if (errors.length > 0) {
+                fail(formatProblems('Save failed:', errors));
+                setProblemsOpen(true);
                 return;
             }
 
-            // Rule 2 — every node except at most one must have ≥1 incoming edge
-            if (nodes.length > 1) {
-                // Find nodes that are not the target of any edge
-                const disconnected = nodes.filter(
-                    (n) => !edges.some((e) => e.target === n.id)
-                );
-                // Exactly one "root" node is fine; two or more means orphaned nodes exist
-                if (disconnected.length > 1) {
-                    fail(
-                        `Save failed: ${disconnected.length} nodes have no incoming connections. ` +
-                        `Only one "start" node is allowed to be unconnected.`
-                    );
+            // All rules passed — persist the flow
+            const flowId = activeFlowId;
+            const snapshot = {
+                ...createSnapshot(nodes, edges, getViewport(), flowMeta, variables, languages, channels),
+                revision: createRevisionInfo(author, message),
+            };
+            let etag;
+            try {
+                etag = await flowStore.save(flowId, snapshot, savedEtagRef.current);
+            } catch (err) {
+                if (err.code !== 'conflict' || !window.confirm(`${err.message}\n\nOverwrite it with your version?`)) {
+                    fail(`Save failed: ${err.message}`);
                     return;
                 }
+                try {
+                    const latest = await flowStore.load(flowId);
+                    etag = await flowStore.save(flowId, snapshot, latest?.etag ?? null);
+                } catch (retryErr) {
+                    fail(`Save failed: ${retryErr.message}`);
+                    return;
+                }
+            }
+
+            touchFlow(flowId, { nodes, edges });
+            setRevisionsStamp((n) => n + 1);
+            // The user may have switched flows while the write was in flight;
+            // the draft flushed on the way out then holds their later edits
+            if (canvasRef.current.flowId === flowId) {
+                clearDraft(flowId);
+                lastSavedRef.current = { nodes, edges, variables, languages, channels };
+                savedEtagRef.current = etag;
+                setPendingDraft(null);
+            }
+
+            const summary =
+                `Flow saved! ${steps.length} node${steps.length !== 1 ? 's' : ''} · ` +
+                `${edges.length} edge${edges.length !== 1 ? 's' : ''}`;
+            const warnings = diagnostics.map((d) => d.message);
+            if (warnings.length > 0) {
+                showToast('warning', formatProblems(`${summary}, with ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}:`, warnings));
+                resolve?.(true);
+                return;
             }
 
-            // All rules passed — flow is valid
-            pass(
-                `Flow saved! ${nodes.length} node${nodes.length !== 1 ? 's' : ''} · ` +
-                `${edges.length} edge${edges.length !== 1 ? 's' : ''} 🎉`
+            pass(`${summary} 🎉`);
+        },
+        [nodes, steps, edges, variables, languages, channels, diagnostics, showToast, getViewport, flowMeta, activeFlowId, touchFlow, author]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Export / Import (.flow.json, .csv)
+       ──────────────────────────────────
+       handleExport: refuses to write a flow that handleSave would reject —
+                     the same error-level diagnostics, listed in the toast
+                     with the Problems panel opened — so every exported
+                     file imports cleanly and could be published as is.
+
+       handleImport: reads the picked file, then parseFlowDocument migrates
+                     it to the current schema version and validates both
+                     its shape and the save rules. Every problem found is
+                     listed in the error toast. A valid file replaces the
+                     canvas after a confirmation if there is unsaved work.
+
+       A .csv file is a message script instead (utils/csvScript.js): it is
+       MERGED into the canvas as one undo step — rows update the nodes
+       with their id and add the rest — so no confirmation is needed.
+       Every problem in the script is listed before anything changes.
+       handleExportCsv writes the messages and questions back out in the
+       same format.
+
+       Translation files (.xlf / .po, utils/translations.js) come in through
+       the Languages menu: handleImportTranslations merges their texts into
+       the nodes' translations as one undo step, adds the file's language
+       to the flow if it is new, and switches the editors to it.
+    ───────────────────────────────────────────────────────────────────── */
+    const handleExport = useCallback(() => {
+        if (nodes.length === 0) {
+            showToast('error', 'Canvas is empty — add at least one node before exporting.');
+            return;
+        }
+        const errors = diagnostics.filter((d) => d.severity === 'error').map((d) => d.message);
+        if (errors.length > 0) {
+            showToast('error', formatProblems('Export failed:', errors));
+            setProblemsOpen(true);
+            return;
+        }
+
+        const doc = exportFlow({ nodes, edges, viewport: getViewport(), meta: flowMeta, variables, languages, channels });
+        downloadTextFile(
+            `${slugify(flowMeta.name)}.flow.json`,
+            JSON.stringify(doc, null, 2) + '\n',
+            'application/json'
+        );
+    }, [nodes, edges, variables, languages, channels, diagnostics, getViewport, flowMeta, showToast]);
+
+    const handleExportCsv = useCallback(() => {
+        const rows = nodes.filter((n) => Object.values(SCRIPT_ROW_TYPES).includes(n.type));
+        if (rows.length === 0) {
+            showToast('error', 'Export failed: the flow has no messages or questions to write.');
+            return;
+        }
+
+        downloadTextFile(`${slugify(flowMeta.name)}.script.csv`, toScriptCsv(nodes, edges), 'text/csv');
+        const skipped = steps.length - rows.length;
+        if (skipped > 0) {
+            showToast(
+                'warning',
+                `${skipped} image, condition or subflow node${skipped !== 1 ? 's have' : ' has'} no row in the script. ` +
+                'Importing it back leaves them as they are.'
+            );
+        }
+    }, [nodes, steps, edges, flowMeta, showToast]);
+
+    /**
+     * Merges a CSV message script into the canvas.
+     *
+     * @param {string} text
+     * @param {string} fileName
+     */
+    const importScript = useCallback(
+        (text, fileName) => {
+            const plan = planScriptImport(text, nodes, edges);
+            if (plan.errors.length > 0) {
+                showToast('error', formatProblems(`Import failed — ${fileName}:`, plan.errors));
+                return;
+            }
+
+            takeSnapshot();
+            syncUid(plan.nodes);
+            setHistoryView(null);
+            setNodes(plan.nodes);
+            setEdges(plan.edges);
+            setSelectedNode(null);
+            requestAnimationFrame(() => fitView({ padding: 0.3, duration: 400 })); // wait for nodes to mount
+
+            showToast(
+                'success',
+                `Imported ${fileName} — ${plan.added} new, ${plan.updated} updated, ` +
+                `${plan.connected} connection${plan.connected !== 1 ? 's' : ''}.`
+            );
+        },
+        [nodes, edges, setNodes, setEdges, fitView, showToast, takeSnapshot]
+    );
+
+    const handleImport = useCallback(
+        async (file) => {
+            let text;
+            try {
+                text = await file.text();
+            } catch {
+                showToast('error', `Import failed: could not read ${file.name}.`);
+                return;
+            }
+
+            if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+                importScript(text, file.name);
+                return;
+            }
+
+            const { flow, errors } = parseFlowDocument(text);
+            if (errors.length > 0) {
+                showToast('error', formatProblems(`Import failed — ${file.name}:`, errors));
+                return;
+            }
+
+            const hasUnsaved = !isSameGraph({ nodes, edges, variables, languages, channels }, lastSavedRef.current);
+            if (hasUnsaved && !window.confirm('Importing replaces the current canvas. Discard unsaved changes?')) {
+                return;
+            }
+
+            takeSnapshot();
+            syncUid(flow.nodes);
+            setHistoryView(null);
+            setNodes(flow.nodes);
+            setEdges(flow.edges);
+            setVariables(flow.variables);
+            setLanguages(flow.languages);
+            setChannels(flow.channels);
+            renameFlow(activeFlowId, flow.meta.name);
+            setSelectedNode(null);
+            if (flow.viewport) setViewport(flow.viewport);
+            else requestAnimationFrame(() => fitView({ padding: 0.3 })); // wait for nodes to mount
+
+            showToast(
+                'success',
+                `Imported "${flow.meta.name}" — ${flow.nodes.length} node${flow.nodes.length !== 1 ? 's' : ''}.`
             );
         },
-        [nodes, edges, showToast]
+        [nodes, edges, variables, languages, channels, setNodes, setEdges, setViewport, fitView, showToast, takeSnapshot, activeFlowId, renameFlow, importScript]
+    );
+
+    const handleImportTranslations = useCallback(
+        async (file) => {
+            let text;
+            try {
+                text = await file.text();
+            } catch {
+                showToast('error', `Import failed: could not read ${file.name}.`);
+                return;
+            }
+
+            const plan = planTranslationImport(text, nodes, languages);
+            if (plan.errors.length > 0) {
+                showToast('error', formatProblems(`Import failed — ${file.name}:`, plan.errors));
+                return;
+            }
+            if (plan.count === 0) {
+                showToast('warning', formatProblems(`${file.name} has no translated text for this flow.`, plan.warnings));
+                return;
+            }
+
+            takeSnapshot();
+            setHistoryView(null);
+            setNodes((nds) => applyTranslations(nds, plan.language, plan.updates));
+            setSelectedNode((prev) => (prev ? applyTranslations([prev], plan.language, plan.updates)[0] : prev));
+            if (!languages.list.includes(plan.language)) {
+                setLanguages({ ...languages, list: [...languages.list, plan.language] });
+            }
+            setPickedLanguage(plan.language);
+
+            const summary = `Imported ${plan.count} ${languageName(plan.language)} text${plan.count !== 1 ? 's' : ''} from ${file.name}`;
+            if (plan.warnings.length > 0) showToast('warning', formatProblems(`${summary}, but:`, plan.warnings));
+            else showToast('success', `${summary}.`);
+        },
+        [nodes, languages, setNodes, showToast, takeSnapshot]
+    );
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Find & replace
+       ──────────────
+       The find bar (Ctrl+F) searches every node label (utils/textSearch.js)
+       in the language being edited — the text the canvas shows; searchResult
+       above is derived from its options, and display dims the nodes without
+       a hit on the canvas and in the MiniMap.
+
+       Both replace actions go through onLocalizedLabelChange, exactly like
+       typing in the node, so the replacement lands in that language and the
+       SettingsPanel shows the new text at once. A snapshot is taken first
+       so each replace is its own undo step — and Replace All, whose edits
+       all land in the same task, is just one.
+    ───────────────────────────────────────────────────────────────────── */
+    const openFind = useCallback(() => {
+        setSearch((current) => current ?? EMPTY_SEARCH);
+        requestAnimationFrame(() => document.getElementById('find-input')?.select()); // already open: refocus
+    }, []);
+
+    const handleReplaceHit = useCallback(
+        (hit) => {
+            const node = localizedSteps.find((n) => n.id === hit.nodeId);
+            if (!node) return;
+            takeSnapshot();
+            onLocalizedLabelChange(hit.nodeId, replaceHit(node.data.label, hit, search.replacement, search.regex));
+        },
+        [localizedSteps, search, takeSnapshot, onLocalizedLabelChange]
+    );
+
+    const handleReplaceAll = useCallback(() => {
+        const { labels, count } = replaceAll(localizedSteps, search, search.replacement);
+        if (count === 0) return;
+        takeSnapshot();
+        labels.forEach((label, id) => onLocalizedLabelChange(id, label));
+        showToast(
+            'success',
+            `Replaced ${count} match${count !== 1 ? 'es' : ''} in ${labels.size} node${labels.size !== 1 ? 's' : ''}.`
+        );
+    }, [localizedSteps, search, takeSnapshot, onLocalizedLabelChange, showToast]);
+
+
+    /* ─────────────────────────────────────────────────────────────────────
+       Command palette & keyboard shortcuts
+       ────────────────────────────────────
+       utils/shortcuts.js lists every command with its default keys;
+       commandHandlers below says what each one does, reusing the handlers
+       the buttons call. useShortcuts runs them from the keyboard and the
+       palette runs them from its list, next to one "Go to node" entry per
+       node and one "Open flow" entry per other flow.
+
+       A handler of null switches its command off: editing commands while
+       a revision is on display, and the panel toggles that do not apply.
+       The shortcut listener is paused while the cheat sheet is open, so a
+       combo being recorded there cannot fire its old command.
+
+       Nodes added from the keyboard appear under the pointer when it is
+       over the canvas, otherwise in the middle of the view, stepping down
+       and right while that spot is taken; the new node opens in the
+       SettingsPanel so its text can be typed straight away.
+    ───────────────────────────────────────────────────────────────────── */
+    const bindings = useMemo(() => resolveBindings(shortcutOverrides), [shortcutOverrides]);
+
+    // Persist the overrides whenever they change
+    useEffect(() => {
+        storeShortcuts(shortcutOverrides);
+    }, [shortcutOverrides]);
+
+    const addNodeFromKeyboard = useCallback(
+        (type) => {
+            const bounds = reactFlowWrapper.current.getBoundingClientRect();
+            const anchor = screenToFlowPosition(pointerRef.current ?? {
+                x: bounds.left + bounds.width / 2,
+                y: bounds.top + bounds.height / 2,
+            });
+
+            const position = { ...anchor };
+            while (nodes.some((n) => n.position.x === position.x && n.position.y === position.y)) {
+                position.x += KEYBOARD_NODE_OFFSET;
+                position.y += KEYBOARD_NODE_OFFSET;
+            }
+
+            const node = addNode(type, position);
+            setNodes((nds) => nds.map((n) => ({ ...n, selected: n.id === node.id })));
+            setSelectedNode(node);
+        },
+        [nodes, addNode, setNodes, screenToFlowPosition]
     );
 
+    /**
+     * Zooms to one node, selects it and opens it in the SettingsPanel.
+     *
+     * @param {string} id
+     */
+    const focusNode = useCallback(
+        (id) => {
+            fitView({ nodes: [{ id }], padding: 0.6, maxZoom: 1.25, duration: 400 });
+            setNodes((nds) => nds.map((n) => ({ ...n, selected: n.id === id })));
+            setSelectedNode(nodes.find((n) => n.id === id) ?? null);
+        },
+        [fitView, setNodes, nodes]
+    );
+
+    const commandHandlers = useMemo(() => {
+        const editing = (handler) => (readOnly ? null : handler);
+        return {
+            'palette.open': () => setPaletteOpen((open) => !open),
+            'shortcuts.show': () => { setPaletteOpen(false); setShortcutsOpen(true); },
+
+            'flow.save': () => handleSave(),
+            'flow.new': handleCreateFlow,
+            'flow.export': handleExport,
+            'flow.exportCsv': handleExportCsv,
+
+            'edit.undo': editing(handleUndo),
+            'edit.redo': editing(handleRedo),
+            'edit.find': editing(openFind),
+            'edit.selectAll': editing(() => setNodes((nds) => nds.map((n) => (n.selected ? n : { ...n, selected: true })))),
+            'edit.arrange': editing(nodes.length > 0 ? () => handleArrange({ direction: 'TB', selectionOnly: false }) : null),
+            'edit.group': editing(groupSelection),
+            'edit.ungroup': editing(() => ungroup(nodes.filter((n) => n.selected).map((n) => n.id))),
+
+            'add.textNode': editing(() => addNodeFromKeyboard('textNode')),
+            'add.imageNode': editing(() => addNodeFromKeyboard('imageNode')),
+            'add.conditionNode': editing(() => addNodeFromKeyboard('conditionNode')),
+            'add.questionNode': editing(() => addNodeFromKeyboard('questionNode')),
+            'add.subflowNode': editing(() => addNodeFromKeyboard('subflowNode')),
+            'add.delayNode': editing(() => addNodeFromKeyboard('delayNode')),
+
+            'view.fit': () => fitView({ padding: 0.3, duration: 400 }),
+            'view.sidebar': () => setSidebarOpen((open) => !open),
+            'view.minimap': () => setShowMiniMap((show) => !show),
+            'view.problems': editing(nodes.length > 0 ? () => setProblemsOpen((open) => !open) : null),
+            'view.preview': togglePreview,
+            'view.history': toggleHistory,
+        };
+    }, [
+        readOnly, nodes, handleSave, handleCreateFlow, handleExport, handleExportCsv, handleUndo, handleRedo,
+        setNodes, handleArrange, groupSelection, ungroup, addNodeFromKeyboard, fitView, togglePreview, toggleHistory, openFind,
+    ]);
+
+    useShortcuts({ bindings, handlers: commandHandlers, enabled: !shortcutsOpen });
+
+    /** Everything the palette lists: commands, then nodes, then other flows. */
+    const paletteItems = useMemo(() => {
+        if (!paletteOpen) return [];
+        const commands = COMMANDS
+            .filter((c) => c.id !== 'palette.open' && commandHandlers[c.id])
+            .map((c) => ({ ...c, keys: bindings.get(c.id), run: commandHandlers[c.id] }));
+        const nodeItems = readOnly ? [] : nodes.map((n) => ({
+            id: `node:${n.id}`,
+            title: describeNode(n),
+            group: 'Go to node',
+            hint: `#${n.id}`,
+            run: () => focusNode(n.id),
+        }));
+        const flowItems = flows
+            .filter((f) => f.id !== activeFlowId)
+            .map((f) => ({
+                id: `flow:${f.id}`,
+                title: f.name,
+                group: 'Open flow',
+                hint: `${f.nodeCount} node${f.nodeCount !== 1 ? 's' : ''}`,
+                run: () => openFlow(f.id),
+            }));
+        return [...commands, ...nodeItems, ...flowItems];
+    }, [paletteOpen, commandHandlers, bindings, readOnly, nodes, focusNode, flows, activeFlowId, openFlow]);
+
 
     /* ─────────────────────────────────────────────────────────────────────
        nodeTypes map
@@ -374,17 +1997,29 @@ function FlowBuilder() {
        If the reference changes on every render, React Flow will unmount
        and remount every node, losing focus and causing flickers.
 
-       We pass onNodeDataChange as a prop here because React Flow's
+       We pass the label handler as a prop here because React Flow's
        nodeTypes system doesn't natively support passing extra props —
        wrapping in an arrow function is the idiomatic workaround.
     ───────────────────────────────────────────────────────────────────── */
     const nodeTypes = useMemo(
         () => ({
             textNode: (props) => (
-                <CustomTextNode {...props} onNodeDataChange={onNodeDataChange} />
+                <CustomTextNode {...props} onNodeDataChange={onLocalizedLabelChange} />
+            ),
+            imageNode: ImageNode,         // read-only card; edited in SettingsPanel
+            conditionNode: ConditionNode, // one source handle per branch
+            questionNode: QuestionNode,   // waits for a reply, stores it in a variable
+            subflowNode: SubflowNode,     // runs another saved flow; reads SubflowContext
+            delayNode: DelayNode,         // read-only card: the wait before the next message
+            groupNode: (props) => (       // frame / collapsed card around other nodes
+                <GroupNode
+                    {...props}
+                    onToggle={(id) => groupActionsRef.current.toggle(id)}
+                    onUngroup={(id) => groupActionsRef.current.ungroup(id)}
+                />
             ),
         }),
-        [onNodeDataChange] // recreate only if onNodeDataChange reference changes
+        [onLocalizedLabelChange] // recreate only if onLocalizedLabelChange reference changes
     );
 
     /**
@@ -397,16 +2032,16 @@ function FlowBuilder() {
     /* ─────────────────────────────────────────────────────────────────────
        RENDER
        The layout is a flex column:
-         • <header>  — logo, stat pills, Save Flow button
-         • <div>     — three-column flex row:
-             [Sidebar | ReactFlow canvas | SettingsPanel]
+         • <header>  — logo + flow switcher, stat pills, command palette, Undo / Redo, Export / Import, Diagram, Variables, Languages, Channels, Preview, History, Save Flow button
+         • <div>     — flex row:
+             [Sidebar | ReactFlow canvas | SettingsPanel | PreviewPanel | HistoryPanel]
     ───────────────────────────────────────────────────────────────────── */
     return (
         <div className="flex flex-col h-screen bg-[#0f0f1a] font-sans">
 
             {/* ── Top Navigation Bar ─────────────────────────────────── */}
-            <header className="flex items-center justify-between px-6 py-3 bg-[#13112b] border-b border-[#2d2b55] z-10 flex-shrink-0">
-                {/* Logo + title */}
+            <header className="flex items-center justify-between px-6 py-3 bg-[#13112b] border-b border-[#2d2b55] z-20 flex-shrink-0">
+                {/* Logo + app name + flow switcher */}
                 <div className="flex items-center gap-3">
                     <div className="w-9 h-9 rounded-xl overflow-hidden shadow-node select-none flex-shrink-0">
                         <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64" fill="none" className="w-full h-full">
@@ -430,27 +2065,149 @@ function FlowBuilder() {
                             <rect x="22" y="33" width="20" height="3.5" rx="1.75" fill="white" fillOpacity="0.6" />
                         </svg>
                     </div>
-                    <h1 className="text-base font-semibold text-white tracking-tight select-none">
-                        Chatbot <span className="text-brand-400">Flow Builder</span>
-                    </h1>
+                    {/* App name above the open flow's name (click it to switch flows) */}
+                    <div className="flex flex-col leading-tight min-w-0">
+                        <span className="text-[10px] font-semibold uppercase tracking-widest select-none">
+                            <span className="text-slate-500">Chatbot </span>
+                            <span className="text-brand-400">Flow Builder</span>
+                        </span>
+                        <WorkspaceMenu
+                            flows={flows}
+                            activeFlowId={activeFlowId}
+                            onOpen={openFlow}
+                            onCreate={handleCreateFlow}
+                            onRename={renameFlow}
+                            onDuplicate={handleDuplicateFlow}
+                            onDelete={handleDeleteFlow}
+                        />
+                    </div>
                 </div>
 
-                {/* Right side: live stats + save button */}
+                {/* Right side: live stats + undo/redo + export/import + preview + save button */}
                 <div className="flex items-center gap-3">
-                    {/* Stat pills — show live node & edge counts */}
+                    {/* Stat pills — live node & edge counts of the open flow */}
                     <div className="hidden sm:flex items-center gap-2 text-xs text-slate-500 font-mono">
                         <span className="px-2 py-1 rounded-lg bg-[#1e1b4b] border border-[#2d2b55]">
-                            {nodes.length} node{nodes.length !== 1 ? 's' : ''}
+                            {steps.length} node{steps.length !== 1 ? 's' : ''}
                         </span>
                         <span className="px-2 py-1 rounded-lg bg-[#1e1b4b] border border-[#2d2b55]">
                             {edges.length} edge{edges.length !== 1 ? 's' : ''}
                         </span>
                     </div>
+                    {/* Command palette — every action by name (Ctrl+K) */}
+                    <button
+                        onClick={() => setPaletteOpen(true)}
+                        id="command-palette-button"
+                        title="Command palette"
+                        aria-label="Command palette"
+                        className="flex items-center gap-2 px-2.5 py-2 rounded-xl bg-[#1e1b4b] border border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500 transition-colors duration-150 select-none"
+                    >
+                        <Command size={14} />
+                        {bindings.get('palette.open')[0] && <KeyCombo combo={bindings.get('palette.open')[0]} />}
+                    </button>
+                    {/* Undo / redo — mirrors Ctrl+Z / Ctrl+Shift+Z */}
+                    <UndoRedoButtons
+                        onUndo={handleUndo}
+                        onRedo={handleRedo}
+                        canUndo={canUndo}
+                        canRedo={canRedo}
+                    />
+                    {/* Export / Import the flow as a versioned .flow.json file */}
+                    <FlowFileButtons onExport={handleExport} onExportCsv={handleExportCsv} onImport={handleImport} />
+                    {/* Diagram — the flow as Mermaid / Graphviz source for docs */}
+                    <DiagramMenu nodes={nodes} edges={edges} flowName={flowMeta.name} />
+                    {/* Variables — flow-level variables and sample values */}
+                    <VariablesMenu
+                        variables={variables}
+                        captured={captured}
+                        showSamples={showSamples}
+                        onChange={setVariables}
+                        onShowSamplesChange={setShowSamples}
+                    />
+                    {/* Languages — which language the editors show, translation files */}
+                    <LanguageMenu
+                        languages={languages}
+                        language={language}
+                        gaps={translationContext.gaps}
+                        nodes={nodes}
+                        flowName={flowMeta.name}
+                        onLanguageChange={setPickedLanguage}
+                        onLanguagesChange={setLanguages}
+                        onImport={handleImportTranslations}
+                    />
+                    {/* Channels — where the flow is published, and so its limits */}
+                    <ChannelMenu channels={channels} overLimit={overLimitCount} onChange={setChannels} />
+                    {/* Preview — plays the flow in a chat window */}
+                    <button
+                        onClick={togglePreview}
+                        id="preview-flow-button"
+                        title="Try the flow as a user would"
+                        aria-pressed={previewOpen}
+                        className={`
+                            flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                            border transition-colors duration-150 select-none
+                            ${previewOpen
+                                ? 'bg-emerald-900/40 border-emerald-500/50 text-emerald-200'
+                                : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                            }
+                        `}
+                    >
+                        <Play size={14} />
+                        Preview
+                    </button>
+                    {/* History — past saves, read-only views, restore and compare */}
+                    <button
+                        onClick={toggleHistory}
+                        id="history-button"
+                        title="Saved revisions of this flow"
+                        aria-pressed={historyOpen}
+                        className={`
+                            flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                            border transition-colors duration-150 select-none
+                            ${historyOpen
+                                ? 'bg-brand-900/60 border-brand-500/60 text-brand-100'
+                                : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                            }
+                        `}
+                    >
+                        <History size={14} />
+                        History
+                    </button>
                     {/* SaveButton receives handleSave and calls it with a resolve callback */}
-                    <SaveButton onSave={handleSave} />
+                    <SaveButton onSave={handleSave} author={author} onAuthorChange={handleAuthorChange} />
                 </div>
             </header>
 
+            {/* ── Restore-draft banner ────────────────────────────────── */}
+            {/*
+                Shown once on load when an autosaved draft differs from the
+                saved flow — i.e. the previous session ended with unsaved work.
+            */}
+            {pendingDraft && (
+                <div
+                    className="flex items-center justify-center gap-3 px-6 py-2 bg-amber-900/40 border-b border-amber-500/30 text-xs text-amber-100 flex-shrink-0"
+                    role="status"
+                >
+                    <span>
+                        You have unsaved changes from{' '}
+                        <span className="font-semibold">{new Date(pendingDraft.savedAt).toLocaleString()}</span>.
+                    </span>
+                    <button
+                        onClick={restoreDraft}
+                        id="restore-draft-button"
+                        className="px-2.5 py-1 rounded-lg bg-amber-500/90 text-[#0f0f1a] font-semibold hover:bg-amber-400 transition-colors"
+                    >
+                        Restore unsaved changes
+                    </button>
+                    <button
+                        onClick={discardDraft}
+                        className="px-2.5 py-1 rounded-lg text-amber-200 hover:bg-amber-500/20 transition-colors"
+                    >
+                        Discard
+                    </button>
+                </div>
+            )}
+
             {/* ── Toast Notification ─────────────────────────────────── */}
             {/*
                 Conditionally rendered overlay banner.
@@ -462,115 +2219,230 @@ function FlowBuilder() {
                     className={`
                         fixed top-16 left-1/2 -translate-x-1/2 z-50 max-w-sm w-full mx-4
                         px-5 py-3 rounded-xl text-sm font-medium shadow-panel
-                        border transition-all duration-300 animate-fade-in
+                        border transition-all duration-300 animate-fade-in whitespace-pre-line
                         ${toast.type === 'success'
                             ? 'bg-emerald-900/95 text-emerald-100 border-emerald-500/40'
-                            : 'bg-rose-900/95 text-rose-100 border-rose-500/40'
+                            : toast.type === 'warning'
+                                ? 'bg-amber-900/95 text-amber-100 border-amber-500/40'
+                                : 'bg-rose-900/95 text-rose-100 border-rose-500/40'
                         }
                     `}
                     role="alert"
                     aria-live="assertive"
                 >
-                    <span className="mr-2">{toast.type === 'success' ? '✅' : '❌'}</span>
+                    <span className="mr-2">{{ success: '✅', warning: '⚠️' }[toast.type] ?? '❌'}</span>
                     {toast.msg}
                 </div>
             )}
 
-            {/* ── Main Three-Column Layout ────────────────────────────── */}
-            <div className="flex flex-1 overflow-hidden">
-
-                {/* LEFT — Sidebar node palette */}
-                {/*
-                    nodesWithOutgoing is passed so the Sidebar can
-                    potentially grey-out or badge nodes that are already
-                    connected (currently unused in the UI but wired up).
-                */}
-                <Sidebar nodesWithOutgoing={nodesWithOutgoing} />
+            {/* ── Command palette / shortcut cheat sheet (modal overlays) ─ */}
+            <CommandPalette
+                isOpen={paletteOpen}
+                items={paletteItems}
+                onClose={() => setPaletteOpen(false)}
+            />
+            <ShortcutsSheet
+                isOpen={shortcutsOpen}
+                overrides={shortcutOverrides}
+                onChange={setShortcutOverrides}
+                onClose={() => setShortcutsOpen(false)}
+            />
 
-                {/* CENTRE — React Flow canvas */}
-                <div
-                    className="flex-1 relative"
-                    ref={reactFlowWrapper}
-                    id="react-flow-canvas" /* stable id for testing / automation */
-                >
-                    <ReactFlow
-                        nodes={nodes}
-                        edges={edges}
-                        edgeTypes={edgeTypes}           // custom edge with hover tooltip
-                        onNodesChange={onNodesChange}   // built-in: drag, select, delete
-                        onEdgesChange={onEdgesChange}   // built-in: select, delete
-                        onEdgeDoubleClick={(_event, edge) =>
-                            setEdges((eds) => eds.filter((e) => e.id !== edge.id))
-                        }  // double-click an edge to instantly remove it
-                        onConnect={onConnect}           // fires after isValidConnection passes
-                        isValidConnection={isValidConnection} // fires before onConnect
-                        onDrop={onDrop}                 // handles node drop from sidebar
-                        onDragOver={onDragOver}         // must preventDefault to allow drop
-                        onNodeClick={onNodeClick}       // opens SettingsPanel
-                        onPaneClick={onPaneClick}       // closes SettingsPanel
-                        nodeTypes={nodeTypes}           // custom node component map
-                        fitView                         // fit all nodes into view on mount
-                        fitViewOptions={{ padding: 0.3 }}
-                        className="bg-[#0f0f1a]"
-                        attributionPosition="bottom-left"
-                        deleteKeyCode={['Backspace', 'Delete']} // keyboard node/edge deletion
-                        edgesUpdatable={true}   // allow dragging edge endpoints to reconnect
-                        edgesFocusable={true}   // allow edges to be focused/selected via keyboard
-                        /* Style applied to the live connection line while dragging */
-                        connectionLineStyle={{ stroke: '#6366f1', strokeDasharray: '6 3', strokeWidth: 2 }}
-                        /* Default visual properties applied to every new edge */
-                        defaultEdgeOptions={{
-                            type: 'custom',       // use CustomEdge with hover tooltip
-                            animated: true,
-                            style: { stroke: '#818cf8', strokeWidth: 2 },
-                            markerEnd: { type: MarkerType.ArrowClosed, color: '#818cf8' },
-                        }}
-                    >
-                        {/* Dot-grid background pattern */}
-                        <Background
-                            variant={BackgroundVariant.Dots}
-                            gap={24}
-                            size={1.5}
-                            color="#252250"
-                        />
-
-                        {/* Zoom / pan / fit-view controls — bottom-left corner */}
-                        <Controls
-                            className="!bottom-6 !left-6"
-                            showInteractive={false} /* hide the lock-interaction toggle */
-                        />
-
-                        {/* Thumbnail minimap — bottom-right corner */}
-                        <MiniMap
-                            nodeColor={(n) => (n.selected ? '#a5b4fc' : '#6366f1')}
-                            maskColor="rgba(15,15,26,0.80)"
-                            className="!bottom-6 !right-6"
-                        />
-                    </ReactFlow>
-
-                    {/* Empty-canvas placeholder — shown only when no nodes exist */}
-                    {nodes.length === 0 && (
-                        <div className="pointer-events-none absolute inset-0 flex flex-col items-center justify-center gap-4 text-[#4338ca]">
-                            <div className="text-6xl animate-bounce">💬</div>
-                            <p className="text-lg font-medium text-slate-500">
-                                Drag a <span className="text-brand-400 font-semibold">Text Message</span> node from the sidebar to begin
-                            </p>
-                        </div>
-                    )}
-                </div>
-
-                {/* RIGHT — Settings Panel (hidden when no node selected) */}
-                {/*
-                    Passes the full `edges` array so the panel can compute
-                    live incoming/outgoing edge counts for the selected node.
-                */}
-                <SettingsPanel
-                    selectedNode={selectedNode}
-                    edges={edges}
-                    onLabelChange={onNodeDataChange}
-                    onClose={() => setSelectedNode(null)}
-                />
-            </div>
+            {/* ── Main Three-Column Layout ────────────────────────────── */}
+            {/* Message editors (canvas + SettingsPanel) read their variables, language and channel limits, subflow cards and forms the workspace, from these contexts */}
+            <VariablesContext.Provider value={variablesContext}>
+                <TranslationContext.Provider value={translationContext}>
+                    <SubflowContext.Provider value={subflowContext}>
+                        <ChannelContext.Provider value={channels}>
+                            <div className="flex flex-1 overflow-hidden">
+
+                                {/* LEFT — Sidebar node palette */}
+                                {/*
+                                    nodesWithOutgoing is passed so the Sidebar can
+                                    potentially grey-out or badge nodes that are already
+                                    connected (currently unused in the UI but wired up).
+                                */}
+                                <Sidebar
+                                    nodesWithOutgoing={nodesWithOutgoing}
+                                    isOpen={sidebarOpen}
+                                    onOpenChange={setSidebarOpen}
+                                />
+
+                                {/* CENTRE — React Flow canvas */}
+                                <div
+                                    className="flex-1 relative"
+                                    ref={reactFlowWrapper}
+                                    id="react-flow-canvas" /* stable id for testing / automation */
+                                    onMouseMove={(e) => { pointerRef.current = { x: e.clientX, y: e.clientY }; }}
+                                    onMouseLeave={() => { pointerRef.current = null; }}
+                                >
+                                    {/* Node / edge components read their badges — and whether a revision is on display — from context */}
+                                    <ReadOnlyContext.Provider value={readOnly}>
+                                        <DiagnosticsContext.Provider value={readOnly ? NO_DIAGNOSTICS : diagnosticIndex}>
+                                            <ReactFlow
+                                                nodes={historyDisplay?.nodes ?? display.nodes} // a revision, or nodes + preview highlight + group frames
+                                                edges={historyDisplay?.edges ?? display.edges} // edges of collapsed groups drawn to their cards
+                                                edgeTypes={edgeTypes}           // custom edge with hover tooltip
+                                                /* While a revision is on display every editing handler is withheld */
+                                                onNodesChange={readOnly ? undefined : handleNodesChange} // built-in: drag, select, delete (+ history)
+                                                onEdgesChange={readOnly ? undefined : handleEdgesChange} // built-in: select, delete (+ history)
+                                                onNodeDragStart={onNodeDragStart} // a whole drag is one undo step
+                                                onNodeDragStop={onNodeDragStop}
+                                                onSelectionDragStart={onNodeDragStart}
+                                                onSelectionDragStop={onNodeDragStop}
+                                                onEdgeDoubleClick={readOnly ? undefined : onEdgeDoubleClick} // double-click an edge to instantly remove it
+                                                onConnect={readOnly ? undefined : onConnect} // fires after isValidConnection passes
+                                                isValidConnection={isValidConnection} // fires before onConnect
+                                                onDrop={readOnly ? undefined : onDrop} // handles node drop from sidebar
+                                                onDragOver={readOnly ? undefined : onDragOver} // must preventDefault to allow drop
+                                                onNodeClick={readOnly ? undefined : onNodeClick} // opens SettingsPanel
+                                                onPaneClick={onPaneClick}       // closes SettingsPanel
+                                                nodesDraggable={!readOnly}
+                                                nodesConnectable={!readOnly}
+                                                elementsSelectable={!readOnly}
+                                                nodeTypes={nodeTypes}           // custom node component map
+                                                fitView={!bootFlow?.viewport}   // fit on mount unless a saved viewport exists
+                                                defaultViewport={bootFlow?.viewport ?? undefined} // restore saved pan/zoom
+                                                fitViewOptions={{ padding: 0.3 }}
+                                                className="bg-[#0f0f1a]"
+                                                attributionPosition="bottom-left"
+                                                deleteKeyCode={readOnly ? null : ['Backspace', 'Delete']} // keyboard node/edge deletion
+                                                edgesUpdatable={!readOnly} // allow dragging edge endpoints to reconnect
+                                                edgesFocusable={true}   // allow edges to be focused/selected via keyboard
+                                                /* Style applied to the live connection line while dragging */
+                                                connectionLineStyle={{ stroke: '#6366f1', strokeDasharray: '6 3', strokeWidth: 2 }}
+                                                /* Default visual properties applied to every new edge */
+                                                defaultEdgeOptions={{
+                                                    type: 'custom',       // use CustomEdge with hover tooltip
+                                                    animated: true,
+                                                    style: { stroke: '#818cf8', strokeWidth: 2 },
+                                                    markerEnd: { type: MarkerType.ArrowClosed, color: '#818cf8' },
+                                                }}
+                                            >
+                                                {/* Dot-grid background pattern */}
+                                                <Background
+                                                    variant={BackgroundVariant.Dots}
+                                                    gap={24}
+                                                    size={1.5}
+                                                    color="#252250"
+                                                />
+
+                                                {/* Zoom / pan / fit-view controls — bottom-left corner */}
+                                                <Controls
+                                                    className="!bottom-6 !left-6"
+                                                    showInteractive={false} /* hide the lock-interaction toggle */
+                                                />
+
+                                                {/* Thumbnail minimap — bottom-right corner (toggled with Shift+M) */}
+                                                {showMiniMap && (
+                                                    <MiniMap
+                                                        nodeColor={(n) =>
+                                                            DIFF_MINIMAP_COLORS[n.className] ??
+                                                            (n.className?.includes('search-dim') ? DIMMED_MINIMAP_COLOR : null) ??
+                                                            (n.selected ? '#a5b4fc' : MINIMAP_COLORS[n.type] ?? '#6366f1')
+                                                        }
+                                                        maskColor="rgba(15,15,26,0.80)"
+                                                        className="!bottom-6 !right-6"
+                                                    />
+                                                )}
+                                            </ReactFlow>
+                                        </DiagnosticsContext.Provider>
+                                    </ReadOnlyContext.Provider>
+
+                                    {/* Revision banner — top-centre, while a revision is on display */}
+                                    {historyView && (
+                                        <HistoryBanner
+                                            view={historyView}
+                                            onRestore={() => restoreRevision(historyView.entry)}
+                                            onClose={() => setHistoryView(null)}
+                                        />
+                                    )}
+
+                                    {/* Find & replace — top-centre overlay (Ctrl+F) */}
+                                    {search && !readOnly && (
+                                        <FindReplaceBar
+                                            search={search}
+                                            result={searchResult}
+                                            nodes={nodes}
+                                            onChange={(patch) => setSearch((current) => ({ ...current, ...patch }))}
+                                            onGoTo={(hit) => focusNode(hit.nodeId)}
+                                            onReplace={handleReplaceHit}
+                                            onReplaceAll={handleReplaceAll}
+                                            onClose={() => setSearch(null)}
+                                        />
+                                    )}
+
+                                    {/* Problems panel — top-left overlay listing every diagnostic */}
+                                    {nodes.length > 0 && !readOnly && (
+                                        <ProblemsPanel
+                                            diagnostics={diagnostics}
+                                            isOpen={problemsOpen}
+                                            onToggle={() => setProblemsOpen((open) => !open)}
+                                            onSelect={focusDiagnostic}
+                                        />
+                                    )}
+
+                                    {/* Auto-arrange toolbar — top-right overlay */}
+                                    {nodes.length > 0 && !readOnly && (
+                                        <ArrangeControls
+                                            nodeCount={nodes.length}
+                                            selectedCount={selectedCount}
+                                            onArrange={handleArrange}
+                                            onGroup={groupSelection}
+                                        />
+                                    )}
+
+                                    {/* Empty-canvas placeholder — shown only when no nodes exist */}
+                                    {nodes.length === 0 && !readOnly && (
+                                        <div className="pointer-events-none absolute inset-0 flex flex-col items-center justify-center gap-4 text-[#4338ca]">
+                                            <div className="text-6xl animate-bounce">💬</div>
+                                            <p className="text-lg font-medium text-slate-500">
+                                                Drag a <span className="text-brand-400 font-semibold">Text Message</span> node from the sidebar to begin
+                                            </p>
+                                        </div>
+                                    )}
+                                </div>
+
+                                {/* RIGHT — Settings Panel (hidden when no node selected) */}
+                                {/*
+                                    Passes the full `edges` array so the panel can compute
+                                    live incoming/outgoing edge counts for the selected node.
+                                */}
+                                <SettingsPanel
+                                    selectedNode={selectedNode}
+                                    edges={edges}
+                                    onLabelChange={onLocalizedLabelChange}
+                                    onDataChange={onLocalizedDataPatch}
+                                    onClose={() => setSelectedNode(null)}
+                                />
+
+                                {/* RIGHT — Chat preview (hidden until the Preview button is pressed) */}
+                                <PreviewPanel
+                                    isOpen={previewOpen}
+                                    nodes={previewGraph.nodes}
+                                    edges={previewGraph.edges}
+                                    variables={variables}
+                                    onActiveNodeChange={handlePreviewNodeChange}
+                                    onClose={() => setPreviewOpen(false)}
+                                />
+
+                                {/* RIGHT — Revision history (hidden until the History button is pressed) */}
+                                <HistoryPanel
+                                    isOpen={historyOpen}
+                                    revisions={revisions}
+                                    view={historyView}
+                                    onView={viewRevision}
+                                    onRestore={restoreRevision}
+                                    onCompare={compareRevisions}
+                                    onExitView={() => setHistoryView(null)}
+                                    onRefresh={() => setRevisionsStamp((n) => n + 1)}
+                                    onClose={toggleHistory}
+                                />
+                            </div>
+                        </ChannelContext.Provider>
+                    </SubflowContext.Provider>
+                </TranslationContext.Provider>
+            </VariablesContext.Provider>
         </div>
     );
 }
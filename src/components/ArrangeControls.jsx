@@ -0,0 +1,112 @@
+/**
+ * @file ArrangeControls.jsx
+ * @description Small toolbar in the top-right corner of the canvas that runs
+ *   the auto-arrange layout (utils/autoLayout.js).
+ *
+ *   [ ↓ | → ]  [ ⬚ Selection ]  [ Arrange ]  │  [ Group ]
+ *
+ * The direction toggle picks top-to-bottom or left-to-right layers. The
+ * "Selection" toggle limits the layout to the selected nodes and the edges
+ * between them; it is ignored (and disabled) while fewer than two nodes
+ * are selected.
+ *
+ * Only the options live here — App computes the positions, animates the
+ * nodes and records the undo step.
+ *
+ * "Group" puts the selected nodes into a group container (utils/groups.js);
+ * like "Selection" it needs two or more selected nodes.
+ *
+ * @param {object}   props
+ * @param {number}   props.nodeCount     — Nodes on the canvas
+ * @param {number}   props.selectedCount — Nodes currently selected
+ * @param {Function} props.onArrange     — ({ direction, selectionOnly }) => void
+ * @param {Function} props.onGroup       — () => void; groups the selection
+ */
+
+import React, { useState } from 'react';
+import { ArrowDown, ArrowRight, BoxSelect, Group, Workflow } from 'lucide-react';
+import { LAYOUT_DIRECTIONS } from '../utils/autoLayout.js';
+
+
+const DIRECTION_ICONS = { TB: ArrowDown, LR: ArrowRight };
+
+/** Shared look of the toggle buttons; `on` highlights the active one. */
+const toggleClass = (on) => `
+    h-7 px-2 rounded-md flex items-center gap-1 text-xs font-medium transition-colors
+    disabled:opacity-40 disabled:cursor-not-allowed
+    ${on ? 'bg-brand-600/40 text-brand-200' : 'text-slate-400 hover:text-slate-200 hover:bg-[#2d2b55]'}
+`;
+
+
+export default function ArrangeControls({ nodeCount, selectedCount, onArrange, onGroup }) {
+    const [direction, setDirection] = useState('TB');
+    const [selectionOnly, setSelectionOnly] = useState(false);
+
+    const canUseSelection = selectedCount >= 2;
+    const useSelection = selectionOnly && canUseSelection;
+    const canArrange = useSelection || nodeCount >= 2;
+
+    return (
+        <div
+            className="absolute top-4 right-4 z-10 flex items-center gap-1 p-1 rounded-xl bg-[#13112b]/95 border border-[#2d2b55] shadow-panel backdrop-blur-sm"
+            role="toolbar"
+            aria-label="Auto-arrange"
+        >
+            <div className="flex items-center gap-0.5" role="radiogroup" aria-label="Layout direction">
+                {Object.entries(LAYOUT_DIRECTIONS).map(([key, { label }]) => {
+                    const Icon = DIRECTION_ICONS[key];
+                    return (
+                        <button
+                            key={key}
+                            onClick={() => setDirection(key)}
+                            role="radio"
+                            aria-checked={direction === key}
+                            title={label}
+                            aria-label={label}
+                            className={toggleClass(direction === key)}
+                        >
+                            <Icon size={14} />
+                        </button>
+                    );
+                })}
+            </div>
+
+            <span className="w-px h-5 bg-[#2d2b55]" />
+
+            <button
+                onClick={() => setSelectionOnly((on) => !on)}
+                disabled={!canUseSelection}
+                aria-pressed={useSelection}
+                title={canUseSelection ? 'Arrange only the selected nodes' : 'Select two or more nodes to arrange them alone'}
+                className={toggleClass(useSelection)}
+            >
+                <BoxSelect size={14} />
+                Selection
+            </button>
+
+            <button
+                onClick={() => onArrange({ direction, selectionOnly: useSelection })}
+                disabled={!canArrange}
+                id="auto-arrange-button"
+                title={useSelection ? `Arrange ${selectedCount} selected nodes` : 'Arrange the whole flow'}
+                className="h-7 px-2.5 rounded-md flex items-center gap-1.5 text-xs font-semibold text-white bg-brand-600 hover:bg-brand-500 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+            >
+                <Workflow size={14} />
+                Arrange
+            </button>
+
+            <span className="w-px h-5 bg-[#2d2b55]" />
+
+            <button
+                onClick={onGroup}
+                disabled={!canUseSelection}
+                id="group-selection-button"
+                title={canUseSelection ? `Group ${selectedCount} selected nodes` : 'Select two or more nodes to group them'}
+                className={toggleClass(false)}
+            >
+                <Group size={14} />
+                Group
+            </button>
+        </div>
+    );
+}
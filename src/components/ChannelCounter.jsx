@@ -0,0 +1,68 @@
+/**
+ * @file ChannelCounter.jsx
+ * @description Character counter for a message text, measured against the
+ *   channels the flow targets.
+ *
+ * App provides the flow's channel ids through ChannelContext — read from
+ * context like the diagnostics, so nodeTypes does not have to be rebuilt
+ * when the channels change. Without channels the counter shows the plain
+ * length ("N chars", or "N / ∞ chars"); with them, the strictest limit
+ * ("N / 640 chars") and, when SMS is targeted and the text needs more than
+ * one, the number of SMS segments. It turns red once the text is over.
+ * A Markdown text is measured as each channel receives it, so the count
+ * may differ from the length of what is typed.
+ *
+ * @param {object}  props
+ * @param {string}  props.text            - The text to count
+ * @param {string}  [props.limitKey]      - 'textLimit' (default) or 'captionLimit'
+ * @param {boolean} [props.markdown]      - The text is Markdown (a message's text)
+ * @param {boolean} [props.showUnlimited] - Show "/ ∞" when no channel is targeted
+ * @param {string}  [props.className]     - Size and spacing; the colour is set here
+ */
+
+import React, { createContext, useContext } from 'react';
+import { CHANNEL_PROFILES, NO_CHANNELS, measureText } from '../utils/channels.js';
+
+
+/**
+ * Ids of the channels the flow targets (see utils/channels.js). Defaults to
+ * none outside a provider.
+ */
+export const ChannelContext = createContext(NO_CHANNELS);
+
+/**
+ * Whether a node's problems include a text or buttons over a channel's
+ * limit — such nodes are outlined red on the canvas.
+ *
+ * @param {object[]} [problems] - The node's diagnostics.
+ * @returns {boolean}
+ */
+export const overChannelLimit = (problems) => !!problems?.some((p) => p.rule === 'channel-limit');
+
+/** Ring of a node card over a channel limit, selected or not. */
+export const OVER_LIMIT_RING_CLASS = 'ring-2 ring-red-500 shadow-[0_0_0_6px_rgba(239,68,68,0.25)]';
+
+
+export default function ChannelCounter({ text = '', limitKey = 'textLimit', markdown = false, showUnlimited = false, className = '' }) {
+    const channels = useContext(ChannelContext);
+    const measured = measureText(text, channels, limitKey, markdown);
+
+    if (!measured) {
+        return (
+            <p className={`${className} text-slate-600 text-right select-none`}>
+                {text.length}{showUnlimited && ' / ∞'} chars
+            </p>
+        );
+    }
+
+    const { length, limit, channel, over, segments } = measured;
+    return (
+        <p
+            className={`${className} text-right select-none ${over ? 'text-rose-400 font-semibold' : 'text-slate-600'}`}
+            title={`${CHANNEL_PROFILES[channel].name} allows ${limit} characters here`}
+        >
+            {length} / {limit} chars
+            {segments > 1 && ` · ${segments} SMS`}
+        </p>
+    );
+}
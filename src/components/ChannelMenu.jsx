@@ -0,0 +1,138 @@
+/**
+ * @file ChannelMenu.jsx
+ * @description Header button that drops down the channels the flow is
+ *   published to.
+ *
+ *   One row per channel profile (utils/channels.js) with its limits; tick
+ *   the ones the flow targets. Every text then has to fit all of them:
+ *   the character counters show the strictest limit, nodes over it are
+ *   outlined red and Save refuses the flow until they are fixed.
+ *
+ * The setting (an array of channel ids) is owned by App and saved with the
+ * flow, like the variables and languages; this component only owns the
+ * menu's open state.
+ *
+ * @param {object}   props
+ * @param {string[]} props.channels     — Ids of the targeted channels
+ * @param {number}   props.overLimit    — How many nodes are over a limit
+ * @param {Function} props.onChange     — (channels: string[]) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { RadioTower } from 'lucide-react';
+import { CHANNEL_IDS, CHANNEL_PROFILES } from '../utils/channels.js';
+
+
+/** Small uppercase section headings. */
+const SECTION_TITLE_CLASS = 'px-3 pt-3 pb-1.5 text-[11px] font-semibold uppercase tracking-widest text-slate-600';
+
+/**
+ * A channel's limits, in words.
+ *
+ * @param {object} profile
+ * @returns {string}
+ */
+function describeLimits(profile) {
+    const text = profile.segmented
+        ? `${profile.textLimit} characters per SMS (70 with emoji or other non-GSM characters); longer texts are split into up to ${profile.maxSegments}`
+        : `${profile.textLimit} characters per message, ${profile.captionLimit} per caption`;
+    const buttons = profile.buttons
+        ? `up to ${profile.buttons.max} buttons of ${profile.buttons.length} characters`
+        : 'no buttons';
+    return `${text} · ${buttons}`;
+}
+
+
+export default function ChannelMenu({ channels, overLimit, onChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const menuRef = useRef(null);
+
+    // Close on any click outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [isOpen]);
+
+    // Kept in menu order whatever order they were ticked in
+    const toggle = (id) => onChange(
+        CHANNEL_IDS.filter((c) => (c === id ? !channels.includes(id) : channels.includes(c)))
+    );
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                id="channel-menu-button"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                title="Channels the flow is published to, and their limits"
+                className={`
+                    flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                    border transition-colors duration-150 select-none
+                    ${isOpen
+                        ? 'bg-brand-600/20 border-brand-500/50 text-brand-200'
+                        : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                    }
+                `}
+            >
+                <RadioTower size={14} />
+                {channels.length === 1 ? CHANNEL_PROFILES[channels[0]].name : 'Channels'}
+                {channels.length > 1 && (
+                    <span className="ml-0.5 px-1.5 rounded-md bg-[#2d2b55] text-[11px] font-mono text-slate-300">
+                        {channels.length}
+                    </span>
+                )}
+                {overLimit > 0 && (
+                    <span
+                        className="ml-0.5 px-1.5 rounded-md bg-rose-900/60 text-[11px] font-mono text-rose-200"
+                        title={`${overLimit} node${overLimit !== 1 ? 's' : ''} over a channel limit`}
+                    >
+                        {overLimit}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label="Channels"
+                    className="absolute right-0 top-full mt-2 z-50 w-80 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+                >
+                    <p className={SECTION_TITLE_CLASS}>Published to</p>
+                    <ul className="px-1.5 pb-1.5">
+                        {CHANNEL_IDS.map((id) => (
+                            <li key={id}>
+                                <label className="flex items-start gap-2 px-2 py-1.5 rounded-lg text-xs text-slate-300 hover:bg-[#1e1b4b] cursor-pointer select-none">
+                                    <input
+                                        type="checkbox"
+                                        checked={channels.includes(id)}
+                                        onChange={() => toggle(id)}
+                                        className="mt-0.5 accent-brand-500"
+                                    />
+                                    <span className="flex-1 min-w-0">
+                                        <span className="block font-semibold text-slate-200">{CHANNEL_PROFILES[id].name}</span>
+                                        <span className="block text-[11px] text-slate-500 leading-snug">
+                                            {describeLimits(CHANNEL_PROFILES[id])}
+                                        </span>
+                                    </span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                    <p className="px-3 py-2.5 border-t border-[#2d2b55] text-[11px] text-slate-500 leading-snug">
+                        {channels.length === 0
+                            ? 'No channel picked — texts have no length limit.'
+                            : overLimit > 0
+                                ? `${overLimit} node${overLimit !== 1 ? 's are' : ' is'} over a limit — Save lists them in the Problems panel.`
+                                : 'Every text fits the picked channels.'}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,82 @@
+/**
+ * @file ChannelPreview.jsx
+ * @description How a message looks once sent: one tab for web chat and
+ *   one per channel profile, shown by the Settings panel's Preview mode.
+ *
+ *   Web chat   — the Markdown rendered as HTML (MarkdownView).
+ *   WhatsApp   — bold and italic in WhatsApp's own syntax, links spelled out.
+ *   SMS,
+ *   Messenger  — plain text: formatting dropped, links spelled out, lists
+ *                as "•" lines (utils/markdown.js, renderMarkdown).
+ *
+ * Channels the flow targets (ChannelContext) are marked with a dot. Each
+ * channel tab gives the length of what is actually sent, which is what
+ * the channel limits are measured on.
+ *
+ * @param {object} props
+ * @param {string} props.text - Message text (Markdown)
+ */
+
+import React, { useContext, useState } from 'react';
+import MarkdownView from './MarkdownView.jsx';
+import { ChannelContext } from './ChannelCounter.jsx';
+import { CHANNEL_IDS, CHANNEL_PROFILES } from '../utils/channels.js';
+import { renderMarkdown } from '../utils/markdown.js';
+
+
+/** Bubble colours of each channel tab, roughly as the apps draw them. */
+const BUBBLE_CLASSES = {
+    web: 'bg-[#1e1b4b] border border-[#2d2b55] text-slate-200',
+    sms: 'bg-slate-700 text-slate-100',
+    whatsapp: 'bg-[#005c4b] text-[#e9edef]',
+    messenger: 'bg-[#0084ff] text-white',
+};
+
+
+export default function ChannelPreview({ text = '' }) {
+    const channels = useContext(ChannelContext);
+    const [tab, setTab] = useState('web');
+
+    const tabs = [{ id: 'web', label: 'Web chat' }, ...CHANNEL_IDS.map((id) => ({ id, label: CHANNEL_PROFILES[id].name }))];
+    const sent = tab === 'web' ? null : renderMarkdown(text, CHANNEL_PROFILES[tab].format);
+
+    return (
+        <div className="rounded-xl bg-[#0f0f1a]/60 border border-[#2d2b55] overflow-hidden">
+            <div className="flex flex-wrap gap-0.5 px-1.5 pt-1.5" role="tablist" aria-label="Rendered for">
+                {tabs.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        role="tab"
+                        aria-selected={tab === id}
+                        onClick={() => setTab(id)}
+                        className={`
+                            flex items-center gap-1 px-2 py-1 rounded-md text-[11px] font-semibold transition-colors
+                            ${tab === id ? 'bg-[#2d2b55] text-white' : 'text-slate-500 hover:text-slate-200'}
+                        `}
+                    >
+                        {channels.includes(id) && <span className="w-1.5 h-1.5 rounded-full bg-emerald-400" title="The flow targets this channel" />}
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="px-3 py-3">
+                <div className={`max-w-[95%] px-3 py-2 rounded-2xl rounded-bl-md text-sm leading-relaxed ${BUBBLE_CLASSES[tab]}`}>
+                    {!text.trim() ? (
+                        <span className="opacity-50">Empty message</span>
+                    ) : sent === null ? (
+                        <MarkdownView text={text} />
+                    ) : (
+                        <p className="whitespace-pre-wrap break-words">{sent}</p>
+                    )}
+                </div>
+                {sent !== null && (
+                    <p className="mt-1.5 text-[10px] text-slate-600">
+                        {sent.length} characters as sent
+                        {CHANNEL_PROFILES[tab].format === 'plain' && ' · formatting is dropped'}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,173 @@
+/**
+ * @file CommandPalette.jsx
+ * @description Ctrl+K / ⌘K command palette: type to find any action, a node
+ *   to jump to, or a flow to open, then press Enter.
+ *
+ *   ┌───────────────────────────────────────────┐
+ *   │ 🔍 Type a command or search…              │
+ *   ├───────────────────────────────────────────┤
+ *   │ FLOW                                      │
+ *   │   Save flow                     Ctrl S    │  ← ↑ / ↓ move, Enter runs
+ *   │ ADD NODE                                  │
+ *   │   Add message                   Alt 1     │
+ *   │ GO TO NODE                                │
+ *   │   Message "Hello! How can I…"   #1        │
+ *   └───────────────────────────────────────────┘
+ *
+ * The palette knows nothing about the builder: App hands it a flat list of
+ * items, each with a `run` callback, and it only filters, highlights and
+ * runs them. Every word typed must appear somewhere in an item's title,
+ * group, hint or keywords; items whose title starts with the query come
+ * first.
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen
+ * @param {object[]} props.items   — [{ id, title, group, hint?, keys?, keywords?, run }]
+ * @param {Function} props.onClose — () => void
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search } from 'lucide-react';
+import { KeyCombo } from './ShortcutsSheet.jsx';
+
+
+/** Most results listed at once; typing narrows the rest down. */
+const MAX_RESULTS = 60;
+
+/**
+ * Items matching the query, best first.
+ *
+ * @param {object[]} items
+ * @param {string}   query
+ * @returns {object[]}
+ */
+function filterItems(items, query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return items.slice(0, MAX_RESULTS);
+
+    const words = q.split(/\s+/);
+    return items
+        .map((item, index) => {
+            const title = item.title.toLowerCase();
+            const haystack = `${title} ${item.group} ${item.hint ?? ''} ${item.keywords ?? ''}`.toLowerCase();
+            if (!words.every((w) => haystack.includes(w))) return null;
+            const rank = title.startsWith(q) ? 0 : title.includes(q) ? 1 : 2;
+            return { item, rank, index };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .slice(0, MAX_RESULTS)
+        .map((r) => r.item);
+}
+
+
+export default function CommandPalette({ isOpen, items, onClose }) {
+    const [query, setQuery] = useState('');
+    const [active, setActive] = useState(0);
+    const listRef = useRef(null);
+
+    // Start fresh each time the palette opens
+    useEffect(() => {
+        if (isOpen) {
+            setQuery('');
+            setActive(0);
+        }
+    }, [isOpen]);
+
+    const results = useMemo(() => filterItems(items, query), [items, query]);
+
+    // Keep the highlighted row in view while moving with the arrow keys
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [active, results]);
+
+    if (!isOpen) return null;
+
+    const run = (item) => {
+        onClose();
+        item.run();
+    };
+
+    const onKeyDown = (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setActive((i) => (results.length === 0 ? 0 : (i + step + results.length) % results.length));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (results[active]) run(results[active]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex justify-center items-start pt-24 bg-black/50 animate-fade-in"
+            onPointerDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+        >
+            <div
+                role="dialog"
+                aria-label="Command palette"
+                className="w-[34rem] max-w-[calc(100vw-2rem)] rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+            >
+                {/* ── Search box ─────────────────────────────────────────── */}
+                <div className="flex items-center gap-2.5 px-4 border-b border-[#2d2b55]">
+                    <Search size={15} className="text-slate-500 flex-shrink-0" />
+                    <input
+                        autoFocus
+                        value={query}
+                        onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+                        onKeyDown={onKeyDown}
+                        placeholder="Type a command, a node's text or a flow name…"
+                        aria-label="Search commands"
+                        aria-controls="command-palette-results"
+                        aria-activedescendant={results[active] ? `command-${results[active].id}` : undefined}
+                        className="flex-1 py-3.5 bg-transparent text-sm text-slate-200 placeholder:text-slate-600 focus:outline-none"
+                    />
+                </div>
+
+                {/* ── Results ────────────────────────────────────────────── */}
+                {results.length === 0 ? (
+                    <p className="px-4 py-6 text-xs text-center text-slate-500">Nothing matches “{query.trim()}”.</p>
+                ) : (
+                    <ul ref={listRef} id="command-palette-results" role="listbox" className="max-h-80 overflow-y-auto py-1.5">
+                        {results.map((item, i) => (
+                            <React.Fragment key={item.id}>
+                                {results[i - 1]?.group !== item.group && (
+                                    <li role="presentation" className="px-4 pt-2 pb-1 text-[10px] font-semibold uppercase tracking-widest text-slate-600">
+                                        {item.group}
+                                    </li>
+                                )}
+                                <li
+                                    id={`command-${item.id}`}
+                                    role="option"
+                                    aria-selected={i === active}
+                                    onPointerMove={() => setActive(i)}
+                                    onClick={() => run(item)}
+                                    className={`
+                                        mx-1.5 flex items-center gap-3 px-2.5 py-2 rounded-lg cursor-pointer text-sm
+                                        ${i === active ? 'bg-brand-600/25 text-white' : 'text-slate-300'}
+                                    `}
+                                >
+                                    <span className="flex-1 min-w-0 truncate">{item.title}</span>
+                                    {item.hint && <span className="text-[11px] text-slate-500 font-mono flex-shrink-0">{item.hint}</span>}
+                                    {item.keys?.[0] && <KeyCombo combo={item.keys[0]} />}
+                                </li>
+                            </React.Fragment>
+                        ))}
+                    </ul>
+                )}
+
+                {/* ── Footer hints ───────────────────────────────────────── */}
+                <div className="flex items-center gap-4 px-4 py-2 border-t border-[#2d2b55] text-[11px] text-slate-500">
+                    <span><KeyCombo combo="↑" /> <KeyCombo combo="↓" /> move</span>
+                    <span><KeyCombo combo="Enter" /> run</span>
+                    <span><KeyCombo combo="Escape" /> close</span>
+                    <span className="ml-auto"><KeyCombo combo="?" /> all shortcuts</span>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,124 @@
+/**
+ * @file ConditionNode.jsx
+ * @description Custom React Flow node for the "Condition" node type.
+ *
+ * Registered in App.jsx under the key "conditionNode". A condition node
+ * routes the conversation down one of several labelled branches:
+ *
+ *   ┌──────────────────────────────┐
+ *   │  ● (purple)   ← target handle
+ *   ├─ CONDITION ──────────────────┤  ← amber gradient header
+ *   │  Check plan                  │  ← node name (data.label)
+ *   │  Yes     plan = pro        ● │  ← one source handle per branch,
+ *   │  No      plan = free       ● │    on the right edge of its row
+ *   │  Otherwise                 ● │  ← fallback when nothing matches
+ *   └──────────────────────────────┘
+ *
+ * Each row's handle id is the branch id (see utils/conditions.js), so every
+ * branch can be connected to a different next node — one edge per handle,
+ * enforced by isValidConnection in App.jsx.
+ *
+ * Branches are added, removed and edited in SettingsPanel (ConditionSettings);
+ * the card itself is read-only. Because the set of handles changes with the
+ * branches, useUpdateNodeInternals tells React Flow to re-measure them.
+ *
+ * @param {object}  props
+ * @param {string}  props.id       - Unique node ID, injected by React Flow
+ * @param {object}  props.data     - { label: string, branches: Branch[] }
+ * @param {boolean} props.selected - True when the node is selected on the canvas
+ */
+
+import React, { useEffect } from 'react';
+import { Position, useUpdateNodeInternals } from 'reactflow';
+import { Zap } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import { FALLBACK_HANDLE, describeCondition } from '../utils/conditions.js';
+
+
+/**
+ * Places a branch handle on the card's right edge, vertically centred on
+ * its row. The row has px-3 padding inside a px-3 body, hence -18 px.
+ */
+const ROW_HANDLE_STYLE = { top: '50%', bottom: 'auto', right: -18 };
+
+
+/**
+ * One branch row with its own outgoing handle.
+ *
+ * @param {object} props
+ * @param {string} props.handleId - Source-handle id (branch id or "otherwise")
+ * @param {string} props.label    - Branch name shown on the left
+ * @param {string} [props.summary]- Condition summary shown on the right
+ * @param {boolean}[props.muted]  - Dim styling for the fallback row
+ */
+function BranchRow({ handleId, label, summary, muted = false }) {
+    return (
+        <div className="relative flex items-center justify-between gap-2 px-3 py-1.5 rounded-lg bg-[#15133a] border border-[#2d2b55]">
+            <span className={`text-xs font-semibold truncate ${muted ? 'text-slate-500' : 'text-amber-200'}`}>
+                {label || 'Unnamed'}
+            </span>
+            {summary && (
+                <span className="text-[10px] font-mono text-slate-400 truncate">{summary}</span>
+            )}
+            <SourceHandle
+                id={handleId}
+                position={Position.Right}
+                style={ROW_HANDLE_STYLE}
+                title={`Connect the "${label || handleId}" branch`}
+            />
+        </div>
+    );
+}
+
+
+export default function ConditionNode({ id, data, selected }) {
+    const updateNodeInternals = useUpdateNodeInternals();
+    const branches = data.branches ?? [];
+
+    // Re-measure handle positions whenever branches are added, removed or reordered
+    const handleKey = branches.map((b) => b.id).join('|');
+    useEffect(() => {
+        updateNodeInternals(id);
+    }, [id, handleKey, updateNodeInternals]);
+
+    return (
+        <div
+            className={`
+                relative w-64 rounded-2xl overflow-visible shadow-node
+                transition-all duration-200 select-none
+                ${selected
+                    ? 'ring-2 ring-amber-400 shadow-[0_0_0_6px_rgba(245,158,11,0.20)]'
+                    : 'ring-1 ring-[#2d2b55] hover:ring-amber-700'
+                }
+            `}
+        >
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+
+            {/* ── Header ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-amber-700 to-amber-500 rounded-t-2xl">
+                <Zap size={13} className="text-white/80 flex-shrink-0" />
+                <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                    Condition
+                </span>
+            </div>
+
+            {/* ── Body — name + branch rows ──────────────────────────── */}
+            <div className="bg-[#1c1a45] rounded-b-2xl px-3 py-3 flex flex-col gap-1.5">
+                <p className="text-sm text-slate-200 font-medium truncate mb-0.5">
+                    {data.label || 'Condition'}
+                </p>
+                {branches.map((branch) => (
+                    <BranchRow
+                        key={branch.id}
+                        handleId={branch.id}
+                        label={branch.label}
+                        summary={describeCondition(branch)}
+                    />
+                ))}
+                <BranchRow handleId={FALLBACK_HANDLE} label="Otherwise" muted />
+            </div>
+        </div>
+    );
+}
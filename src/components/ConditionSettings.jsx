@@ -0,0 +1,192 @@
+/**
+ * @file ConditionSettings.jsx
+ * @description SettingsPanel form for "conditionNode" nodes.
+ *
+ * Edits the node name and its ordered list of branches. Each branch card has:
+ *   Label    — shown on the canvas row, e.g. "Yes"
+ *   Variable — the conversation variable to test, e.g. "plan"
+ *   Operator — one of OPERATORS in utils/conditions.js
+ *   Value    — compared against the variable (hidden for unary operators)
+ *
+ * Order matters — branches are tested top to bottom and the first match
+ * wins — so cards can be moved up and down. The "Otherwise" fallback is
+ * fixed and always last.
+ *
+ * Removing a branch also removes its handle; App prunes any edge that was
+ * attached to it (see onNodeDataPatch).
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected conditionNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { Plus, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import { OPERATORS, nextBranchId } from '../utils/conditions.js';
+
+
+/** Compact variant of INPUT_CLASS for the dense branch cards. */
+const COMPACT_INPUT_CLASS = `${INPUT_CLASS} !px-2.5 !py-1.5 !rounded-lg text-xs`;
+
+/** Icon button used for move / remove controls on each branch card. */
+const ICON_BUTTON_CLASS = `
+    w-6 h-6 rounded-md flex items-center justify-center text-slate-500
+    hover:text-slate-200 hover:bg-[#2d2b55] transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+export default function ConditionSettings({ node, onDataChange }) {
+    const { label = '', branches = [] } = node.data;
+    const nameInputRef = useRef(null);
+
+    // Focus the name field when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        nameInputRef.current?.focus();
+    }, []);
+
+    /** Writes a new branch list back to the node. */
+    const setBranches = (next) => onDataChange(node.id, { branches: next });
+
+    /**
+     * Merges `patch` into the branch at `index`.
+     *
+     * @param {number} index
+     * @param {object} patch
+     */
+    const updateBranch = (index, patch) =>
+        setBranches(branches.map((b, i) => (i === index ? { ...b, ...patch } : b)));
+
+    /** Swaps the branch at `index` with its neighbour `index + delta`. */
+    const moveBranch = (index, delta) => {
+        const next = [...branches];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        setBranches(next);
+    };
+
+    const addBranch = () =>
+        setBranches([
+            ...branches,
+            { id: nextBranchId(branches), label: `Branch ${branches.length + 1}`, variable: '', operator: 'equals', value: '' },
+        ]);
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Node name ────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="condition-name-input" className={LABEL_CLASS}>
+                    Name
+                </label>
+                <input
+                    id="condition-name-input"
+                    ref={nameInputRef}
+                    type="text"
+                    value={label}
+                    onChange={(e) => onDataChange(node.id, { label: e.target.value })}
+                    placeholder="e.g. Check plan"
+                    className={INPUT_CLASS}
+                />
+            </div>
+
+            {/* ── Branch cards ─────────────────────────────────────── */}
+            <div>
+                <p className={LABEL_CLASS}>Branches</p>
+                <p className="mb-2 text-[11px] text-slate-600 leading-snug">
+                    Checked top to bottom — the first match wins.
+                </p>
+
+                <ul className="flex flex-col gap-2">
+                    {branches.map((branch, index) => {
+                        const unary = OPERATORS[branch.operator]?.unary;
+                        return (
+                            <li
+                                key={branch.id}
+                                className="flex flex-col gap-1.5 p-2.5 rounded-xl bg-[#15133a] border border-[#2d2b55]"
+                            >
+                                <div className="flex items-center gap-1">
+                                    <input
+                                        type="text"
+                                        value={branch.label}
+                                        onChange={(e) => updateBranch(index, { label: e.target.value })}
+                                        placeholder="Branch label"
+                                        aria-label={`Branch ${index + 1} label`}
+                                        className={`${COMPACT_INPUT_CLASS} font-semibold !text-amber-200`}
+                                    />
+                                    <button
+                                        onClick={() => moveBranch(index, -1)}
+                                        disabled={index === 0}
+                                        title="Move up"
+                                        aria-label="Move branch up"
+                                        className={ICON_BUTTON_CLASS}
+                                    >
+                                        <ChevronUp size={13} />
+                                    </button>
+                                    <button
+                                        onClick={() => moveBranch(index, 1)}
+                                        disabled={index === branches.length - 1}
+                                        title="Move down"
+                                        aria-label="Move branch down"
+                                        className={ICON_BUTTON_CLASS}
+                                    >
+                                        <ChevronDown size={13} />
+                                    </button>
+                                    <button
+                                        onClick={() => setBranches(branches.filter((_, i) => i !== index))}
+                                        disabled={branches.length === 1}
+                                        title="Remove branch (its connection is removed too)"
+                                        aria-label="Remove branch"
+                                        className={`${ICON_BUTTON_CLASS} hover:!text-rose-300`}
+                                    >
+                                        <Trash2 size={13} />
+                                    </button>
+                                </div>
+
+                                <input
+                                    type="text"
+                                    value={branch.variable}
+                                    onChange={(e) => updateBranch(index, { variable: e.target.value.trim() })}
+                                    placeholder="variable, e.g. plan"
+                                    aria-label={`Branch ${index + 1} variable`}
+                                    className={`${COMPACT_INPUT_CLASS} font-mono`}
+                                />
+                                <div className="flex gap-1.5">
+                                    <select
+                                        value={branch.operator}
+                                        onChange={(e) => updateBranch(index, { operator: e.target.value })}
+                                        aria-label={`Branch ${index + 1} operator`}
+                                        className={`${COMPACT_INPUT_CLASS} ${unary ? '' : '!w-auto flex-shrink-0'}`}
+                                    >
+                                        {Object.entries(OPERATORS).map(([key, op]) => (
+                                            <option key={key} value={key}>{op.label}</option>
+                                        ))}
+                                    </select>
+                                    {!unary && (
+                                        <input
+                                            type="text"
+                                            value={branch.value}
+                                            onChange={(e) => updateBranch(index, { value: e.target.value })}
+                                            placeholder="value"
+                                            aria-label={`Branch ${index + 1} value`}
+                                            className={`${COMPACT_INPUT_CLASS} min-w-0`}
+                                        />
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+
+                    {/* Fixed fallback — always present, always last */}
+                    <li className="px-2.5 py-2 rounded-xl border border-dashed border-[#2d2b55] text-xs text-slate-500">
+                        <span className="font-semibold text-slate-400">Otherwise</span> — taken when no branch matches
+                    </li>
+                </ul>
+
+                <button onClick={addBranch} className={`${SMALL_BUTTON_CLASS} mt-2`}>
+                    <Plus size={12} />
+                    Add branch
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -7,15 +7,28 @@
  *   at the midpoint of the bezier path: "✕ Double-click to remove".
  *   Double-clicking the edge (or its label) fires onEdgeDoubleClick
  *   which is handled in App.jsx to delete the edge.
+ *
+ *   An edge with problems (see utils/diagnostics.js, read through
+ *   DiagnosticsContext) is drawn red or amber and carries a small warning
+ *   badge just above its midpoint; hovering the badge lists the messages.
+ *
+ *   While a past revision is on display (ReadOnlyContext) the remove hint
+ *   is never shown — the edge cannot be removed there.
  */
 
-import React, { useState } from 'react';
+import React, { useContext, useState } from 'react';
 import {
     BaseEdge,
     EdgeLabelRenderer,
     getBezierPath,
     MarkerType,
 } from 'reactflow';
+import { AlertTriangle } from 'lucide-react';
+import { DiagnosticsContext, hasError } from './ProblemBadge.jsx';
+import { ReadOnlyContext } from './HistoryBanner.jsx';
+
+/** Stroke colour of an edge with problems, by worst severity. */
+const PROBLEM_STROKE = { error: '#f43f5e', warning: '#f59e0b' };
 
 /**
  * CustomEdge — drop-in replacement for React Flow's default edge.
@@ -38,6 +51,10 @@ export default function CustomEdge({
     selected,
 }) {
     const [hovered, setHovered] = useState(false);
+    const problems = useContext(DiagnosticsContext).byEdge.get(id) ?? [];
+    const problemStroke = problems.length > 0
+        ? PROBLEM_STROKE[hasError(problems) ? 'error' : 'warning']
+        : null;
 
     // Compute the SVG path and the exact midpoint for label placement
     const [edgePath, labelX, labelY] = getBezierPath({
@@ -49,7 +66,8 @@ export default function CustomEdge({
         targetPosition,
     });
 
-    const showLabel = hovered || selected;
+    const readOnly = useContext(ReadOnlyContext);
+    const showLabel = !readOnly && (hovered || selected);
 
     return (
         <>
@@ -74,7 +92,7 @@ export default function CustomEdge({
                 markerEnd={markerEnd}
                 style={{
                     ...style,
-                    stroke: selected ? '#a5b4fc' : (hovered ? '#c4b5fd' : '#818cf8'),
+                    stroke: selected ? '#a5b4fc' : (hovered ? '#c4b5fd' : problemStroke ?? '#818cf8'),
                     strokeWidth: hovered || selected ? 2.5 : 2,
                     transition: 'stroke 0.15s ease, stroke-width 0.15s ease',
                 }}
@@ -82,6 +100,21 @@ export default function CustomEdge({
 
             {/* Tooltip label rendered in HTML (not SVG) via EdgeLabelRenderer */}
             <EdgeLabelRenderer>
+                {/* Problem badge — sits just above the midpoint so the remove hint stays readable */}
+                {problemStroke && (
+                    <div
+                        style={{
+                            position: 'absolute',
+                            transform: `translate(-50%, -50%) translate(${labelX}px,${labelY - 22}px)`,
+                            pointerEvents: 'all',
+                            background: problemStroke,
+                        }}
+                        className="nodrag nopan w-5 h-5 rounded-full flex items-center justify-center text-white ring-2 ring-[#0f0f1a]"
+                        title={problems.map((p) => `• ${p.message}`).join('\n')}
+                    >
+                        <AlertTriangle size={10} />
+                    </div>
+                )}
                 <div
                     style={{
                         position: 'absolute',
@@ -12,7 +12,8 @@
  *   │  ● (purple)   ← target handle (top-centre, accepts incoming edges)
  *   ├─ SEND MESSAGE ───────────────┤  ← gradient header
  *   │  [editable textarea        ] │  ← body: user types message here
- *   │                   N chars    │  ← character counter
+ *   │               N / 640 chars  │  ← character counter (channel limit)
+ *   │  [ Quick reply         ] ●   │  ← optional buttons, one handle each
  *   │  ● (green)    ← source handle (bottom-centre, one outgoing edge max)
  *   └──────────────────────────────┘
  *
@@ -30,18 +31,71 @@
  *   b) The CSS class "nodrag" — React Flow also checks for this class
  *      internally and skips its drag logic for elements that have it.
  *
+ * Variables
+ * ─────────
+ * The textarea is a VariableTextarea: typing `{{` offers the variables known
+ * at this node, and unresolvable placeholders are flagged under it. When
+ * "sample values" is switched on (Variables menu in the header), the body
+ * shows the message with each placeholder replaced by its sample value
+ * instead — read-only, so the SettingsPanel is the place to edit then.
+ * While a past revision is on display (ReadOnlyContext) the text is shown
+ * the same way.
+ *
+ * Formatting
+ * ──────────
+ * The text may use Markdown (utils/markdown.js). The eye button in the
+ * header switches the body between the textarea and a preview of the
+ * message as web chat shows it (MarkdownView) — bold, italic, links and
+ * lists; sample values and past revisions are shown formatted too. The
+ * toggle is local to the card and not saved.
+ *
+ * Languages
+ * ─────────
+ * While another language than the flow's default is picked in the header,
+ * `data` arrives localized (App's display, see utils/translations.js): the
+ * textarea shows and edits the translation, and onNodeDataChange stores
+ * it there. A TranslationBadge marks a message still missing some of it.
+ *
+ * Channels
+ * ────────
+ * The counter measures the text against the channels the flow targets
+ * (ChannelCounter, utils/channels.js); over a limit — text, or the number
+ * or length of the buttons — it turns red and so does the card's ring.
+ *
+ * Quick replies
+ * ─────────────
+ * Buttons added in the SettingsPanel (QuickReplySettings) are listed under
+ * the text, each with its own handle on the right — the same pattern as a
+ * condition node's branch rows. The bottom handle then carries "any other
+ * reply". Because the set of handles changes with the buttons,
+ * useUpdateNodeInternals tells React Flow to re-measure them.
+ *
  * @param {object}   props
  * @param {string}   props.id               - Unique node ID, injected by React Flow
- * @param {object}   props.data             - Node data: { label: string }
+ * @param {object}   props.data             - Node data: { label: string, buttons?: object[] }
  * @param {boolean}  props.selected         - True when the node is selected on the canvas
  * @param {Function} props.onNodeDataChange - (id, newLabel) => void  callback to update
  *                                            global nodes state from inside the node
  */
 
-import React, { useCallback } from 'react';
-import { Handle, Position } from 'reactflow';
-import { MessageSquare } from 'lucide-react';
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { Position, useUpdateNodeInternals } from 'reactflow';
+import { MessageSquare, Eye, Pencil } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import MarkdownView from './MarkdownView.jsx';
+import TranslationBadge from './TranslationBadge.jsx';
+import VariableTextarea, { VariablesContext } from './VariableTextarea.jsx';
+import { ReadOnlyContext } from './HistoryBanner.jsx';
+import { TranslationContext } from './TranslationBadge.jsx';
+import { DiagnosticsContext } from './ProblemBadge.jsx';
+import ChannelCounter, { overChannelLimit, OVER_LIMIT_RING_CLASS } from './ChannelCounter.jsx';
+import { interpolate } from '../utils/variables.js';
+import { languageName } from '../utils/translations.js';
+
 
+/** Puts a button's handle on the right edge of the card, level with its chip. */
+const BUTTON_HANDLE_STYLE = { top: '50%', bottom: 'auto', right: -18 };
 
 export default function CustomTextNode({ id, data, selected, onNodeDataChange }) {
 
@@ -55,16 +109,33 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
      */
     const stopProp = useCallback((e) => e.stopPropagation(), []);
 
+    const { samples, showSamples } = useContext(VariablesContext);
+    const readOnly = useContext(ReadOnlyContext);
+    const { language, languages } = useContext(TranslationContext);
+    const overLimit = overChannelLimit(useContext(DiagnosticsContext).byNode.get(id));
+
+    /** Showing the formatted message instead of the textarea. */
+    const [previewing, setPreviewing] = useState(false);
+
+    const updateNodeInternals = useUpdateNodeInternals();
+    const buttons = data.buttons ?? [];
+
+    // Re-measure handle positions whenever buttons are added, removed or reordered
+    const handleKey = buttons.map((b) => b.id).join('|');
+    useEffect(() => {
+        updateNodeInternals(id);
+    }, [id, handleKey, updateNodeInternals]);
+
     /**
      * Fires on every keystroke inside the textarea.
      * Calls onNodeDataChange which lives in App.jsx and updates both the
      * nodes array and the selectedNode state simultaneously.
      *
-     * @param {React.ChangeEvent<HTMLTextAreaElement>} e
+     * @param {string} label - The new text
      */
     const handleChange = useCallback(
-        (e) => {
-            onNodeDataChange?.(id, e.target.value);
+        (label) => {
+            onNodeDataChange?.(id, label);
         },
         [id, onNodeDataChange]
     );
@@ -74,7 +145,10 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
             className={`
                 relative w-64 rounded-2xl overflow-visible shadow-node
                 transition-all duration-200 select-none
-                ${selected
+                ${overLimit
+                    // Over a channel limit: red whether selected or not
+                    ? OVER_LIMIT_RING_CLASS
+                    : selected
                     // Selected: indigo glow ring so the user knows which node is active
                     ? 'ring-2 ring-brand-400 shadow-[0_0_0_6px_rgba(99,102,241,0.20)]'
                     // Idle: subtle border that brightens on hover
@@ -87,20 +161,11 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
                 Colour:   purple (#818cf8) — matches the brand palette
                 Accepts:  multiple incoming edges (no restriction here)
                 Title:    shown as a native browser tooltip on hover
+                Shared with every node type — see NodeHandles.jsx.
             ───────────────────────────────────────────────────────── */}
-            <Handle
-                type="target"
-                position={Position.Top}
-                id="target"
-                style={{
-                    width: 12,
-                    height: 12,
-                    background: '#818cf8',        // indigo — "input" colour
-                    border: '2px solid #0f0f1a',  // dark ring separates from background
-                    top: -6,                      // offset to sit exactly on the node edge
-                }}
-                title="Connect an incoming edge here"
-            />
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+            <TranslationBadge nodeId={id} />
 
             {/* ── Header ───────────────────────────────────────────────
                 Always shows "Send Message" with the MessageSquare icon.
@@ -112,6 +177,17 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
                 <span className="text-[11px] font-bold text-white tracking-widest uppercase">
                     Send Message
                 </span>
+                {!readOnly && !showSamples && (
+                    <button
+                        onClick={() => setPreviewing((p) => !p)}
+                        onMouseDown={stopProp}
+                        aria-pressed={previewing}
+                        title={previewing ? 'Edit the message' : 'Preview the formatted message'}
+                        className="nodrag ml-auto p-0.5 rounded text-white/70 hover:text-white hover:bg-white/15 transition-colors"
+                    >
+                        {previewing ? <Pencil size={12} /> : <Eye size={12} />}
+                    </button>
+                )}
             </div>
 
             {/* ── Body — editable textarea ─────────────────────────────
@@ -132,29 +208,65 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
 
                 4. `bg-transparent` + dark parent bg = the input blends
                    seamlessly into the card body.
+
+                In preview mode the formatted message replaces it, in
+                sample-values mode the same with values substituted, and a
+                revision on display shows its text as it was.
             ───────────────────────────────────────────────────────── */}
             <div className="bg-[#1c1a45] rounded-b-2xl px-3 py-3">
-                <textarea
-                    value={data.label ?? ''}
-                    onChange={handleChange}
-                    onMouseDown={stopProp}   /* ← prevent node-drag on click */
-                    onPointerDown={stopProp} /* ← cover touch / stylus events  */
-                    placeholder="Type your message…"
-                    rows={3}
-                    className="
-                        nodrag
-                        w-full resize-none bg-transparent
-                        text-sm text-slate-200 leading-relaxed placeholder:text-slate-600
-                        focus:outline-none focus:ring-1 focus:ring-brand-500/40 focus:ring-inset
-                        rounded-lg px-1 py-1 transition-colors duration-150 select-text
-                    "
-                    aria-label="Message text"
-                />
-
-                {/* Character counter — helps authors judge message length */}
-                <p className="mt-1 text-[10px] text-slate-600 text-right select-none">
-                    {data.label?.length ?? 0} chars
-                </p>
+                {readOnly || showSamples || previewing ? (
+                    <div
+                        className="min-h-[4.5rem] px-1 py-1 text-sm text-slate-200 leading-relaxed"
+                        title={showSamples && !readOnly ? 'Sample values — switch off under Variables to edit here' : undefined}
+                    >
+                        {data.label?.trim()
+                            ? <MarkdownView text={showSamples ? interpolate(data.label, samples) : data.label} />
+                            : <span className="text-slate-600">Empty message</span>}
+                    </div>
+                ) : (
+                    <VariableTextarea
+                        nodeId={id}
+                        value={data.label ?? ''}
+                        onChange={handleChange}
+                        onMouseDown={stopProp}   /* ← prevent node-drag on click */
+                        onPointerDown={stopProp} /* ← cover touch / stylus events  */
+                        placeholder={language !== languages.default ? `${languageName(language)} text…` : 'Type your message…'}
+                        rows={3}
+                        className="
+                            nodrag
+                            w-full resize-none bg-transparent
+                            text-sm text-slate-200 leading-relaxed placeholder:text-slate-600
+                            focus:outline-none focus:ring-1 focus:ring-brand-500/40 focus:ring-inset
+                            rounded-lg px-1 py-1 transition-colors duration-150 select-text
+                        "
+                        aria-label="Message text"
+                    />
+                )}
+
+                {/* Character counter — against the targeted channels' limit, if any */}
+                <ChannelCounter text={data.label ?? ''} markdown className="mt-1 text-[10px]" />
+
+                {/* Quick-reply buttons — each row owns an outgoing handle */}
+                {buttons.length > 0 && (
+                    <div className="mt-2 flex flex-col gap-1.5">
+                        {buttons.map((button) => (
+                            <div
+                                key={button.id}
+                                className="relative px-3 py-1.5 rounded-lg bg-[#15133a] border border-brand-500/40 text-center"
+                            >
+                                <span className={`block text-xs font-semibold truncate ${button.label.trim() ? 'text-brand-200' : 'text-slate-500'}`}>
+                                    {button.label.trim() || 'Unnamed'}
+                                </span>
+                                <SourceHandle
+                                    id={button.id}
+                                    position={Position.Right}
+                                    style={BUTTON_HANDLE_STYLE}
+                                    title={`Connect the "${button.label || button.id}" button`}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
 
             {/* ── Source handle (OUTGOING) ─────────────────────────────
@@ -163,19 +275,9 @@ export default function CustomTextNode({ id, data, selected, onNodeDataChange })
                 Limit:    ONE outgoing edge enforced by isValidConnection
                           in App.jsx (the handle itself has no restriction).
             ───────────────────────────────────────────────────────── */}
-            <Handle
-                type="source"
-                position={Position.Bottom}
-                id="source"
-                style={{
-                    width: 12,
-                    height: 12,
-                    background: '#34d399',        // emerald — "output" colour
-                    border: '2px solid #0f0f1a',  // dark ring for contrast
-                    bottom: -6,                   // offset to sit on the node edge
-                }}
-                title="Drag to connect to another node (max 1 outgoing)"
-            />
+            {buttons.length > 0
+                ? <SourceHandle title="Any other reply — drag to connect" />
+                : <SourceHandle />}
         </div>
     );
 }
@@ -0,0 +1,103 @@
+/**
+ * @file DelayNode.jsx
+ * @description Custom React Flow node for the "Delay" node type — a pause
+ *   before the bot's next message (utils/delays.js).
+ *
+ * Registered in App.jsx under the key "delayNode".
+ *
+ *   ┌──────────────────────────────┐
+ *   │  ● (purple)   ← target handle
+ *   ├─ DELAY ──────────────────────┤  ← fuchsia gradient header
+ *   │  1.5 s                       │  ← the wait, or "Auto"
+ *   │  ( • • •  typing indicator ) │  ← when the indicator is on
+ *   │  ● (green)    ← source handle
+ *   └──────────────────────────────┘
+ *
+ * The card is read-only; the duration and flags are edited in
+ * SettingsPanel (DelaySettings). An auto delay depends on the message
+ * before it at run time, so the card shows its range instead.
+ *
+ * @param {object}  props
+ * @param {string}  props.id       - Unique node ID, injected by React Flow
+ * @param {object}  props.data     - { duration: number, typing: boolean, auto: boolean }
+ * @param {boolean} props.selected - True when the node is selected on the canvas
+ */
+
+import React from 'react';
+import { Hourglass } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import { AUTO_DELAY, clampDelay, formatDuration } from '../utils/delays.js';
+
+
+/**
+ * Three dots that pulse one after the other, as chat apps show typing.
+ * Also used by the Preview panel.
+ *
+ * @param {object} props
+ * @param {string} [props.className] - Colour and spacing
+ */
+export function TypingDots({ className = '' }) {
+    return (
+        <span className={`inline-flex items-center gap-1 ${className}`} aria-label="typing">
+            {[0, 150, 300].map((delay) => (
+                <span
+                    key={delay}
+                    className="w-1.5 h-1.5 rounded-full bg-current animate-bounce"
+                    style={{ animationDelay: `${delay}ms` }}
+                />
+            ))}
+        </span>
+    );
+}
+
+
+export default function DelayNode({ id, data, selected }) {
+    return (
+        <div
+            className={`
+                relative w-48 rounded-2xl overflow-visible shadow-node
+                transition-all duration-200 select-none
+                ${selected
+                    ? 'ring-2 ring-fuchsia-400 shadow-[0_0_0_6px_rgba(232,121,249,0.20)]'
+                    : 'ring-1 ring-[#2d2b55] hover:ring-fuchsia-700'
+                }
+            `}
+        >
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+
+            {/* ── Header ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-fuchsia-700 to-fuchsia-500 rounded-t-2xl">
+                <Hourglass size={13} className="text-white/80 flex-shrink-0" />
+                <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                    Delay
+                </span>
+            </div>
+
+            {/* ── Body — how long, and whether the bot "types" ──────── */}
+            <div className="bg-[#1c1a45] rounded-b-2xl px-4 py-3 flex flex-col gap-1.5">
+                {data.auto ? (
+                    <>
+                        <p className="text-lg font-semibold text-slate-100 leading-none">Auto</p>
+                        <p className="text-[11px] text-slate-500 leading-snug">
+                            {formatDuration(AUTO_DELAY.min)}–{formatDuration(AUTO_DELAY.max)}, by the last message’s length
+                        </p>
+                    </>
+                ) : (
+                    <p className="text-lg font-semibold text-slate-100 leading-none">
+                        {formatDuration(clampDelay(data.duration))}
+                    </p>
+                )}
+                {data.typing && (
+                    <span className="self-start flex items-center gap-1.5 px-2 py-1 rounded-full bg-[#15133a] border border-fuchsia-500/30 text-[10px] text-fuchsia-200">
+                        <TypingDots className="text-fuchsia-300" />
+                        typing
+                    </span>
+                )}
+            </div>
+
+            <SourceHandle />
+        </div>
+    );
+}
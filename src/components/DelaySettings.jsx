@@ -0,0 +1,104 @@
+/**
+ * @file DelaySettings.jsx
+ * @description SettingsPanel form for "delayNode" nodes.
+ *
+ * Fields
+ * ──────
+ *   Duration         — the wait in milliseconds (0 … MAX_DELAY), typed or
+ *                      picked from a few presets
+ *   Auto             — wait as long as the previous message takes to read
+ *                      instead; the duration is then unused
+ *   Typing indicator — show the bot "typing" while it waits
+ *
+ * See utils/delays.js for how the wait is computed and honoured.
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected delayNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import { AUTO_DELAY, MAX_DELAY, clampDelay, formatDuration } from '../utils/delays.js';
+
+
+/** One-click durations, in milliseconds. */
+const PRESETS = [500, 1000, 2000, 5000];
+
+
+export default function DelaySettings({ node, onDataChange }) {
+    const { duration = 0, typing = false, auto = false } = node.data;
+    const durationRef = useRef(null);
+
+    // Focus the duration when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        durationRef.current?.focus();
+    }, []);
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Duration ─────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="delay-duration-input" className={LABEL_CLASS}>
+                    Duration (ms)
+                </label>
+                <input
+                    id="delay-duration-input"
+                    ref={durationRef}
+                    type="number"
+                    min={0}
+                    max={MAX_DELAY}
+                    step={100}
+                    value={duration}
+                    disabled={auto}
+                    onChange={(e) => onDataChange(node.id, { duration: clampDelay(e.target.value) })}
+                    className={`${INPUT_CLASS} disabled:opacity-40`}
+                />
+                <div className="mt-2 flex flex-wrap items-center gap-1.5">
+                    {PRESETS.map((ms) => (
+                        <button
+                            key={ms}
+                            onClick={() => onDataChange(node.id, { duration: ms })}
+                            disabled={auto}
+                            className={`${SMALL_BUTTON_CLASS} disabled:opacity-40 disabled:pointer-events-none ${!auto && duration === ms ? 'border-fuchsia-500 text-white' : ''}`}
+                        >
+                            {formatDuration(ms)}
+                        </button>
+                    ))}
+                </div>
+                <p className="mt-1.5 text-[11px] text-slate-500">
+                    {auto ? 'Unused while the delay is automatic.' : `Waits ${formatDuration(clampDelay(duration))}; at most ${formatDuration(MAX_DELAY)}.`}
+                </p>
+            </div>
+
+            {/* ── Auto ─────────────────────────────────────────────── */}
+            <label className="flex items-start gap-2 text-xs text-slate-300 cursor-pointer select-none">
+                <input
+                    id="delay-auto-checkbox"
+                    type="checkbox"
+                    checked={auto}
+                    onChange={(e) => onDataChange(node.id, { auto: e.target.checked })}
+                    className="mt-0.5 accent-fuchsia-500"
+                />
+                <span>
+                    Auto — as long as the previous message takes to read
+                    <span className="block mt-0.5 text-[11px] text-slate-500">
+                        {AUTO_DELAY.perChar} ms per character, {formatDuration(AUTO_DELAY.min)} to {formatDuration(AUTO_DELAY.max)}
+                    </span>
+                </span>
+            </label>
+
+            {/* ── Typing indicator ─────────────────────────────────── */}
+            <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer select-none">
+                <input
+                    id="delay-typing-checkbox"
+                    type="checkbox"
+                    checked={typing}
+                    onChange={(e) => onDataChange(node.id, { typing: e.target.checked })}
+                    className="accent-fuchsia-500"
+                />
+                Show typing indicator while waiting
+            </label>
+        </div>
+    );
+}
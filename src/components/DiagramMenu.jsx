@@ -0,0 +1,170 @@
+/**
+ * @file DiagramMenu.jsx
+ * @description Header button that drops down the open flow as diagram
+ *   source, ready to paste into a design doc or wiki.
+ *
+ *   [ Mermaid | Graphviz DOT ]   — format tabs
+ *   ┌──────────────────────────┐
+ *   │ flowchart TD             │ — the generated source (read-only)
+ *   │   n_1("Hello!")  …       │
+ *   └──────────────────────────┘
+ *   [Copy]  [Download .mmd]
+ *
+ * The text is generated from the live graph each time the menu is open
+ * (utils/diagramExport.js), so it never goes stale the way a screenshot of
+ * the canvas does. Unlike the .flow.json export, a flow with problems can
+ * still be drawn — a diagram of a work in progress is useful too.
+ *
+ * @param {object}   props
+ * @param {object[]} props.nodes    — Canvas nodes
+ * @param {object[]} props.edges    — Canvas edges
+ * @param {string}   props.flowName — Diagram title and file-name stem
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Check, Copy, Download, Workflow } from 'lucide-react';
+import { DIAGRAM_FORMATS, exportDiagram } from '../utils/diagramExport.js';
+import { downloadTextFile, slugify } from '../utils/download.js';
+
+
+/** How long the Copy button shows its result. */
+const COPY_FEEDBACK_MS = 1800;
+
+/** Copy / Download buttons at the bottom of the menu. */
+const ACTION_CLASS = `
+    flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-semibold
+    transition-colors duration-150 disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+export default function DiagramMenu({ nodes, edges, flowName }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [format, setFormat] = useState('mermaid');
+
+    /** Result of the last Copy: 'copied' | 'failed' | null. */
+    const [copyState, setCopyState] = useState(null);
+
+    const menuRef = useRef(null);
+
+    // Close on any click outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [isOpen]);
+
+    // Let the copy feedback fade back to "Copy"
+    useEffect(() => {
+        if (!copyState) return undefined;
+        const timer = setTimeout(() => setCopyState(null), COPY_FEEDBACK_MS);
+        return () => clearTimeout(timer);
+    }, [copyState]);
+
+    const source = useMemo(
+        () => (isOpen ? exportDiagram(format, nodes, edges, { title: flowName }) : ''),
+        [isOpen, format, nodes, edges, flowName]
+    );
+
+    const { extension, mime } = DIAGRAM_FORMATS[format];
+    const isEmpty = nodes.length === 0;
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(source);
+            setCopyState('copied');
+        } catch {
+            setCopyState('failed'); // e.g. no permission, or not a secure context
+        }
+    };
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                id="diagram-menu-button"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                title="Copy or download the flow as a Mermaid or Graphviz diagram"
+                className={`
+                    flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                    border transition-colors duration-150 select-none
+                    ${isOpen
+                        ? 'bg-brand-600/20 border-brand-500/50 text-brand-200'
+                        : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                    }
+                `}
+            >
+                <Workflow size={14} />
+                Diagram
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label="Diagram export"
+                    className="absolute right-0 top-full mt-2 z-50 w-[28rem] rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+                >
+                    {/* ── Format tabs ────────────────────────────────────── */}
+                    <div className="flex gap-1 p-2 border-b border-[#2d2b55]" role="tablist">
+                        {Object.entries(DIAGRAM_FORMATS).map(([id, { label }]) => (
+                            <button
+                                key={id}
+                                role="tab"
+                                aria-selected={format === id}
+                                onClick={() => setFormat(id)}
+                                className={`
+                                    px-2.5 py-1 rounded-lg text-xs font-semibold transition-colors
+                                    ${format === id ? 'bg-brand-600 text-white' : 'text-slate-400 hover:text-slate-200 hover:bg-[#2d2b55]'}
+                                `}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* ── Source ─────────────────────────────────────────── */}
+                    {isEmpty ? (
+                        <p className="px-3 py-6 text-xs text-center text-slate-500">
+                            The canvas is empty — add a node to draw a diagram.
+                        </p>
+                    ) : (
+                        <pre
+                            className="m-2 max-h-72 overflow-auto rounded-lg bg-[#0f0f1a] border border-[#2d2b55] p-3 text-[11px] leading-relaxed font-mono text-slate-300 select-text"
+                            aria-label={`${DIAGRAM_FORMATS[format].label} source`}
+                        >
+                            {source}
+                        </pre>
+                    )}
+
+                    {/* ── Actions ────────────────────────────────────────── */}
+                    <div className="flex items-center justify-end gap-2 px-2 pb-2">
+                        {copyState === 'failed' && (
+                            <span className="mr-auto pl-1 text-[11px] text-rose-300">
+                                Copy was blocked — select the text and copy it instead.
+                            </span>
+                        )}
+                        <button
+                            onClick={copy}
+                            disabled={isEmpty}
+                            className={`${ACTION_CLASS} bg-[#1e1b4b] border border-[#2d2b55] text-brand-200 hover:text-white hover:border-brand-500`}
+                        >
+                            {copyState === 'copied' ? <Check size={12} /> : <Copy size={12} />}
+                            {copyState === 'copied' ? 'Copied' : 'Copy'}
+                        </button>
+                        <button
+                            onClick={() => downloadTextFile(`${slugify(flowName)}.${extension}`, source, mime)}
+                            disabled={isEmpty}
+                            className={`${ACTION_CLASS} bg-brand-600 text-white hover:bg-brand-500`}
+                        >
+                            <Download size={12} />
+                            Download .{extension}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,285 @@
+/**
+ * @file FindReplaceBar.jsx
+ * @description Find and replace across node texts, floating at the top
+ *   centre of the canvas (Ctrl+F / ⌘F).
+ *
+ *   [▸] [ acme            ] [Aa] [.*]  2 of 7  [↑] [↓] [✕]
+ *       [ Globex          ] [Replace] [All]     ← shown after ▸
+ *   ─────────────────────────────────────────
+ *   Message   Welcome to «Acme»! We …           ← every hit; click to go
+ *   Question  Is «Acme» your employer?
+ *
+ * Enter / ↓ go to the next hit and Shift+Enter / ↑ to the previous one,
+ * wrapping around; each jump centres and selects the hit's node, then hands
+ * the keyboard back to the search box. In the replace box Enter replaces
+ * the current hit and moves on to the next, Ctrl+Enter replaces them all.
+ * Esc closes the bar.
+ *
+ * The search options live in App, which derives the hits (see
+ * utils/textSearch.js) so it can dim the nodes without one. This component
+ * only owns which hit is the current one. Replacing is App's job too: it
+ * goes through onNodeDataChange like any other edit, so the SettingsPanel
+ * and undo history follow along.
+ *
+ * @param {object}   props
+ * @param {object}   props.search       — { query, replacement, regex, caseSensitive, showReplace }
+ * @param {object}   props.result       — findMatches output, or null for an empty query
+ * @param {object[]} props.nodes        — Canvas nodes, for the hit list
+ * @param {Function} props.onChange     — (patch) => void, merged into search
+ * @param {Function} props.onGoTo       — (hit) => void
+ * @param {Function} props.onReplace    — (hit) => void
+ * @param {Function} props.onReplaceAll — () => void
+ * @param {Function} props.onClose      — () => void
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CaseSensitive, ChevronDown, ChevronRight, ChevronUp, Regex, Search, X } from 'lucide-react';
+import { MAX_HITS } from '../utils/textSearch.js';
+
+
+/** Characters of context shown before a hit in the list. */
+const CONTEXT_BEFORE = 24;
+
+/** Characters shown after the start of a hit in the list. */
+const CONTEXT_AFTER = 48;
+
+/** Hit-list label per node type. */
+const TYPE_NAMES = { textNode: 'Message', questionNode: 'Question', conditionNode: 'Condition' };
+
+/** Small square icon buttons; `on` marks an active option. */
+const iconButtonClass = (on = false) => `
+    w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+    ${on ? 'bg-brand-600/30 text-brand-100' : 'text-slate-400 hover:text-white hover:bg-[#2d2b55]'}
+`;
+
+const INPUT_CLASS = `
+    flex-1 min-w-0 px-2.5 py-1.5 rounded-lg bg-[#1a1740] border border-[#2d2b55] text-xs text-slate-200
+    placeholder:text-slate-600 focus:outline-none focus:border-brand-500
+`;
+
+const TEXT_BUTTON_CLASS = `
+    px-2.5 py-1.5 rounded-lg text-xs font-semibold flex-shrink-0 transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+/**
+ * One hit-list row: the text around the hit, with the hit marked.
+ *
+ * @param {object} props
+ * @param {string} props.label
+ * @param {object} props.hit
+ */
+function HitExcerpt({ label, hit }) {
+    const from = Math.max(0, hit.start - CONTEXT_BEFORE);
+    const to = Math.min(label.length, hit.start + CONTEXT_AFTER);
+    const flat = (text) => text.replace(/\s+/g, ' ');
+    return (
+        <span className="truncate">
+            {from > 0 && '…'}
+            {flat(label.slice(from, hit.start))}
+            <mark className="rounded-sm bg-amber-400/30 text-amber-100">{flat(label.slice(hit.start, Math.min(hit.end, to)))}</mark>
+            {flat(label.slice(Math.min(hit.end, to), to))}
+            {to < label.length && '…'}
+        </span>
+    );
+}
+
+
+export default function FindReplaceBar({ search, result, nodes, onChange, onGoTo, onReplace, onReplaceAll, onClose }) {
+    /** Index of the current hit in result.hits. */
+    const [current, setCurrent] = useState(0);
+
+    const inputRef = useRef(null);
+    const replaceRef = useRef(null);
+    const listRef = useRef(null);
+
+    const hits = result?.hits ?? [];
+    const byId = useMemo(() => new Map(nodes.map((n) => [n.id, n])), [nodes]);
+
+    // A new search starts at its first hit
+    useEffect(() => {
+        setCurrent(0);
+    }, [search.query, search.regex, search.caseSensitive]);
+
+    // Replacing removes hits; stay at the same position, which is now the next one
+    const active = hits.length > 0 ? Math.min(current, hits.length - 1) : -1;
+
+    // Keep the current row in view
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [active]);
+
+    /**
+     * Makes hit `index` current and shows it on the canvas. The node opens
+     * in the SettingsPanel, which focuses its own textarea — so the search
+     * box takes the keyboard back once that has happened.
+     *
+     * @param {number} index
+     */
+    const goTo = (index) => {
+        if (hits.length === 0) return;
+        const next = (index + hits.length) % hits.length;
+        setCurrent(next);
+        onGoTo(hits[next]);
+        requestAnimationFrame(() => inputRef.current?.focus());
+    };
+
+    /** Set by a replace: show the hit that moves into its place once the hits update. */
+    const revealRef = useRef(false);
+
+    const replaceCurrent = () => {
+        if (active < 0) return;
+        revealRef.current = true;
+        onReplace(hits[active]);
+    };
+
+    useEffect(() => {
+        if (!revealRef.current) return;
+        revealRef.current = false;
+        if (active < 0) return;
+        onGoTo(hits[active]);
+        requestAnimationFrame(() => replaceRef.current?.focus());
+    }, [hits]); // ← only re-run when a replace has changed the hits
+
+    const onKeyDown = (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            onClose();
+        } else if (event.key === 'Enter' && event.target === inputRef.current) {
+            event.preventDefault();
+            goTo(event.shiftKey ? active - 1 : active + 1);
+        } else if (event.key === 'Enter' && event.target === replaceRef.current) {
+            event.preventDefault();
+            if (event.ctrlKey || event.metaKey) onReplaceAll();
+            else replaceCurrent();
+        }
+    };
+
+    const count = result?.truncated ? `${MAX_HITS}+` : hits.length;
+
+    return (
+        <div
+            className="absolute top-4 left-1/2 -translate-x-1/2 z-10 w-[28rem] max-w-[calc(100%-2rem)] rounded-xl bg-[#13112b]/95 border border-[#2d2b55] shadow-panel backdrop-blur-sm"
+            role="search"
+            aria-label="Find and replace"
+            onKeyDown={onKeyDown}
+        >
+            {/* ── Find row ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-1 p-1.5">
+                <button
+                    onClick={() => onChange({ showReplace: !search.showReplace })}
+                    title={search.showReplace ? 'Hide replace' : 'Show replace'}
+                    aria-expanded={search.showReplace}
+                    className={iconButtonClass()}
+                >
+                    {search.showReplace ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                </button>
+                <div className="relative flex-1 min-w-0 flex">
+                    <Search size={12} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-500 pointer-events-none" />
+                    <input
+                        ref={inputRef}
+                        id="find-input"
+                        autoFocus
+                        value={search.query}
+                        onChange={(e) => onChange({ query: e.target.value })}
+                        placeholder="Find in node texts"
+                        aria-label="Find"
+                        aria-invalid={!!result?.error}
+                        spellCheck={false}
+                        className={`${INPUT_CLASS} pl-7 ${result?.error ? '!border-rose-500/70' : ''}`}
+                    />
+                </div>
+                <button
+                    onClick={() => onChange({ caseSensitive: !search.caseSensitive })}
+                    title="Match case"
+                    aria-pressed={search.caseSensitive}
+                    className={iconButtonClass(search.caseSensitive)}
+                >
+                    <CaseSensitive size={15} />
+                </button>
+                <button
+                    onClick={() => onChange({ regex: !search.regex })}
+                    title="Use regular expression"
+                    aria-pressed={search.regex}
+                    className={iconButtonClass(search.regex)}
+                >
+                    <Regex size={14} />
+                </button>
+                <span className="w-16 text-center text-[11px] font-mono text-slate-500 flex-shrink-0" aria-live="polite">
+                    {!search.query ? '' : hits.length === 0 ? 'No results' : `${active + 1} of ${count}`}
+                </span>
+                <button onClick={() => goTo(active - 1)} disabled={hits.length === 0} title="Previous (Shift+Enter)" className={iconButtonClass()}>
+                    <ChevronUp size={14} />
+                </button>
+                <button onClick={() => goTo(active + 1)} disabled={hits.length === 0} title="Next (Enter)" className={iconButtonClass()}>
+                    <ChevronDown size={14} />
+                </button>
+                <button onClick={onClose} title="Close (Esc)" aria-label="Close find" className={iconButtonClass()}>
+                    <X size={14} />
+                </button>
+            </div>
+
+            {/* ── Replace row ──────────────────────────────────────────── */}
+            {search.showReplace && (
+                <div className="flex items-center gap-1 px-1.5 pb-1.5 pl-9">
+                    <input
+                        ref={replaceRef}
+                        value={search.replacement}
+                        onChange={(e) => onChange({ replacement: e.target.value })}
+                        placeholder={search.regex ? 'Replace with — $1, $& …' : 'Replace with'}
+                        aria-label="Replace with"
+                        spellCheck={false}
+                        className={INPUT_CLASS}
+                    />
+                    <button
+                        onClick={replaceCurrent}
+                        disabled={active < 0}
+                        title="Replace this hit (Enter)"
+                        className={`${TEXT_BUTTON_CLASS} bg-[#1e1b4b] border border-[#2d2b55] text-brand-200 hover:text-white hover:border-brand-500`}
+                    >
+                        Replace
+                    </button>
+                    <button
+                        onClick={onReplaceAll}
+                        disabled={active < 0}
+                        title="Replace every hit (Ctrl+Enter)"
+                        className={`${TEXT_BUTTON_CLASS} bg-brand-600 text-white hover:bg-brand-500`}
+                    >
+                        All
+                    </button>
+                </div>
+            )}
+
+            {/* ── Regex error / hit list ───────────────────────────────── */}
+            {result?.error && (
+                <p className="px-3 pb-2 text-[11px] text-rose-300">{result.error}</p>
+            )}
+            {hits.length > 0 && (
+                <ul ref={listRef} role="listbox" aria-label="Hits" className="max-h-56 overflow-y-auto border-t border-[#2d2b55] py-1">
+                    {hits.map((hit, i) => {
+                        const node = byId.get(hit.nodeId);
+                        return (
+                            <li
+                                key={`${hit.nodeId}:${hit.start}`}
+                                role="option"
+                                aria-selected={i === active}
+                                onClick={() => goTo(i)}
+                                className={`
+                                    mx-1 flex items-center gap-2 px-2 py-1 rounded-md cursor-pointer text-[11px]
+                                    ${i === active ? 'bg-brand-600/25 text-slate-100' : 'text-slate-400 hover:bg-[#1e1b4b]'}
+                                `}
+                            >
+                                <span className="w-14 flex-shrink-0 text-[10px] uppercase tracking-wide text-slate-500">
+                                    {TYPE_NAMES[node?.type] ?? 'Node'}
+                                </span>
+                                <HitExcerpt label={node?.data.label ?? ''} hit={hit} />
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
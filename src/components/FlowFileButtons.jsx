@@ -0,0 +1,134 @@
+/**
+ * @file FlowFileButtons.jsx
+ * @description Export / Import buttons shown next to SaveButton in the navbar.
+ *
+ * The component owns no flow logic at all — it only turns clicks into
+ * callbacks:
+ *
+ *   Export   → onExport()          App serialises the canvas and downloads it.
+ *   Export ▾ → onExportCsv()       App downloads the messages and questions
+ *                                  as a CSV script (see utils/csvScript.js).
+ *   Import   → hidden <input type=file> → onImport(file)
+ *                                  App reads, migrates and validates a
+ *                                  .flow.json file, or merges a .csv script.
+ *
+ * The file input's value is reset after every pick so choosing the same file
+ * twice in a row (e.g. after fixing it in an editor) still fires onChange.
+ *
+ * @param {object}   props
+ * @param {Function} props.onExport    — () => void
+ * @param {Function} props.onExportCsv — () => void
+ * @param {Function} props.onImport    — (file: File) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronDown, Download, FileSpreadsheet, Upload } from 'lucide-react';
+
+
+/** Shared look for the secondary (non-primary) header buttons. */
+const BUTTON_CLASS = `
+    flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+    bg-[#1e1b4b] border border-[#2d2b55] text-brand-300
+    hover:text-white hover:border-brand-500 transition-colors duration-150 select-none
+`;
+
+
+export default function FlowFileButtons({ onExport, onExportCsv, onImport }) {
+    /** Ref to the hidden file input, clicked programmatically by "Import". */
+    const fileInputRef = useRef(null);
+
+    /** Whether the Export ▾ menu is open. */
+    const [menuOpen, setMenuOpen] = useState(false);
+    const exportRef = useRef(null);
+
+    // Close the menu on any click outside it
+    useEffect(() => {
+        if (!menuOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!exportRef.current?.contains(event.target)) setMenuOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [menuOpen]);
+
+    /**
+     * Forwards the chosen file to App and clears the input.
+     *
+     * @param {React.ChangeEvent<HTMLInputElement>} e
+     */
+    const handleFileChange = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // allow re-selecting the same file
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="flex items-center gap-2">
+            <div ref={exportRef} className="relative flex">
+                <button
+                    onClick={onExport}
+                    id="export-flow-button"
+                    title="Download this flow as a .flow.json file"
+                    className={`${BUTTON_CLASS} rounded-r-none`}
+                >
+                    <Download size={14} />
+                    Export
+                </button>
+                <button
+                    onClick={() => setMenuOpen((open) => !open)}
+                    aria-haspopup="menu"
+                    aria-expanded={menuOpen}
+                    aria-label="More export formats"
+                    className="
+                        flex items-center px-1.5 rounded-r-xl text-brand-300
+                        bg-[#1e1b4b] border border-l-0 border-[#2d2b55]
+                        hover:text-white hover:border-brand-500 transition-colors duration-150
+                    "
+                >
+                    <ChevronDown size={14} />
+                </button>
+
+                {menuOpen && (
+                    <div
+                        role="menu"
+                        className="absolute right-0 top-full mt-2 z-50 w-64 p-1 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel"
+                    >
+                        <button
+                            role="menuitem"
+                            onClick={() => { setMenuOpen(false); onExportCsv(); }}
+                            className="w-full flex items-start gap-2.5 px-2.5 py-2 rounded-lg text-left hover:bg-[#2d2b55] transition-colors"
+                        >
+                            <FileSpreadsheet size={15} className="mt-0.5 text-brand-300 flex-shrink-0" />
+                            <span>
+                                <span className="block text-sm text-slate-200">Message script (.csv)</span>
+                                <span className="block text-[11px] text-slate-500">
+                                    Messages and questions, to edit in a spreadsheet and import back
+                                </span>
+                            </span>
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <button
+                onClick={() => fileInputRef.current?.click()}
+                id="import-flow-button"
+                title="Load a flow from a .flow.json file, or merge a .csv message script"
+                className={BUTTON_CLASS}
+            >
+                <Upload size={14} />
+                Import
+            </button>
+
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json,.csv,text/csv"
+                onChange={handleFileChange}
+                className="hidden"
+                aria-hidden="true"
+                tabIndex={-1}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+/**
+ * @file GroupNode.jsx
+ * @description Custom React Flow node for group containers (utils/groups.js).
+ *
+ * Registered in App.jsx under the key "groupNode". It is drawn in one of
+ * two ways:
+ *
+ *   Expanded — a dashed frame around the members, with a title bar:
+ *
+ *   ┌─ ▾ Onboarding · 4 nodes ─────────── [Ungroup] ┐  ← drag handle
+ *   ┊                                               ┊
+ *   ┊    (the members, drawn by React Flow above)   ┊
+ *   └┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┘
+ *
+ *   Collapsed — one card standing in for the members; the edges between a
+ *   member and the rest of the flow are drawn to and from its handles:
+ *
+ *   ┌──────────────────────────────┐
+ *   │  ●            ← target handle
+ *   ├─ ▸ GROUP ────────────────────┤
+ *   │  Onboarding                  │
+ *   │  4 nodes · 1 problem         │
+ *   │  ●            ← source handle
+ *   └──────────────────────────────┘
+ *
+ * Only the title bar (.group-drag-handle) takes the pointer in an open
+ * frame — the rest lets clicks and drags through to the members and the
+ * pane underneath (see displayGroups). The handles of the collapsed card
+ * cannot start or end a connection: edges belong to the members.
+ *
+ * Collapsing and ungrouping are App's job; the card only reports them.
+ *
+ * @param {object}   props
+ * @param {string}   props.id        - Unique node ID, injected by React Flow
+ * @param {object}   props.data      - { label: string, memberIds: string[], collapsed: boolean }
+ * @param {boolean}  props.selected  - True when the group is selected on the canvas
+ * @param {Function} props.onToggle  - (id) => void; collapses or expands the group
+ * @param {Function} props.onUngroup - (id) => void; removes the group, keeping its members
+ */
+
+import React, { useContext } from 'react';
+import { ChevronDown, ChevronRight, Group, Ungroup } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import { DiagnosticsContext, hasError } from './ProblemBadge.jsx';
+import { ReadOnlyContext } from './HistoryBanner.jsx';
+
+
+/** Small icon buttons in the title bar. */
+const ICON_BUTTON_CLASS = `
+    w-6 h-6 rounded-md flex items-center justify-center flex-shrink-0
+    text-teal-200/70 hover:text-white hover:bg-white/10 transition-colors
+`;
+
+
+export default function GroupNode({ id, data, selected, onToggle, onUngroup }) {
+    const readOnly = useContext(ReadOnlyContext);
+    const { byNode } = useContext(DiagnosticsContext);
+
+    const memberCount = data.memberIds.length;
+    const problems = data.memberIds.flatMap((memberId) => byNode.get(memberId) ?? []);
+    const Toggle = data.collapsed ? ChevronRight : ChevronDown;
+
+    const toggleButton = !readOnly && (
+        <button
+            onClick={(e) => { e.stopPropagation(); onToggle(id); }}
+            title={data.collapsed ? 'Expand group' : 'Collapse group'}
+            aria-label={data.collapsed ? 'Expand group' : 'Collapse group'}
+            aria-expanded={!data.collapsed}
+            className={`nodrag ${ICON_BUTTON_CLASS}`}
+        >
+            <Toggle size={14} />
+        </button>
+    );
+
+    if (data.collapsed) {
+        return (
+            <div
+                className={`
+                    relative w-56 rounded-2xl overflow-visible shadow-node
+                    transition-all duration-200 select-none
+                    ${selected
+                        ? 'ring-2 ring-teal-400 shadow-[0_0_0_6px_rgba(45,212,191,0.20)]'
+                        : 'ring-1 ring-[#2d2b55] hover:ring-teal-700'
+                    }
+                `}
+            >
+                <TargetHandle isConnectable={false} title="Edges into the group's nodes" />
+
+                {/* ── Header ─────────────────────────────────────────── */}
+                <div className="group-drag-handle flex items-center gap-1.5 px-2.5 py-2 bg-gradient-to-r from-[#134e4a] to-[#1e1b4b] rounded-t-2xl cursor-grab">
+                    {toggleButton}
+                    <Group size={13} className="text-teal-200/80 flex-shrink-0" />
+                    <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                        Group
+                    </span>
+                </div>
+
+                {/* ── Body — name + what it holds ────────────────────── */}
+                <div className="bg-[#1c1a45] rounded-b-2xl px-4 py-3">
+                    <p className="text-sm text-slate-200 font-medium truncate">{data.label || 'Group'}</p>
+                    <p className="mt-0.5 text-[11px] text-slate-500">
+                        {memberCount} node{memberCount !== 1 ? 's' : ''}
+                        {problems.length > 0 && (
+                            <span className={hasError(problems) ? 'text-rose-300' : 'text-amber-300'}>
+                                {' · '}{problems.length} problem{problems.length !== 1 ? 's' : ''}
+                            </span>
+                        )}
+                    </p>
+                </div>
+
+                <SourceHandle isConnectable={false} title="Edges out of the group's nodes" />
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={`
+                w-full h-full rounded-2xl border-2 border-dashed transition-colors duration-200
+                ${selected ? 'border-teal-400 bg-teal-400/[0.06]' : 'border-[#3d3a7a] bg-[#1e1b4b]/30'}
+            `}
+        >
+            {/* ── Title bar — the only part that takes the pointer ───── */}
+            <div className="group-drag-handle pointer-events-auto flex items-center gap-1.5 px-2 py-1.5 cursor-grab">
+                {toggleButton}
+                <Group size={13} className="text-teal-300/80 flex-shrink-0" />
+                <span className="text-xs font-semibold text-slate-200 truncate">{data.label || 'Group'}</span>
+                <span className="text-[11px] text-slate-500 flex-shrink-0">
+                    · {memberCount} node{memberCount !== 1 ? 's' : ''}
+                </span>
+                {!readOnly && (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); onUngroup(id); }}
+                        title="Ungroup — keep the nodes, remove the frame"
+                        className="nodrag ml-auto flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[11px] text-slate-400 hover:text-white hover:bg-white/10 transition-colors flex-shrink-0"
+                    >
+                        <Ungroup size={12} />
+                        Ungroup
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
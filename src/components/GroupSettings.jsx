@@ -0,0 +1,78 @@
+/**
+ * @file GroupSettings.jsx
+ * @description SettingsPanel form for group containers ("groupNode").
+ *
+ * Fields
+ * ──────
+ *   Name      — shown in the frame's title bar and on the collapsed card.
+ *   Collapsed — draws the group as a single card instead of its members.
+ *
+ * Below them the members are listed; which nodes a group holds is changed
+ * on the canvas (Group selection / Ungroup), not here. Every edit goes
+ * through onDataChange(id, patch) like the other per-type forms.
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected groupNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { INPUT_CLASS, LABEL_CLASS } from './formStyles.js';
+
+
+export default function GroupSettings({ node, onDataChange }) {
+    const { label = '', memberIds = [], collapsed = false } = node.data;
+
+    const nameInputRef = useRef(null);
+
+    // Focus the first field when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        nameInputRef.current?.focus();
+    }, []);
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Name ─────────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="group-name-input" className={LABEL_CLASS}>
+                    Group Name
+                </label>
+                <input
+                    id="group-name-input"
+                    ref={nameInputRef}
+                    type="text"
+                    value={label}
+                    onChange={(e) => onDataChange(node.id, { label: e.target.value })}
+                    placeholder="e.g. Onboarding"
+                    className={INPUT_CLASS}
+                />
+            </div>
+
+            {/* ── Collapsed ────────────────────────────────────────── */}
+            <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer select-none">
+                <input
+                    type="checkbox"
+                    checked={collapsed}
+                    onChange={(e) => onDataChange(node.id, { collapsed: e.target.checked })}
+                    className="accent-teal-500"
+                />
+                Collapse to a single card
+            </label>
+
+            {/* ── Members ──────────────────────────────────────────── */}
+            <div>
+                <p className={LABEL_CLASS}>Holds {memberIds.length} nodes</p>
+                <div className="flex flex-wrap gap-1">
+                    {memberIds.map((id) => (
+                        <span
+                            key={id}
+                            className="text-[11px] font-mono px-1.5 py-0.5 rounded-md bg-[#1a1740] text-slate-400 border border-[#2d2b55]"
+                        >
+                            #{id}
+                        </span>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
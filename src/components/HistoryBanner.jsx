@@ -0,0 +1,97 @@
+/**
+ * @file HistoryBanner.jsx
+ * @description Canvas overlay shown while the canvas displays a past
+ *   revision instead of the live flow (see HistoryPanel).
+ *
+ *   Viewing    — "Revision by Ada, 3 May 14:02 — read-only"  [Restore] [✕]
+ *   Comparing  — "Older → Newer"  ● added ● removed ● changed  [✕]
+ *
+ * While it is up the canvas cannot be edited. ReadOnlyContext tells the
+ * node and edge components so, so they drop their inline editors and
+ * "remove" hints; App disables dragging, connecting and the shortcuts.
+ *
+ * @param {object}   props
+ * @param {object}   props.view      — App's historyView: { mode: 'view', entry } or
+ *                                     { mode: 'compare', from: { entry }, to: { entry } }
+ * @param {Function} props.onRestore — () => void; restores the viewed revision
+ * @param {Function} props.onClose   — () => void; returns to the live flow
+ */
+
+import React, { createContext } from 'react';
+import { Eye, GitCompare, RotateCcw, X } from 'lucide-react';
+
+
+/** True while the canvas shows a revision rather than the editable flow. */
+export const ReadOnlyContext = createContext(false);
+
+/** Legend entries of the comparison colours (see index.css). */
+const DIFF_LEGEND = [
+    { label: 'Added', className: 'bg-emerald-400' },
+    { label: 'Removed', className: 'bg-rose-500' },
+    { label: 'Changed', className: 'bg-amber-400' },
+];
+
+/**
+ * Short description of a revision list entry.
+ *
+ * @param {object} entry - A revision summary (see revisions.js), or the
+ *                         "current canvas" pseudo-entry.
+ * @returns {string}
+ */
+export const describeRevision = (entry) =>
+    entry.id === 'canvas'
+        ? 'Current canvas'
+        : `${entry.message ? `“${entry.message}”` : 'Revision'} by ${entry.author}, ${new Date(entry.savedAt).toLocaleString()}`;
+
+
+export default function HistoryBanner({ view, onRestore, onClose }) {
+    const comparing = view.mode === 'compare';
+
+    return (
+        <div
+            className="absolute top-4 left-1/2 -translate-x-1/2 z-10 max-w-[90%] flex items-center gap-3 pl-3 pr-1.5 py-1.5 rounded-xl bg-[#13112b]/95 border border-brand-500/50 shadow-panel backdrop-blur-sm text-xs text-slate-300"
+            role="status"
+        >
+            {comparing ? (
+                <>
+                    <GitCompare size={14} className="text-brand-300 flex-shrink-0" />
+                    <span className="truncate">
+                        <span className="text-slate-400">{describeRevision(view.from.entry)}</span>
+                        <span className="mx-1.5 text-slate-600">→</span>
+                        <span className="text-slate-200">{describeRevision(view.to.entry)}</span>
+                    </span>
+                    <span className="flex items-center gap-2 flex-shrink-0">
+                        {DIFF_LEGEND.map(({ label, className }) => (
+                            <span key={label} className="flex items-center gap-1 text-[11px] text-slate-400">
+                                <span className={`w-2 h-2 rounded-full ${className}`} />
+                                {label}
+                            </span>
+                        ))}
+                    </span>
+                </>
+            ) : (
+                <>
+                    <Eye size={14} className="text-brand-300 flex-shrink-0" />
+                    <span className="truncate">
+                        {describeRevision(view.entry)} <span className="text-slate-500">— read-only</span>
+                    </span>
+                    <button
+                        onClick={onRestore}
+                        className="flex-shrink-0 flex items-center gap-1 px-2 py-1 rounded-lg font-semibold text-white bg-brand-600 hover:bg-brand-500 transition-colors"
+                    >
+                        <RotateCcw size={12} />
+                        Restore
+                    </button>
+                </>
+            )}
+            <button
+                onClick={onClose}
+                title="Back to the live flow"
+                aria-label="Close revision"
+                className="flex-shrink-0 w-6 h-6 rounded-md flex items-center justify-center text-slate-500 hover:text-slate-200 hover:bg-[#2d2b55] transition-colors"
+            >
+                <X size={14} />
+            </button>
+        </div>
+    );
+}
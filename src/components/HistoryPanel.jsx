@@ -0,0 +1,278 @@
+/**
+ * @file HistoryPanel.jsx
+ * @description Right-side panel listing the open flow's revisions — one per
+ *   successful save — with what can be done with them.
+ *
+ * Behaviour overview
+ * ──────────────────
+ * • Each revision shows its message, author, time and size, with:
+ *     View     → the canvas shows that revision, read-only
+ *     Restore  → the revision replaces the canvas (one undo step; it is
+ *                saved as a new revision only when you save)
+ * • Ticking two revisions — or one revision and "Current canvas" — and
+ *   pressing Compare colours the canvas (added green, removed red,
+ *   changed amber) and turns this panel into a side-by-side diff of every
+ *   text that changed, word by word, so bot copy can be reviewed.
+ *
+ * App owns the revision list, the loading, and what the canvas shows; the
+ * panel only holds which boxes are ticked.
+ *
+ * Like PreviewPanel, the aside is always in the DOM and slides via width.
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen     — Shows / hides the panel
+ * @param {object}   props.revisions  — { status: 'loading'|'ready'|'error', items, error }
+ * @param {object}   props.view       — App's historyView, or null
+ * @param {Function} props.onView     — (entry) => void
+ * @param {Function} props.onRestore  — (entry) => void
+ * @param {Function} props.onCompare  — (idA, idB) => void; 'canvas' is the live flow
+ * @param {Function} props.onExitView — () => void; back to the live flow
+ * @param {Function} props.onRefresh  — () => void
+ * @param {Function} props.onClose    — () => void
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Eye, GitCompare, History, RefreshCw, RotateCcw, X } from 'lucide-react';
+import { describeRevision } from './HistoryBanner.jsx';
+import { diffWords } from '../utils/revisions.js';
+
+
+/** Icon buttons in the panel header and on each row. */
+const ICON_BUTTON_CLASS = `
+    w-7 h-7 rounded-lg flex items-center justify-center text-slate-500
+    hover:text-slate-200 hover:bg-[#2d2b55] transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+/** Badge colour per node status in the comparison. */
+const STATUS_BADGE = {
+    added: 'bg-emerald-500/20 text-emerald-300 border-emerald-500/40',
+    removed: 'bg-rose-500/20 text-rose-300 border-rose-500/40',
+    changed: 'bg-amber-500/20 text-amber-300 border-amber-500/40',
+};
+
+/** The live canvas as a pseudo-revision, offered for comparison only. */
+const CANVAS_ENTRY = { id: 'canvas' };
+
+
+/**
+ * One side of a changed text, with the other side's differences marked.
+ *
+ * @param {object} props
+ * @param {object[]} props.parts - diffWords() output.
+ * @param {'before'|'after'} props.side
+ */
+function DiffText({ parts, side }) {
+    const hidden = side === 'before' ? 'added' : 'removed';
+    const shown = parts.filter((p) => p.type !== hidden);
+    if (shown.length === 0) return <span className="italic text-slate-600">—</span>;
+    return shown.map((part, i) => (
+        <span
+            key={i}
+            className={
+                part.type === 'removed' ? 'bg-rose-500/25 text-rose-200 line-through decoration-rose-400/70'
+                    : part.type === 'added' ? 'bg-emerald-500/25 text-emerald-200'
+                        : undefined
+            }
+        >
+            {part.text}
+        </span>
+    ));
+}
+
+
+/**
+ * The side-by-side text diff of a comparison.
+ *
+ * @param {object} props
+ * @param {object} props.view - { from, to, diff } (see App's historyView).
+ */
+function TextDiff({ view }) {
+    const { texts } = view.diff;
+    const counts = ['added', 'removed', 'changed'].map((status) => [status, texts.filter((t) => t.status === status).length]);
+
+    return (
+        <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3">
+            <p className="flex flex-wrap gap-1.5">
+                {counts.map(([status, count]) => (
+                    <span key={status} className={`px-1.5 py-0.5 rounded-md border text-[11px] ${STATUS_BADGE[status]}`}>
+                        {count} {status}
+                    </span>
+                ))}
+            </p>
+
+            {texts.length === 0 && (
+                <p className="text-xs text-slate-500">No node was added, removed or changed.</p>
+            )}
+
+            {texts.map(({ nodeId, type, status, fields }) => (
+                <section key={nodeId} className="rounded-xl bg-[#15133a] border border-[#2d2b55] overflow-hidden">
+                    <header className="flex items-center gap-2 px-3 py-1.5 border-b border-[#2d2b55] text-[11px]">
+                        <span className="font-mono text-slate-300">#{nodeId}</span>
+                        <span className="font-mono text-slate-500">{type}</span>
+                        <span className={`ml-auto px-1.5 rounded-md border ${STATUS_BADGE[status]}`}>{status}</span>
+                    </header>
+                    {fields.length === 0 ? (
+                        <p className="px-3 py-2 text-[11px] text-slate-500">Only its settings changed.</p>
+                    ) : fields.map((field) => {
+                        const parts = diffWords(field.before, field.after);
+                        return (
+                            <div key={field.key} className="px-3 py-2 border-t border-[#2d2b55]/60 first:border-t-0">
+                                <p className="mb-1 text-[10px] font-semibold uppercase tracking-widest text-slate-600">{field.label}</p>
+                                <div className="grid grid-cols-2 gap-2 text-xs leading-relaxed whitespace-pre-wrap break-words">
+                                    <div className="rounded-lg bg-[#0f0f1a]/60 px-2 py-1.5 text-slate-400">
+                                        <DiffText parts={parts} side="before" />
+                                    </div>
+                                    <div className="rounded-lg bg-[#0f0f1a]/60 px-2 py-1.5 text-slate-200">
+                                        <DiffText parts={parts} side="after" />
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </section>
+            ))}
+        </div>
+    );
+}
+
+
+export default function HistoryPanel({ isOpen, revisions, view, onView, onRestore, onCompare, onExitView, onRefresh, onClose }) {
+    /** Ids ticked for comparison, in the order they were ticked (max two). */
+    const [picked, setPicked] = useState([]);
+
+    // Ticks refer to one flow's list; start over whenever it reloads
+    useEffect(() => setPicked([]), [revisions.items]);
+
+    const togglePick = (id) =>
+        setPicked((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id].slice(-2)));
+
+    const comparing = view?.mode === 'compare';
+    const viewedId = view?.mode === 'view' ? view.entry.id : null;
+
+    /** A row of the list: a tick box, the description, and its actions. */
+    const renderRow = (entry, actions) => (
+        <li
+            key={entry.id}
+            className={`flex items-start gap-2.5 px-4 py-2.5 border-b border-[#2d2b55]/60 ${viewedId === entry.id ? 'bg-brand-600/15' : ''}`}
+        >
+            <input
+                type="checkbox"
+                checked={picked.includes(entry.id)}
+                onChange={() => togglePick(entry.id)}
+                aria-label={`Compare ${entry.id === 'canvas' ? 'the current canvas' : describeRevision(entry)}`}
+                className="mt-1 accent-brand-500"
+            />
+            <div className="flex-1 min-w-0">
+                {entry.id === 'canvas' ? (
+                    <>
+                        <p className="text-xs font-semibold text-slate-200">Current canvas</p>
+                        <p className="text-[11px] text-slate-500">Including unsaved changes</p>
+                    </>
+                ) : (
+                    <>
+                        <p className={`text-xs truncate ${entry.message ? 'font-semibold text-slate-200' : 'italic text-slate-500'}`}>
+                            {entry.message || 'No message'}
+                        </p>
+                        <p className="text-[11px] text-slate-500 truncate">
+                            {entry.author} · {new Date(entry.savedAt).toLocaleString()}
+                        </p>
+                        <p className="text-[10px] font-mono text-slate-600">
+                            {entry.nodeCount} node{entry.nodeCount !== 1 ? 's' : ''} · {entry.edgeCount} edge{entry.edgeCount !== 1 ? 's' : ''}
+                        </p>
+                    </>
+                )}
+            </div>
+            {actions}
+        </li>
+    );
+
+    return (
+        <aside
+            className={`
+                flex-shrink-0 bg-[#13112b] border-l border-[#2d2b55]
+                flex flex-col overflow-hidden
+                transition-[width,opacity] duration-300 ease-in-out
+                ${isOpen ? `${comparing ? 'w-[30rem]' : 'w-80'} opacity-100` : 'w-0 opacity-0 pointer-events-none'}
+            `}
+            aria-label="Revision history panel"
+        >
+            {isOpen && (
+                <>
+                    {/* ── Header ─────────────────────────────────────────── */}
+                    <div className="flex items-center justify-between px-4 py-3.5 border-b border-[#2d2b55] flex-shrink-0">
+                        <div className="flex items-center gap-2">
+                            <div className="w-7 h-7 rounded-lg bg-gradient-to-br from-brand-500 to-brand-700 flex items-center justify-center flex-shrink-0">
+                                <History size={13} className="text-white" />
+                            </div>
+                            <span className="text-sm font-semibold text-slate-200">
+                                {comparing ? 'Changes' : 'History'}
+                            </span>
+                        </div>
+                        <div className="flex items-center gap-0.5">
+                            {comparing ? (
+                                <button onClick={onExitView} title="Back to the list" aria-label="Back to the revision list" className={ICON_BUTTON_CLASS}>
+                                    <ArrowLeft size={14} />
+                                </button>
+                            ) : (
+                                <button onClick={onRefresh} title="Reload the list" aria-label="Reload revisions" className={ICON_BUTTON_CLASS}>
+                                    <RefreshCw size={14} />
+                                </button>
+                            )}
+                            <button onClick={onClose} id="history-close" aria-label="Close history" className={ICON_BUTTON_CLASS}>
+                                <X size={15} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {comparing ? (
+                        <TextDiff view={view} />
+                    ) : (
+                        <>
+                            {/* ── Compare bar ────────────────────────────────── */}
+                            <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-[#2d2b55] flex-shrink-0">
+                                <span className="text-[11px] text-slate-500">
+                                    {picked.length === 2 ? 'Ready to compare' : `Tick ${2 - picked.length} more to compare`}
+                                </span>
+                                <button
+                                    onClick={() => onCompare(picked[0], picked[1])}
+                                    disabled={picked.length !== 2}
+                                    className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-semibold text-white bg-brand-600 hover:bg-brand-500 disabled:opacity-30 disabled:pointer-events-none transition-colors"
+                                >
+                                    <GitCompare size={12} />
+                                    Compare
+                                </button>
+                            </div>
+
+                            {/* ── Revisions ──────────────────────────────────── */}
+                            <ul className="flex-1 overflow-y-auto">
+                                {renderRow(CANVAS_ENTRY, null)}
+                                {revisions.status === 'loading' && (
+                                    <li className="px-4 py-3 text-xs text-slate-500">Loading revisions…</li>
+                                )}
+                                {revisions.status === 'error' && (
+                                    <li className="px-4 py-3 text-xs text-rose-300">{revisions.error}</li>
+                                )}
+                                {revisions.status === 'ready' && revisions.items.length === 0 && (
+                                    <li className="px-4 py-3 text-xs text-slate-500">
+                                        No revisions yet — each successful save records one.
+                                    </li>
+                                )}
+                                {revisions.items.map((entry) => renderRow(entry, (
+                                    <div className="flex items-center gap-0.5 flex-shrink-0">
+                                        <button onClick={() => onView(entry)} title="View read-only" aria-label="View revision" className={ICON_BUTTON_CLASS}>
+                                            <Eye size={14} />
+                                        </button>
+                                        <button onClick={() => onRestore(entry)} title="Restore onto the canvas" aria-label="Restore revision" className={ICON_BUTTON_CLASS}>
+                                            <RotateCcw size={14} />
+                                        </button>
+                                    </div>
+                                )))}
+                            </ul>
+                        </>
+                    )}
+                </>
+            )}
+        </aside>
+    );
+}
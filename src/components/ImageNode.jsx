@@ -0,0 +1,100 @@
+/**
+ * @file ImageNode.jsx
+ * @description Custom React Flow node for the "Send Image" node type.
+ *
+ * Registered in App.jsx under the key "imageNode". Unlike CustomTextNode the
+ * card is read-only: an image needs a URL or an upload, alt text and a
+ * caption, which are edited in SettingsPanel (ImageSettings) where there is
+ * room for a proper form. The card is outlined red while its caption is
+ * over a limit of the channels the flow targets.
+ *
+ * Structure
+ * ─────────
+ *   ┌──────────────────────────────┐
+ *   │  ● (purple)   ← target handle
+ *   ├─ SEND IMAGE ─────────────────┤  ← sky-blue gradient header
+ *   │  [ thumbnail / placeholder ] │  ← <img> or "No image yet" hint
+ *   │  caption text (optional)     │
+ *   │  ● (green)    ← source handle
+ *   └──────────────────────────────┘
+ *
+ * @param {object}  props
+ * @param {string}  props.id       - Unique node ID, injected by React Flow
+ * @param {object}  props.data     - Node data: { url: string, alt: string, caption: string }
+ *                                   `url` is an http(s) URL or a data: URL from an upload.
+ * @param {boolean} props.selected - True when the node is selected on the canvas
+ */
+
+import React, { useContext, useState, useEffect } from 'react';
+import { Image as ImageIcon, ImageOff } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import TranslationBadge from './TranslationBadge.jsx';
+import { DiagnosticsContext } from './ProblemBadge.jsx';
+import { overChannelLimit, OVER_LIMIT_RING_CLASS } from './ChannelCounter.jsx';
+
+
+export default function ImageNode({ id, data, selected }) {
+    /** True after the <img> fired onError for the current URL. */
+    const [broken, setBroken] = useState(false);
+
+    // A new URL deserves a fresh attempt — clear the broken flag
+    useEffect(() => setBroken(false), [data.url]);
+
+    const hasImage = !!data.url && !broken;
+    const overLimit = overChannelLimit(useContext(DiagnosticsContext).byNode.get(id));
+
+    return (
+        <div
+            className={`
+                relative w-64 rounded-2xl overflow-visible shadow-node
+                transition-all duration-200 select-none
+                ${overLimit
+                    // Caption over a channel limit (see utils/channels.js)
+                    ? OVER_LIMIT_RING_CLASS
+                    : selected
+                    ? 'ring-2 ring-sky-400 shadow-[0_0_0_6px_rgba(56,189,248,0.20)]'
+                    : 'ring-1 ring-[#2d2b55] hover:ring-sky-700'
+                }
+            `}
+        >
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+            <TranslationBadge nodeId={id} />
+
+            {/* ── Header ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-sky-700 to-sky-500 rounded-t-2xl">
+                <ImageIcon size={13} className="text-white/80 flex-shrink-0" />
+                <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                    Send Image
+                </span>
+            </div>
+
+            {/* ── Body — thumbnail + caption ─────────────────────────── */}
+            <div className="bg-[#1c1a45] rounded-b-2xl px-3 py-3">
+                {hasImage ? (
+                    <img
+                        src={data.url}
+                        alt={data.alt ?? ''}
+                        onError={() => setBroken(true)}
+                        draggable={false} /* don't start a native image drag instead of a node drag */
+                        className="w-full max-h-40 object-cover rounded-lg bg-[#0f0f1a]"
+                    />
+                ) : (
+                    <div className="flex flex-col items-center justify-center gap-1.5 h-24 rounded-lg border border-dashed border-[#3d3a7a] text-slate-500">
+                        {broken ? <ImageOff size={18} className="text-rose-400" /> : <ImageIcon size={18} />}
+                        <span className="text-[11px]">
+                            {broken ? 'Image failed to load' : 'No image yet — set one in the panel'}
+                        </span>
+                    </div>
+                )}
+
+                {data.caption && (
+                    <p className="mt-2 text-xs text-slate-300 leading-snug break-words">{data.caption}</p>
+                )}
+            </div>
+
+            <SourceHandle />
+        </div>
+    );
+}
@@ -0,0 +1,195 @@
+/**
+ * @file ImageSettings.jsx
+ * @description SettingsPanel form for "imageNode" nodes.
+ *
+ * Fields
+ * ──────
+ *   Image source — either a remote http(s) URL typed into the input, or a
+ *                  local file picked with "Upload" and stored inline as a
+ *                  data: URL so the flow stays self-contained.
+ *   Alt text     — read out by screen readers / shown when the image fails.
+ *   Caption      — optional line sent beneath the image, counted against
+ *                  the caption limit of the channels the flow targets.
+ *
+ * Uploads are capped at MAX_UPLOAD_BYTES because the data URL is persisted
+ * with the rest of the flow in localStorage, whose quota is only a few MB.
+ *
+ * Every edit goes through onDataChange(id, patch), which merges `patch`
+ * into node.data in App — the same path as label edits, so undo and
+ * autosave cover image changes too.
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected imageNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Upload, Trash2 } from 'lucide-react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import ChannelCounter from './ChannelCounter.jsx';
+
+
+/** Largest file accepted by the upload button (1 MB). */
+const MAX_UPLOAD_BYTES = 1024 * 1024;
+
+/**
+ * True for URLs an image can actually be fetched from.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isImageUrl(url) {
+    if (url.startsWith('data:image/')) return true;
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+
+export default function ImageSettings({ node, onDataChange }) {
+    const { url = '', alt = '', caption = '' } = node.data;
+
+    const urlInputRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    /** Inline error from the last upload attempt (too big, wrong type, …). */
+    const [uploadError, setUploadError] = useState(null);
+
+    // Focus the first field when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        urlInputRef.current?.focus();
+    }, []);
+
+    const isUpload = url.startsWith('data:');
+    const urlProblem = url && !isImageUrl(url) ? 'Enter a full http:// or https:// image URL.' : null;
+
+    /**
+     * Reads the picked file as a data URL after checking its type and size.
+     *
+     * @param {React.ChangeEvent<HTMLInputElement>} e
+     */
+    const handleFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            setUploadError(`${file.name} is not an image.`);
+            return;
+        }
+        if (file.size > MAX_UPLOAD_BYTES) {
+            setUploadError(`${file.name} is ${(file.size / 1024 / 1024).toFixed(1)} MB — the limit is 1 MB.`);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setUploadError(null);
+            onDataChange(node.id, { url: reader.result });
+        };
+        reader.onerror = () => setUploadError(`Could not read ${file.name}.`);
+        reader.readAsDataURL(file);
+    };
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Image source ─────────────────────────────────────── */}
+            <div>
+                <label htmlFor="image-url-input" className={LABEL_CLASS}>
+                    Image
+                </label>
+                {isUpload ? (
+                    /* Uploaded file — show a summary instead of a huge data URL */
+                    <div className="flex items-center justify-between gap-2 rounded-xl bg-[#1a1740] border border-[#2d2b55] px-3.5 py-2.5">
+                        <span className="text-sm text-slate-300 truncate">
+                            Uploaded image · {Math.round((url.length * 3) / 4 / 1024)} KB
+                        </span>
+                        <button
+                            onClick={() => onDataChange(node.id, { url: '' })}
+                            title="Remove uploaded image"
+                            aria-label="Remove uploaded image"
+                            className="w-7 h-7 rounded-lg flex items-center justify-center text-slate-500 hover:text-rose-300 hover:bg-[#2d2b55] transition-colors flex-shrink-0"
+                        >
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ) : (
+                    <input
+                        id="image-url-input"
+                        ref={urlInputRef}
+                        type="url"
+                        value={url}
+                        onChange={(e) => onDataChange(node.id, { url: e.target.value.trim() })}
+                        placeholder="https://example.com/picture.png"
+                        className={INPUT_CLASS}
+                    />
+                )}
+
+                <div className="mt-2 flex items-center justify-between gap-2">
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className={SMALL_BUTTON_CLASS}
+                    >
+                        <Upload size={12} />
+                        Upload file
+                    </button>
+                    <span className="text-[11px] text-slate-600">max 1 MB</span>
+                </div>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={handleFile}
+                    className="hidden"
+                    aria-hidden="true"
+                    tabIndex={-1}
+                />
+
+                {(urlProblem || uploadError) && (
+                    <p className="mt-1.5 text-[11px] text-rose-400" role="alert">
+                        {uploadError ?? urlProblem}
+                    </p>
+                )}
+            </div>
+
+            {/* ── Alt text ─────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="image-alt-input" className={LABEL_CLASS}>
+                    Alt Text
+                </label>
+                <input
+                    id="image-alt-input"
+                    type="text"
+                    value={alt}
+                    onChange={(e) => onDataChange(node.id, { alt: e.target.value })}
+                    placeholder="Describe the image for screen readers"
+                    className={INPUT_CLASS}
+                />
+                {url && !alt.trim() && (
+                    <p className="mt-1.5 text-[11px] text-amber-400">
+                        Alt text is recommended for accessibility.
+                    </p>
+                )}
+            </div>
+
+            {/* ── Caption ──────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="image-caption-textarea" className={LABEL_CLASS}>
+                    Caption <span className="normal-case tracking-normal text-slate-600 font-normal">(optional)</span>
+                </label>
+                <textarea
+                    id="image-caption-textarea"
+                    value={caption}
+                    onChange={(e) => onDataChange(node.id, { caption: e.target.value })}
+                    rows={3}
+                    placeholder="Shown beneath the image"
+                    className={`${INPUT_CLASS} resize-none leading-relaxed`}
+                />
+                <ChannelCounter text={caption} limitKey="captionLimit" className="mt-1 text-[11px]" />
+            </div>
+        </div>
+    );
+}
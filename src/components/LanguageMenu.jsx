@@ -0,0 +1,306 @@
+/**
+ * @file LanguageMenu.jsx
+ * @description Header button that switches the language the canvas and
+ *   SettingsPanel show and edit, and drops down the flow's languages and
+ *   translation files.
+ *
+ *   Edit in            — one row per language: pick it to edit its text,
+ *                        with how many nodes still miss a translation.
+ *                        Languages other than the default can be removed
+ *                        and new ones added by code ("es", "pt-BR").
+ *   Translation files  — per language, an XLIFF or PO file for the
+ *                        translators; Import reads one back.
+ *
+ * Removing a language only takes it off the list: texts already translated
+ * stay on the nodes and are back if it is added again. The default
+ * language can be changed while it is the only one — after that it is the
+ * text every translation was made from.
+ *
+ * The settings ({ default, list }, see utils/translations.js) are owned by
+ * App and saved with the flow, like the variables; this component owns the
+ * menu's open state, the code being typed and the file format.
+ *
+ * @param {object}   props
+ * @param {object}   props.languages          — { default: string, list: string[] }
+ * @param {string}   props.language           — The language being edited
+ * @param {Map}      props.gaps               — translationGaps() of the graph
+ * @param {object[]} props.nodes              — Canvas nodes, for the exported files
+ * @param {string}   props.flowName           — File-name stem and file title
+ * @param {Function} props.onLanguageChange   — (code) => void
+ * @param {Function} props.onLanguagesChange  — (languages) => void
+ * @param {Function} props.onImport           — (file: File) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, Languages, Plus, Upload, X } from 'lucide-react';
+import {
+    LANGUAGE_NAMES,
+    LANGUAGE_CODE_PATTERN,
+    TRANSLATION_FORMATS,
+    languageName,
+    exportTranslations,
+} from '../utils/translations.js';
+import { downloadTextFile, slugify } from '../utils/download.js';
+
+
+/** Small uppercase section headings. */
+const SECTION_TITLE_CLASS = 'px-3 pt-3 pb-1.5 text-[11px] font-semibold uppercase tracking-widest text-slate-600';
+
+/** File types the Import button offers. */
+const IMPORT_ACCEPT = '.xlf,.xliff,.po,application/xliff+xml,text/x-gettext-translation';
+
+
+export default function LanguageMenu({
+    languages,
+    language,
+    gaps,
+    nodes,
+    flowName,
+    onLanguageChange,
+    onLanguagesChange,
+    onImport,
+}) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [format, setFormat] = useState('xliff');
+
+    /** Code typed into the "add language" box. */
+    const [newCode, setNewCode] = useState('');
+
+    const menuRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Close on any click outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [isOpen]);
+
+    const others = languages.list.filter((code) => code !== languages.default);
+    const translating = language !== languages.default;
+    const missingHere = translating ? gaps.get(language)?.size ?? 0 : 0;
+
+    const trimmed = newCode.trim();
+    const codeError =
+        !trimmed ? null
+            : !LANGUAGE_CODE_PATTERN.test(trimmed) ? 'Use a code such as es, de or pt-BR.'
+                : languages.list.includes(trimmed) ? `${languageName(trimmed)} is already on the list.`
+                    : null;
+
+    const addLanguage = () => {
+        if (!trimmed || codeError) return;
+        onLanguagesChange({ ...languages, list: [...languages.list, trimmed] });
+        onLanguageChange(trimmed);
+        setNewCode('');
+    };
+
+    const removeLanguage = (code) => {
+        onLanguagesChange({ ...languages, list: languages.list.filter((c) => c !== code) });
+        if (code === language) onLanguageChange(languages.default);
+    };
+
+    const download = (code) => {
+        const { extension, mime } = TRANSLATION_FORMATS[format];
+        downloadTextFile(
+            `${slugify(flowName)}.${code}.${extension}`,
+            exportTranslations(format, nodes, { languages, language: code, title: flowName }),
+            mime
+        );
+    };
+
+    const handleFile = (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // picking the same file again must fire onChange too
+        if (file) onImport(file);
+    };
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                id="language-menu-button"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                title={`Editing ${languageName(language)} — languages and translation files`}
+                className={`
+                    flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                    border transition-colors duration-150 select-none
+                    ${isOpen || translating
+                        ? 'bg-sky-600/20 border-sky-500/50 text-sky-200'
+                        : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                    }
+                `}
+            >
+                <Languages size={14} />
+                <span className="font-mono uppercase">{language}</span>
+                {missingHere > 0 && (
+                    <span
+                        className="ml-0.5 px-1.5 rounded-md bg-sky-900/60 text-[11px] font-mono text-sky-200"
+                        title={`${missingHere} node${missingHere !== 1 ? 's' : ''} without ${languageName(language)} text`}
+                    >
+                        {missingHere}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label="Languages"
+                    className="absolute right-0 top-full mt-2 z-50 w-80 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+                >
+                    {/* ── Edit in ────────────────────────────────────────── */}
+                    <p className={SECTION_TITLE_CLASS}>Edit in</p>
+                    <ul className="px-1.5">
+                        {languages.list.map((code) => {
+                            const missing = gaps.get(code)?.size ?? 0;
+                            return (
+                                <li key={code} className="flex items-center gap-1">
+                                    <button
+                                        onClick={() => onLanguageChange(code)}
+                                        aria-pressed={code === language}
+                                        className={`
+                                            flex-1 min-w-0 flex items-center gap-2 px-2 py-1.5 rounded-lg text-left text-xs transition-colors
+                                            ${code === language ? 'bg-sky-600/20 text-sky-100' : 'text-slate-300 hover:bg-[#1e1b4b]'}
+                                        `}
+                                    >
+                                        <span className="w-9 font-mono uppercase text-slate-400">{code}</span>
+                                        <span className="flex-1 truncate">{LANGUAGE_NAMES[code] ?? code}</span>
+                                        {code === languages.default ? (
+                                            <span className="text-[10px] text-slate-500">default</span>
+                                        ) : missing > 0 ? (
+                                            <span className="text-[10px] text-amber-300">{missing} missing</span>
+                                        ) : (
+                                            <span className="text-[10px] text-emerald-400">complete</span>
+                                        )}
+                                    </button>
+                                    {code !== languages.default && (
+                                        <button
+                                            onClick={() => removeLanguage(code)}
+                                            aria-label={`Remove ${languageName(code)}`}
+                                            title="Remove from the flow's languages — translated text is kept"
+                                            className="w-6 h-6 rounded-md flex items-center justify-center text-slate-500 hover:text-rose-300 flex-shrink-0"
+                                        >
+                                            <X size={12} />
+                                        </button>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <div className="px-3 pt-2">
+                        {others.length === 0 && (
+                            <label className="flex items-center gap-2 mb-2 text-xs text-slate-400">
+                                Written in
+                                <select
+                                    value={languages.default}
+                                    onChange={(e) => {
+                                        onLanguagesChange({ default: e.target.value, list: [e.target.value] });
+                                        onLanguageChange(e.target.value);
+                                    }}
+                                    aria-label="Default language"
+                                    className="flex-1 px-2 py-1 rounded-md bg-[#1a1740] border border-[#2d2b55] text-xs text-slate-200 focus:outline-none focus:border-brand-500"
+                                >
+                                    {Object.keys({ [languages.default]: true, ...LANGUAGE_NAMES }).map((code) => (
+                                        <option key={code} value={code}>{languageName(code)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <form
+                            onSubmit={(e) => { e.preventDefault(); addLanguage(); }}
+                            className="flex items-center gap-1.5"
+                        >
+                            <input
+                                value={newCode}
+                                onChange={(e) => setNewCode(e.target.value)}
+                                list="language-code-options"
+                                placeholder="Add a language, e.g. es"
+                                aria-label="New language code"
+                                aria-invalid={!!codeError}
+                                className="flex-1 min-w-0 px-2.5 py-1.5 rounded-lg bg-[#1a1740] border border-[#2d2b55] text-xs font-mono text-slate-200 placeholder:text-slate-600 placeholder:font-sans focus:outline-none focus:border-brand-500"
+                            />
+                            <datalist id="language-code-options">
+                                {Object.keys(LANGUAGE_NAMES)
+                                    .filter((code) => !languages.list.includes(code))
+                                    .map((code) => <option key={code} value={code}>{LANGUAGE_NAMES[code]}</option>)}
+                            </datalist>
+                            <button
+                                type="submit"
+                                disabled={!trimmed || !!codeError}
+                                aria-label="Add language"
+                                className="w-7 h-7 rounded-lg flex items-center justify-center bg-brand-600 text-white hover:bg-brand-500 disabled:opacity-30 disabled:pointer-events-none transition-colors"
+                            >
+                                <Plus size={14} />
+                            </button>
+                        </form>
+                        {codeError && <p className="mt-1 text-[11px] text-rose-300">{codeError}</p>}
+                    </div>
+
+                    {/* ── Translation files ──────────────────────────────── */}
+                    <p className={`${SECTION_TITLE_CLASS} mt-1`}>Translation files</p>
+                    <div className="px-3 pb-3 flex flex-col gap-2">
+                        <div className="flex gap-1" role="tablist" aria-label="File format">
+                            {Object.entries(TRANSLATION_FORMATS).map(([id, { label, extension }]) => (
+                                <button
+                                    key={id}
+                                    role="tab"
+                                    aria-selected={format === id}
+                                    onClick={() => setFormat(id)}
+                                    className={`
+                                        px-2.5 py-1 rounded-lg text-xs font-semibold transition-colors
+                                        ${format === id ? 'bg-[#2d2b55] text-white' : 'text-slate-400 hover:text-slate-200'}
+                                    `}
+                                >
+                                    {label} <span className="font-mono text-[10px] text-slate-500">.{extension}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        {others.length === 0 ? (
+                            <p className="text-xs text-slate-500 leading-snug">
+                                Add a language above to export its file for the translators.
+                            </p>
+                        ) : (
+                            <div className="flex flex-wrap gap-1.5">
+                                {others.map((code) => (
+                                    <button
+                                        key={code}
+                                        onClick={() => download(code)}
+                                        title={`Download the ${languageName(code)} file`}
+                                        className="flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-semibold bg-[#1e1b4b] border border-[#2d2b55] text-slate-300 hover:text-white hover:border-brand-500 transition-colors"
+                                    >
+                                        <Download size={12} />
+                                        <span className="font-mono uppercase">{code}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            id="import-translations-button"
+                            className="self-start flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-semibold text-sky-300 hover:text-white hover:bg-sky-600/20 transition-colors"
+                        >
+                            <Upload size={12} />
+                            Import translations (.xlf, .po)…
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={IMPORT_ACCEPT}
+                            onChange={handleFile}
+                            className="hidden"
+                            aria-hidden="true"
+                            tabIndex={-1}
+                        />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
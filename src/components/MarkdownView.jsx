@@ -0,0 +1,85 @@
+/**
+ * @file MarkdownView.jsx
+ * @description Message text rendered the way web chat shows it: the
+ *   Markdown subset of utils/markdown.js as HTML.
+ *
+ * Used wherever a message is shown rather than edited — the node's preview
+ * mode, the Settings panel's "Web chat" preview and the Preview panel's
+ * bubbles. Links open in a new tab; a link whose address is not
+ * well-formed is shown struck through with a wavy underline instead, and
+ * cannot be followed.
+ *
+ * Only elements are built — the text is never injected as HTML — so
+ * whatever a message contains cannot run script in the builder.
+ *
+ * @param {object} props
+ * @param {string} props.text        - Message text
+ * @param {string} [props.className] - Classes of the wrapper
+ */
+
+import React from 'react';
+import { parseMarkdown, isValidLinkUrl } from '../utils/markdown.js';
+
+
+/**
+ * React elements for inline nodes.
+ *
+ * @param {object[]} inline
+ * @returns {React.ReactNode[]}
+ */
+function renderInline(inline) {
+    return inline.map((node, i) => {
+        if (node.type === 'text') return node.text;
+        const children = renderInline(node.children);
+        if (node.type === 'bold') return <strong key={i} className="font-semibold text-white">{children}</strong>;
+        if (node.type === 'italic') return <em key={i}>{children}</em>;
+        return isValidLinkUrl(node.url) ? (
+            <a
+                key={i}
+                href={node.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()} // not a node click
+                className="text-sky-300 underline underline-offset-2 hover:text-sky-200"
+            >
+                {children}
+            </a>
+        ) : (
+            <span
+                key={i}
+                title={`"${node.url}" is not a valid web address`}
+                className="text-rose-300 line-through decoration-wavy decoration-rose-400"
+            >
+                {children}
+            </span>
+        );
+    });
+}
+
+
+export default function MarkdownView({ text = '', className = '' }) {
+    return (
+        <div className={`flex flex-col gap-2 break-words ${className}`}>
+            {parseMarkdown(text).map((block, b) => (
+                block.type === 'paragraph' ? (
+                    <p key={b}>
+                        {block.lines.map((line, l) => (
+                            <React.Fragment key={l}>
+                                {l > 0 && <br />}
+                                {renderInline(line)}
+                            </React.Fragment>
+                        ))}
+                    </p>
+                ) : block.ordered ? (
+                    <ol key={b} start={block.start} className="list-decimal pl-5">
+                        {block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}
+                    </ol>
+                ) : (
+                    <ul key={b} className="list-disc pl-5">
+                        {block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}
+                    </ul>
+                )
+            ))}
+        </div>
+    );
+}
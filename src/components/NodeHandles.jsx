@@ -0,0 +1,76 @@
+/**
+ * @file NodeHandles.jsx
+ * @description The connection handles shared by every node type.
+ *
+ * All nodes use the same handle vocabulary so edges look and behave the same
+ * regardless of what the node sends:
+ *
+ *   TargetHandle — top-centre, indigo (#818cf8), id "target".
+ *                  Accepts any number of incoming edges.
+ *   SourceHandle — bottom-centre, emerald (#34d399), id "source" by default.
+ *                  The one-outgoing-edge limit is enforced by
+ *                  isValidConnection in App.jsx, not by the handle itself.
+ *
+ * Both are thin wrappers around React Flow's <Handle>; any extra props
+ * (e.g. `style`, `title`) are forwarded and override the defaults.
+ */
+
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+
+
+/** Size and dark ring common to both handle kinds. */
+const BASE_STYLE = {
+    width: 12,
+    height: 12,
+    border: '2px solid #0f0f1a',  // dark ring separates from background
+};
+
+
+/**
+ * Incoming-edge handle.
+ *
+ * @param {object} props - Forwarded to <Handle>.
+ */
+export function TargetHandle({ style, ...props }) {
+    return (
+        <Handle
+            type="target"
+            position={Position.Top}
+            id="target"
+            title="Connect an incoming edge here"
+            {...props}
+            style={{
+                ...BASE_STYLE,
+                background: '#818cf8',   // indigo — "input" colour
+                top: -6,                 // offset to sit exactly on the node edge
+                ...style,
+            }}
+        />
+    );
+}
+
+
+/**
+ * Outgoing-edge handle.
+ *
+ * @param {object} props - Forwarded to <Handle>; pass `id` for nodes with
+ *                         more than one named output.
+ */
+export function SourceHandle({ style, ...props }) {
+    return (
+        <Handle
+            type="source"
+            position={Position.Bottom}
+            id="source"
+            title="Drag to connect to another node (max 1 outgoing)"
+            {...props}
+            style={{
+                ...BASE_STYLE,
+                background: '#34d399',   // emerald — "output" colour
+                bottom: -6,              // offset to sit on the node edge
+                ...style,
+            }}
+        />
+    );
+}
@@ -0,0 +1,293 @@
+/**
+ * @file PreviewPanel.jsx
+ * @description Right-side chat window that plays the flow like a real user.
+ *
+ * Behaviour overview
+ * ──────────────────
+ * • Opening the panel starts a conversation at the flow's start node using
+ *   the pure stepper in utils/conversation.js — the panel itself holds no
+ *   flow semantics, only the chat UI.
+ * • Bot messages are shown until a Question node — or a message with
+ *   quick-reply buttons — needs a reply; the input box is enabled only
+ *   while one is waiting. Choice questions and quick replies are also
+ *   offered as one-click buttons.
+ * • Every reply pushes a new conversation state onto a local stack:
+ *     Restart   → drops the stack and starts again from the top
+ *     Step Back → pops the last reply, returning to the previous question
+ * • The node the conversation is currently on is reported to App through
+ *   onActiveNodeChange so the canvas can highlight it.
+ *
+ * The current canvas is read on every step, so edits made while the preview
+ * is open take effect from the next reply (or immediately after Restart).
+ * Declared flow variables start with their sample values, so `{{name}}`
+ * placeholders render as they would for a real user. Formatted messages
+ * are shown as web chat renders them (MarkdownView).
+ *
+ * Timing
+ * ──────
+ * Messages a Delay node holds back (`delay` / `typing`, see delays.js) are
+ * revealed one at a time: the panel waits their delay — showing a typing
+ * bubble when asked to — before each, and the reply box and choices only
+ * unlock once everything is shown. Messages already seen, e.g. after Step
+ * Back, are shown at once.
+ *
+ * Like SettingsPanel, the aside is always in the DOM and slides via width.
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen             — Shows / hides the panel
+ * @param {Node[]}   props.nodes              — Current canvas nodes
+ * @param {Edge[]}   props.edges              — Current canvas edges
+ * @param {object}   props.variables          — Flow variable settings { declared, samples }
+ * @param {Function} props.onActiveNodeChange — (nodeId: string|null) => void
+ * @param {Function} props.onClose            — () => void
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { MessageSquare, RotateCcw, StepBack, Send, X } from 'lucide-react';
+import MarkdownView from './MarkdownView.jsx';
+import { TypingDots } from './DelayNode.jsx';
+import { startConversation, sendReply } from '../utils/conversation.js';
+import { declaredSamples } from '../utils/variables.js';
+
+
+/** Icon buttons in the panel header (restart / step back / close). */
+const ICON_BUTTON_CLASS = `
+    w-7 h-7 rounded-lg flex items-center justify-center text-slate-500
+    hover:text-slate-200 hover:bg-[#2d2b55] transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+/**
+ * One transcript entry. Bot bubbles sit left, user bubbles right, and
+ * system notes (branch taken, end of conversation) are centred captions.
+ *
+ * @param {object} props
+ * @param {object} props.message - See the State section of utils/conversation.js.
+ */
+function ChatMessage({ message }) {
+    if (message.from === 'system') {
+        return (
+            <p className="self-center max-w-[90%] text-center text-[11px] text-slate-500 italic">
+                {message.text}
+            </p>
+        );
+    }
+
+    const isUser = message.from === 'user';
+    return (
+        <div
+            className={`
+                max-w-[85%] px-3 py-2 rounded-2xl text-sm leading-relaxed whitespace-pre-wrap break-words
+                ${isUser
+                    ? 'self-end bg-brand-600 text-white rounded-br-md'
+                    : 'self-start bg-[#1e1b4b] border border-[#2d2b55] text-slate-200 rounded-bl-md'
+                }
+            `}
+        >
+            {message.image && (
+                message.image.url
+                    ? <img src={message.image.url} alt={message.image.alt} className="mb-1.5 max-h-40 rounded-lg" />
+                    : <span className="block mb-1 text-xs text-slate-500 italic">[image with no URL]</span>
+            )}
+            {message.markdown ? <MarkdownView text={message.text} /> : message.text}
+        </div>
+    );
+}
+
+
+export default function PreviewPanel({ isOpen, nodes, edges, variables, onActiveNodeChange, onClose }) {
+    /**
+     * Conversation states, oldest first. The last entry is what is shown;
+     * earlier entries are the targets of Step Back.
+     */
+    const [states, setStates] = useState([]);
+
+    /** Text in the reply box. */
+    const [draft, setDraft] = useState('');
+
+    const transcriptRef = useRef(null);
+    const inputRef = useRef(null);
+
+    /** How many of the current messages are on screen; the rest wait their delay. */
+    const [shown, setShown] = useState(0);
+
+    const current = states[states.length - 1] ?? null;
+    const messages = current?.messages ?? [];
+    const revealing = shown < messages.length;
+    const canReply = !!current?.awaitingInput && !revealing;
+
+    /** Starts (or restarts) the conversation against the current canvas. */
+    const restart = useCallback(() => {
+        setStates([startConversation(nodes, edges, { variables: declaredSamples(variables) })]);
+        setShown(0);
+        setDraft('');
+    }, [nodes, edges, variables]);
+
+    // Begin a fresh conversation each time the panel opens; clear it on close.
+    // Only isOpen is a dependency: canvas edits must not restart a running chat.
+    useEffect(() => {
+        if (isOpen) restart();
+        else setStates([]);
+    }, [isOpen]);
+
+    // Keep the canvas highlight on the node the conversation is at
+    const activeNodeId = current?.currentNodeId ?? null;
+    useEffect(() => {
+        onActiveNodeChange(isOpen ? activeNodeId : null);
+    }, [isOpen, activeNodeId, onActiveNodeChange]);
+
+    // Reveal messages: at once up to the next delayed one, which waits its delay
+    useEffect(() => {
+        if (shown >= messages.length) {
+            if (shown > messages.length) setShown(messages.length); // stepped back
+            return undefined;
+        }
+        const wait = messages[shown].delay ?? 0;
+        if (wait <= 0) {
+            const nextDelayed = messages.findIndex((m, i) => i > shown && m.delay > 0);
+            setShown(nextDelayed === -1 ? messages.length : nextDelayed);
+            return undefined;
+        }
+        const timer = setTimeout(() => setShown(shown + 1), wait);
+        return () => clearTimeout(timer);
+    }, [shown, messages]);
+
+    // Scroll to the newest message and focus the reply box when input is due
+    useEffect(() => {
+        const el = transcriptRef.current;
+        if (el) el.scrollTop = el.scrollHeight;
+        if (canReply) inputRef.current?.focus();
+    }, [current, shown, canReply]);
+
+    /**
+     * Sends `text` as the user's reply.
+     *
+     * @param {string} text
+     */
+    const reply = (text) => {
+        if (!canReply || !text.trim()) return;
+        setStates((prev) => [...prev, sendReply(prev[prev.length - 1], text, nodes, edges)]);
+        setDraft('');
+    };
+
+    /** Undoes the last reply. */
+    const stepBack = () => setStates((prev) => (prev.length > 1 ? prev.slice(0, -1) : prev));
+
+    const choices = canReply ? messages[messages.length - 1]?.choices : null;
+
+    return (
+        <aside
+            className={`
+                flex-shrink-0 bg-[#13112b] border-l border-[#2d2b55]
+                flex flex-col overflow-hidden
+                transition-[width,opacity] duration-300 ease-in-out
+                ${isOpen ? 'w-80 opacity-100' : 'w-0 opacity-0 pointer-events-none'}
+            `}
+            aria-label="Flow preview panel"
+        >
+            {isOpen && current && (
+                <>
+                    {/* ── Header ─────────────────────────────────────────── */}
+                    <div className="flex items-center justify-between px-4 py-3.5 border-b border-[#2d2b55] flex-shrink-0">
+                        <div className="flex items-center gap-2">
+                            <div className="w-7 h-7 rounded-lg bg-gradient-to-br from-emerald-500 to-emerald-700 flex items-center justify-center flex-shrink-0">
+                                <MessageSquare size={13} className="text-white" />
+                            </div>
+                            <span className="text-sm font-semibold text-slate-200">Preview</span>
+                        </div>
+
+                        <div className="flex items-center gap-0.5">
+                            <button
+                                onClick={stepBack}
+                                disabled={states.length <= 1}
+                                id="preview-step-back"
+                                title="Step back — undo your last reply"
+                                aria-label="Step back"
+                                className={ICON_BUTTON_CLASS}
+                            >
+                                <StepBack size={14} />
+                            </button>
+                            <button
+                                onClick={restart}
+                                id="preview-restart"
+                                title="Restart from the start node"
+                                aria-label="Restart conversation"
+                                className={ICON_BUTTON_CLASS}
+                            >
+                                <RotateCcw size={14} />
+                            </button>
+                            <button
+                                onClick={onClose}
+                                id="preview-close"
+                                aria-label="Close preview"
+                                className={ICON_BUTTON_CLASS}
+                            >
+                                <X size={15} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* ── Transcript ─────────────────────────────────────── */}
+                    <div
+                        ref={transcriptRef}
+                        className="flex-1 overflow-y-auto px-4 py-4 flex flex-col gap-2"
+                        aria-live="polite"
+                    >
+                        {messages.slice(0, shown).map((m) => <ChatMessage key={m.id} message={m} />)}
+                        {revealing && messages[shown].typing && (
+                            <div className="self-start px-3 py-2.5 rounded-2xl rounded-bl-md bg-[#1e1b4b] border border-[#2d2b55] text-slate-400">
+                                <TypingDots />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* ── Choice shortcuts ───────────────────────────────── */}
+                    {choices?.length > 0 && (
+                        <div className="px-4 pb-2 flex flex-wrap gap-1.5 flex-shrink-0">
+                            {choices.map((choice) => (
+                                <button
+                                    key={choice}
+                                    onClick={() => reply(choice)}
+                                    className="px-2.5 py-1 rounded-full text-xs bg-rose-900/30 border border-rose-500/30 text-rose-100 hover:bg-rose-500/30 transition-colors"
+                                >
+                                    {choice}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* ── Reply box ──────────────────────────────────────── */}
+                    <form
+                        onSubmit={(e) => { e.preventDefault(); reply(draft); }}
+                        className="flex items-center gap-2 px-4 py-3 border-t border-[#2d2b55] bg-[#0f0f1a]/50 flex-shrink-0"
+                    >
+                        <input
+                            ref={inputRef}
+                            type="text"
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            disabled={!canReply}
+                            placeholder={canReply ? 'Type a reply…' : current.ended && !revealing ? 'Conversation ended' : ''}
+                            aria-label="Reply"
+                            className="
+                                flex-1 min-w-0 px-3 py-2 rounded-xl text-sm
+                                bg-[#1a1740] border border-[#2d2b55] text-slate-200
+                                placeholder-slate-600 outline-none focus:border-brand-500
+                                disabled:opacity-50
+                            "
+                        />
+                        <button
+                            type="submit"
+                            disabled={!canReply || !draft.trim()}
+                            aria-label="Send reply"
+                            className="w-9 h-9 rounded-xl flex items-center justify-center bg-brand-600 text-white hover:bg-brand-500 transition-colors disabled:opacity-30 disabled:pointer-events-none"
+                        >
+                            <Send size={14} />
+                        </button>
+                    </form>
+                </>
+            )}
+        </aside>
+    );
+}
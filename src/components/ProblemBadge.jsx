@@ -0,0 +1,56 @@
+/**
+ * @file ProblemBadge.jsx
+ * @description Warning badge shown on the corner of a node with problems.
+ *
+ * App runs diagnoseFlow (utils/diagnostics.js) on every graph change and
+ * provides the indexed result through DiagnosticsContext. Node and edge
+ * components read it from context rather than from node.data, so the
+ * diagnostics never end up in history, drafts or exported files — and
+ * nodeTypes does not have to be rebuilt when they change.
+ *
+ * The badge is red when any problem on the node is an error, amber when all
+ * are warnings. Hovering shows every message as a tooltip.
+ *
+ * @param {object} props
+ * @param {string} props.nodeId - The node to show problems for
+ */
+
+import React, { createContext, useContext } from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+
+/**
+ * { byNode: Map<nodeId, Diagnostic[]>, byEdge: Map<edgeId, Diagnostic[]> }
+ * — see indexDiagnostics. Defaults to empty maps outside a provider.
+ */
+export const DiagnosticsContext = createContext({ byNode: new Map(), byEdge: new Map() });
+
+/**
+ * Whether a problem list should be drawn as an error (red) or warning (amber).
+ *
+ * @param {object[]} problems
+ * @returns {boolean} True when at least one problem is an error.
+ */
+export const hasError = (problems) => problems.some((p) => p.severity === 'error');
+
+
+export default function ProblemBadge({ nodeId }) {
+    const problems = useContext(DiagnosticsContext).byNode.get(nodeId);
+    if (!problems?.length) return null;
+
+    return (
+        <div
+            className={`
+                absolute -top-2.5 -right-2.5 z-10 min-w-[22px] h-[22px] px-1
+                rounded-full flex items-center justify-center gap-0.5
+                text-[10px] font-bold text-white shadow-node ring-2 ring-[#0f0f1a]
+                ${hasError(problems) ? 'bg-rose-500' : 'bg-amber-500'}
+            `}
+            title={problems.map((p) => `• ${p.message}`).join('\n')}
+            aria-label={`${problems.length} problem${problems.length !== 1 ? 's' : ''}`}
+        >
+            <AlertTriangle size={11} />
+            {problems.length > 1 && problems.length}
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+/**
+ * @file ProblemsPanel.jsx
+ * @description Collapsible list of every diagnostic in the flow, floating in
+ *   the top-left corner of the canvas.
+ *
+ * Collapsed it is a single pill — "No problems" in green, or the error and
+ * warning counts. Expanded it lists each problem (errors first, as returned
+ * by diagnoseFlow); clicking an entry calls onSelect, which App uses to zoom
+ * the canvas to the offending nodes and select them.
+ *
+ * The open state lives in App so a failed save can pop the panel open.
+ *
+ * @param {object}   props
+ * @param {object[]} props.diagnostics — Output of diagnoseFlow
+ * @param {boolean}  props.isOpen      — Expanded or collapsed
+ * @param {Function} props.onToggle    — () => void
+ * @param {Function} props.onSelect    — (diagnostic) => void
+ */
+
+import React from 'react';
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronUp, XCircle } from 'lucide-react';
+
+
+export default function ProblemsPanel({ diagnostics, isOpen, onToggle, onSelect }) {
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const clean = diagnostics.length === 0;
+
+    return (
+        <div
+            className="absolute top-4 left-4 z-10 w-80 max-w-[calc(100%-2rem)] rounded-xl bg-[#13112b]/95 border border-[#2d2b55] shadow-panel backdrop-blur-sm"
+            aria-label="Problems panel"
+        >
+            {/* ── Summary pill / toggle ────────────────────────────────── */}
+            <button
+                onClick={onToggle}
+                disabled={clean}
+                id="problems-panel-toggle"
+                aria-expanded={isOpen && !clean}
+                className="w-full flex items-center gap-2 px-3 py-2 text-xs font-medium text-slate-300 disabled:cursor-default"
+            >
+                {clean ? (
+                    <>
+                        <CheckCircle2 size={14} className="text-emerald-400" />
+                        <span className="text-emerald-300">No problems</span>
+                    </>
+                ) : (
+                    <>
+                        {errors > 0 && (
+                            <span className="flex items-center gap-1 text-rose-300">
+                                <XCircle size={14} />
+                                {errors} error{errors !== 1 ? 's' : ''}
+                            </span>
+                        )}
+                        {warnings > 0 && (
+                            <span className="flex items-center gap-1 text-amber-300">
+                                <AlertTriangle size={14} />
+                                {warnings} warning{warnings !== 1 ? 's' : ''}
+                            </span>
+                        )}
+                        <span className="flex-1" />
+                        {isOpen ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                    </>
+                )}
+            </button>
+
+            {/* ── Problem list ─────────────────────────────────────────── */}
+            {isOpen && !clean && (
+                <ul className="max-h-72 overflow-y-auto border-t border-[#2d2b55] py-1">
+                    {diagnostics.map((d) => {
+                        const Icon = d.severity === 'error' ? XCircle : AlertTriangle;
+                        return (
+                            <li key={d.key}>
+                                <button
+                                    onClick={() => onSelect(d)}
+                                    disabled={d.nodeIds.length === 0}
+                                    title={d.nodeIds.length > 0 ? 'Show on canvas' : undefined}
+                                    className="w-full flex items-start gap-2 px-3 py-1.5 text-left text-xs text-slate-300 leading-snug hover:bg-[#2d2b55]/60 disabled:hover:bg-transparent disabled:cursor-default transition-colors"
+                                >
+                                    <Icon
+                                        size={13}
+                                        className={`mt-px flex-shrink-0 ${d.severity === 'error' ? 'text-rose-400' : 'text-amber-400'}`}
+                                    />
+                                    {d.message}
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,94 @@
+/**
+ * @file QuestionNode.jsx
+ * @description Custom React Flow node for the "Ask Question" node type.
+ *
+ * Registered in App.jsx under the key "questionNode". A question sends its
+ * text, waits for the user's reply, validates it and stores it in a named
+ * variable (see utils/questions.js for the data shape).
+ *
+ *   ┌──────────────────────────────┐
+ *   │  ● (purple)   ← target handle
+ *   ├─ ASK QUESTION ───────────────┤  ← rose gradient header
+ *   │  What is your email?         │  ← question text (data.label)
+ *   │  [→ email]  [Email]          │  ← variable + validation chips
+ *   │  ● (green)    ← source handle (continues once the reply is valid)
+ *   └──────────────────────────────┘
+ *
+ * The card is read-only; all fields are edited in SettingsPanel
+ * (QuestionSettings). It is outlined red while its text or choices are
+ * over a limit of the channels the flow targets.
+ *
+ * @param {object}  props
+ * @param {string}  props.id       - Unique node ID, injected by React Flow
+ * @param {object}  props.data     - questionNode data
+ * @param {boolean} props.selected - True when the node is selected on the canvas
+ */
+
+import React, { useContext } from 'react';
+import { HelpCircle } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import TranslationBadge from './TranslationBadge.jsx';
+import { DiagnosticsContext } from './ProblemBadge.jsx';
+import { overChannelLimit, OVER_LIMIT_RING_CLASS } from './ChannelCounter.jsx';
+import { VALIDATION_TYPES } from '../utils/questions.js';
+
+
+export default function QuestionNode({ id, data, selected }) {
+    const variable = data.variable?.trim();
+    const validation = VALIDATION_TYPES[data.validation]?.label ?? data.validation;
+    const overLimit = overChannelLimit(useContext(DiagnosticsContext).byNode.get(id));
+
+    return (
+        <div
+            className={`
+                relative w-64 rounded-2xl overflow-visible shadow-node
+                transition-all duration-200 select-none
+                ${overLimit
+                    // Over a channel limit (see utils/channels.js): red whether selected or not
+                    ? OVER_LIMIT_RING_CLASS
+                    : selected
+                    ? 'ring-2 ring-rose-400 shadow-[0_0_0_6px_rgba(244,63,94,0.20)]'
+                    : 'ring-1 ring-[#2d2b55] hover:ring-rose-700'
+                }
+            `}
+        >
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+            <TranslationBadge nodeId={id} />
+
+            {/* ── Header ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-rose-700 to-rose-500 rounded-t-2xl">
+                <HelpCircle size={13} className="text-white/80 flex-shrink-0" />
+                <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                    Ask Question
+                </span>
+            </div>
+
+            {/* ── Body — question text + chips ───────────────────────── */}
+            <div className="bg-[#1c1a45] rounded-b-2xl px-3 py-3">
+                <p className={`text-sm leading-relaxed break-words ${data.label ? 'text-slate-200' : 'text-slate-600 italic'}`}>
+                    {data.label || 'No question text yet'}
+                </p>
+
+                <div className="mt-2 flex flex-wrap items-center gap-1.5 text-[10px] font-mono">
+                    <span
+                        className={`px-1.5 py-0.5 rounded-md border ${variable
+                            ? 'bg-rose-900/30 border-rose-500/30 text-rose-200'
+                            : 'bg-amber-900/30 border-amber-500/40 text-amber-300'
+                        }`}
+                        title={variable ? `Reply is stored in "${variable}"` : 'No variable — the reply is discarded'}
+                    >
+                        → {variable || 'no variable'}
+                    </span>
+                    <span className="px-1.5 py-0.5 rounded-md bg-[#15133a] border border-[#2d2b55] text-slate-400">
+                        {validation}
+                        {data.validation === 'choice' && ` (${data.choices?.length ?? 0})`}
+                    </span>
+                </div>
+            </div>
+
+            <SourceHandle />
+        </div>
+    );
+}
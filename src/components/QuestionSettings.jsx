@@ -0,0 +1,184 @@
+/**
+ * @file QuestionSettings.jsx
+ * @description SettingsPanel form for "questionNode" nodes.
+ *
+ * Fields
+ * ──────
+ *   Question      — the text sent to the user (data.label)
+ *   Save reply as — variable name the valid reply is stored in
+ *   Validation    — one of VALIDATION_TYPES in utils/questions.js
+ *   Choices       — allowed replies, only shown for the "choice" type
+ *   Retry message — sent when a reply fails validation, before asking again
+ *
+ * The question and retry message have character counters measured against
+ * the channels the flow targets (ChannelCounter).
+ *
+ * Switching the validation type also swaps the retry message — but only if
+ * the author never customised it (i.e. it still equals the old default).
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected questionNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import ChannelCounter from './ChannelCounter.jsx';
+import { VALIDATION_TYPES, VARIABLE_NAME_PATTERN } from '../utils/questions.js';
+
+
+export default function QuestionSettings({ node, onDataChange }) {
+    const { label = '', variable = '', validation = 'text', choices = [], retryMessage = '' } = node.data;
+    const questionRef = useRef(null);
+
+    /** Text of the "new choice" input before it is added to the list. */
+    const [draftChoice, setDraftChoice] = useState('');
+
+    // Focus the question text when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        questionRef.current?.focus();
+    }, []);
+
+    const variableProblem = variable && !VARIABLE_NAME_PATTERN.test(variable)
+        ? 'Use letters, digits and _ only, not starting with a digit.'
+        : null;
+
+    /** Changes the validation type, refreshing an untouched retry message. */
+    const changeValidation = (next) => {
+        const patch = { validation: next };
+        if (!retryMessage || retryMessage === VALIDATION_TYPES[validation]?.retry) {
+            patch.retryMessage = VALIDATION_TYPES[next].retry;
+        }
+        onDataChange(node.id, patch);
+    };
+
+    /** Appends the drafted choice, ignoring blanks and case-insensitive duplicates. */
+    const addChoice = () => {
+        const value = draftChoice.trim();
+        if (!value || choices.some((c) => c.toLowerCase() === value.toLowerCase())) return;
+        onDataChange(node.id, { choices: [...choices, value] });
+        setDraftChoice('');
+    };
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Question text ────────────────────────────────────── */}
+            <div>
+                <label htmlFor="question-text-textarea" className={LABEL_CLASS}>
+                    Question
+                </label>
+                <textarea
+                    id="question-text-textarea"
+                    ref={questionRef}
+                    value={label}
+                    onChange={(e) => onDataChange(node.id, { label: e.target.value })}
+                    rows={3}
+                    placeholder="What would you like to ask?"
+                    className={`${INPUT_CLASS} resize-none leading-relaxed`}
+                />
+                <ChannelCounter text={label} className="mt-1 text-[11px]" />
+            </div>
+
+            {/* ── Variable ─────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="question-variable-input" className={LABEL_CLASS}>
+                    Save Reply As
+                </label>
+                <input
+                    id="question-variable-input"
+                    type="text"
+                    value={variable}
+                    onChange={(e) => onDataChange(node.id, { variable: e.target.value.trim() })}
+                    placeholder="variable name, e.g. email"
+                    className={`${INPUT_CLASS} font-mono`}
+                    spellCheck={false}
+                />
+                {variableProblem && (
+                    <p className="mt-1.5 text-[11px] text-rose-400" role="alert">{variableProblem}</p>
+                )}
+                {!variable && (
+                    <p className="mt-1.5 text-[11px] text-amber-400">
+                        Without a variable the reply is discarded.
+                    </p>
+                )}
+            </div>
+
+            {/* ── Validation type ──────────────────────────────────── */}
+            <div>
+                <label htmlFor="question-validation-select" className={LABEL_CLASS}>
+                    Validation
+                </label>
+                <select
+                    id="question-validation-select"
+                    value={validation}
+                    onChange={(e) => changeValidation(e.target.value)}
+                    className={INPUT_CLASS}
+                >
+                    {Object.entries(VALIDATION_TYPES).map(([key, type]) => (
+                        <option key={key} value={key}>{type.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* ── Choices (choice list only) ───────────────────────── */}
+            {validation === 'choice' && (
+                <div>
+                    <p className={LABEL_CLASS}>Choices</p>
+                    {choices.length > 0 ? (
+                        <ul className="mb-2 flex flex-wrap gap-1.5">
+                            {choices.map((choice) => (
+                                <li
+                                    key={choice}
+                                    className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-md bg-rose-900/30 border border-rose-500/30 text-xs text-rose-100"
+                                >
+                                    {choice}
+                                    <button
+                                        onClick={() => onDataChange(node.id, { choices: choices.filter((c) => c !== choice) })}
+                                        aria-label={`Remove choice ${choice}`}
+                                        className="w-4 h-4 rounded flex items-center justify-center text-rose-300 hover:text-white hover:bg-rose-500/30"
+                                    >
+                                        <X size={10} />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="mb-2 text-[11px] text-amber-400">Add at least one choice — otherwise every reply is rejected.</p>
+                    )}
+                    <div className="flex gap-1.5">
+                        <input
+                            type="text"
+                            value={draftChoice}
+                            onChange={(e) => setDraftChoice(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') addChoice(); }}
+                            placeholder="New choice"
+                            aria-label="New choice"
+                            className={`${INPUT_CLASS} !py-1.5 min-w-0`}
+                        />
+                        <button onClick={addChoice} className={`${SMALL_BUTTON_CLASS} flex-shrink-0`}>
+                            <Plus size={12} />
+                            Add
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* ── Retry message ────────────────────────────────────── */}
+            <div>
+                <label htmlFor="question-retry-textarea" className={LABEL_CLASS}>
+                    Retry Message
+                </label>
+                <textarea
+                    id="question-retry-textarea"
+                    value={retryMessage}
+                    onChange={(e) => onDataChange(node.id, { retryMessage: e.target.value })}
+                    rows={2}
+                    placeholder="Sent when the reply is invalid"
+                    className={`${INPUT_CLASS} resize-none leading-relaxed`}
+                />
+                <ChannelCounter text={retryMessage} className="mt-1 text-[11px]" />
+            </div>
+        </div>
+    );
+}
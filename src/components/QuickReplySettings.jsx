@@ -0,0 +1,135 @@
+/**
+ * @file QuickReplySettings.jsx
+ * @description SettingsPanel section for the quick-reply buttons of a
+ *   "textNode" message, shown under its Message Text.
+ *
+ * Each button is one row: its label, move up / down, and remove. Buttons
+ * appear on the canvas (and to the user) in this order, each with its own
+ * outgoing handle. At most MAX_QUICK_REPLIES buttons can be added.
+ *
+ * When the flow targets channels (utils/channels.js) the section shows the
+ * strictest number of buttons they allow, marks labels that are too long,
+ * and says so when one of them shows no buttons at all.
+ *
+ * Removing a button also removes its handle; App prunes any edge that was
+ * attached to it (see onNodeDataPatch).
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected textNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useContext } from 'react';
+import { Plus, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import { ChannelContext } from './ChannelCounter.jsx';
+import { MAX_QUICK_REPLIES, createQuickReply } from '../utils/quickReplies.js';
+import { CHANNEL_PROFILES, buttonLimits } from '../utils/channels.js';
+
+
+/** Compact variant of INPUT_CLASS for the button rows. */
+const COMPACT_INPUT_CLASS = `${INPUT_CLASS} !px-2.5 !py-1.5 !rounded-lg text-xs`;
+
+/** Icon button used for move / remove controls on each row. */
+const ICON_BUTTON_CLASS = `
+    w-6 h-6 flex-shrink-0 rounded-md flex items-center justify-center text-slate-500
+    hover:text-slate-200 hover:bg-[#2d2b55] transition-colors
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+export default function QuickReplySettings({ node, onDataChange }) {
+    const buttons = node.data.buttons ?? [];
+    const limits = buttonLimits(useContext(ChannelContext));
+    const tooLong = (label) => !!limits.length && label.length > limits.length.value;
+
+    /** Writes a new button list back to the node. */
+    const setButtons = (next) => onDataChange(node.id, { buttons: next });
+
+    /** Swaps the button at `index` with its neighbour `index + delta`. */
+    const moveButton = (index, delta) => {
+        const next = [...buttons];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        setButtons(next);
+    };
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0">
+            <p className={LABEL_CLASS}>Quick replies</p>
+            <p className="mb-2 text-[11px] text-slate-600 leading-snug">
+                {buttons.length === 0
+                    ? 'Offer buttons under the message; each one can lead somewhere different.'
+                    : 'Each button needs a connection. The bottom handle takes any other reply.'}
+            </p>
+
+            {buttons.length > 0 && (
+                <ul className="flex flex-col gap-1.5 mb-2">
+                    {buttons.map((button, index) => (
+                        <li key={button.id} className="flex items-center gap-1">
+                            <input
+                                type="text"
+                                value={button.label}
+                                onChange={(e) => setButtons(buttons.map((b, i) => (i === index ? { ...b, label: e.target.value } : b)))}
+                                placeholder="Button label"
+                                aria-label={`Quick reply ${index + 1} label`}
+                                aria-invalid={tooLong(button.label)}
+                                title={tooLong(button.label)
+                                    ? `${CHANNEL_PROFILES[limits.length.channel].name} allows ${limits.length.value} characters per button`
+                                    : undefined}
+                                className={`${COMPACT_INPUT_CLASS} ${tooLong(button.label) ? '!border-rose-500' : ''}`}
+                            />
+                            <button
+                                onClick={() => moveButton(index, -1)}
+                                disabled={index === 0}
+                                title="Move up"
+                                aria-label="Move quick reply up"
+                                className={ICON_BUTTON_CLASS}
+                            >
+                                <ChevronUp size={13} />
+                            </button>
+                            <button
+                                onClick={() => moveButton(index, 1)}
+                                disabled={index === buttons.length - 1}
+                                title="Move down"
+                                aria-label="Move quick reply down"
+                                className={ICON_BUTTON_CLASS}
+                            >
+                                <ChevronDown size={13} />
+                            </button>
+                            <button
+                                onClick={() => setButtons(buttons.filter((_, i) => i !== index))}
+                                title="Remove button (its connection is removed too)"
+                                aria-label="Remove quick reply"
+                                className={`${ICON_BUTTON_CLASS} hover:!text-rose-300`}
+                            >
+                                <Trash2 size={13} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Channel limits — strictest button count, channels without buttons */}
+            {limits.max && buttons.length > 0 && (
+                <p className={`mb-2 text-[11px] text-right ${buttons.length > limits.max.value ? 'text-rose-400 font-semibold' : 'text-slate-600'}`}>
+                    {buttons.length} / {limits.max.value} buttons ({CHANNEL_PROFILES[limits.max.channel].name})
+                </p>
+            )}
+            {limits.without.length > 0 && buttons.length > 0 && (
+                <p className="mb-2 text-[11px] text-amber-300/80 leading-snug">
+                    {limits.without.map((id) => CHANNEL_PROFILES[id].name).join(', ')} shows no buttons — readers have to type the reply.
+                </p>
+            )}
+
+            <button
+                onClick={() => setButtons([...buttons, createQuickReply(buttons)])}
+                disabled={buttons.length >= MAX_QUICK_REPLIES}
+                title={buttons.length >= MAX_QUICK_REPLIES ? `At most ${MAX_QUICK_REPLIES} buttons per message` : undefined}
+                className={`${SMALL_BUTTON_CLASS} disabled:opacity-40 disabled:pointer-events-none`}
+            >
+                <Plus size={12} />
+                Add button
+            </button>
+        </div>
+    );
+}
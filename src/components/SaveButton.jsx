@@ -10,8 +10,9 @@
  *   1. When clicked, SaveButton creates a Promise and extracts its `resolve`.
  *   2. SaveButton calls `onSave(resolve)` — passing the resolve function
  *      UP to the parent (App.handleSave).
- *   3. App runs its validation rules, then calls `resolve(true)` on success
- *      or `resolve(false)` on failure.
+ *   3. App runs its validation rules and writes the flow through its
+ *      storage adapter, then calls `resolve(true)` on success or
+ *      `resolve(false)` on failure (explaining why in a toast).
  *   4. SaveButton awaits the resolved value and transitions to `success` or
  *      `error` state for 1.8 seconds before returning to `idle`.
  *
@@ -20,21 +21,31 @@
  *   • Lets the button animate independently on its own timer.
  *   • Is trivially testable — just call onSave with a mock resolve.
  *
+ * Revision message
+ * ────────────────
+ * Every save is recorded as a revision (see the History panel) with the
+ * author's name and an optional message. The caret next to the button
+ * opens a small form for both: the name is remembered by App, and the
+ * message applies to that one save. A plain click saves with no message.
+ *
  * Visual states
  * ─────────────
  *   idle    → purple gradient, "Save Flow" + Save icon
- *   saving  → muted indigo, "Saving…"  (briefly while awaiting resolve)
+ *   saving  → muted indigo, "Saving…"  (until resolve — as long as the real
+ *                                        write takes, e.g. a server round-trip)
  *   success → emerald,       "Saved!"  + Check icon    (1.8 s then resets)
  *   error   → rose,          "Failed"  + AlertTriangle (1.8 s then resets)
  *
  * @param {object}   props
- * @param {Function} props.onSave — (resolve: (passed: boolean) => void) => void
+ * @param {Function} props.onSave — (resolve: (passed: boolean) => void, { message }) => void
  *                                   Called with a Promise resolve callback.
  *                                   Parent must call resolve(true|false).
+ * @param {string}   props.author         — Name recorded on revisions
+ * @param {Function} props.onAuthorChange — (name: string) => void
  */
 
-import React, { useState, useCallback } from 'react';
-import { Save, Check, AlertTriangle } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Save, Check, AlertTriangle, ChevronDown } from 'lucide-react';
 
 
 /**
@@ -70,13 +81,28 @@ const STATE_CONFIG = {
 };
 
 
-export default function SaveButton({ onSave }) {
+export default function SaveButton({ onSave, author, onAuthorChange }) {
     /**
      * Current visual state of the button.
      * @type {'idle' | 'saving' | 'success' | 'error'}
      */
     const [status, setStatus] = useState('idle');
 
+    /** Whether the revision-message form is open, and what it holds. */
+    const [formOpen, setFormOpen] = useState(false);
+    const [message, setMessage] = useState('');
+    const formRef = useRef(null);
+
+    // Close the form on any click outside it
+    useEffect(() => {
+        if (!formOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!formRef.current?.contains(event.target)) setFormOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [formOpen]);
+
     /**
      * Handles the button click:
      *   1. Guards against double-clicks (only acts in 'idle' state).
@@ -86,8 +112,10 @@ export default function SaveButton({ onSave }) {
      *   5. Resets to 'idle' after 1.8 s.
      *
      * `async` allows us to `await` the Promise resolve from the parent.
+     *
+     * @param {string} [revisionMessage] - Recorded with the revision.
      */
-    const handleClick = useCallback(async () => {
+    const handleClick = useCallback(async (revisionMessage = '') => {
         // Debounce: ignore clicks when already saving or showing feedback
         if (status !== 'idle') return;
 
@@ -101,11 +129,12 @@ export default function SaveButton({ onSave }) {
          * @type {boolean} passed — true if save succeeded, false if it failed
          */
         const passed = await new Promise((resolve) => {
-            onSave(resolve);
+            onSave(resolve, { message: revisionMessage });
         });
 
         // Transition to the appropriate feedback state
         setStatus(passed ? 'success' : 'error');
+        if (passed) setMessage(''); // the message belonged to that save
 
         // Auto-reset to idle after 1.8 seconds
         setTimeout(() => setStatus('idle'), 1800);
@@ -115,20 +144,77 @@ export default function SaveButton({ onSave }) {
     const { label, Icon, className } = STATE_CONFIG[status];
 
     return (
-        <button
-            onClick={handleClick}
-            disabled={status !== 'idle'} /* disable during saving/feedback to prevent re-trigger */
-            id="save-flow-button"        /* stable id for E2E tests / automation */
-            aria-label={`Save flow — current status: ${status}`}
-            className={`
-                flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold
-                transition-all duration-200 select-none
-                ${className}
-            `}
-        >
-            {/* Icon strokeWidth is slightly heavier for the Check mark for visual clarity */}
-            <Icon size={15} strokeWidth={status === 'success' ? 2.5 : 2} />
-            {label}
-        </button>
+        <div ref={formRef} className="relative flex">
+            <button
+                onClick={() => handleClick()}
+                disabled={status !== 'idle'} /* disable during saving/feedback to prevent re-trigger */
+                id="save-flow-button"        /* stable id for E2E tests / automation */
+                aria-label={`Save flow — current status: ${status}`}
+                className={`
+                    flex items-center gap-2 pl-4 pr-3 py-2 rounded-l-xl text-sm font-semibold
+                    transition-all duration-200 select-none
+                    ${className}
+                `}
+            >
+                {/* Icon strokeWidth is slightly heavier for the Check mark for visual clarity */}
+                <Icon size={15} strokeWidth={status === 'success' ? 2.5 : 2} />
+                {label}
+            </button>
+            <button
+                onClick={() => setFormOpen((open) => !open)}
+                disabled={status !== 'idle'}
+                aria-haspopup="dialog"
+                aria-expanded={formOpen}
+                title="Save with a message"
+                aria-label="Save with a message"
+                className={`
+                    flex items-center px-1.5 rounded-r-xl border-l border-white/20
+                    transition-all duration-200 select-none
+                    ${className}
+                `}
+            >
+                <ChevronDown size={14} />
+            </button>
+
+            {/* ── Revision message form ─────────────────────────────── */}
+            {formOpen && (
+                <form
+                    role="dialog"
+                    aria-label="Save with a message"
+                    onSubmit={(e) => { e.preventDefault(); setFormOpen(false); handleClick(message); }}
+                    onKeyDown={(e) => { if (e.key === 'Escape') setFormOpen(false); }}
+                    className="absolute right-0 top-full mt-2 z-50 w-72 p-3 flex flex-col gap-2.5 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel"
+                >
+                    <label className="flex flex-col gap-1 text-[11px] font-semibold uppercase tracking-widest text-slate-500">
+                        Your name
+                        <input
+                            value={author}
+                            onChange={(e) => onAuthorChange(e.target.value)}
+                            placeholder="Anonymous"
+                            className="px-2.5 py-1.5 rounded-lg bg-[#1a1740] border border-[#2d2b55] text-xs font-normal normal-case tracking-normal text-slate-200 placeholder:text-slate-600 focus:outline-none focus:border-brand-500"
+                        />
+                    </label>
+                    <label className="flex flex-col gap-1 text-[11px] font-semibold uppercase tracking-widest text-slate-500">
+                        Message
+                        <textarea
+                            autoFocus
+                            value={message}
+                            onChange={(e) => setMessage(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) e.currentTarget.form.requestSubmit(); }}
+                            rows={3}
+                            placeholder="What changed? (optional)"
+                            className="resize-none px-2.5 py-1.5 rounded-lg bg-[#1a1740] border border-[#2d2b55] text-xs font-normal normal-case tracking-normal text-slate-200 placeholder:text-slate-600 focus:outline-none focus:border-brand-500"
+                        />
+                    </label>
+                    <button
+                        type="submit"
+                        className="self-end flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold text-white bg-brand-600 hover:bg-brand-500 transition-colors"
+                    >
+                        <Save size={12} />
+                        Save
+                    </button>
+                </form>
+            )}
+        </div>
     );
 }
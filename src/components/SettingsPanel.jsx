@@ -12,6 +12,42 @@
  *   which in turn updates both the nodes array (canvas re-renders) and the
  *   selectedNode reference (this panel stays in sync).
  *
+ * Per-type forms
+ * ──────────────
+ * The header, type badge and editor form follow selectedNode.type using
+ * PANEL_CONFIG below. Text messages keep the inline textarea; other types
+ * render their own form component (e.g. ImageSettings), which reports edits
+ * through onDataChange(id, patch). Forms are keyed by node id so switching
+ * nodes resets their local state.
+ *
+ * Variables
+ * ─────────
+ * The message textarea is a VariableTextarea (`{{` autocomplete, unknown
+ * variables flagged). When the text has placeholders, a preview underneath
+ * shows it with the flow's sample values substituted.
+ *
+ * Formatting
+ * ──────────
+ * Message text may use Markdown (utils/markdown.js): a one-line syntax hint
+ * sits under the editor, and links whose address is not well-formed are
+ * listed there. The Edit / Preview toggle by the label swaps the editor
+ * for a ChannelPreview — the message, sample values substituted, as web
+ * chat and each channel would show it. The mode stays as it is when
+ * another node is selected.
+ *
+ * Languages
+ * ─────────
+ * The panel edits the language picked in the header (TranslationContext).
+ * In another language than the default, the node is shown localized
+ * (localizeNode) — every form edits its translated fields as if they were
+ * the real ones, and App routes the edits into the translations — and the
+ * default-language text is shown above the form for reference.
+ *
+ * Quick replies
+ * ─────────────
+ * Messages also get a QuickReplySettings section for their buttons, which
+ * are written back through onDataChange like any other per-type field.
+ *
  * Connection stats
  * ────────────────
  * The panel shows live incoming and outgoing edge counts for the selected node.
@@ -20,26 +56,93 @@
  *
  * The outgoing count card changes colour:
  *   grey   → 0 connections (neutral)
- *   green  → exactly 1 connection (valid)
- *   red    → more than 1 connection (invalid — should not normally happen)
+ *   green  → every connection leaves from its own output (valid)
+ *   red    → two connections share an output (invalid — should not normally happen)
+ *
+ * Groups (FRAME_TYPES) have no connections of their own, so they get
+ * neither the stats nor the rules reminder.
  *
  * @param {object}      props
- * @param {Node|null}   props.selectedNode  — The React Flow node currently selected,
- *                                            or null when nothing is selected
+ * @param {Node|null}   props.selectedNode  — The React Flow node currently selected (as
+ *                                            stored, not localized), or null when
+ *                                            nothing is selected
  * @param {Edge[]}      props.edges         — Full edge list from App state; used to
  *                                            compute live connection counts
  * @param {Function}    props.onLabelChange — (id, newLabel) => void; propagates edits
+ * @param {Function}    props.onDataChange  — (id, patch) => void; merges `patch` into node.data
  * @param {Function}    props.onClose       — () => void; called when ✕ is clicked
  */
 
-import React, { useEffect, useRef, useMemo } from 'react';
-import { X, MessageSquare, ArrowUpLeft, ArrowDownRight, Link2 } from 'lucide-react';
+import React, { useEffect, useRef, useMemo, useContext, useState } from 'react';
+import { X, MessageSquare, Image, Zap, HelpCircle, Blocks, Group, ArrowUpLeft, ArrowDownRight, Link2, Eye, Pencil, AlertTriangle, Hourglass } from 'lucide-react';
+import ImageSettings from './ImageSettings.jsx';
+import ConditionSettings from './ConditionSettings.jsx';
+import QuestionSettings from './QuestionSettings.jsx';
+import SubflowSettings from './SubflowSettings.jsx';
+import GroupSettings from './GroupSettings.jsx';
+import DelaySettings from './DelaySettings.jsx';
+import QuickReplySettings from './QuickReplySettings.jsx';
+import VariableTextarea, { VariablesContext } from './VariableTextarea.jsx';
+import { TranslationContext } from './TranslationBadge.jsx';
+import ChannelCounter from './ChannelCounter.jsx';
+import ChannelPreview from './ChannelPreview.jsx';
+import { outputSlot } from '../utils/flowValidation.js';
+import { findPlaceholders, interpolate } from '../utils/variables.js';
+import { localizeNode, missingTranslations, translatableTexts, languageName } from '../utils/translations.js';
+import { badLinks } from '../utils/markdown.js';
+
+
+/**
+ * Header title, icon and badge gradient for each node type.
+ * Mirrors the colours used by the Sidebar palette cards.
+ */
+const PANEL_CONFIG = {
+    textNode: { title: 'Message Settings', Icon: MessageSquare, gradient: 'from-brand-600 to-brand-500' },
+    imageNode: { title: 'Image Settings', Icon: Image, gradient: 'from-sky-600 to-sky-500' },
+    conditionNode: { title: 'Condition Settings', Icon: Zap, gradient: 'from-amber-600 to-amber-500' },
+    questionNode: { title: 'Question Settings', Icon: HelpCircle, gradient: 'from-rose-600 to-rose-500' },
+    subflowNode: { title: 'Subflow Settings', Icon: Blocks, gradient: 'from-teal-600 to-teal-500' },
+    groupNode: { title: 'Group Settings', Icon: Group, gradient: 'from-teal-800 to-brand-700' },
+    delayNode: { title: 'Delay Settings', Icon: Hourglass, gradient: 'from-fuchsia-600 to-fuchsia-500' },
+};
+
+/**
+ * Dedicated editor forms, keyed by node type. Types without an entry are
+ * text messages and use the inline "Message Text" textarea.
+ */
+const SETTINGS_FORMS = {
+    imageNode: ImageSettings,
+    conditionNode: ConditionSettings,
+    questionNode: QuestionSettings,
+    subflowNode: SubflowSettings,
+    groupNode: GroupSettings,
+    delayNode: DelaySettings,
+};
+
+/** Types that are not steps of the conversation: no connections to show. */
+const FRAME_TYPES = new Set(['groupNode']);
 
 
-export default function SettingsPanel({ selectedNode, edges = [], onLabelChange, onClose }) {
+export default function SettingsPanel({ selectedNode: storedNode, edges = [], onLabelChange, onDataChange, onClose }) {
     /** Ref to the main textarea so we can programmatically focus it. */
     const textareaRef = useRef(null);
 
+    /** Sample values for the substituted-text preview. */
+    const { samples } = useContext(VariablesContext);
+
+    /** The language being edited — the node is shown in it. */
+    const { language, languages } = useContext(TranslationContext);
+    const translating = language !== languages.default;
+    const selectedNode = storedNode && localizeNode(storedNode, language, languages);
+
+    /** Default-language texts of the node, for reference while translating. */
+    const originals = translating && storedNode ? translatableTexts(storedNode).filter((t) => t.text.trim()) : [];
+    const missing = translating && storedNode ? missingTranslations(storedNode, language).length : 0;
+
+    /** Message text: editing it, or previewing it as it is sent. */
+    const [previewing, setPreviewing] = useState(false);
+    const brokenLinks = selectedNode && !SETTINGS_FORMS[selectedNode.type] ? badLinks(selectedNode.data.label ?? '') : [];
+
     /* ─────────────────────────────────────────────────────────────────────
        Auto-focus effect
        ──────────────────
@@ -68,17 +171,24 @@ export default function SettingsPanel({ selectedNode, edges = [], onLabelChange,
        on every render — only when the node or edge list changes.
     ───────────────────────────────────────────────────────────────────── */
     const connectionStats = useMemo(() => {
-        if (!selectedNode) return { incoming: 0, outgoing: 0 };
+        if (!selectedNode) return { incoming: 0, outgoing: 0, overLimit: false };
+        const outgoing = edges.filter((e) => e.source === selectedNode.id);
+        const slots = outgoing.map((e) => outputSlot(selectedNode, e));
         return {
             incoming: edges.filter((e) => e.target === selectedNode.id).length,
-            outgoing: edges.filter((e) => e.source === selectedNode.id).length,
+            outgoing: outgoing.length,
+            overLimit: new Set(slots).size < slots.length, // two edges share one output
         };
-    }, [selectedNode?.id, edges]); // recompute when node or edges change
+    }, [selectedNode, edges]); // recompute when node (incl. its branches) or edges change
 
 
     /** Controls the CSS width class — drives the slide-in/out animation */
     const isVisible = !!selectedNode;
 
+    /** Look & feel for the selected node's type; unknown types fall back to text. */
+    const { title, Icon, gradient } = PANEL_CONFIG[selectedNode?.type] ?? PANEL_CONFIG.textNode;
+    const SettingsForm = SETTINGS_FORMS[selectedNode?.type];
+
     return (
         /*
          * The aside is always rendered.
@@ -103,16 +213,16 @@ export default function SettingsPanel({ selectedNode, edges = [], onLabelChange,
             {isVisible && (
                 <>
                     {/* ── Panel header ─────────────────────────────────────
-                        Shows the MessageSquare icon, "Message Settings" title,
+                        Shows the type's icon and title (e.g. "Message Settings"),
                         and an ✕ close button that calls onClose() → deselects the node.
                     ─────────────────────────────────────────────────────── */}
                     <div className="flex items-center justify-between px-4 py-3.5 border-b border-[#2d2b55] flex-shrink-0">
                         <div className="flex items-center gap-2">
                             {/* Branded icon badge */}
-                            <div className="w-7 h-7 rounded-lg bg-gradient-to-br from-brand-600 to-brand-500 flex items-center justify-center flex-shrink-0">
-                                <MessageSquare size={13} className="text-white" />
+                            <div className={`w-7 h-7 rounded-lg bg-gradient-to-br ${gradient} flex items-center justify-center flex-shrink-0`}>
+                                <Icon size={13} className="text-white" />
                             </div>
-                            <span className="text-sm font-semibold text-slate-200">Message Settings</span>
+                            <span className="text-sm font-semibold text-slate-200">{title}</span>
                         </div>
 
                         {/* Close button — triggers onClose which sets selectedNode = null in App */}
@@ -135,113 +245,202 @@ export default function SettingsPanel({ selectedNode, edges = [], onLabelChange,
                         <span className="inline-flex items-center gap-1 text-[11px] font-mono px-2 py-0.5 rounded-md bg-[#2d2b55] text-brand-300 border border-[#3d3a7a]">
                             <Link2 size={9} /> id: {selectedNode.id}
                         </span>
-                        {/* Node type — static label; could be dynamic for future node types */}
+                        {/* Node type — e.g. "textNode", "imageNode" */}
                         <span className="text-[11px] font-mono px-2 py-0.5 rounded-md bg-[#1a1740] text-slate-400 border border-[#2d2b55]">
-                            textNode
+                            {selectedNode.type}
                         </span>
                     </div>
 
-                    {/* ── Message text editor ──────────────────────────────
+                    {/* ── Default-language reference (while translating) ──── */}
+                    {originals.length > 0 && (
+                        <div className="mx-4 mt-4 rounded-xl bg-sky-950/40 border border-sky-500/30 px-3 py-2 flex-shrink-0">
+                            <p className="mb-1 text-[10px] font-semibold uppercase tracking-widest text-sky-300">
+                                {languageName(languages.default)} → {languageName(language)}
+                                {missing > 0 && <span className="ml-1.5 normal-case tracking-normal text-amber-300">· {missing} missing</span>}
+                            </p>
+                            <ul className="flex flex-col gap-1">
+                                {originals.map((t) => (
+                                    <li key={t.key} className="text-xs text-slate-300 leading-snug break-words">
+                                        <span className="text-slate-500">{t.name}: </span>
+                                        {t.text}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {/* ── Type-specific editor ─────────────────────────────
+                        Types listed in SETTINGS_FORMS get their own form;
+                        everything else is a text message edited through the
+                        textarea below.
+                    ─────────────────────────────────────────────────────── */}
+                    {SettingsForm ? (
+                        <SettingsForm
+                            key={selectedNode.id}
+                            node={selectedNode}
+                            onDataChange={onDataChange}
+                        />
+                    ) : (
+                    /* ── Message text editor ──────────────────────────────
                         Controlled textarea linked to selectedNode.data.label.
                         Changes propagate via onLabelChange → App.onNodeDataChange
                         → updates nodes array AND selectedNode simultaneously,
                         keeping the canvas node and this panel in perfect sync.
-                    ─────────────────────────────────────────────────────── */}
+                    ─────────────────────────────────────────────────────── */
                     <div className="px-4 pt-4 flex-shrink-0">
-                        <label
-                            htmlFor="node-label-textarea"
-                            className="block mb-1.5 text-[11px] font-semibold text-brand-400 uppercase tracking-widest"
-                        >
-                            Message Text
-                        </label>
-                        <textarea
-                            id="node-label-textarea"
-                            ref={textareaRef}
-                            value={selectedNode.data.label ?? ''}
-                            onChange={(e) => onLabelChange(selectedNode.id, e.target.value)}
-                            rows={5}
-                            placeholder="Type your message here…"
-                            className="
-                                w-full resize-none rounded-xl
-                                bg-[#1a1740] border border-[#2d2b55]
-                                text-sm text-slate-200 placeholder:text-slate-600
-                                px-3.5 py-3 leading-relaxed
-                                focus:outline-none focus:border-brand-500 focus:ring-1 focus:ring-brand-500/40
-                                transition-colors duration-150
-                            "
-                        />
+                        <div className="flex items-center justify-between mb-1.5">
+                            <label
+                                htmlFor="node-label-textarea"
+                                className="block text-[11px] font-semibold text-brand-400 uppercase tracking-widest"
+                            >
+                                Message Text{translating && ` (${language})`}
+                            </label>
+                            <button
+                                id="message-preview-toggle"
+                                onClick={() => setPreviewing((p) => !p)}
+                                aria-pressed={previewing}
+                                title={previewing ? 'Back to editing' : 'Preview as web chat and each channel show it'}
+                                className="flex items-center gap-1 px-2 py-0.5 rounded-md text-[11px] font-semibold text-slate-400 hover:text-white hover:bg-[#2d2b55] transition-colors"
+                            >
+                                {previewing ? <Pencil size={11} /> : <Eye size={11} />}
+                                {previewing ? 'Edit' : 'Preview'}
+                            </button>
+                        </div>
+                        {previewing ? (
+                            <ChannelPreview text={interpolate(selectedNode.data.label ?? '', samples)} />
+                        ) : (
+                            <VariableTextarea
+                                id="node-label-textarea"
+                                ref={textareaRef}
+                                nodeId={selectedNode.id}
+                                value={selectedNode.data.label ?? ''}
+                                onChange={(label) => onLabelChange(selectedNode.id, label)}
+                                rows={5}
+                                placeholder={translating ? `Type the ${languageName(language)} text here…` : 'Type your message here…'}
+                                className="
+                                    w-full resize-none rounded-xl
+                                    bg-[#1a1740] border border-[#2d2b55]
+                                    text-sm text-slate-200 placeholder:text-slate-600
+                                    px-3.5 py-3 leading-relaxed
+                                    focus:outline-none focus:border-brand-500 focus:ring-1 focus:ring-brand-500/40
+                                    transition-colors duration-150
+                                "
+                            />
+                        )}
                         {/* Character counter — mirrors the one inside the node */}
-                        <p className="mt-1.5 text-[11px] text-slate-600 text-right select-none">
-                            {selectedNode.data.label?.length ?? 0} / ∞ chars
-                        </p>
-                    </div>
+                        <ChannelCounter text={selectedNode.data.label ?? ''} markdown showUnlimited className="mt-1.5 text-[11px]" />
 
-                    {/* ── Live connection stats ────────────────────────────
-                        Two side-by-side info cards showing edge counts.
-                        Outgoing card changes colour to communicate validity:
-                          • Default (grey bg)   = 0 outgoing
-                          • Green bg            = 1 outgoing (valid, complete)
-                          • Red bg              = >1 outgoing (invalid state — defensive UI)
-                    ─────────────────────────────────────────────────────── */}
-                    <div className="px-4 pt-5 flex-shrink-0">
-                        <p className="text-[11px] font-semibold uppercase tracking-widest text-slate-600 mb-2.5">
-                            Connections
-                        </p>
-                        <div className="flex gap-2">
-                            {/* Incoming count — always grey, no restriction on incoming edges */}
-                            <div className="flex-1 flex flex-col items-center gap-1 bg-[#1a1740] border border-[#2d2b55] rounded-xl py-3 px-2">
-                                <ArrowUpLeft size={16} className="text-brand-400" />
-                                <span className="text-xl font-bold text-slate-200">{connectionStats.incoming}</span>
-                                <span className="text-[10px] text-slate-500 text-center leading-tight">Incoming<br />edges</span>
-                            </div>
+                        {/* Links that go nowhere */}
+                        {brokenLinks.length > 0 && (
+                            <ul className="mt-1 flex flex-col gap-0.5">
+                                {brokenLinks.map(({ label, url }, i) => (
+                                    <li key={i} className="flex items-start gap-1 text-[10px] leading-snug text-amber-300">
+                                        <AlertTriangle size={10} className="mt-px flex-shrink-0" />
+                                        <span>Link "{label}" points to "{url || '(nothing)'}", which is not a valid web address.</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
 
-                            {/* Outgoing count — colour changes based on count */}
-                            <div
-                                className={`flex-1 flex flex-col items-center gap-1 border rounded-xl py-3 px-2
-                                    ${connectionStats.outgoing > 1
-                                        ? 'bg-rose-900/30 border-rose-500/40'   // red = over limit
-                                        : connectionStats.outgoing === 1
-                                            ? 'bg-emerald-900/20 border-emerald-500/30' // green = valid
-                                            : 'bg-[#1a1740] border-[#2d2b55]'           // grey = no connection yet
-                                    }
-                                `}
-                            >
-                                <ArrowDownRight
-                                    size={16}
-                                    className={
-                                        connectionStats.outgoing > 1 ? 'text-rose-400'
-                                            : connectionStats.outgoing === 1 ? 'text-emerald-400'
-                                                : 'text-slate-500'
-                                    }
-                                />
-                                <span className="text-xl font-bold text-slate-200">{connectionStats.outgoing}</span>
-                                <span className="text-[10px] text-slate-500 text-center leading-tight">Outgoing<br />edges</span>
+                        {!previewing && (
+                            <p className="mt-1 text-[10px] text-slate-600 leading-snug select-none">
+                                **bold** · _italic_ · [link](https://…) · - list
+                            </p>
+                        )}
+
+                        {/* Substituted preview — only when there is something to substitute */}
+                        {!previewing && findPlaceholders(selectedNode.data.label).length > 0 && (
+                            <div className="mt-2 rounded-xl bg-[#0f0f1a]/60 border border-dashed border-[#2d2b55] px-3 py-2">
+                                <p className="mb-1 text-[10px] font-semibold uppercase tracking-widest text-slate-600">
+                                    With sample values
+                                </p>
+                                <p className="text-xs text-slate-300 leading-relaxed whitespace-pre-wrap break-words">
+                                    {interpolate(selectedNode.data.label, samples)}
+                                </p>
                             </div>
-                        </div>
+                        )}
                     </div>
+                    )}
 
-                    {/* ── Connection rules reminder ────────────────────────
-                        Three bullet points teaching the user the flow's rules.
-                        Dots are colour-coded to match the handle colours.
-                    ─────────────────────────────────────────────────────── */}
-                    <div className="px-4 pt-4 flex-shrink-0">
-                        <p className="text-[11px] font-semibold uppercase tracking-widest text-slate-600 mb-2">
-                            Rules
-                        </p>
-                        <ul className="flex flex-col gap-1.5">
-                            {[
-                                { dot: 'bg-brand-400', text: 'Multiple incoming edges allowed' },
-                                { dot: 'bg-emerald-400', text: 'Max 1 outgoing edge per node' },
-                                { dot: 'bg-amber-400', text: 'One "start" node may be unconnected' },
-                            ].map(({ dot, text }) => (
-                                <li key={text} className="flex items-start gap-2 text-xs text-slate-500">
-                                    {/* Colour dot matches handle/stat card colours for consistency */}
-                                    <span className={`w-2 h-2 rounded-full flex-shrink-0 mt-0.5 ${dot}`} />
-                                    {text}
-                                </li>
-                            ))}
-                        </ul>
-                    </div>
+                    {/* ── Quick-reply buttons (messages only) ──────────────── */}
+                    {!SettingsForm && (
+                        <QuickReplySettings
+                            key={`${selectedNode.id}-replies`}
+                            node={selectedNode}
+                            onDataChange={onDataChange}
+                        />
+                    )}
+
+                    {!FRAME_TYPES.has(selectedNode.type) && (
+                        <>
+                            {/* ── Live connection stats ────────────────────────────
+                                Two side-by-side info cards showing edge counts.
+                                Outgoing card changes colour to communicate validity:
+                                  • Default (grey bg)   = 0 outgoing
+                                  • Green bg            = ≥1 outgoing, one per output (valid)
+                                  • Red bg              = two edges on one output (invalid state — defensive UI)
+                            ─────────────────────────────────────────────────────── */}
+                            <div className="px-4 pt-5 flex-shrink-0">
+                                <p className="text-[11px] font-semibold uppercase tracking-widest text-slate-600 mb-2.5">
+                                    Connections
+                                </p>
+                                <div className="flex gap-2">
+                                    {/* Incoming count — always grey, no restriction on incoming edges */}
+                                    <div className="flex-1 flex flex-col items-center gap-1 bg-[#1a1740] border border-[#2d2b55] rounded-xl py-3 px-2">
+                                        <ArrowUpLeft size={16} className="text-brand-400" />
+                                        <span className="text-xl font-bold text-slate-200">{connectionStats.incoming}</span>
+                                        <span className="text-[10px] text-slate-500 text-center leading-tight">Incoming<br />edges</span>
+                                    </div>
+
+                                    {/* Outgoing count — colour changes based on count */}
+                                    <div
+                                        className={`flex-1 flex flex-col items-center gap-1 border rounded-xl py-3 px-2
+                                            ${connectionStats.overLimit
+                                                ? 'bg-rose-900/30 border-rose-500/40'   // red = over limit
+                                                : connectionStats.outgoing > 0
+                                                    ? 'bg-emerald-900/20 border-emerald-500/30' // green = valid
+                                                    : 'bg-[#1a1740] border-[#2d2b55]'           // grey = no connection yet
+                                            }
+                                        `}
+                                    >
+                                        <ArrowDownRight
+                                            size={16}
+                                            className={
+                                                connectionStats.overLimit ? 'text-rose-400'
+                                                    : connectionStats.outgoing > 0 ? 'text-emerald-400'
+                                                        : 'text-slate-500'
+                                            }
+                                        />
+                                        <span className="text-xl font-bold text-slate-200">{connectionStats.outgoing}</span>
+                                        <span className="text-[10px] text-slate-500 text-center leading-tight">Outgoing<br />edges</span>
+                                    </div>
+                                </div>
+                            </div>
+
+                            {/* ── Connection rules reminder ────────────────────────
+                                Three bullet points teaching the user the flow's rules.
+                                Dots are colour-coded to match the handle colours.
+                            ─────────────────────────────────────────────────────── */}
+                            <div className="px-4 pt-4 flex-shrink-0">
+                                <p className="text-[11px] font-semibold uppercase tracking-widest text-slate-600 mb-2">
+                                    Rules
+                                </p>
+                                <ul className="flex flex-col gap-1.5">
+                                    {[
+                                        { dot: 'bg-brand-400', text: 'Multiple incoming edges allowed' },
+                                        { dot: 'bg-emerald-400', text: 'Max 1 outgoing edge per output (one per branch on conditions)' },
+                                        { dot: 'bg-amber-400', text: 'One "start" node may be unconnected' },
+                                    ].map(({ dot, text }) => (
+                                        <li key={text} className="flex items-start gap-2 text-xs text-slate-500">
+                                            {/* Colour dot matches handle/stat card colours for consistency */}
+                                            <span className={`w-2 h-2 rounded-full flex-shrink-0 mt-0.5 ${dot}`} />
+                                            {text}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        </>
+                    )}
 
                     {/* Flexible spacer — pushes footer to the bottom */}
                     <div className="flex-1" />
@@ -0,0 +1,230 @@
+/**
+ * @file ShortcutsSheet.jsx
+ * @description The "?" cheat sheet: every keyboard shortcut, grouped, and
+ *   the place to change them.
+ *
+ * Click a command's keys to record a new shortcut — the next key press
+ * (with any modifiers) becomes its only combo; Esc cancels. A combo that
+ * another command had is moved, and the sheet says which command lost it.
+ * "Reset all" goes back to the defaults. Shortcuts owned by the browser or
+ * the canvas (copy, paste, delete…) are listed but cannot be changed.
+ *
+ * The overrides object ({ [commandId]: combo[] }, see utils/shortcuts.js)
+ * is owned by App, which stores it; this component only owns the row being
+ * recorded and the last notice.
+ *
+ * App switches its shortcut listener off while the sheet is open; key
+ * presses being recorded are also caught in the capture phase so they
+ * never reach the canvas.
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen
+ * @param {object}   props.overrides — { [commandId]: string[] }
+ * @param {Function} props.onChange  — (overrides) => void
+ * @param {Function} props.onClose   — () => void
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Keyboard, RotateCcw, X } from 'lucide-react';
+import {
+    COMMANDS,
+    COMMAND_GROUPS,
+    FIXED_SHORTCUTS,
+    comboFromEvent,
+    comboProblem,
+    formatCombo,
+    rebind,
+    resolveBindings,
+} from '../utils/shortcuts.js';
+
+
+/**
+ * One combo drawn as key caps, e.g. [Ctrl] [Shift] [Z].
+ *
+ * @param {object} props
+ * @param {string} props.combo — A combo string (see utils/shortcuts.js).
+ */
+export function KeyCombo({ combo }) {
+    return (
+        <span className="inline-flex items-center gap-0.5 flex-shrink-0">
+            {formatCombo(combo).map((cap, i) => (
+                <kbd
+                    key={i}
+                    className="min-w-[1.25rem] px-1 py-px rounded border border-[#3d3a7a] border-b-2 bg-[#1e1b4b] text-[10px] font-mono text-center text-slate-300"
+                >
+                    {cap}
+                </kbd>
+            ))}
+        </span>
+    );
+}
+
+
+export default function ShortcutsSheet({ isOpen, overrides, onChange, onClose }) {
+    /** Id of the command whose new combo is being recorded. */
+    const [recording, setRecording] = useState(null);
+
+    /** Result of the last recording: { type: 'info' | 'error', text }. */
+    const [notice, setNotice] = useState(null);
+
+    const bindings = useMemo(() => resolveBindings(overrides), [overrides]);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setRecording(null);
+            setNotice(null);
+        }
+    }, [isOpen]);
+
+    // Record the next combo, or close on Escape (or the sheet's own shortcut)
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const onKeyDown = (event) => {
+            if (!recording) {
+                if (event.key === 'Escape' || bindings.get('shortcuts.show').includes(comboFromEvent(event))) {
+                    event.preventDefault();
+                    onClose();
+                }
+                return;
+            }
+
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                setRecording(null);
+                return;
+            }
+            const combo = comboFromEvent(event);
+            if (!combo) return; // still holding modifiers
+
+            const problem = comboProblem(combo);
+            if (problem) {
+                setNotice({ type: 'error', text: problem });
+                return;
+            }
+
+            const { overrides: next, displaced } = rebind(overrides, recording, [combo]);
+            onChange(next);
+            setRecording(null);
+            setNotice(displaced.length > 0
+                ? { type: 'info', text: `${formatCombo(combo).join('+')} was removed from “${displaced.map((id) => COMMANDS.find((c) => c.id === id).title).join('”, “')}”.` }
+                : null);
+        };
+
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => window.removeEventListener('keydown', onKeyDown, true);
+    }, [isOpen, recording, overrides, bindings, onChange, onClose]);
+
+    if (!isOpen) return null;
+
+    const clear = (id) => {
+        onChange(rebind(overrides, id, []).overrides);
+        setRecording(null);
+    };
+
+    const resetAll = () => {
+        onChange({});
+        setRecording(null);
+        setNotice(null);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 animate-fade-in"
+            onPointerDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+        >
+            <div
+                role="dialog"
+                aria-label="Keyboard shortcuts"
+                className="w-[46rem] max-w-[calc(100vw-2rem)] max-h-[calc(100vh-6rem)] flex flex-col rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+            >
+                {/* ── Header ─────────────────────────────────────────────── */}
+                <div className="flex items-center gap-2.5 px-5 py-3.5 border-b border-[#2d2b55]">
+                    <Keyboard size={16} className="text-brand-400" />
+                    <h2 className="flex-1 text-sm font-semibold text-slate-200">Keyboard shortcuts</h2>
+                    <span className="text-[11px] text-slate-500">Click a shortcut to change it</span>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close"
+                        className="w-7 h-7 rounded-lg flex items-center justify-center text-slate-400 hover:text-white hover:bg-[#2d2b55] transition-colors"
+                    >
+                        <X size={15} />
+                    </button>
+                </div>
+
+                {/* ── Groups ─────────────────────────────────────────────── */}
+                <div className="flex-1 overflow-y-auto px-5 py-4 columns-2 gap-8">
+                    {COMMAND_GROUPS.map((group) => (
+                        <section key={group} className="break-inside-avoid mb-5">
+                            <h3 className="mb-1.5 text-[11px] font-semibold uppercase tracking-widest text-slate-600">{group}</h3>
+                            <ul>
+                                {COMMANDS.filter((c) => c.group === group).map((command) => {
+                                    const combos = bindings.get(command.id);
+                                    const isRecording = recording === command.id;
+                                    return (
+                                        <li key={command.id} className="flex items-center gap-2 py-1 text-xs">
+                                            <span className="flex-1 min-w-0 truncate text-slate-300">
+                                                {command.title}
+                                                {overrides[command.id] && <span className="ml-1.5 text-[10px] text-brand-400">custom</span>}
+                                            </span>
+                                            {isRecording ? (
+                                                <>
+                                                    <span className="px-2 py-0.5 rounded-md border border-brand-500 text-[11px] text-brand-200 animate-pulse">
+                                                        Press keys…
+                                                    </span>
+                                                    {combos.length > 0 && (
+                                                        <button onClick={() => clear(command.id)} className="text-[11px] text-slate-500 hover:text-rose-300">
+                                                            None
+                                                        </button>
+                                                    )}
+                                                </>
+                                            ) : (
+                                                <button
+                                                    onClick={() => { setRecording(command.id); setNotice(null); }}
+                                                    title="Change shortcut"
+                                                    className="flex items-center gap-1.5 px-1 py-0.5 rounded-md hover:bg-[#2d2b55] transition-colors"
+                                                >
+                                                    {combos.length > 0
+                                                        ? combos.map((combo) => <KeyCombo key={combo} combo={combo} />)
+                                                        : <span className="text-[11px] text-slate-600">—</span>}
+                                                </button>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                                {FIXED_SHORTCUTS.filter((s) => s.group === group).map((shortcut) => (
+                                    <li key={shortcut.title} className="flex items-center gap-2 py-1 text-xs">
+                                        <span className="flex-1 min-w-0 truncate text-slate-500">{shortcut.title}</span>
+                                        <span className="flex items-center gap-1.5 px-1">
+                                            {shortcut.keys.map((combo) => <KeyCombo key={combo} combo={combo} />)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    ))}
+                </div>
+
+                {/* ── Footer ─────────────────────────────────────────────── */}
+                <div className="flex items-center gap-3 px-5 py-2.5 border-t border-[#2d2b55] text-[11px]">
+                    {notice ? (
+                        <span className={notice.type === 'error' ? 'text-rose-300' : 'text-amber-200'}>{notice.text}</span>
+                    ) : (
+                        <span className="text-slate-500">
+                            Inside a text field only Save, Undo / Redo and the command palette respond.
+                        </span>
+                    )}
+                    <button
+                        onClick={resetAll}
+                        disabled={Object.keys(overrides).length === 0}
+                        className="ml-auto flex items-center gap-1 px-2 py-1 rounded-lg text-slate-400 hover:text-white hover:bg-[#2d2b55] disabled:opacity-30 disabled:pointer-events-none transition-colors"
+                    >
+                        <RotateCcw size={12} />
+                        Reset all
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
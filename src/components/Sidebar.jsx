@@ -8,7 +8,8 @@
  * Drawer behaviour
  * ────────────────
  * The sidebar can be collapsed (hidden) or expanded (visible) by clicking
- * the toggle button that sits on the panel's right edge.
+ * the toggle button that sits on the panel's right edge, or with the
+ * "Toggle sidebar" shortcut — which is why App owns the open state.
  * Collapsed state:  sidebar slides off-screen (translateX(-100%)); a
  *                   floating "open drawer" tab remains visible so the user
  *                   can reopen it at any time.
@@ -28,8 +29,8 @@
  * 3. Register the component in App.jsx's nodeTypes useMemo.
  */
 
-import React, { useState } from 'react';
-import { MessageSquare, Image, Zap, HelpCircle, ChevronLeft, ChevronRight, Layers } from 'lucide-react';
+import React from 'react';
+import { MessageSquare, Image, Zap, HelpCircle, Blocks, Hourglass, ChevronLeft, ChevronRight, Layers } from 'lucide-react';
 
 
 /* ─────────────────────────────────────────────────────────────────────────
@@ -61,7 +62,7 @@ const NODE_TYPES = [
         description: 'Send an image',
         icon: Image,
         gradient: 'from-sky-600 to-sky-500',
-        available: false,  // ← coming soon
+        available: true,   // ← fully implemented
     },
     {
         type: 'conditionNode',
@@ -69,7 +70,7 @@ const NODE_TYPES = [
         description: 'Branch on a condition',
         icon: Zap,
         gradient: 'from-amber-600 to-amber-500',
-        available: false,  // ← coming soon
+        available: true,   // ← fully implemented
     },
     {
         type: 'questionNode',
@@ -77,7 +78,23 @@ const NODE_TYPES = [
         description: 'Ask the user a question',
         icon: HelpCircle,
         gradient: 'from-rose-600 to-rose-500',
-        available: false,  // ← coming soon
+        available: true,   // ← fully implemented
+    },
+    {
+        type: 'subflowNode',
+        label: 'Subflow',
+        description: 'Run another flow',
+        icon: Blocks,
+        gradient: 'from-teal-600 to-teal-500',
+        available: true,   // ← fully implemented
+    },
+    {
+        type: 'delayNode',
+        label: 'Delay',
+        description: 'Pause, maybe typing',
+        icon: Hourglass,
+        gradient: 'from-fuchsia-600 to-fuchsia-500',
+        available: true,   // ← fully implemented
     },
 ];
 
@@ -152,12 +169,13 @@ function DraggableNode({ type, label, description, icon: Icon, gradient, availab
    Wraps the panel in a relative container so the toggle tab can be
    absolutely positioned just outside the panel's right edge.
 
-   @param {object} props
-   @param {Set}    props.nodesWithOutgoing — Set of node IDs that already
-                   have an outgoing edge.
+   @param {object}   props
+   @param {Set}      props.nodesWithOutgoing — Set of node IDs that already
+                     have an outgoing edge.
+   @param {boolean}  props.isOpen       — Whether the drawer is expanded
+   @param {Function} props.onOpenChange — (open: boolean) => void
 ───────────────────────────────────────────────────────────────────────── */
-export default function Sidebar({ nodesWithOutgoing }) {
-    const [open, setOpen] = useState(true);
+export default function Sidebar({ nodesWithOutgoing, isOpen: open, onOpenChange: setOpen }) {
 
     return (
         /* Outer positioning shell — does NOT shrink; the inner aside handles width */
@@ -209,7 +227,7 @@ export default function Sidebar({ nodesWithOutgoing }) {
                 {/* Sticky footer tip */}
                 <div className="px-4 py-3 border-t border-[#2d2b55] bg-[#0f0f1a]/50">
                     <p className="text-[11px] text-slate-600 leading-snug">
-                        💡 Each node can have only <span className="text-brand-400 font-medium">one outgoing</span> connection.
+                        💡 Each output can have only <span className="text-brand-400 font-medium">one outgoing</span> connection — conditions have one per branch.
                     </p>
                 </div>
             </aside>
@@ -0,0 +1,158 @@
+/**
+ * @file SubflowNode.jsx
+ * @description Custom React Flow node for the "Subflow" node type — one step
+ *   that runs another saved flow of the workspace (utils/subflows.js).
+ *
+ * Registered in App.jsx under the key "subflowNode".
+ *
+ *   ┌──────────────────────────────┐
+ *   │  ● (purple)   ← target handle
+ *   ├─ SUBFLOW ────────── [Open] ──┤  ← teal gradient header
+ *   │  Collect address             │  ← the referenced flow's name
+ *   │  6 nodes                     │
+ *   │  → in   Start node           │  ← entry point
+ *   │  ← out  When it ends         │  ← return point
+ *   │  ● (green)    ← source handle
+ *   └──────────────────────────────┘
+ *
+ * The card is read-only; the flow and its entry and return points are
+ * picked in SettingsPanel (SubflowSettings). What it shows comes from the
+ * SAVED version of the referenced flow, which App loads and hands down
+ * through SubflowContext — so a node card never holds a copy of another
+ * flow, and saving that flow updates every card that runs it.
+ *
+ * @param {object}  props
+ * @param {string}  props.id       - Unique node ID, injected by React Flow
+ * @param {object}  props.data     - { flowId: string, entryNodeId: string, returnNodeId: string }
+ * @param {boolean} props.selected - True when the node is selected on the canvas
+ */
+
+import React, { createContext, useContext } from 'react';
+import { Blocks, ExternalLink, LogIn, LogOut } from 'lucide-react';
+import { TargetHandle, SourceHandle } from './NodeHandles.jsx';
+import ProblemBadge from './ProblemBadge.jsx';
+import { ReadOnlyContext } from './HistoryBanner.jsx';
+import { subflowEndpoints } from '../utils/subflows.js';
+import { isFlowStep } from '../utils/flowValidation.js';
+import { describeNode } from '../utils/diagnostics.js';
+
+
+/**
+ * What subflow cards and forms know about the workspace:
+ *   { flows, activeFlowId, sources, openFlow }
+ * `flows` is the workspace index, `sources` the loaded subflow sources
+ * (see loadSubflowSources) and `openFlow(id)` switches the canvas.
+ */
+export const SubflowContext = createContext({
+    flows: [],
+    activeFlowId: null,
+    sources: new Map(),
+    openFlow: () => {},
+});
+
+
+/**
+ * One endpoint row: "→ in  Start node".
+ *
+ * @param {object}    props
+ * @param {Component} props.icon
+ * @param {string}    props.caption
+ * @param {string}    props.text
+ */
+function EndpointRow({ icon: Icon, caption, text }) {
+    return (
+        <div className="flex items-center gap-1.5 text-[11px] min-w-0">
+            <Icon size={11} className="text-teal-400 flex-shrink-0" />
+            <span className="w-7 flex-shrink-0 text-slate-500">{caption}</span>
+            <span className="text-slate-300 truncate">{text}</span>
+        </div>
+    );
+}
+
+
+export default function SubflowNode({ id, data, selected }) {
+    const { flows, sources, openFlow } = useContext(SubflowContext);
+    const readOnly = useContext(ReadOnlyContext);
+
+    const entry = flows.find((f) => f.id === data.flowId);
+    const source = sources.get(data.flowId);
+    const endpoints = source ? subflowEndpoints(source, data) : null;
+    const stepCount = source ? source.nodes.filter(isFlowStep).length : 0;
+
+    /** Name of an endpoint, or why it cannot be shown. */
+    const endpointText = (node, fallback) => (node ? describeNode(node) : fallback);
+
+    return (
+        <div
+            className={`
+                relative w-64 rounded-2xl overflow-visible shadow-node
+                transition-all duration-200 select-none
+                ${selected
+                    ? 'ring-2 ring-teal-400 shadow-[0_0_0_6px_rgba(45,212,191,0.20)]'
+                    : 'ring-1 ring-[#2d2b55] hover:ring-teal-700'
+                }
+            `}
+        >
+            <TargetHandle />
+            <ProblemBadge nodeId={id} />
+
+            {/* ── Header ─────────────────────────────────────────────── */}
+            <div className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-teal-700 to-teal-500 rounded-t-2xl">
+                <Blocks size={13} className="text-white/80 flex-shrink-0" />
+                <span className="text-[11px] font-bold text-white tracking-widest uppercase">
+                    Subflow
+                </span>
+                {entry && !readOnly && (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); openFlow(entry.id); }}
+                        title={`Open "${entry.name}"`}
+                        className="nodrag ml-auto flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[10px] font-semibold text-white/80 hover:text-white hover:bg-white/15 transition-colors"
+                    >
+                        <ExternalLink size={11} />
+                        Open
+                    </button>
+                )}
+            </div>
+
+            {/* ── Body — the flow it runs and where ─────────────────── */}
+            <div className="bg-[#1c1a45] rounded-b-2xl px-4 py-3 flex flex-col gap-1">
+                {!data.flowId ? (
+                    <p className="text-xs text-slate-500 italic">No flow picked yet</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-slate-200 font-medium truncate">
+                            {entry?.name ?? source?.name ?? `Flow ${data.flowId}`}
+                        </p>
+                        <p className="text-[11px] text-slate-500">
+                            {source === undefined
+                                ? 'Loading…'
+                                : source === null
+                                    ? 'Not saved — nothing to run'
+                                    : `${stepCount} node${stepCount !== 1 ? 's' : ''}`}
+                        </p>
+                        {endpoints && (
+                            <div className="mt-1 flex flex-col gap-0.5">
+                                <EndpointRow
+                                    icon={LogIn}
+                                    caption="in"
+                                    text={data.entryNodeId
+                                        ? endpointText(endpoints.entry, `#${data.entryNodeId} (missing)`)
+                                        : endpointText(endpoints.entry, 'No start node')}
+                                />
+                                <EndpointRow
+                                    icon={LogOut}
+                                    caption="out"
+                                    text={data.returnNodeId
+                                        ? endpointText(endpoints.returnNode, `#${data.returnNodeId} (missing)`)
+                                        : 'When the subflow ends'}
+                                />
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <SourceHandle />
+        </div>
+    );
+}
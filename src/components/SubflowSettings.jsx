@@ -0,0 +1,138 @@
+/**
+ * @file SubflowSettings.jsx
+ * @description SettingsPanel form for "subflowNode" nodes.
+ *
+ * Fields
+ * ──────
+ *   Flow   — which saved flow of the workspace to run. The open flow itself
+ *            is not offered; a flow that would run this one again is listed
+ *            but flagged by the diagnostics.
+ *   Entry  — where the subflow is entered: its start node by default, or
+ *            any of its nodes.
+ *   Return — the node after which the conversation comes back here and
+ *            follows this node's edge: by default wherever the subflow
+ *            ends, or any of its nodes.
+ *
+ * The node lists come from the SAVED version of the picked flow (see
+ * SubflowContext); picking another flow resets both endpoints. Every edit
+ * goes through onDataChange(id, patch) like the other per-type forms.
+ *
+ * @param {object}   props
+ * @param {object}   props.node         — The selected subflowNode
+ * @param {Function} props.onDataChange — (id, patch: object) => void
+ */
+
+import React, { useContext, useEffect, useRef } from 'react';
+import { ExternalLink } from 'lucide-react';
+import { INPUT_CLASS, LABEL_CLASS, SMALL_BUTTON_CLASS } from './formStyles.js';
+import { SubflowContext } from './SubflowNode.jsx';
+import { isFlowStep } from '../utils/flowValidation.js';
+import { describeNode } from '../utils/diagnostics.js';
+
+
+export default function SubflowSettings({ node, onDataChange }) {
+    const { flowId = '', entryNodeId = '', returnNodeId = '' } = node.data;
+    const { flows, activeFlowId, sources, openFlow } = useContext(SubflowContext);
+
+    const flowSelectRef = useRef(null);
+
+    // Focus the first field when the form opens (the panel re-mounts it per node)
+    useEffect(() => {
+        flowSelectRef.current?.focus();
+    }, []);
+
+    const choices = flows.filter((f) => f.id !== activeFlowId);
+    const source = flowId ? sources.get(flowId) : undefined;
+    const steps = source ? source.nodes.filter(isFlowStep) : [];
+
+    /** An option for a picked node the source no longer has, so the select can show it. */
+    const missingOption = (id) => id && !steps.some((n) => n.id === id) && (
+        <option value={id}>#{id} (no longer exists)</option>
+    );
+
+    return (
+        <div className="px-4 pt-4 flex-shrink-0 flex flex-col gap-4">
+            {/* ── Flow ─────────────────────────────────────────────── */}
+            <div>
+                <label htmlFor="subflow-flow-select" className={LABEL_CLASS}>
+                    Flow
+                </label>
+                <select
+                    id="subflow-flow-select"
+                    ref={flowSelectRef}
+                    value={flowId}
+                    onChange={(e) => onDataChange(node.id, { flowId: e.target.value, entryNodeId: '', returnNodeId: '' })}
+                    className={INPUT_CLASS}
+                >
+                    <option value="">Pick a flow…</option>
+                    {choices.map((f) => (
+                        <option key={f.id} value={f.id}>{f.name}</option>
+                    ))}
+                    {flowId && !choices.some((f) => f.id === flowId) && (
+                        <option value={flowId}>{flowId === activeFlowId ? 'This flow' : `Deleted flow (${flowId})`}</option>
+                    )}
+                </select>
+                {choices.length === 0 && (
+                    <p className="mt-1.5 text-[11px] text-slate-500">
+                        Create and save another flow first — a subflow runs a saved flow.
+                    </p>
+                )}
+                {source === null && (
+                    <p className="mt-1.5 text-[11px] text-rose-400" role="alert">
+                        This flow has never been saved, so there is nothing to run yet.
+                    </p>
+                )}
+                {flowId && flows.some((f) => f.id === flowId) && (
+                    <button onClick={() => openFlow(flowId)} className={`${SMALL_BUTTON_CLASS} mt-2`}>
+                        <ExternalLink size={12} />
+                        Open flow
+                    </button>
+                )}
+            </div>
+
+            {/* ── Entry / return points ────────────────────────────── */}
+            {source && (
+                <>
+                    <div>
+                        <label htmlFor="subflow-entry-select" className={LABEL_CLASS}>
+                            Enter at
+                        </label>
+                        <select
+                            id="subflow-entry-select"
+                            value={entryNodeId}
+                            onChange={(e) => onDataChange(node.id, { entryNodeId: e.target.value })}
+                            className={INPUT_CLASS}
+                        >
+                            <option value="">Start node (default)</option>
+                            {steps.map((n) => (
+                                <option key={n.id} value={n.id}>{describeNode(n)} · #{n.id}</option>
+                            ))}
+                            {missingOption(entryNodeId)}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label htmlFor="subflow-return-select" className={LABEL_CLASS}>
+                            Return after
+                        </label>
+                        <select
+                            id="subflow-return-select"
+                            value={returnNodeId}
+                            onChange={(e) => onDataChange(node.id, { returnNodeId: e.target.value })}
+                            className={INPUT_CLASS}
+                        >
+                            <option value="">When the subflow ends (default)</option>
+                            {steps.map((n) => (
+                                <option key={n.id} value={n.id}>{describeNode(n)} · #{n.id}</option>
+                            ))}
+                            {missingOption(returnNodeId)}
+                        </select>
+                        <p className="mt-1.5 text-[11px] text-slate-500 leading-snug">
+                            The conversation then follows this node's own outgoing edge.
+                        </p>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+/**
+ * @file TranslationBadge.jsx
+ * @description "Missing translation" badge on the corner of a node, shown
+ *   while the canvas is switched to one of the flow's other languages.
+ *
+ * App works out which texts of which nodes have no translation
+ * (translationGaps, utils/translations.js) and provides it through
+ * TranslationContext together with the language being edited — read from
+ * context, like the diagnostics, so none of it reaches node.data.
+ *
+ * Hovering the badge lists the untranslated texts.
+ *
+ * @param {object} props
+ * @param {string} props.nodeId - The node to show missing texts for
+ */
+
+import React, { createContext, useContext } from 'react';
+import { Languages } from 'lucide-react';
+import { DEFAULT_LANGUAGES, languageName } from '../utils/translations.js';
+
+
+/**
+ * { language, languages, gaps }: the language the canvas and SettingsPanel
+ * show and edit, the flow's language settings, and translationGaps() of
+ * the graph. Defaults to the default language outside a provider.
+ */
+export const TranslationContext = createContext({
+    language: DEFAULT_LANGUAGES.default,
+    languages: DEFAULT_LANGUAGES,
+    gaps: new Map(),
+});
+
+
+/** Longest text quoted in the tooltip. */
+const EXCERPT_LENGTH = 40;
+
+/** One line of a text, cut with "…" when long. */
+const excerpt = (text) => {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > EXCERPT_LENGTH ? `${line.slice(0, EXCERPT_LENGTH - 1)}…` : line;
+};
+
+
+export default function TranslationBadge({ nodeId }) {
+    const { language, languages, gaps } = useContext(TranslationContext);
+    const missing = language !== languages.default ? gaps.get(language)?.get(nodeId) : null;
+    if (!missing?.length) return null;
+
+    return (
+        <div
+            className="
+                absolute -top-2.5 -left-2.5 z-10 h-[22px] px-1.5
+                rounded-full flex items-center gap-1
+                text-[10px] font-bold uppercase text-white bg-sky-600 shadow-node ring-2 ring-[#0f0f1a]
+            "
+            title={`No ${languageName(language)} text yet for:\n${missing.map((t) => `• ${t.name}: ${excerpt(t.text)}`).join('\n')}`}
+            aria-label={`Missing ${languageName(language)} translation`}
+        >
+            <Languages size={11} />
+            {language}
+        </div>
+    );
+}
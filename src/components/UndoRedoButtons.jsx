@@ -0,0 +1,54 @@
+/**
+ * @file UndoRedoButtons.jsx
+ * @description Compact undo / redo button pair for the navbar.
+ *
+ * Purely presentational — the history itself lives in useFlowHistory and
+ * App wires the callbacks. The keyboard equivalents (Ctrl+Z, Ctrl+Shift+Z,
+ * Ctrl+Y; ⌘ on macOS, by default) are commands run by App's shortcut
+ * listener and advertised in the tooltips.
+ *
+ * @param {object}   props
+ * @param {Function} props.onUndo  — () => void
+ * @param {Function} props.onRedo  — () => void
+ * @param {boolean}  props.canUndo — false disables the undo button
+ * @param {boolean}  props.canRedo — false disables the redo button
+ */
+
+import React from 'react';
+import { Undo2, Redo2 } from 'lucide-react';
+
+
+/** Shared look for both icon buttons; disabled state is dimmed, not hidden. */
+const BUTTON_CLASS = `
+    w-8 h-8 rounded-lg flex items-center justify-center
+    text-brand-300 hover:text-white hover:bg-[#2d2b55] transition-colors duration-150
+    disabled:opacity-30 disabled:pointer-events-none
+`;
+
+
+export default function UndoRedoButtons({ onUndo, onRedo, canUndo, canRedo }) {
+    return (
+        <div className="flex items-center gap-0.5 p-0.5 rounded-xl bg-[#1e1b4b] border border-[#2d2b55]">
+            <button
+                onClick={onUndo}
+                disabled={!canUndo}
+                id="undo-button"
+                title="Undo (Ctrl+Z)"
+                aria-label="Undo"
+                className={BUTTON_CLASS}
+            >
+                <Undo2 size={15} />
+            </button>
+            <button
+                onClick={onRedo}
+                disabled={!canRedo}
+                id="redo-button"
+                title="Redo (Ctrl+Shift+Z)"
+                aria-label="Redo"
+                className={BUTTON_CLASS}
+            >
+                <Redo2 size={15} />
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,214 @@
+/**
+ * @file VariableTextarea.jsx
+ * @description Message textarea with `{{variable}}` autocomplete, used by
+ *   both message editors — the one inside CustomTextNode and the one in the
+ *   SettingsPanel.
+ *
+ * Typing `{{` opens a list of the variables known at the node (declared on
+ * the flow, or captured by a question upstream — see utils/variables.js),
+ * filtered by what follows:
+ *   ↑ / ↓        move through the list
+ *   Enter / Tab  insert `{{name}}` and close it
+ *   Escape       close the list and keep typing
+ * Clicking an entry inserts it too.
+ *
+ * Below the textarea, every placeholder that would not resolve is flagged:
+ * malformed names, names no question captures before this node, and names
+ * nothing defines at all (with a "did you mean" when one is close).
+ *
+ * The known-variable lists come from VariablesContext, which App fills from
+ * the whole graph. Reading them from context instead of node.data keeps
+ * them out of history and saved flows, and keeps nodeTypes stable.
+ *
+ * @param {object}   props
+ * @param {string}   props.nodeId   — Node whose known variables are offered
+ * @param {string}   props.value    — Current text
+ * @param {Function} props.onChange — (text: string) => void
+ * @param {string}   [props.className] — Classes for the <textarea> itself
+ * All other props are passed to the <textarea>; a ref reaches it too.
+ */
+
+import React, { createContext, forwardRef, useContext, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { AlertTriangle, Braces } from 'lucide-react';
+import { placeholderAt, checkPlaceholders } from '../utils/variables.js';
+
+
+/**
+ * {
+ *   knownByNode: Map<nodeId, string[]>,  // see knownVariablesByNode
+ *   allNames:    string[],               // every declared / captured name
+ *   samples:     Record<string, string>, // sample value per name
+ *   showSamples: boolean,                // canvas shows substituted text
+ * }
+ */
+export const VariablesContext = createContext({
+    knownByNode: new Map(),
+    allNames: [],
+    samples: {},
+    showSamples: false,
+});
+
+/** Most suggestions listed at once. */
+const MAX_SUGGESTIONS = 8;
+
+/** Closing braces (and the rest of a name) right after the caret. */
+const PLACEHOLDER_TAIL = /^[A-Za-z0-9_]*\s*\}\}/;
+
+/** Short description of each kind of placeholder problem. */
+const PROBLEM_TEXT = {
+    malformed: () => 'malformed name',
+    downstream: () => 'not captured before this message',
+    unknown: (suggestion) => (suggestion ? `unknown — did you mean {{${suggestion}}}?` : 'unknown variable'),
+};
+
+
+const VariableTextarea = forwardRef(function VariableTextarea(
+    { nodeId, value, onChange, className = '', ...textareaProps },
+    forwardedRef
+) {
+    const { knownByNode, allNames } = useContext(VariablesContext);
+    const known = knownByNode.get(nodeId) ?? [];
+
+    const innerRef = useRef(null);
+    const setRefs = (el) => {
+        innerRef.current = el;
+        if (typeof forwardedRef === 'function') forwardedRef(el);
+        else if (forwardedRef) forwardedRef.current = el;
+    };
+
+    /** Open autocomplete: where its `{{` starts, what follows it, highlighted row. */
+    const [menu, setMenu] = useState(null); // { start, query, active } | null
+
+    /** Caret offset to restore after an insertion re-renders the text. */
+    const pendingCaretRef = useRef(null);
+
+    const suggestions = useMemo(() => {
+        if (!menu) return [];
+        const query = menu.query.toLowerCase();
+        const starts = known.filter((name) => name.toLowerCase().startsWith(query));
+        const contains = known.filter((name) => !name.toLowerCase().startsWith(query) && name.toLowerCase().includes(query));
+        return [...starts, ...contains].slice(0, MAX_SUGGESTIONS);
+    }, [menu, known]);
+
+    const problems = useMemo(() => checkPlaceholders([value], known, allNames), [value, known, allNames]);
+
+    useLayoutEffect(() => {
+        if (pendingCaretRef.current === null || !innerRef.current) return;
+        innerRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+        pendingCaretRef.current = null;
+    }, [value]);
+
+    /**
+     * Opens, refreshes or closes the list for the caret's position.
+     *
+     * @param {HTMLTextAreaElement} el
+     */
+    const syncMenu = (el) => {
+        const open = el.selectionStart === el.selectionEnd ? placeholderAt(el.value, el.selectionStart) : null;
+        setMenu((prev) => (open
+            ? { ...open, active: prev && prev.start === open.start ? prev.active : 0 }
+            : null));
+    };
+
+    /**
+     * Replaces the placeholder being typed with the complete `{{name}}`.
+     *
+     * @param {string} name
+     */
+    const accept = (name) => {
+        const el = innerRef.current;
+        const caret = el?.selectionStart ?? value.length;
+        const rest = value.slice(caret).replace(PLACEHOLDER_TAIL, '');
+        const inserted = `{{${name}}}`;
+        pendingCaretRef.current = menu.start + inserted.length;
+        onChange(value.slice(0, menu.start) + inserted + rest);
+        setMenu(null);
+    };
+
+    const handleKeyDown = (event) => {
+        textareaProps.onKeyDown?.(event);
+        if (!menu || suggestions.length === 0) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setMenu({ ...menu, active: (menu.active + step + suggestions.length) % suggestions.length });
+        } else if (event.key === 'Enter' || event.key === 'Tab') {
+            event.preventDefault();
+            accept(suggestions[Math.min(menu.active, suggestions.length - 1)]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            setMenu(null);
+        }
+    };
+
+    // Keys handled above must not re-sync (and reset) the list on release
+    const handleKeyUp = (event) => {
+        textareaProps.onKeyUp?.(event);
+        if (!['ArrowDown', 'ArrowUp', 'Enter', 'Tab', 'Escape'].includes(event.key)) syncMenu(event.target);
+    };
+
+    return (
+        <div className="relative">
+            <textarea
+                {...textareaProps}
+                ref={setRefs}
+                value={value}
+                onChange={(e) => { onChange(e.target.value); syncMenu(e.target); }}
+                onKeyDown={handleKeyDown}
+                onKeyUp={handleKeyUp}
+                onClick={(e) => { textareaProps.onClick?.(e); syncMenu(e.target); }}
+                onBlur={(e) => { textareaProps.onBlur?.(e); setMenu(null); }}
+                aria-autocomplete="list"
+                aria-expanded={!!menu}
+                className={className}
+            />
+
+            {/* ── Autocomplete list ─────────────────────────────────── */}
+            {menu && (
+                <ul
+                    role="listbox"
+                    aria-label="Variables"
+                    className="nodrag nowheel absolute left-0 right-0 top-full mt-1 z-30 max-h-48 overflow-y-auto py-1 rounded-lg bg-[#13112b] border border-[#2d2b55] shadow-panel"
+                >
+                    {suggestions.length === 0 ? (
+                        <li className="px-3 py-1.5 text-[11px] text-slate-500 leading-snug">
+                            {known.length === 0
+                                ? 'No variables here yet — declare one under Variables, or capture one with a Question upstream.'
+                                : `No variable matches "${menu.query}".`}
+                        </li>
+                    ) : suggestions.map((name, i) => (
+                        <li
+                            key={name}
+                            role="option"
+                            aria-selected={i === menu.active}
+                            // mousedown, not click: the textarea must keep focus
+                            onMouseDown={(e) => { e.preventDefault(); accept(name); }}
+                            className={`flex items-center gap-2 px-3 py-1 text-xs font-mono cursor-pointer ${i === menu.active ? 'bg-brand-600/40 text-white' : 'text-slate-300 hover:bg-[#2d2b55]'}`}
+                        >
+                            <Braces size={11} className="text-brand-400 flex-shrink-0" />
+                            {name}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* ── Unresolvable placeholders ─────────────────────────── */}
+            {problems.length > 0 && (
+                <ul className="mt-1 flex flex-col gap-0.5" aria-label="Variable problems">
+                    {problems.map(({ name, reason, suggestion }) => (
+                        <li key={name} className="flex items-start gap-1 text-[10px] leading-snug text-amber-300">
+                            <AlertTriangle size={10} className="mt-px flex-shrink-0" />
+                            <span>
+                                <span className="font-mono">{`{{${name}}}`}</span> {PROBLEM_TEXT[reason](suggestion)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+});
+
+export default VariableTextarea;
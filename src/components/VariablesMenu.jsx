@@ -0,0 +1,210 @@
+/**
+ * @file VariablesMenu.jsx
+ * @description Header button that drops down the flow's variable settings.
+ *
+ *   Flow variables  — names the channel supplies before the conversation
+ *                     starts (e.g. first_name). Add by name, remove with ✕.
+ *   Sample values   — one row per variable the flow knows, declared or
+ *                     captured by a Question, with a sample value each.
+ *   Show on canvas  — message nodes display their text with the samples
+ *                     substituted instead of the raw `{{placeholders}}`.
+ *
+ * The settings object ({ declared, samples }, see utils/variables.js) is
+ * owned by App and saved with the flow; this component only owns the menu's
+ * open state and the name being typed.
+ *
+ * @param {object}   props
+ * @param {object}   props.variables           — { declared: string[], samples: object }
+ * @param {Map}      props.captured            — Name → ids of the questions storing it
+ * @param {boolean}  props.showSamples         — Canvas shows substituted text
+ * @param {Function} props.onChange            — (variables) => void
+ * @param {Function} props.onShowSamplesChange — (show: boolean) => void
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Braces, Plus, X } from 'lucide-react';
+import { VARIABLE_NAME_PATTERN } from '../utils/questions.js';
+
+
+/** Small uppercase section headings. */
+const SECTION_TITLE_CLASS = 'px-3 pt-3 pb-1.5 text-[11px] font-semibold uppercase tracking-widest text-slate-600';
+
+
+export default function VariablesMenu({ variables, captured, showSamples, onChange, onShowSamplesChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    /** Name typed into the "add variable" box. */
+    const [newName, setNewName] = useState('');
+
+    const menuRef = useRef(null);
+
+    // Close on any click outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [isOpen]);
+
+    /** Every variable with a sample row, sorted. */
+    const names = useMemo(
+        () => [...new Set([...variables.declared, ...captured.keys()])].sort((a, b) => a.localeCompare(b)),
+        [variables.declared, captured]
+    );
+
+    const trimmed = newName.trim();
+    const nameError =
+        !trimmed ? null
+            : !VARIABLE_NAME_PATTERN.test(trimmed) ? 'Use letters, digits and _; don’t start with a digit.'
+                : variables.declared.includes(trimmed) ? `"${trimmed}" is already declared.`
+                    : null;
+
+    const addVariable = () => {
+        if (!trimmed || nameError) return;
+        onChange({ ...variables, declared: [...variables.declared, trimmed] });
+        setNewName('');
+    };
+
+    const removeVariable = (name) => {
+        const samples = { ...variables.samples };
+        if (!captured.has(name)) delete samples[name]; // a captured one keeps its row
+        onChange({ declared: variables.declared.filter((n) => n !== name), samples });
+    };
+
+    const setSample = (name, value) => {
+        const samples = { ...variables.samples };
+        if (value) samples[name] = value;
+        else delete samples[name];
+        onChange({ ...variables, samples });
+    };
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                id="variables-menu-button"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                title="Flow variables and sample values"
+                className={`
+                    flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium
+                    border transition-colors duration-150 select-none
+                    ${isOpen || showSamples
+                        ? 'bg-brand-600/20 border-brand-500/50 text-brand-200'
+                        : 'bg-[#1e1b4b] border-[#2d2b55] text-brand-300 hover:text-white hover:border-brand-500'
+                    }
+                `}
+            >
+                <Braces size={14} />
+                Variables
+                {names.length > 0 && (
+                    <span className="ml-0.5 px-1.5 rounded-md bg-[#2d2b55] text-[11px] font-mono text-slate-300">
+                        {names.length}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label="Variables"
+                    className="absolute right-0 top-full mt-2 z-50 w-96 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden"
+                >
+                    {/* ── Flow variables ─────────────────────────────────── */}
+                    <p className={SECTION_TITLE_CLASS}>Flow variables</p>
+                    <div className="px-3">
+                        {variables.declared.length > 0 && (
+                            <ul className="flex flex-wrap gap-1.5 mb-2">
+                                {variables.declared.map((name) => (
+                                    <li
+                                        key={name}
+                                        className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-md bg-[#2d2b55] border border-[#3d3a7a] text-xs font-mono text-brand-200"
+                                    >
+                                        {name}
+                                        <button
+                                            onClick={() => removeVariable(name)}
+                                            aria-label={`Remove ${name}`}
+                                            className="w-4 h-4 rounded flex items-center justify-center text-slate-400 hover:text-rose-300"
+                                        >
+                                            <X size={11} />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <form
+                            onSubmit={(e) => { e.preventDefault(); addVariable(); }}
+                            className="flex items-center gap-1.5"
+                        >
+                            <input
+                                value={newName}
+                                onChange={(e) => setNewName(e.target.value)}
+                                placeholder="Add a variable, e.g. first_name"
+                                aria-label="New variable name"
+                                aria-invalid={!!nameError}
+                                className="flex-1 min-w-0 px-2.5 py-1.5 rounded-lg bg-[#1a1740] border border-[#2d2b55] text-xs font-mono text-slate-200 placeholder:text-slate-600 placeholder:font-sans focus:outline-none focus:border-brand-500"
+                            />
+                            <button
+                                type="submit"
+                                disabled={!trimmed || !!nameError}
+                                aria-label="Add variable"
+                                className="w-7 h-7 rounded-lg flex items-center justify-center bg-brand-600 text-white hover:bg-brand-500 disabled:opacity-30 disabled:pointer-events-none transition-colors"
+                            >
+                                <Plus size={14} />
+                            </button>
+                        </form>
+                        {nameError && <p className="mt-1 text-[11px] text-rose-300">{nameError}</p>}
+                    </div>
+
+                    {/* ── Sample values ──────────────────────────────────── */}
+                    <p className={`${SECTION_TITLE_CLASS} mt-1`}>Sample values</p>
+                    {names.length === 0 ? (
+                        <p className="px-3 pb-3 text-xs text-slate-500 leading-snug">
+                            No variables yet. Declare one above, or give a Question a variable name.
+                        </p>
+                    ) : (
+                        <table className="w-full text-xs">
+                            <tbody>
+                                {names.map((name) => {
+                                    const questions = captured.get(name)?.length ?? 0;
+                                    return (
+                                        <tr key={name} className="border-t border-[#2d2b55]/60">
+                                            <td className="pl-3 pr-2 py-1.5 align-middle">
+                                                <span className="block font-mono text-slate-200 truncate max-w-[9rem]">{name}</span>
+                                                <span className="block text-[10px] text-slate-500">
+                                                    {variables.declared.includes(name) ? 'flow variable' : `captured by ${questions} question${questions !== 1 ? 's' : ''}`}
+                                                </span>
+                                            </td>
+                                            <td className="pr-3 py-1.5">
+                                                <input
+                                                    value={variables.samples[name] ?? ''}
+                                                    onChange={(e) => setSample(name, e.target.value)}
+                                                    placeholder="Sample value"
+                                                    aria-label={`Sample value for ${name}`}
+                                                    className="w-full px-2 py-1 rounded-md bg-[#1a1740] border border-[#2d2b55] text-xs text-slate-200 placeholder:text-slate-600 focus:outline-none focus:border-brand-500"
+                                                />
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {/* ── Canvas toggle ──────────────────────────────────── */}
+                    <label className="flex items-center gap-2 px-3 py-2.5 border-t border-[#2d2b55] text-xs text-slate-300 cursor-pointer select-none">
+                        <input
+                            type="checkbox"
+                            checked={showSamples}
+                            onChange={(e) => onShowSamplesChange(e.target.checked)}
+                            className="accent-brand-500"
+                        />
+                        Show sample values on the canvas
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,172 @@
+/**
+ * @file WorkspaceMenu.jsx
+ * @description Header title showing the open flow's name, which drops down
+ *   into the workspace's list of flows.
+ *
+ * Each row shows the flow's name and its own node / edge counts; the open
+ * flow is marked. Per-row actions:
+ *   click     → onOpen(id)          switch the canvas to that flow
+ *   ✎ rename  → inline input; Enter / blur commits, Escape cancels
+ *   ⧉ copy    → onDuplicate(id)
+ *   🗑 delete  → onDelete(id)        App confirms before deleting
+ * "New flow" at the bottom calls onCreate().
+ *
+ * All persistence lives in useWorkspace / App; this component only owns
+ * whether the menu is open and which row is being renamed.
+ *
+ * @param {object}   props
+ * @param {object[]} props.flows        — Workspace index entries
+ * @param {string}   props.activeFlowId — Id of the open flow
+ * @param {Function} props.onOpen       — (id) => void
+ * @param {Function} props.onCreate     — () => void
+ * @param {Function} props.onRename     — (id, name) => void
+ * @param {Function} props.onDuplicate  — (id) => void
+ * @param {Function} props.onDelete     — (id) => void
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronDown, Copy, Pencil, Plus, Trash2, Check } from 'lucide-react';
+
+
+/** Small icon buttons on each flow row. */
+const ROW_BUTTON_CLASS = `
+    w-6 h-6 rounded-md flex items-center justify-center text-slate-500
+    hover:text-slate-200 hover:bg-[#2d2b55] transition-colors flex-shrink-0
+`;
+
+
+export default function WorkspaceMenu({ flows, activeFlowId, onOpen, onCreate, onRename, onDuplicate, onDelete }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    /** Row being renamed, and the name typed so far. */
+    const [editing, setEditing] = useState(null); // { id, name } | null
+
+    const menuRef = useRef(null);
+    const active = flows.find((f) => f.id === activeFlowId);
+
+    // Close on any click outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const onPointerDown = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', onPointerDown);
+        return () => window.removeEventListener('pointerdown', onPointerDown);
+    }, [isOpen]);
+
+    /** Commits the inline rename, if one is in progress. */
+    const commitRename = () => {
+        if (editing) onRename(editing.id, editing.name);
+        setEditing(null);
+    };
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                id="workspace-menu-button"
+                aria-haspopup="listbox"
+                aria-expanded={isOpen}
+                title="Switch flow"
+                className="flex items-center gap-1.5 -ml-1 px-1 rounded-md hover:bg-[#2d2b55]/60 transition-colors"
+            >
+                <h1 className="text-base font-semibold text-white tracking-tight truncate max-w-[16rem]">
+                    {active?.name}
+                </h1>
+                <ChevronDown size={14} className={`text-slate-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+            </button>
+
+            {isOpen && (
+                <div className="absolute left-0 top-full mt-2 z-50 w-80 rounded-xl bg-[#13112b] border border-[#2d2b55] shadow-panel overflow-hidden">
+                    <p className="px-3 pt-3 pb-1.5 text-[11px] font-semibold uppercase tracking-widest text-slate-600">
+                        Flows · {flows.length}
+                    </p>
+
+                    <ul className="max-h-80 overflow-y-auto px-1.5" role="listbox" aria-label="Flows">
+                        {flows.map((flow) => {
+                            const isActive = flow.id === activeFlowId;
+                            const isEditing = editing?.id === flow.id;
+                            return (
+                                <li
+                                    key={flow.id}
+                                    role="option"
+                                    aria-selected={isActive}
+                                    className={`group flex items-center gap-1 px-2 py-1.5 rounded-lg ${isActive ? 'bg-[#2d2b55]/70' : 'hover:bg-[#1e1b4b]'}`}
+                                >
+                                    {isEditing ? (
+                                        <input
+                                            autoFocus
+                                            value={editing.name}
+                                            onChange={(e) => setEditing({ id: flow.id, name: e.target.value })}
+                                            onBlur={commitRename}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter') commitRename();
+                                                if (e.key === 'Escape') setEditing(null);
+                                            }}
+                                            aria-label="Flow name"
+                                            className="flex-1 min-w-0 px-2 py-1 rounded-md bg-[#1a1740] border border-brand-500 text-sm text-slate-200 outline-none"
+                                        />
+                                    ) : (
+                                        <button
+                                            onClick={() => { onOpen(flow.id); setIsOpen(false); }}
+                                            className="flex-1 min-w-0 text-left"
+                                        >
+                                            <span className={`flex items-center gap-1.5 text-sm truncate ${isActive ? 'text-white font-medium' : 'text-slate-300'}`}>
+                                                {isActive && <Check size={12} className="text-brand-400 flex-shrink-0" />}
+                                                <span className="truncate">{flow.name}</span>
+                                            </span>
+                                            <span className="block text-[10px] font-mono text-slate-500">
+                                                {flow.nodeCount} node{flow.nodeCount !== 1 ? 's' : ''} · {flow.edgeCount} edge{flow.edgeCount !== 1 ? 's' : ''}
+                                                {' · '}{new Date(flow.updatedAt).toLocaleDateString()}
+                                            </span>
+                                        </button>
+                                    )}
+
+                                    {!isEditing && (
+                                        <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                                            <button
+                                                onClick={() => setEditing({ id: flow.id, name: flow.name })}
+                                                title="Rename"
+                                                aria-label={`Rename ${flow.name}`}
+                                                className={ROW_BUTTON_CLASS}
+                                            >
+                                                <Pencil size={12} />
+                                            </button>
+                                            <button
+                                                onClick={() => onDuplicate(flow.id)}
+                                                title="Duplicate"
+                                                aria-label={`Duplicate ${flow.name}`}
+                                                className={ROW_BUTTON_CLASS}
+                                            >
+                                                <Copy size={12} />
+                                            </button>
+                                            <button
+                                                onClick={() => onDelete(flow.id)}
+                                                title="Delete"
+                                                aria-label={`Delete ${flow.name}`}
+                                                className={`${ROW_BUTTON_CLASS} hover:!text-rose-300`}
+                                            >
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <div className="p-1.5 mt-1 border-t border-[#2d2b55]">
+                        <button
+                            onClick={() => { onCreate(); setIsOpen(false); }}
+                            id="new-flow-button"
+                            className="w-full flex items-center gap-2 px-2 py-2 rounded-lg text-sm text-brand-300 hover:text-white hover:bg-[#1e1b4b] transition-colors"
+                        >
+                            <Plus size={14} />
+                            New flow
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,25 @@
+/**
+ * @file formStyles.js
+ * @description Tailwind class strings shared by the per-type SettingsPanel
+ *   forms (ImageSettings, ConditionSettings, …) so every field looks like
+ *   the panel's original "Message Text" textarea.
+ */
+
+/** Text inputs, selects and textareas. */
+export const INPUT_CLASS = `
+    w-full rounded-xl bg-[#1a1740] border border-[#2d2b55]
+    text-sm text-slate-200 placeholder:text-slate-600
+    px-3.5 py-2.5
+    focus:outline-none focus:border-brand-500 focus:ring-1 focus:ring-brand-500/40
+    transition-colors duration-150
+`;
+
+/** Uppercase field captions. */
+export const LABEL_CLASS = 'block mb-1.5 text-[11px] font-semibold text-brand-400 uppercase tracking-widest';
+
+/** Small secondary buttons such as "Upload file" or "Add branch". */
+export const SMALL_BUTTON_CLASS = `
+    inline-flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium
+    bg-[#1e1b4b] border border-[#2d2b55] text-brand-300
+    hover:text-white hover:border-brand-500 transition-colors
+`;
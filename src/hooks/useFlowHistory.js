@@ -0,0 +1,177 @@
+/**
+ * @file useFlowHistory.js
+ * @description Undo / redo history for the canvas graph.
+ *
+ * The hook keeps two stacks of { nodes, edges } snapshots beside React Flow's
+ * own useNodesState / useEdgesState. It never observes state changes on its
+ * own — instead every mutating handler in App calls `takeSnapshot()` just
+ * BEFORE it changes the graph, recording the state the user can return to.
+ *
+ * Granularity
+ * ───────────
+ *   • One call per user action. Calls made within the same JS task collapse
+ *     into one step, so a Delete-key press that removes a node AND its
+ *     connected edges (two change batches from React Flow) undoes at once.
+ *
+ *   • Coalesced typing. `takeSnapshot('label:<id>')` is skipped while the
+ *     same key keeps arriving less than COALESCE_MS apart, so a burst of
+ *     keystrokes in one textarea becomes a single step. A pause, a
+ *     different node or any other action starts a new step.
+ *
+ *   • Gestures. `beginGesture()` / `endGesture()` bracket a node drag. The
+ *     start state is only committed if the graph actually changed, so a
+ *     plain click on a node (which React Flow also reports as a drag)
+ *     does not leave an empty undo step behind.
+ *
+ *   • `clearHistory()` forgets both stacks — used when the canvas switches
+ *     to a different flow, whose past the old steps do not belong to.
+ *
+ * @param {object}   params
+ * @param {object[]} params.nodes    - Current nodes (from useNodesState).
+ * @param {object[]} params.edges    - Current edges (from useEdgesState).
+ * @param {Function} params.setNodes - Setter from useNodesState.
+ * @param {Function} params.setEdges - Setter from useEdgesState.
+ * @param {number}   [params.limit]  - Maximum number of undo steps kept.
+ * @returns {{
+ *   takeSnapshot: (coalesceKey?: string) => void,
+ *   beginGesture: () => void,
+ *   endGesture:   () => void,
+ *   undo:         () => object|null,
+ *   redo:         () => object|null,
+ *   clearHistory: () => void,
+ *   canUndo:      boolean,
+ *   canRedo:      boolean,
+ * }}
+ */
+
+import { useCallback, useRef, useState } from 'react';
+import { isSameGraph } from '../utils/flowStorage.js';
+
+/** Max gap between keystrokes that still counts as the same edit. */
+const COALESCE_MS = 1000;
+
+/** Default number of undo steps kept before the oldest is dropped. */
+const DEFAULT_LIMIT = 100;
+
+
+export default function useFlowHistory({ nodes, edges, setNodes, setEdges, limit = DEFAULT_LIMIT }) {
+    /** Stacks live in refs: pushing a step must not re-render the canvas. */
+    const pastRef = useRef([]);
+    const futureRef = useRef([]);
+
+    /**
+     * Stack depths mirrored into state purely so the header buttons can
+     * enable / disable themselves.
+     */
+    const [depth, setDepth] = useState({ past: 0, future: 0 });
+
+    /**
+     * Always points at the latest rendered graph, so the callbacks below
+     * can stay referentially stable and still read fresh data.
+     */
+    const currentRef = useRef({ nodes, edges });
+    currentRef.current = { nodes, edges };
+
+    /** Set while a snapshot has already been taken in the current JS task. */
+    const sameTaskRef = useRef(false);
+
+    /** The last coalescing key and when it was last seen. */
+    const lastEditRef = useRef({ key: null, at: 0 });
+
+    /** Graph captured by beginGesture(), awaiting endGesture(). */
+    const gestureRef = useRef(null);
+
+    const syncDepth = useCallback(() => {
+        setDepth({ past: pastRef.current.length, future: futureRef.current.length });
+    }, []);
+
+    /**
+     * Pushes a snapshot onto the undo stack and clears the redo stack —
+     * a new edit invalidates any "future" the user had undone.
+     *
+     * @param {{ nodes: object[], edges: object[] }} snapshot
+     */
+    const push = useCallback(
+        (snapshot) => {
+            pastRef.current = [...pastRef.current, snapshot].slice(-limit);
+            futureRef.current = [];
+            syncDepth();
+        },
+        [limit, syncDepth]
+    );
+
+    const takeSnapshot = useCallback(
+        (coalesceKey) => {
+            if (sameTaskRef.current) return;
+            sameTaskRef.current = true;
+            queueMicrotask(() => { sameTaskRef.current = false; });
+
+            const now = Date.now();
+            const last = lastEditRef.current;
+            const isContinuation = coalesceKey && last.key === coalesceKey && now - last.at < COALESCE_MS;
+            lastEditRef.current = { key: coalesceKey ?? null, at: now };
+            if (isContinuation) return;
+
+            push(currentRef.current);
+        },
+        [push]
+    );
+
+    const beginGesture = useCallback(() => {
+        gestureRef.current = currentRef.current;
+    }, []);
+
+    const endGesture = useCallback(() => {
+        const start = gestureRef.current;
+        gestureRef.current = null;
+        if (start && !isSameGraph(start, currentRef.current)) {
+            lastEditRef.current = { key: null, at: 0 };
+            push(start);
+        }
+    }, [push]);
+
+    /**
+     * Moves one snapshot from `from` to the canvas, parking the current
+     * graph on `to`. Shared by undo (past → future) and redo (future → past).
+     *
+     * @returns {object|null} The snapshot now on the canvas, or null if none.
+     */
+    const travel = useCallback(
+        (fromRef, toRef) => {
+            const target = fromRef.current[fromRef.current.length - 1];
+            if (!target) return null;
+
+            fromRef.current = fromRef.current.slice(0, -1);
+            toRef.current = [...toRef.current, currentRef.current];
+            lastEditRef.current = { key: null, at: 0 }; // next keystroke starts a fresh step
+
+            setNodes(target.nodes);
+            setEdges(target.edges);
+            syncDepth();
+            return target;
+        },
+        [setNodes, setEdges, syncDepth]
+    );
+
+    const undo = useCallback(() => travel(pastRef, futureRef), [travel]);
+    const redo = useCallback(() => travel(futureRef, pastRef), [travel]);
+
+    const clearHistory = useCallback(() => {
+        pastRef.current = [];
+        futureRef.current = [];
+        lastEditRef.current = { key: null, at: 0 };
+        gestureRef.current = null;
+        syncDepth();
+    }, [syncDepth]);
+
+    return {
+        takeSnapshot,
+        beginGesture,
+        endGesture,
+        undo,
+        redo,
+        clearHistory,
+        canUndo: depth.past > 0,
+        canRedo: depth.future > 0,
+    };
+}
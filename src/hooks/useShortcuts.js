@@ -0,0 +1,54 @@
+/**
+ * @file useShortcuts.js
+ * @description Runs commands from the keyboard.
+ *
+ * One keydown listener on window turns each key press into a combo string
+ * (utils/shortcuts.js), looks up the command bound to it and calls that
+ * command's handler. A command without a handler — e.g. an editing command
+ * while a revision is on display — lets the key through untouched.
+ *
+ * Inside text fields only `global` commands whose combo holds Mod or Alt
+ * fire (Save, Undo, the palette); everything else is typing. Matched keys
+ * have their browser default suppressed, so Ctrl+S does not open the
+ * page's "Save as" dialog.
+ *
+ * The handlers are read through a ref, so passing a new object on every
+ * render does not re-attach the listener.
+ *
+ * @param {object}                 params
+ * @param {Map<string, string[]>}  params.bindings - From resolveBindings.
+ * @param {Record<string, Function|null|undefined>} params.handlers - commandId → handler.
+ * @param {boolean}                [params.enabled] - false while a dialog handles its own keys.
+ */
+
+import { useEffect, useRef } from 'react';
+import { COMMANDS, comboFromEvent, commandForCombo, hasModifier, isEditableTarget } from '../utils/shortcuts.js';
+
+const GLOBAL_COMMANDS = new Set(COMMANDS.filter((c) => c.global).map((c) => c.id));
+
+
+export default function useShortcuts({ bindings, handlers, enabled = true }) {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+
+        const onKeyDown = (event) => {
+            if (event.defaultPrevented || event.isComposing) return;
+            const combo = comboFromEvent(event);
+            if (!combo) return;
+
+            const id = commandForCombo(bindings, combo);
+            const handler = id && handlersRef.current[id];
+            if (!handler) return;
+            if (isEditableTarget(event.target) && !(GLOBAL_COMMANDS.has(id) && hasModifier(combo))) return;
+
+            event.preventDefault();
+            handler();
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [bindings, enabled]);
+}
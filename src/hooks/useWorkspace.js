@@ -0,0 +1,160 @@
+/**
+ * @file useWorkspace.js
+ * @description The list of named flows and which one is open.
+ *
+ * The hook owns the workspace INDEX (see utils/flowStorage.js) and writes it
+ * back to localStorage on every change. It also creates, copies and deletes
+ * the per-flow storage slots that go with an index entry. It does NOT touch
+ * the canvas — loading a flow's nodes / edges / viewport on switch is App's
+ * job, because it also involves history, selection and the draft banner.
+ *
+ * The index entry is the source of truth for a flow's name and creation
+ * date; App derives its flowMeta from the active entry.
+ *
+ * @returns {{
+ *   flows:         object[],                       // index entries, in list order
+ *   activeFlow:    object,                         // entry of the open flow
+ *   setActiveFlow: (id: string) => void,
+ *   createFlow:    (name?: string) => object,      // returns the new entry
+ *   renameFlow:    (id: string, name: string) => void,
+ *   duplicateFlow: (id: string) => object|null,    // returns the copy's entry
+ *   deleteFlow:    (id: string) => void,
+ *   touchFlow:     (id: string, snapshot: object) => void,
+ *   adoptFlows:    (entries: object[]) => void,    // add flows found in the store
+ * }}
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import {
+    loadWorkspace,
+    storeWorkspace,
+    createFlowId,
+    createFlowEntry,
+    copyFlowData,
+    deleteFlowData,
+} from '../utils/flowStorage.js';
+import { DEFAULT_FLOW_NAME } from '../utils/flowSchema.js';
+
+
+export default function useWorkspace() {
+    const [workspace, setWorkspace] = useState(loadWorkspace);
+
+    // Persist the index whenever it changes
+    useEffect(() => {
+        storeWorkspace(workspace);
+    }, [workspace]);
+
+    /**
+     * Merges `patch` into the entry with `id`.
+     *
+     * @param {string} id
+     * @param {object} patch
+     */
+    const patchFlow = useCallback((id, patch) => {
+        setWorkspace((ws) => ({
+            ...ws,
+            flows: ws.flows.map((f) => (f.id === id ? { ...f, ...patch } : f)),
+        }));
+    }, []);
+
+    const setActiveFlow = useCallback((id) => {
+        setWorkspace((ws) => ({ ...ws, activeFlowId: id }));
+    }, []);
+
+    const createFlow = useCallback((name) => {
+        const entry = createFlowEntry(createFlowId(), name);
+        setWorkspace((ws) => ({ ...ws, flows: [...ws.flows, entry] }));
+        return entry;
+    }, []);
+
+    const renameFlow = useCallback(
+        (id, name) => patchFlow(id, { name: name.trim() || DEFAULT_FLOW_NAME, updatedAt: new Date().toISOString() }),
+        [patchFlow]
+    );
+
+    const duplicateFlow = useCallback(
+        (id) => {
+            const source = workspace.flows.find((f) => f.id === id);
+            if (!source) return null;
+
+            const copy = {
+                ...createFlowEntry(createFlowId(), `${source.name} (copy)`),
+                nodeCount: source.nodeCount,
+                edgeCount: source.edgeCount,
+            };
+            if (!copyFlowData(id, copy.id, { name: copy.name, createdAt: copy.createdAt })) {
+                deleteFlowData(copy.id);
+                return null;
+            }
+
+            // Insert right after the original
+            setWorkspace((ws) => {
+                const index = ws.flows.findIndex((f) => f.id === id);
+                const flows = [...ws.flows];
+                flows.splice(index + 1, 0, copy);
+                return { ...ws, flows };
+            });
+            return copy;
+        },
+        [workspace.flows]
+    );
+
+    const deleteFlow = useCallback((id) => {
+        deleteFlowData(id);
+        setWorkspace((ws) => ({ ...ws, flows: ws.flows.filter((f) => f.id !== id) }));
+    }, []);
+
+    /**
+     * Refreshes an entry's counts and modification time after one of its
+     * slots was written.
+     *
+     * @param {string} id
+     * @param {{ nodes: object[], edges: object[] }} snapshot
+     */
+    const touchFlow = useCallback(
+        (id, snapshot) => patchFlow(id, {
+            nodeCount: snapshot.nodes.length,
+            edgeCount: snapshot.edges.length,
+            updatedAt: new Date().toISOString(),
+        }),
+        [patchFlow]
+    );
+
+    /**
+     * Appends flows listed by the storage adapter (e.g. saved on the flow
+     * server from another machine) that this browser's index lacks.
+     *
+     * @param {{ id: string, name?: string, createdAt?: string, updatedAt?: string,
+     *           nodeCount?: number, edgeCount?: number }[]} entries
+     */
+    const adoptFlows = useCallback((entries) => {
+        setWorkspace((ws) => {
+            const known = new Set(ws.flows.map((f) => f.id));
+            const added = entries
+                .filter((e) => typeof e?.id === 'string' && !known.has(e.id))
+                .map((e) => ({
+                    ...createFlowEntry(e.id, e.name),
+                    createdAt: e.createdAt ?? new Date().toISOString(),
+                    updatedAt: e.updatedAt ?? new Date().toISOString(),
+                    nodeCount: e.nodeCount ?? 0,
+                    edgeCount: e.edgeCount ?? 0,
+                }));
+            return added.length > 0 ? { ...ws, flows: [...ws.flows, ...added] } : ws;
+        });
+    }, []);
+
+    const activeFlow =
+        workspace.flows.find((f) => f.id === workspace.activeFlowId) ?? workspace.flows[0];
+
+    return {
+        flows: workspace.flows,
+        activeFlow,
+        setActiveFlow,
+        createFlow,
+        renameFlow,
+        duplicateFlow,
+        deleteFlow,
+        touchFlow,
+        adoptFlows,
+    };
+}
@@ -0,0 +1,406 @@
+/**
+ * @file autoLayout.js
+ * @description Layered ("Sugiyama-style") auto-arrange for the canvas.
+ *
+ * Pure and synchronous — no layout service, no dependency — so it works
+ * offline. App animates the nodes from their current positions to the ones
+ * returned here.
+ *
+ * The layout runs in four passes:
+ *
+ *   1. Cycle breaking — a depth-first walk that starts from the start
+ *      node(s) treats every edge pointing back up the walk (a loop back to
+ *      an earlier question, say) as if it were reversed. The flow then reads
+ *      forwards from the start node even when it loops.
+ *   2. Layering — each node goes one layer below its deepest predecessor
+ *      (longest path), so every edge points down. Edges spanning several
+ *      layers are split by invisible "dummy" points, one per layer crossed,
+ *      which keeps long edges from cutting through unrelated nodes.
+ *   3. Ordering — alternating down / up sweeps sort each layer by the
+ *      average position of its neighbours in the previous layer (the
+ *      barycenter heuristic). The ordering with the fewest edge crossings
+ *      seen across all sweeps wins.
+ *   4. Placement — layers are as deep as their tallest node; within a layer
+ *      nodes sit as close to the centre of their neighbours as their real
+ *      measured sizes allow.
+ *
+ * "TB" stacks layers top to bottom, "LR" left to right; the algorithm is the
+ * same with the axes swapped. The result keeps the top-left corner of the
+ * arranged nodes where it was, so arranging a selection leaves the rest of
+ * the canvas alone.
+ */
+
+
+/** Directions offered in the UI. */
+export const LAYOUT_DIRECTIONS = {
+    TB: { label: 'Top to bottom' },
+    LR: { label: 'Left to right' },
+};
+
+/** Size assumed for a node React Flow has not measured yet. */
+const FALLBACK_SIZE = { width: 256, height: 120 };
+
+/** Space between consecutive layers. */
+const LAYER_GAP = 80;
+
+/** Space between neighbouring nodes within a layer. */
+const NODE_GAP = 48;
+
+/** Cross-axis width reserved for a dummy point on a long edge. */
+const DUMMY_SIZE = 16;
+
+/** Down + up sweeps used by the ordering pass. */
+const ORDER_SWEEPS = 12;
+
+/** Neighbour-centring rounds used by the placement pass. */
+const PLACEMENT_ROUNDS = 8;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   1. Cycle breaking
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Turns the flow into a DAG of unique [source, target] pairs, reversing
+ * back edges found by a DFS that starts at the start nodes.
+ *
+ * @param {string[]} ids
+ * @param {object[]} edges - Edges between nodes in `ids` only.
+ * @returns {{ dag: [string, string][], visitOrder: Map<string, number> }}
+ */
+function breakCycles(ids, edges) {
+    const out = new Map(ids.map((id) => [id, []]));
+    const hasIncoming = new Set();
+    for (const e of edges) {
+        out.get(e.source).push(e.target);
+        hasIncoming.add(e.target);
+    }
+
+    // Start nodes first, so loops are read as pointing back towards them
+    const roots = [...ids.filter((id) => !hasIncoming.has(id)), ...ids];
+
+    const state = new Map(); // id → 'active' | 'done'
+    const visitOrder = new Map();
+    const pairs = new Map(); // "s→t" → [s, t]
+    const addPair = (s, t) => pairs.set(`${s}→${t}`, [s, t]);
+
+    // Iterative DFS — flows can be long chains
+    for (const root of roots) {
+        if (state.has(root)) continue;
+        state.set(root, 'active');
+        visitOrder.set(root, visitOrder.size);
+        const stack = [{ id: root, next: 0 }];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const targets = out.get(frame.id);
+            if (frame.next === targets.length) {
+                state.set(frame.id, 'done');
+                stack.pop();
+                continue;
+            }
+
+            const target = targets[frame.next++];
+            if (state.get(target) === 'active') {
+                addPair(target, frame.id); // back edge — reverse it
+            } else {
+                addPair(frame.id, target);
+                if (!state.has(target)) {
+                    state.set(target, 'active');
+                    visitOrder.set(target, visitOrder.size);
+                    stack.push({ id: target, next: 0 });
+                }
+            }
+        }
+    }
+
+    return { dag: [...pairs.values()], visitOrder };
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   2. Layering
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Longest-path layer for every node of the DAG.
+ *
+ * @param {string[]} ids
+ * @param {[string, string][]} dag
+ * @returns {Map<string, number>}
+ */
+function assignLayers(ids, dag) {
+    const out = new Map(ids.map((id) => [id, []]));
+    const indegree = new Map(ids.map((id) => [id, 0]));
+    for (const [s, t] of dag) {
+        out.get(s).push(t);
+        indegree.set(t, indegree.get(t) + 1);
+    }
+
+    const layer = new Map(ids.map((id) => [id, 0]));
+    const queue = ids.filter((id) => indegree.get(id) === 0);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        for (const t of out.get(id)) {
+            layer.set(t, Math.max(layer.get(t), layer.get(id) + 1));
+            indegree.set(t, indegree.get(t) - 1);
+            if (indegree.get(t) === 0) queue.push(t);
+        }
+    }
+    return layer;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   3. Ordering
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Counts crossings between every pair of adjacent layers.
+ *
+ * @param {string[][]} layers
+ * @param {Map<string, string[]>} down - Vertex → successors one layer down.
+ * @returns {number}
+ */
+function countCrossings(layers, down) {
+    let crossings = 0;
+    for (let i = 0; i < layers.length - 1; i++) {
+        const below = new Map(layers[i + 1].map((v, index) => [v, index]));
+        const segments = [];
+        layers[i].forEach((v, index) => {
+            for (const w of down.get(v)) segments.push([index, below.get(w)]);
+        });
+        for (let a = 0; a < segments.length; a++) {
+            for (let b = a + 1; b < segments.length; b++) {
+                if ((segments[a][0] - segments[b][0]) * (segments[a][1] - segments[b][1]) < 0) crossings++;
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Re-sorts `layer` by the mean index of each vertex's neighbours in `ref`.
+ * Vertices without neighbours there keep their current index.
+ *
+ * @param {string[]} layer
+ * @param {string[]} ref
+ * @param {Map<string, string[]>} neighbours
+ * @returns {string[]}
+ */
+function sortByBarycenter(layer, ref, neighbours) {
+    const refIndex = new Map(ref.map((v, index) => [v, index]));
+    const weight = new Map(
+        layer.map((v, index) => {
+            const linked = neighbours.get(v);
+            if (linked.length === 0) return [v, index];
+            return [v, linked.reduce((sum, w) => sum + refIndex.get(w), 0) / linked.length];
+        })
+    );
+    // Array.prototype.sort is stable, so ties keep their current order
+    return [...layer].sort((a, b) => weight.get(a) - weight.get(b));
+}
+
+/**
+ * Barycenter sweeps; returns the ordering with the fewest crossings.
+ *
+ * @param {string[][]} layers - Initial ordering.
+ * @param {Map<string, string[]>} down
+ * @param {Map<string, string[]>} up
+ * @returns {string[][]}
+ */
+function orderLayers(layers, down, up) {
+    let best = layers;
+    let bestCrossings = countCrossings(layers, down);
+    let current = layers;
+
+    for (let sweep = 0; sweep < ORDER_SWEEPS && bestCrossings > 0; sweep++) {
+        current = current.map((layer) => [...layer]);
+        if (sweep % 2 === 0) {
+            for (let i = 1; i < current.length; i++) current[i] = sortByBarycenter(current[i], current[i - 1], up);
+        } else {
+            for (let i = current.length - 2; i >= 0; i--) current[i] = sortByBarycenter(current[i], current[i + 1], down);
+        }
+
+        const crossings = countCrossings(current, down);
+        if (crossings < bestCrossings) {
+            best = current;
+            bestCrossings = crossings;
+        }
+    }
+    return best;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   4. Placement
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Places one layer's centres as near `desired` as the order and minimum
+ * spacing allow. Packing rightwards from each target and packing leftwards
+ * from each target both give valid placements; their average is valid too
+ * and does not drift to either side.
+ *
+ * @param {number[]} desired - Target centre of each vertex, in layer order.
+ * @param {number[]} sizes   - Cross-axis size of each vertex.
+ * @returns {number[]}
+ */
+function packLayer(desired, sizes) {
+    const n = desired.length;
+    const gap = (i) => (sizes[i] + sizes[i + 1]) / 2 + NODE_GAP;
+
+    const right = [...desired];
+    for (let i = 1; i < n; i++) right[i] = Math.max(right[i], right[i - 1] + gap(i - 1));
+
+    const left = [...desired];
+    for (let i = n - 2; i >= 0; i--) left[i] = Math.min(left[i], left[i + 1] - gap(i));
+
+    return right.map((r, i) => (r + left[i]) / 2);
+}
+
+/**
+ * Cross-axis centre of every vertex.
+ *
+ * @param {string[][]} layers
+ * @param {Map<string, number>} crossSize
+ * @param {Map<string, string[]>} down
+ * @param {Map<string, string[]>} up
+ * @returns {Map<string, number>}
+ */
+function placeLayers(layers, crossSize, down, up) {
+    const centre = new Map();
+
+    // Start from each layer packed tightly around 0
+    for (const layer of layers) {
+        const sizes = layer.map((v) => crossSize.get(v));
+        const total = sizes.reduce((sum, s) => sum + s, 0) + NODE_GAP * (layer.length - 1);
+        let cursor = -total / 2;
+        layer.forEach((v, i) => {
+            centre.set(v, cursor + sizes[i] / 2);
+            cursor += sizes[i] + NODE_GAP;
+        });
+    }
+
+    // Pull each vertex towards its neighbours, alternating direction
+    const relax = (layer, neighbours) => {
+        const desired = layer.map((v) => {
+            const linked = neighbours.get(v);
+            if (linked.length === 0) return centre.get(v);
+            return linked.reduce((sum, w) => sum + centre.get(w), 0) / linked.length;
+        });
+        const placed = packLayer(desired, layer.map((v) => crossSize.get(v)));
+        layer.forEach((v, i) => centre.set(v, placed[i]));
+    };
+
+    for (let round = 0; round < PLACEMENT_ROUNDS; round++) {
+        if (round % 2 === 0) {
+            for (let i = 1; i < layers.length; i++) relax(layers[i], up);
+        } else {
+            for (let i = layers.length - 2; i >= 0; i--) relax(layers[i], down);
+        }
+    }
+    return centre;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Entry point
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Computes arranged positions for `nodes`.
+ *
+ * Only edges with both ends among `nodes` are considered, so passing the
+ * selected nodes lays out the selected subgraph on its own.
+ *
+ * @param {object[]} nodes - Canvas nodes; measured `width` / `height` are
+ *   used when React Flow has set them.
+ * @param {object[]} edges - Canvas edges.
+ * @param {object}   [options]
+ * @param {'TB'|'LR'} [options.direction='TB']
+ * @returns {Map<string, {x:number, y:number}>} New top-left position per node id.
+ */
+export function layoutGraph(nodes, edges, { direction = 'TB' } = {}) {
+    const result = new Map();
+    if (nodes.length === 0) return result;
+
+    const horizontal = direction === 'LR';
+    const ids = nodes.map((n) => n.id);
+    const known = new Set(ids);
+    const size = new Map(
+        nodes.map((n) => [n.id, {
+            width: n.width ?? FALLBACK_SIZE.width,
+            height: n.height ?? FALLBACK_SIZE.height,
+        }])
+    );
+    const mainSize = (id) => (horizontal ? size.get(id).width : size.get(id).height);
+
+    const inner = edges.filter(
+        (e) => known.has(e.source) && known.has(e.target) && e.source !== e.target
+    );
+    const { dag, visitOrder } = breakCycles(ids, inner);
+    const layerOf = assignLayers(ids, dag);
+
+    // Split long edges into one-layer segments through dummy vertices
+    const down = new Map(ids.map((id) => [id, []]));
+    const up = new Map(ids.map((id) => [id, []]));
+    const crossSize = new Map(ids.map((id) => [id, horizontal ? size.get(id).height : size.get(id).width]));
+    const rank = new Map(ids.map((id) => [id, visitOrder.get(id)]));
+    const vertexLayer = new Map(layerOf);
+
+    dag.forEach(([s, t], edgeIndex) => {
+        let prev = s;
+        for (let l = layerOf.get(s) + 1; l < layerOf.get(t); l++) {
+            const dummy = `dummy:${edgeIndex}:${l}`;
+            down.set(dummy, []);
+            up.set(dummy, []);
+            crossSize.set(dummy, DUMMY_SIZE);
+            rank.set(dummy, rank.get(s) + 0.5);
+            vertexLayer.set(dummy, l);
+            down.get(prev).push(dummy);
+            up.get(dummy).push(prev);
+            prev = dummy;
+        }
+        down.get(prev).push(t);
+        up.get(t).push(prev);
+    });
+
+    // Initial order: the order the DFS from the start node reached them
+    const depth = Math.max(...vertexLayer.values()) + 1;
+    const initial = Array.from({ length: depth }, () => []);
+    for (const [v, l] of vertexLayer) initial[l].push(v);
+    initial.forEach((layer) => layer.sort((a, b) => rank.get(a) - rank.get(b)));
+
+    const layers = orderLayers(initial, down, up);
+    const centre = placeLayers(layers, crossSize, down, up);
+
+    // Main-axis bands, each as deep as its deepest node
+    const bandStart = [];
+    let cursor = 0;
+    for (const layer of layers) {
+        bandStart.push(cursor);
+        const deepest = Math.max(0, ...layer.filter((v) => known.has(v)).map(mainSize));
+        cursor += deepest + LAYER_GAP;
+    }
+    const bandDepth = (l) => (l + 1 < layers.length ? bandStart[l + 1] : cursor) - bandStart[l] - LAYER_GAP;
+
+    const placed = new Map();
+    for (const id of ids) {
+        const l = layerOf.get(id);
+        const main = bandStart[l] + (bandDepth(l) - mainSize(id)) / 2;
+        const cross = centre.get(id) - crossSize.get(id) / 2;
+        placed.set(id, horizontal ? { x: main, y: cross } : { x: cross, y: main });
+    }
+
+    // Anchor the arrangement at the original top-left corner
+    const minOf = (list, key) => Math.min(...list.map((p) => p[key]));
+    const positions = [...placed.values()];
+    const dx = minOf(nodes.map((n) => n.position), 'x') - minOf(positions, 'x');
+    const dy = minOf(nodes.map((n) => n.position), 'y') - minOf(positions, 'y');
+
+    for (const [id, p] of placed) {
+        result.set(id, { x: Math.round(p.x + dx), y: Math.round(p.y + dy) });
+    }
+    return result;
+}
@@ -0,0 +1,316 @@
+/**
+ * @file channels.js
+ * @description Channel profiles — the hard limits of the messaging channels
+ *   a flow is published to — and the checks of node text against them.
+ *
+ * Channels
+ * ────────
+ * A flow may TARGET one or more channels. The flow-level setting travels
+ * with the flow (snapshots and `.flow.json` files), like its languages:
+ *
+ *   channels: ['whatsapp', 'sms']     // ids of CHANNEL_PROFILES
+ *
+ * Flows without it target none and have no limits. With several, each text
+ * must fit all of them, so the strictest limit is the one shown.
+ *
+ * What is checked
+ * ───────────────
+ *   Text     — a message's text, a question's text and retry message, an
+ *              image's caption, against the profile's textLimit /
+ *              captionLimit. SMS has no fixed limit in characters: one
+ *              segment holds 160 characters of the GSM alphabet, but only
+ *              70 once any other character (an emoji, "ć", …) is used, and
+ *              €, [, ], {, }, ~, ^, | and \ take two (see smsSegments).
+ *              A longer text is still delivered, split into several
+ *              segments — only a warning, naming how many — up to
+ *              maxSegments; only beyond that does the carrier reject it.
+ *   Choices  — a message's quick-reply buttons and a choice question's
+ *              choices, against the number of buttons and the length of
+ *              a button title. A channel without buttons (SMS) still works —
+ *              readers type the reply — so that is only a warning.
+ *
+ * Texts are measured as written: a {{placeholder}} counts with its braces,
+ * not as the value it will be replaced with. A message's text may use
+ * Markdown, so it is measured as the channel receives it — rendered in the
+ * profile's `format` (see markdown.js), links spelled out and formatting
+ * dropped or rewritten. Translations are measured like the default text
+ * (see diagnostics.js).
+ */
+
+import { renderMarkdown } from './markdown.js';
+
+/** The channels a flow can target, keyed by id. */
+export const CHANNEL_PROFILES = {
+    sms: {
+        name: 'SMS',
+        textLimit: 160,
+        captionLimit: 160,
+        buttons: null,
+        segmented: true,
+        maxSegments: 10,
+        format: 'plain',
+    },
+    whatsapp: {
+        name: 'WhatsApp',
+        textLimit: 4096,
+        captionLimit: 1024,
+        buttons: { max: 3, length: 20 },
+        format: 'whatsapp',
+    },
+    messenger: {
+        name: 'Messenger',
+        textLimit: 640,
+        captionLimit: 640,
+        buttons: { max: 13, length: 20 },
+        format: 'plain',
+    },
+};
+
+/** Channel ids in menu order. */
+export const CHANNEL_IDS = Object.keys(CHANNEL_PROFILES);
+
+/** Channel setting of a flow that has none. */
+export const NO_CHANNELS = [];
+
+/** Characters of the GSM 03.38 basic alphabet (one septet each). */
+const GSM_BASIC = new Set(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+/** Characters of the GSM extension table (an escape plus one septet each). */
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+/** Segment sizes: a single SMS, and each part of a concatenated one. */
+const SMS_SIZES = {
+    gsm: { single: 160, part: 153 },
+    unicode: { single: 70, part: 67 },
+};
+
+/**
+ * Which fields of each node type are sent as text, which limit of a
+ * profile applies to them, and whether they are Markdown.
+ */
+const TEXT_FIELDS = {
+    textNode: [{ field: 'label', name: 'text', limit: 'textLimit', markdown: true }],
+    questionNode: [
+        { field: 'label', name: 'text', limit: 'textLimit' },
+        { field: 'retryMessage', name: 'retry message', limit: 'textLimit' },
+    ],
+    imageNode: [{ field: 'caption', name: 'caption', limit: 'captionLimit' }],
+};
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Measuring
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * How a text is sent as SMS.
+ *
+ * @param {string} text
+ * @returns {{ encoding: 'gsm'|'unicode', units: number, limit: number, segments: number }}
+ *   `units` is the length as SMS counts it, `limit` what fits one segment.
+ */
+export function smsSegments(text = '') {
+    const chars = [...text];
+    const gsm = chars.every((c) => GSM_BASIC.has(c) || GSM_EXTENDED.has(c));
+    const units = gsm
+        ? chars.reduce((sum, c) => sum + (GSM_EXTENDED.has(c) ? 2 : 1), 0)
+        : text.length; // UCS-2: UTF-16 code units, so an emoji takes two
+    const { single, part } = SMS_SIZES[gsm ? 'gsm' : 'unicode'];
+    return {
+        encoding: gsm ? 'gsm' : 'unicode',
+        units,
+        limit: single,
+        segments: units <= single ? 1 : Math.ceil(units / part),
+    };
+}
+
+/**
+ * A text measured against one channel.
+ *
+ * @param {string}  text
+ * @param {object}  profile    - A CHANNEL_PROFILES entry.
+ * @param {string}  [limitKey] - 'textLimit' or 'captionLimit'.
+ * @param {boolean} [markdown] - Measure the text as rendered for the channel.
+ * @returns {{ length: number, limit: number, segments?: number, single?: number }}
+ *   For a segmented channel `limit` is what maxSegments segments hold and
+ *   `single` what fits one.
+ */
+function measureFor(text, profile, limitKey = 'textLimit', markdown = false) {
+    const sent = markdown ? renderMarkdown(text, profile.format) : text;
+    if (profile.segmented) {
+        const { encoding, units, limit, segments } = smsSegments(sent);
+        return { length: units, limit: profile.maxSegments * SMS_SIZES[encoding].part, segments, single: limit };
+    }
+    return { length: sent.length, limit: profile[limitKey] };
+}
+
+/**
+ * Measures a text against the strictest of the targeted channels — what
+ * the character counters show.
+ *
+ * @param {string}   text
+ * @param {string[]} channels   - Targeted channel ids.
+ * @param {string}   [limitKey] - 'textLimit' (default) or 'captionLimit'.
+ * @param {boolean}  [markdown] - The text is Markdown: measure its rendering.
+ * @returns {{ length: number, limit: number, channel: string, over: boolean, segments: number|null }|null}
+ *   null when no channel is targeted. `segments` is how many SMS the text
+ *   takes when SMS is targeted.
+ */
+export function measureText(text = '', channels = NO_CHANNELS, limitKey = 'textLimit', markdown = false) {
+    let strictest = null;
+    let segments = null;
+    channels.forEach((id) => {
+        const profile = CHANNEL_PROFILES[id];
+        if (!profile) return;
+        const m = measureFor(text, profile, limitKey, markdown);
+        if (m.segments !== undefined) segments = m.segments;
+        if (!strictest || m.limit - m.length < strictest.limit - strictest.length) {
+            strictest = { length: m.length, limit: m.limit, channel: id };
+        }
+    });
+    return strictest && { ...strictest, over: strictest.length > strictest.limit, segments };
+}
+
+/**
+ * The strictest button limits of the targeted channels — what the
+ * quick-reply editor shows.
+ *
+ * @param {string[]} channels - Targeted channel ids.
+ * @returns {{ max: { value: number, channel: string }|null, length: { value: number, channel: string }|null, without: string[] }}
+ *   `max` / `length` are null when no targeted channel shows buttons;
+ *   `without` lists the targeted channels that show none.
+ */
+export function buttonLimits(channels = NO_CHANNELS) {
+    const limits = { max: null, length: null, without: [] };
+    channels.forEach((id) => {
+        const buttons = CHANNEL_PROFILES[id]?.buttons;
+        if (buttons === undefined) return;
+        if (!buttons) {
+            limits.without.push(id);
+            return;
+        }
+        if (!limits.max || buttons.max < limits.max.value) limits.max = { value: buttons.max, channel: id };
+        if (!limits.length || buttons.length < limits.length.value) limits.length = { value: buttons.length, channel: id };
+    });
+    return limits;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Checks
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Checks a `channels` setting, e.g. from an imported file.
+ *
+ * @param {unknown} value
+ * @param {string}  at - Location named in the messages.
+ * @returns {string[]} Problems; empty when well-formed.
+ */
+export function checkChannelsShape(value, at) {
+    if (!Array.isArray(value) || value.some((id) => !CHANNEL_PROFILES[id])) {
+        return [`${at} must be an array of channel ids (${CHANNEL_IDS.map((id) => `"${id}"`).join(', ')}).`];
+    }
+    return [];
+}
+
+/**
+ * The replies a node offers as buttons: a message's quick replies, or a
+ * choice question's choices.
+ *
+ * @param {object} node
+ * @returns {{ noun: string, labels: string[] }|null} null when it offers none.
+ */
+function offeredChoices(node) {
+    if (node.type === 'textNode' && node.data?.buttons?.length) {
+        return { noun: 'quick-reply button', labels: node.data.buttons.map((b) => b.label) };
+    }
+    if (node.type === 'questionNode' && node.data?.validation === 'choice' && node.data.choices?.length) {
+        return { noun: 'choice', labels: node.data.choices };
+    }
+    return null;
+}
+
+/**
+ * Everything about a node that does not fit the targeted channels.
+ * Messages read after the node's description, e.g. `Message "Hi…" ` +
+ * `has text of 700 characters — Messenger allows 640.`
+ *
+ * @param {object}   node
+ * @param {string[]} channels - Targeted channel ids.
+ * @returns {{ channel: string, kind: 'length'|'segments'|'count'|'no-buttons', severity: 'error'|'warning', field: string, message: string }[]}
+ *   `kind` 'length' and 'segments' are about a text (or, for 'length',
+ *   a choice's title); the others are about its choices, which are the
+ *   same in every language.
+ */
+export function channelViolations(node, channels = NO_CHANNELS) {
+    const found = [];
+    const choices = offeredChoices(node);
+
+    channels.forEach((id) => {
+        const profile = CHANNEL_PROFILES[id];
+        if (!profile) return;
+
+        (TEXT_FIELDS[node.type] ?? []).forEach(({ field, name, limit, markdown }) => {
+            const { length, limit: max, segments, single } = measureFor(node.data?.[field] ?? '', profile, limit, markdown);
+            if (length > max) {
+                found.push({
+                    channel: id,
+                    kind: 'length',
+                    severity: 'error',
+                    field,
+                    message: `has ${name} of ${length} characters — ${profile.name} allows ${max}` +
+                        (profile.segmented ? ` (${profile.maxSegments} messages).` : '.'),
+                });
+            } else if (segments > 1) {
+                found.push({
+                    channel: id,
+                    kind: 'segments',
+                    severity: 'warning',
+                    field,
+                    message: `has ${name} of ${length} characters, sent as ${segments} ${profile.name} messages ` +
+                        `(${single} fit in one).`,
+                });
+            }
+        });
+
+        if (!choices) return;
+        const { noun, labels } = choices;
+        if (!profile.buttons) {
+            found.push({
+                channel: id,
+                kind: 'no-buttons',
+                severity: 'warning',
+                field: 'choices',
+                message: `offers ${labels.length} ${noun}${labels.length !== 1 ? 's' : ''}, but ${profile.name} ` +
+                    'shows no buttons — readers have to type the reply.',
+            });
+            return;
+        }
+        if (labels.length > profile.buttons.max) {
+            found.push({
+                channel: id,
+                kind: 'count',
+                severity: 'error',
+                field: 'choices',
+                message: `has ${labels.length} ${noun}s — ${profile.name} shows at most ${profile.buttons.max}.`,
+            });
+        }
+        const long = labels.filter((label) => label.length > profile.buttons.length);
+        if (long.length > 0) {
+            found.push({
+                channel: id,
+                kind: 'length',
+                severity: 'error',
+                field: 'choices',
+                message: `has ${noun}${long.length !== 1 ? 's' : ''} ${long.map((l) => `"${l}"`).join(', ')} ` +
+                    `longer than the ${profile.buttons.length} characters ${profile.name} allows.`,
+            });
+        }
+    });
+
+    return found;
+}
@@ -0,0 +1,145 @@
+/**
+ * @file clipboard.js
+ * @description Copy / paste / duplicate of canvas selections.
+ *
+ * Copying turns the selected nodes — plus the edges that run BETWEEN them —
+ * into a small JSON payload. Edges to nodes outside the selection are
+ * dropped: a pasted copy that kept them would either dangle or give an
+ * outside node a second outgoing edge from the same output.
+ *
+ *   {
+ *     format:        'chatbot-flow-builder/selection',
+ *     schemaVersion: 1,                       // same as .flow.json
+ *     nodes:         [{ id, type, position, data }],
+ *     edges:         [{ id, source, target, sourceHandle, targetHandle }],
+ *   }
+ *
+ * App puts the payload on the SYSTEM clipboard as text (via the browser's
+ * copy / paste events), so it survives switching flows and can be pasted
+ * into the builder in another tab. Anything else on the clipboard is
+ * ignored, and payloads are shape-checked like imported files before use.
+ *
+ * Pasting never reuses ids: every node gets a fresh one from the caller's
+ * id generator and edges are re-pointed at the new ids.
+ *
+ * A selected group is copied with everything it holds; a group whose
+ * members are only partly selected keeps just those, and is left out when
+ * fewer than two remain (see groups.js).
+ */
+
+import { SCHEMA_VERSION, checkGraphShape } from './flowSchema.js';
+import { MIN_GROUP_SIZE, isGroup } from './groups.js';
+
+/** Marks clipboard text as ours. */
+export const CLIPBOARD_FORMAT = 'chatbot-flow-builder/selection';
+
+/** Distance a duplicate (or a paste with no cursor position) is shifted by. */
+export const PASTE_OFFSET = 40;
+
+
+/**
+ * Builds the clipboard payload for the selected nodes.
+ *
+ * @param {object[]} nodes - All canvas nodes; those with `selected` are copied.
+ * @param {object[]} edges - All canvas edges.
+ * @returns {object|null} The payload, or null when nothing is selected.
+ */
+export function copySelection(nodes, edges) {
+    const wanted = new Set(nodes.filter((n) => n.selected).map((n) => n.id));
+    nodes.filter((n) => isGroup(n) && n.selected).forEach((g) => g.data.memberIds.forEach((id) => wanted.add(id)));
+
+    const steps = nodes.filter((n) => wanted.has(n.id) && !isGroup(n));
+    if (steps.length === 0) return null;
+
+    const ids = new Set(steps.map((n) => n.id));
+    const groups = nodes
+        .filter(isGroup)
+        .map((g) => ({ ...g, data: { ...g.data, memberIds: g.data.memberIds.filter((id) => ids.has(id)) } }))
+        .filter((g) => g.data.memberIds.length >= MIN_GROUP_SIZE);
+
+    return {
+        format: CLIPBOARD_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        nodes: [...groups, ...steps].map(({ id, type, position, data }) => ({
+            id,
+            type,
+            position: { x: position.x, y: position.y },
+            data: structuredClone(data),
+        })),
+        edges: edges
+            .filter((e) => ids.has(e.source) && ids.has(e.target))
+            .map(({ id, source, target, sourceHandle, targetHandle }) => ({
+                id,
+                source,
+                target,
+                sourceHandle: sourceHandle ?? null,
+                targetHandle: targetHandle ?? null,
+            })),
+    };
+}
+
+/**
+ * Reads a payload back from clipboard text.
+ *
+ * @param {string} text
+ * @returns {object|null} The payload, or null if the text is not a valid one.
+ */
+export function parseClipboard(text) {
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (payload?.format !== CLIPBOARD_FORMAT || payload.schemaVersion !== SCHEMA_VERSION) return null;
+    if (checkGraphShape(payload.nodes, payload.edges).length > 0) return null;
+    return payload.nodes.length > 0 ? payload : null;
+}
+
+/**
+ * Instantiates a payload as new canvas nodes and edges.
+ *
+ * @param {object}   payload
+ * @param {object}   options
+ * @param {Function} options.nextId   - () => string; fresh node ids.
+ * @param {{x:number,y:number}} [options.at] - Where the top-left of the
+ *   copied group should land; when omitted, the group keeps its original
+ *   position shifted by PASTE_OFFSET.
+ * @returns {{ nodes: object[], edges: object[] }} Nodes come back selected.
+ */
+export function instantiateClipboard(payload, { nextId, at }) {
+    const left = Math.min(...payload.nodes.map((n) => n.position.x));
+    const top = Math.min(...payload.nodes.map((n) => n.position.y));
+    const dx = at ? at.x - left : PASTE_OFFSET;
+    const dy = at ? at.y - top : PASTE_OFFSET;
+
+    const idMap = new Map();
+    const nodes = payload.nodes.map((n) => {
+        const id = nextId();
+        idMap.set(n.id, id);
+        return {
+            id,
+            type: n.type,
+            position: { x: n.position.x + dx, y: n.position.y + dy },
+            data: structuredClone(n.data),
+            selected: true,
+        };
+    });
+    nodes.filter(isGroup).forEach((g) => {
+        g.data.memberIds = g.data.memberIds.map((id) => idMap.get(id));
+    });
+
+    const edges = payload.edges.map((e) => {
+        const source = idMap.get(e.source);
+        const target = idMap.get(e.target);
+        return {
+            id: `e${source}-${e.sourceHandle ?? 'source'}-${target}`,
+            source,
+            target,
+            sourceHandle: e.sourceHandle,
+            targetHandle: e.targetHandle,
+        };
+    });
+
+    return { nodes, edges };
+}
@@ -0,0 +1,112 @@
+/**
+ * @file conditions.js
+ * @description Branch conditions for the "conditionNode" node type.
+ *
+ * A condition node holds an ordered list of branches plus an implicit
+ * fallback. Each branch compares one conversation variable with a value:
+ *
+ *   { id: 'yes', label: 'Yes', variable: 'plan', operator: 'equals', value: 'pro' }
+ *
+ * The branch `id` doubles as the id of the node's source handle, so an edge
+ * leaving the "Yes" row has `sourceHandle: 'yes'`. Branches are tested top
+ * to bottom and the first match wins; when none match, the conversation
+ * follows the FALLBACK_HANDLE ("otherwise").
+ */
+
+/** Source-handle id of the branch taken when no condition matches. */
+export const FALLBACK_HANDLE = 'otherwise';
+
+/**
+ * Supported comparison operators.
+ *   symbol   — short form shown on the canvas card
+ *   unary    — true when the operator ignores `value`
+ */
+export const OPERATORS = {
+    equals:       { label: 'equals',           symbol: '=' },
+    not_equals:   { label: 'does not equal',   symbol: '≠' },
+    contains:     { label: 'contains',         symbol: '∋' },
+    greater_than: { label: 'is greater than',  symbol: '>' },
+    less_than:    { label: 'is less than',     symbol: '<' },
+    is_empty:     { label: 'is empty',         symbol: 'is empty',     unary: true },
+    is_not_empty: { label: 'is not empty',     symbol: 'is not empty', unary: true },
+};
+
+/**
+ * Data for a freshly dropped condition node: "Yes" / "No" branches plus the
+ * implicit "otherwise" fallback.
+ *
+ * @returns {{ label: string, branches: object[] }}
+ */
+export function createConditionData() {
+    return {
+        label: 'Condition',
+        branches: [
+            { id: 'yes', label: 'Yes', variable: '', operator: 'equals', value: '' },
+            { id: 'no', label: 'No', variable: '', operator: 'equals', value: '' },
+        ],
+    };
+}
+
+/**
+ * Returns a branch id not yet used in `branches` ("branch-1", "branch-2", …).
+ * Never reuses FALLBACK_HANDLE.
+ *
+ * @param {object[]} branches
+ * @returns {string}
+ */
+export function nextBranchId(branches) {
+    const taken = new Set(branches.map((b) => b.id));
+    let n = branches.length + 1;
+    while (taken.has(`branch-${n}`)) n++;
+    return `branch-${n}`;
+}
+
+/**
+ * One-line, human-readable summary of a branch condition, e.g. "plan = pro".
+ *
+ * @param {object} branch
+ * @returns {string}
+ */
+export function describeCondition({ variable, operator, value }) {
+    const op = OPERATORS[operator];
+    if (!variable) return 'no condition set';
+    if (!op) return `${variable} ?`;
+    return op.unary ? `${variable} ${op.symbol}` : `${variable} ${op.symbol} ${value || '""'}`;
+}
+
+/**
+ * Tests one branch against the current variable values.
+ * Numeric operators compare as numbers and fail on non-numeric input;
+ * everything else compares case-insensitively as trimmed strings.
+ *
+ * @param {object} branch
+ * @param {Record<string, string>} variables
+ * @returns {boolean}
+ */
+export function evaluateCondition({ variable, operator, value }, variables) {
+    if (!variable) return false;
+    const actual = String(variables[variable] ?? '').trim();
+    const expected = String(value ?? '').trim();
+
+    switch (operator) {
+        case 'equals':       return actual.toLowerCase() === expected.toLowerCase();
+        case 'not_equals':   return actual.toLowerCase() !== expected.toLowerCase();
+        case 'contains':     return actual.toLowerCase().includes(expected.toLowerCase());
+        case 'greater_than': return actual !== '' && expected !== '' && Number(actual) > Number(expected);
+        case 'less_than':    return actual !== '' && expected !== '' && Number(actual) < Number(expected);
+        case 'is_empty':     return actual === '';
+        case 'is_not_empty': return actual !== '';
+        default:             return false;
+    }
+}
+
+/**
+ * Picks the source handle a condition node leaves through.
+ *
+ * @param {object[]} branches
+ * @param {Record<string, string>} variables
+ * @returns {string} A branch id, or FALLBACK_HANDLE.
+ */
+export function selectBranch(branches, variables) {
+    return branches.find((b) => evaluateCondition(b, variables))?.id ?? FALLBACK_HANDLE;
+}
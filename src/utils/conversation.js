@@ -0,0 +1,297 @@
+/**
+ * @file conversation.js
+ * @description Walks a flow graph the way a deployed bot would.
+ *
+ * Pure functions only — no React, no DOM — so the same semantics drive the
+ * Preview panel and the headless runtime (flowRuntime.js) that backends
+ * and the `npm run chat` command use.
+ *
+ * Semantics
+ * ─────────
+ *   • The conversation starts at the node with no incoming edge (the same
+ *     "start" node handleSave allows to be unconnected).
+ *   • textNode       → bot sends data.label, then follows its outgoing edge.
+ *                      With quick-reply buttons it offers them and WAITS;
+ *                      a reply matching a button follows that button's
+ *                      edge, any other reply the message's own edge (or,
+ *                      when that is unconnected, asks again).
+ *   • imageNode      → bot sends the image (+ caption), then follows its edge.
+ *   • conditionNode  → tests its branches against the collected variables
+ *                      and follows the edge of the first match, or
+ *                      "otherwise".
+ *   • questionNode   → bot sends data.label and WAITS. A valid reply is
+ *                      stored in data.variable and the edge is followed; an
+ *                      invalid reply gets data.retryMessage and the bot
+ *                      keeps waiting.
+ *   • subflowNode    → runs another flow; callers inline it beforehand with
+ *                      expandSubflows (subflows.js). One still here could
+ *                      not be resolved: a note is shown and its edge is
+ *                      followed.
+ *   • delayNode      → sends nothing; the next bot message (or the end of
+ *                      the conversation) carries the wait — `delay` in ms,
+ *                      `typing` to show an indicator meanwhile — and its
+ *                      edge is followed. The stepper itself never waits:
+ *                      whoever shows the messages does (see delays.js).
+ *                      Consecutive delays add up.
+ *   • No outgoing edge from the current output → the conversation ends.
+ *   • `{{variable}}` placeholders in anything the bot sends are replaced
+ *     with the variable's current value (see variables.js); placeholders
+ *     with no value yet are sent as written.
+ *
+ * State
+ * ─────
+ *   {
+ *     messages:      [{ id, from: 'bot'|'user'|'system', nodeId, text, image?, choices?, markdown?, delay?, typing? }],
+ *     variables:     { [name]: string },
+ *     currentNodeId: string | null,   // node being shown / waited on
+ *     awaitingInput: boolean,         // true while a question waits for a reply
+ *     ended:         boolean,
+ *   }
+ *
+ * `markdown` marks a message whose text is Markdown (a message node's; see
+ * markdown.js) — shown formatted, or rendered to plain text by the CLI.
+ *
+ * State objects are never mutated; every step returns a new one, so callers
+ * can keep earlier states around (the Preview panel's "Step Back").
+ */
+
+import { outputSlot, quickReplies, isFlowStep, DEFAULT_SOURCE_HANDLE } from './flowValidation.js';
+import { selectBranch } from './conditions.js';
+import { isValidAnswer } from './questions.js';
+import { interpolate } from './variables.js';
+import { matchQuickReply, QUICK_REPLY_RETRY } from './quickReplies.js';
+import { delayDuration } from './delays.js';
+
+/**
+ * Upper bound on nodes visited without waiting for input. Protects the
+ * caller from cycles made only of non-waiting nodes (e.g. A → B → A).
+ */
+const MAX_AUTO_STEPS = 200;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Graph helpers
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Nodes with no incoming edge — candidates for the conversation start.
+ * Group containers are never one.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {object[]}
+ */
+export function findStartNodes(nodes, edges) {
+    return nodes.filter((n) => isFlowStep(n) && !edges.some((e) => e.target === n.id));
+}
+
+/**
+ * Id of the node reached by leaving `node` through output `handle`.
+ *
+ * @param {object}   node
+ * @param {string}   handle
+ * @param {object[]} edges
+ * @returns {string|null}
+ */
+function followEdge(node, handle, edges) {
+    const edge = edges.find((e) => e.source === node.id && outputSlot(node, e) === handle);
+    return edge?.target ?? null;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Stepping
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Appends a message, giving it a sequential id.
+ *
+ * @param {object} state
+ * @param {object} message - Everything but `id`.
+ * @param {{ delay: number, typing: boolean }|null} [pause] - Wait before
+ *   the message, left by delay nodes.
+ * @returns {object} New state.
+ */
+function say(state, message, pause = null) {
+    const timed = pause?.delay > 0 ? { ...message, delay: pause.delay, typing: pause.typing } : message;
+    return { ...state, messages: [...state.messages, { id: state.messages.length, ...timed }] };
+}
+
+/**
+ * Runs the bot from `nodeId` until it needs a reply or runs out of edges.
+ *
+ * @param {object}      state
+ * @param {string|null} nodeId
+ * @param {object[]}    nodes
+ * @param {object[]}    edges
+ * @returns {object} New state.
+ */
+function runFrom(state, nodeId, nodes, edges) {
+    let next = state;
+    // Wait left by delay nodes for the next bot message; condition notes pass it on
+    let pause = null;
+    let currentId = nodeId;
+
+    for (let steps = 0; currentId; steps++) {
+        if (steps >= MAX_AUTO_STEPS) {
+            return say({ ...next, ended: true, awaitingInput: false }, {
+                from: 'system',
+                nodeId: currentId,
+                text: 'Stopped: the flow loops without ever waiting for a reply.',
+            }, pause);
+        }
+
+        const node = nodes.find((n) => n.id === currentId);
+        if (!node) break;
+        next = { ...next, currentNodeId: node.id };
+
+        switch (node.type) {
+            case 'questionNode':
+                return {
+                    ...say(next, {
+                        from: 'bot',
+                        nodeId: node.id,
+                        text: interpolate(node.data.label, next.variables),
+                        choices: node.data.validation === 'choice' ? node.data.choices : undefined,
+                    }, pause),
+                    awaitingInput: true,
+                };
+
+            case 'conditionNode': {
+                const handle = selectBranch(node.data.branches ?? [], next.variables);
+                const branch = node.data.branches?.find((b) => b.id === handle);
+                next = say(next, {
+                    from: 'system',
+                    nodeId: node.id,
+                    text: `${node.data.label || 'Condition'} → ${branch ? branch.label || branch.id : 'Otherwise'}`,
+                });
+                currentId = followEdge(node, handle, edges);
+                break;
+            }
+
+            case 'imageNode':
+                next = say(next, {
+                    from: 'bot',
+                    nodeId: node.id,
+                    text: interpolate(node.data.caption, next.variables),
+                    image: { url: node.data.url, alt: node.data.alt },
+                }, pause);
+                pause = null;
+                currentId = followEdge(node, DEFAULT_SOURCE_HANDLE, edges);
+                break;
+
+            case 'delayNode': {
+                const previous = next.messages.findLast((m) => m.from === 'bot');
+                pause = {
+                    delay: (pause?.delay ?? 0) + delayDuration(node.data, previous?.text),
+                    typing: !!(pause?.typing || node.data.typing),
+                };
+                currentId = followEdge(node, DEFAULT_SOURCE_HANDLE, edges);
+                break;
+            }
+
+            case 'subflowNode':
+                next = say(next, {
+                    from: 'system',
+                    nodeId: node.id,
+                    text: 'Skipped a subflow whose flow could not be found.',
+                });
+                currentId = followEdge(node, DEFAULT_SOURCE_HANDLE, edges);
+                break;
+
+            default: { // textNode and anything that just "says" its label
+                const buttons = quickReplies(node);
+                next = say(next, {
+                    from: 'bot',
+                    nodeId: node.id,
+                    text: interpolate(node.data.label, next.variables),
+                    choices: buttons.length > 0 ? buttons.map((b) => b.label) : undefined,
+                    markdown: true,
+                }, pause);
+                pause = null;
+                if (buttons.length > 0) return { ...next, awaitingInput: true };
+                currentId = followEdge(node, DEFAULT_SOURCE_HANDLE, edges);
+            }
+        }
+    }
+
+    return say({ ...next, ended: true, awaitingInput: false }, {
+        from: 'system',
+        nodeId: next.currentNodeId,
+        text: 'End of conversation.',
+    }, pause);
+}
+
+/**
+ * Begins a new conversation at the flow's start node.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {object}   [options]
+ * @param {Record<string, string>} [options.variables] - Values known before
+ *   the first message, e.g. the flow's declared variables.
+ * @returns {object} Initial state (already advanced to the first wait / end).
+ */
+export function startConversation(nodes, edges, { variables = {} } = {}) {
+    let state = { messages: [], variables: { ...variables }, currentNodeId: null, awaitingInput: false, ended: false };
+
+    const starts = findStartNodes(nodes, edges);
+    if (starts.length === 0) {
+        return say({ ...state, ended: true }, {
+            from: 'system',
+            nodeId: null,
+            text: nodes.length === 0
+                ? 'The canvas is empty.'
+                : 'No start node — every node has an incoming connection.',
+        });
+    }
+    if (starts.length > 1) {
+        state = say(state, {
+            from: 'system',
+            nodeId: starts[0].id,
+            text: `${starts.length} nodes have no incoming connection — starting at node ${starts[0].id}.`,
+        });
+    }
+
+    return runFrom(state, starts[0].id, nodes, edges);
+}
+
+/**
+ * Delivers the user's reply to the question (or quick-reply message)
+ * currently waiting.
+ *
+ * @param {object}   state
+ * @param {string}   text  - The reply as typed.
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {object} New state; unchanged if no question is waiting.
+ */
+export function sendReply(state, text, nodes, edges) {
+    if (!state.awaitingInput) return state;
+
+    const node = nodes.find((n) => n.id === state.currentNodeId);
+    let next = say(state, { from: 'user', nodeId: state.currentNodeId, text });
+    if (!node) return runFrom({ ...next, awaitingInput: false }, null, nodes, edges);
+
+    if (node.type === 'textNode') {
+        const button = matchQuickReply(quickReplies(node), text);
+        const target = followEdge(node, button?.id ?? DEFAULT_SOURCE_HANDLE, edges);
+        if (!button && !target) {
+            return say(next, { from: 'bot', nodeId: node.id, text: QUICK_REPLY_RETRY, choices: quickReplies(node).map((b) => b.label) });
+        }
+        return runFrom({ ...next, awaitingInput: false }, target, nodes, edges);
+    }
+
+    if (!isValidAnswer(node.data, text)) {
+        return say(next, {
+            from: 'bot',
+            nodeId: node.id,
+            text: interpolate(node.data.retryMessage || 'Please try again.', next.variables),
+        });
+    }
+
+    const variable = node.data.variable?.trim();
+    if (variable) next = { ...next, variables: { ...next.variables, [variable]: text.trim() } };
+
+    return runFrom({ ...next, awaitingInput: false }, followEdge(node, DEFAULT_SOURCE_HANDLE, edges), nodes, edges);
+}
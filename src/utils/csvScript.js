@@ -0,0 +1,375 @@
+/**
+ * @file csvScript.js
+ * @description Message scripts as CSV — the format copywriters deliver in
+ *   spreadsheets — in both directions.
+ *
+ * Format
+ * ──────
+ * A header row, then one row per message or question:
+ *
+ *   id,message,next_id,type,variable
+ *   greet,"Hi! What's your name?",ask_email,question,first_name
+ *   ask_email,"Thanks, {{first_name}}. Your email?",bye,question,email
+ *   bye,See you soon 👋,,message,
+ *
+ *   id        required; the node id
+ *   message   required; the message text, or the question asked
+ *   next_id   the node the conversation goes to next; empty = it ends there
+ *   type      "message" (default) or "question"
+ *   variable  question rows only: where the reply is stored
+ *
+ * Column names are case-insensitive and may come in any order; other
+ * columns (notes, status, …) are ignored. Values follow RFC 4180: a value
+ * containing a comma, quote or line break is wrapped in double quotes and
+ * its quotes doubled.
+ *
+ * A value starting with =, +, -, @ (or a tab or carriage return) would run
+ * as a formula when the file is opened in Excel or Sheets, so the export
+ * writes it behind a ' — the spreadsheet's own "this is text" marker — and
+ * the import takes that ' off again.
+ *
+ * Import
+ * ──────
+ * planScriptImport() MERGES a script into the canvas without touching it:
+ *
+ *   • A row whose id is a node on the canvas updates that node's text (and
+ *     variable) and re-points its outgoing edge — so exporting, editing the
+ *     copy in a spreadsheet and importing it back changes only the copy.
+ *   • Any other row becomes a new node. New nodes are auto-arranged as a
+ *     block (see autoLayout.js), beside the existing nodes.
+ *   • next_id may name a row or any node already on the canvas.
+ *
+ * Every problem is reported before anything changes: malformed CSV, missing
+ * columns, duplicate ids, references to nothing, a row listing more than
+ * one next_id or pointing at itself (the one-outgoing-edge and no-self-loop
+ * rules, see flowValidation.js), unknown types, invalid variable names, and
+ * a row whose id is a canvas node of another kind.
+ *
+ * Export
+ * ──────
+ * toScriptCsv() writes every message and question in the same format.
+ * Other node types (images, conditions) have no row, but rows may point at
+ * them and quick-reply edges are left alone by an import, so the round trip
+ * never loses them.
+ */
+
+import { outputSlot, DEFAULT_SOURCE_HANDLE, isFlowStep } from './flowValidation.js';
+import { createQuestionData, VARIABLE_NAME_PATTERN } from './questions.js';
+import { layoutGraph } from './autoLayout.js';
+
+/** Columns written by the export, in order. */
+export const SCRIPT_COLUMNS = ['id', 'message', 'next_id', 'type', 'variable'];
+
+/** Node types a script row can describe, by the `type` written for them. */
+export const SCRIPT_ROW_TYPES = { message: 'textNode', question: 'questionNode' };
+
+/** `type` values accepted on import (lower-cased). */
+const TYPE_ALIASES = {
+    '': null, // unspecified: the canvas node's type, or a message
+    message: 'textNode',
+    text: 'textNode',
+    textnode: 'textNode',
+    question: 'questionNode',
+    questionnode: 'questionNode',
+};
+
+/** Gap between the existing nodes and a block of imported ones. */
+const IMPORT_GAP = 160;
+
+/** Width assumed for a node React Flow has not measured yet (w-64). */
+const FALLBACK_NODE_WIDTH = 256;
+
+/** Excel only reads a CSV as UTF-8 (emoji, accents) when it starts with a BOM. */
+const BOM = '\uFEFF';
+
+/**
+ * Values a spreadsheet would read as a formula — and those already behind
+ * a ', so that a leading ' of the text itself survives the round trip.
+ */
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   CSV
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Splits CSV text into rows of values (RFC 4180; CRLF or LF; leading BOM
+ * ignored). Rows whose values are all blank are dropped.
+ *
+ * @param {string} text
+ * @returns {{ rows: { line: number, values: string[] }[], error: string|null }}
+ *   `line` is the 1-based line the row starts on, as a spreadsheet numbers it.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endValue = () => { values.push(value); value = ''; };
+    const endRow = () => {
+        endValue();
+        if (values.some((v) => v.trim() !== '')) rows.push({ line: rowLine, values });
+        values = [];
+    };
+
+    const input = text.startsWith(BOM) ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { value += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else {
+                if (char === '\n') line++;
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endValue();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            rowLine = ++line;
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) return { rows: [], error: `Line ${rowLine}: a quoted value is never closed.` };
+    endRow();
+    return { rows, error: null };
+}
+
+/**
+ * One CSV value, quoted when it has to be.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const csvValue = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * A script value as exported: behind a ' when a spreadsheet would run it
+ * as a formula.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const scriptValue = (value) => (FORMULA_PATTERN.test(value) ? `'${value}` : value);
+
+/**
+ * A script value as imported: without the ' scriptValue put in front.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const unquoteFormula = (value) => (value.startsWith("'") && FORMULA_PATTERN.test(value) ? value.slice(1) : value);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Export
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Target of the edge leaving `node`'s main output (not a quick-reply
+ * button), or ''.
+ *
+ * @param {object}   node
+ * @param {object[]} edges
+ * @returns {string}
+ */
+const nextIdOf = (node, edges) =>
+    edges.find((e) => e.source === node.id && outputSlot(node, e) === DEFAULT_SOURCE_HANDLE)?.target ?? '';
+
+/**
+ * The flow's messages and questions as a CSV script.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {string}
+ */
+export function toScriptCsv(nodes, edges) {
+    const typeName = Object.fromEntries(Object.entries(SCRIPT_ROW_TYPES).map(([name, type]) => [type, name]));
+    const rows = nodes
+        .filter((n) => typeName[n.type])
+        .map((n) => [
+            n.id,
+            n.data.label ?? '',
+            nextIdOf(n, edges),
+            typeName[n.type],
+            n.type === 'questionNode' ? n.data.variable ?? '' : '',
+        ]);
+    return BOM + [SCRIPT_COLUMNS, ...rows.map((row) => row.map(scriptValue))]
+        .map((row) => row.map(csvValue).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Import
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Reads the header row: which column holds what.
+ *
+ * @param {string[]} header
+ * @returns {{ columns: Record<string, number>, errors: string[] }}
+ */
+function readHeader(header) {
+    const columns = {};
+    header.forEach((name, index) => {
+        const key = name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const column = key === 'nextid' || key === 'next' ? 'next_id' : key;
+        if (SCRIPT_COLUMNS.includes(column) && !(column in columns)) columns[column] = index;
+    });
+    const errors = ['id', 'message']
+        .filter((column) => !(column in columns))
+        .map((column) => `The header row has no "${column}" column.`);
+    return { columns, errors };
+}
+
+/**
+ * Works out what importing a CSV script into the canvas would do, without
+ * doing it.
+ *
+ * @param {string}   text  - The CSV file's contents.
+ * @param {object[]} nodes - Canvas nodes.
+ * @param {object[]} edges - Canvas edges.
+ * @returns {{
+ *   errors: string[],
+ *   nodes?: object[], edges?: object[],
+ *   added?: number, updated?: number, connected?: number,
+ * }} The whole canvas after the import when `errors` is empty.
+ */
+export function planScriptImport(text, nodes, edges) {
+    const { rows, error } = parseCsv(text);
+    if (error) return { errors: [error] };
+    if (rows.length === 0) return { errors: ['The file is empty.'] };
+
+    const { columns, errors } = readHeader(rows[0].values);
+    if (errors.length > 0) return { errors };
+    if (rows.length === 1) return { errors: ['The file has a header row but no script rows.'] };
+
+    const cell = (row, column) => (column in columns ? unquoteFormula(row.values[columns[column]] ?? '') : undefined);
+    const canvas = new Map(nodes.map((n) => [n.id, n]));
+
+    /* ── Read and check each row ── */
+    const script = [];
+    const firstLine = new Map(); // id → line that defined it
+    rows.slice(1).forEach((row) => {
+        const at = `Row ${row.line}`;
+        const id = cell(row, 'id').trim();
+        const typeCell = (cell(row, 'type') ?? '').trim().toLowerCase();
+        const variable = cell(row, 'variable')?.trim();
+        const next = (cell(row, 'next_id') ?? '').split(/[\s,;|]+/).filter(Boolean);
+
+        if (!id) {
+            errors.push(`${at}: the id is empty.`);
+            return;
+        }
+        if (firstLine.has(id)) {
+            errors.push(`${at}: id "${id}" is already used by row ${firstLine.get(id)}.`);
+            return;
+        }
+        firstLine.set(id, row.line);
+
+        if (!(typeCell in TYPE_ALIASES)) {
+            errors.push(`${at}: type "${typeCell}" is not one of ${Object.keys(SCRIPT_ROW_TYPES).join(', ')}.`);
+            return;
+        }
+        const existing = canvas.get(id);
+        const type = TYPE_ALIASES[typeCell] ?? existing?.type ?? 'textNode';
+        const existingKind = existing && Object.keys(SCRIPT_ROW_TYPES).find((k) => SCRIPT_ROW_TYPES[k] === existing.type);
+        if (existing && !existingKind) {
+            errors.push(`${at}: "${id}" is a ${existing.type} on the canvas — only messages and questions have rows.`);
+            return;
+        }
+        if (existing && existing.type !== type) {
+            errors.push(`${at}: "${id}" is a ${existingKind} on the canvas, so this row cannot make it a ${typeCell}.`);
+            return;
+        }
+
+        if (variable && type !== 'questionNode') {
+            errors.push(`${at}: only question rows can store the reply in a variable.`);
+        } else if (variable && !VARIABLE_NAME_PATTERN.test(variable)) {
+            errors.push(`${at}: "${variable}" is not a valid variable name (letters, digits and _; not starting with a digit).`);
+        }
+        if (next.length > 1) {
+            errors.push(`${at}: next_id lists ${next.length} nodes (${next.join(', ')}) — a ${typeCell || 'message'} can lead to only one.`);
+        } else if (next[0] === id) {
+            errors.push(`${at}: next_id points back to the row itself.`);
+        }
+
+        script.push({ at, id, type, message: cell(row, 'message'), variable, next: next[0] ?? null, existing });
+    });
+
+    script.forEach(({ at, next }) => {
+        if (next && !firstLine.has(next) && !canvas.has(next)) {
+            errors.push(`${at}: next_id "${next}" matches no row and no node on the canvas.`);
+        } else if (next && !firstLine.has(next) && !isFlowStep(canvas.get(next))) {
+            errors.push(`${at}: next_id "${next}" is a group on the canvas — a conversation cannot go to a group.`);
+        }
+    });
+    if (errors.length > 0) return { errors };
+
+    /* ── Build the merged canvas ── */
+    const updates = new Map(script.filter((r) => r.existing).map((r) => [r.id, r]));
+    const merged = nodes.map((node) => {
+        const row = updates.get(node.id);
+        if (!row) return node;
+        const data = { ...node.data, label: row.message };
+        if (row.type === 'questionNode' && row.variable !== undefined) data.variable = row.variable;
+        return { ...node, data };
+    });
+
+    const created = script
+        .filter((r) => !r.existing)
+        .map((r) => ({
+            id: r.id,
+            type: r.type,
+            position: { x: 0, y: 0 },
+            data: r.type === 'questionNode'
+                ? { ...createQuestionData(r.id), label: r.message, variable: r.variable ?? '' }
+                : { label: r.message },
+        }));
+
+    // Each row owns its node's main output: its edge is replaced by next_id's
+    const byId = new Map([...merged, ...created].map((n) => [n.id, n]));
+    const kept = edges.filter((e) => {
+        const source = byId.get(e.source);
+        return !firstLine.has(e.source) || outputSlot(source, e) !== DEFAULT_SOURCE_HANDLE;
+    });
+    const added = script
+        .filter((r) => r.next)
+        .map((r) => ({
+            id: `e${r.id}-${DEFAULT_SOURCE_HANDLE}-${r.next}`,
+            source: r.id,
+            target: r.next,
+            sourceHandle: DEFAULT_SOURCE_HANDLE,
+            targetHandle: null,
+        }));
+    const mergedEdges = [...kept, ...added];
+
+    /* ── Place the new nodes as one arranged block beside the rest ── */
+    const positions = layoutGraph(created, mergedEdges);
+    const right = merged.length > 0
+        ? Math.max(...merged.map((n) => n.position.x + (n.width ?? FALLBACK_NODE_WIDTH))) + IMPORT_GAP
+        : 0;
+    const top = merged.length > 0 ? Math.min(...merged.map((n) => n.position.y)) : 0;
+    const positioned = created.map((n) => {
+        const p = positions.get(n.id);
+        return { ...n, position: { x: p.x + right, y: p.y + top } };
+    });
+
+    return {
+        errors: [],
+        nodes: [...merged, ...positioned],
+        edges: mergedEdges,
+        added: created.length,
+        updated: updates.size,
+        connected: added.length,
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * @file delays.js
+ * @description Pacing for the "delayNode" node type.
+ *
+ * A delay node sends nothing: it makes the bot wait before whatever it
+ * sends next, optionally showing a typing indicator meanwhile.
+ *
+ *   {
+ *     duration: 1500,    // milliseconds, 0 … MAX_DELAY
+ *     typing:   true,    // show "…is typing" while waiting
+ *     auto:     false,   // ignore `duration`: wait as long as the
+ *                        // previous message takes to read (autoDelay)
+ *   }
+ *
+ * The conversation stepper (conversation.js) turns the wait into data — the
+ * next message carries `delay` and `typing` — and whoever shows the
+ * messages honours it: the Preview panel and `npm run chat` wait before
+ * showing that message, a backend before sending it.
+ */
+
+/** Duration of a freshly dropped delay, in milliseconds. */
+export const DEFAULT_DELAY = 1500;
+
+/** Longest delay a node may set, in milliseconds. */
+export const MAX_DELAY = 60000;
+
+/**
+ * Auto delay: reading time of the previous message, at AUTO_DELAY.perChar
+ * milliseconds per character, kept between `min` and `max`.
+ */
+export const AUTO_DELAY = { perChar: 50, min: 800, max: 6000 };
+
+/**
+ * Data for a freshly dropped delay node.
+ *
+ * @returns {object}
+ */
+export const createDelayData = () => ({ duration: DEFAULT_DELAY, typing: true, auto: false });
+
+/**
+ * Whether a node is a delay.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+export const isDelay = (node) => node.type === 'delayNode';
+
+/**
+ * A duration typed by the user, as a whole number of milliseconds in range.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function clampDelay(value) {
+    const ms = Math.round(Number(value));
+    return Number.isFinite(ms) ? Math.min(MAX_DELAY, Math.max(0, ms)) : 0;
+}
+
+/**
+ * How long the previous message takes to read.
+ *
+ * @param {string} [text] - The previous message's text.
+ * @returns {number} Milliseconds.
+ */
+export function autoDelay(text = '') {
+    return Math.min(AUTO_DELAY.max, Math.max(AUTO_DELAY.min, text.trim().length * AUTO_DELAY.perChar));
+}
+
+/**
+ * How long a delay node waits.
+ *
+ * @param {object} data           - delayNode data.
+ * @param {string} [previousText] - The bot's previous message, for `auto`.
+ * @returns {number} Milliseconds.
+ */
+export const delayDuration = (data, previousText = '') =>
+    (data?.auto ? autoDelay(previousText) : clampDelay(data?.duration));
+
+/**
+ * A duration for people: "800 ms", "1.5 s", "12 s".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    if (ms < 1000) return `${ms} ms`;
+    const seconds = ms / 1000;
+    return `${Number.isInteger(seconds) || seconds >= 10 ? Math.round(seconds) : seconds.toFixed(1).replace(/\.0$/, '')} s`;
+}
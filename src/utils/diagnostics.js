@@ -0,0 +1,480 @@
+/**
+ * @file diagnostics.js
+ * @description Live flow diagnostics — every problem in the graph at once,
+ *   each tied to the nodes and edges it is about.
+ *
+ * Where validateGraph (flowValidation.js) answers "may this flow be saved?"
+ * with plain strings, diagnoseFlow answers "what is wrong, and where?" so the
+ * canvas can badge the offending nodes / edges and the Problems panel can
+ * zoom to them. App re-runs it whenever the graph changes.
+ *
+ * Diagnostic shape
+ * ────────────────
+ *   {
+ *     key:      string,               // stable React key
+ *     rule:     string,               // one of the rule names below
+ *     severity: 'error' | 'warning',
+ *     message:  string,               // names nodes by their text, not raw ids
+ *     nodeIds:  string[],             // nodes to badge / zoom to
+ *     edgeIds:  string[],             // edges to badge
+ *   }
+ *
+ * Rules
+ * ─────
+ *   Errors block Save and Export. The first ones are exactly the save
+ *   rules of validateGraph, reported per node; the subflow and channel
+ *   errors further down come on top of them:
+ *     'shared-output'    two edges leave the same output
+ *     'orphan'           node with no connections at all, while another
+ *                        node is the start (a warning if it is the only one)
+ *     'multiple-starts'  more than one node with no incoming edge
+ *     'unconnected-reply' a quick-reply button that leads nowhere
+ *
+ *   Errors about Subflow nodes (see subflows.js) — the graph itself is fine,
+ *   but the subflow could not run; checked only when the sources are given:
+ *     'subflow-missing'   no flow picked, or the flow is gone / never saved
+ *     'subflow-endpoint'  the picked entry or return node no longer exists
+ *     'subflow-recursion' the subflow would run the flow it is in again
+ *
+ *   Errors about the channels the flow targets (see channels.js) — the
+ *   flow is fine here, but would be cut off or rejected when published:
+ *     'channel-limit'    a text, or the buttons' number or titles, over a
+ *                        channel's limit — in any of the flow's languages
+ *
+ *   Warnings — the flow still saves, but probably misbehaves:
+ *     'no-start'         every node has an incoming edge, so nothing starts
+ *     'unreachable'      no path leads to the node from the start node
+ *     'endless-cycle'    a loop with no way out — the conversation never ends
+ *     'empty-label'      a message or question with no text / image with no
+ *                        URL / quick-reply button with no text
+ *     'placeholder'      a "New message N" / "New question N" label left as is
+ *     'no-variable'      a question that discards its answer
+ *     'variable-reuse'   two questions on one path overwrite the same variable
+ *     'unknown-variable' a {{placeholder}} that is malformed, misspelled, or
+ *                        only captured later in the flow (see variables.js)
+ *     'bad-link'         a message's Markdown link whose address is not a
+ *                        well-formed URL (see markdown.js), in any language
+ *     'translation-missing' a text with no translation in one of the flow's
+ *                        other languages (see translations.js)
+ *     'channel-segments' a text that goes out as several SMS — it is
+ *                        delivered, but each segment is billed
+ *     'channel-no-buttons' choices offered on a channel that shows no
+ *                        buttons, so they have to be typed
+ *
+ * Group containers are not steps of the flow and are never diagnosed.
+ */
+
+import { sourceHandleIds, outputSlot, quickReplies, unconnectedQuickReplies, isFlowStep } from './flowValidation.js';
+import { subflowProblem, isSubflow } from './subflows.js';
+import {
+    EMPTY_VARIABLES,
+    allVariableNames,
+    knownVariablesByNode,
+    checkPlaceholders,
+    templatedTexts,
+} from './variables.js';
+import { DEFAULT_LANGUAGES, missingTranslations, languageName, localizeNode } from './translations.js';
+import { NO_CHANNELS, channelViolations } from './channels.js';
+import { badLinks } from './markdown.js';
+
+/** Human name of each node type, used in messages. */
+const TYPE_NAMES = {
+    textNode: 'Message',
+    imageNode: 'Image',
+    conditionNode: 'Condition',
+    questionNode: 'Question',
+    subflowNode: 'Subflow',
+    groupNode: 'Group',
+    delayNode: 'Delay',
+};
+
+/** Default labels given to freshly dropped nodes (see NODE_DEFAULT_DATA). */
+const PLACEHOLDER_PATTERNS = {
+    textNode: /^New message \d+$/,
+    questionNode: /^New question \d+$/,
+};
+
+/** Longest label excerpt quoted in a message. */
+const EXCERPT_LENGTH = 28;
+
+/** Diagnostic rule of each kind of channelViolations; the rest are 'channel-limit'. */
+const CHANNEL_RULES = { segments: 'channel-segments', 'no-buttons': 'channel-no-buttons' };
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Helpers
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Short, readable reference to a node, e.g. `Message "Hello! How can I…"`.
+ * Falls back to the id only when the node has no text to quote.
+ *
+ * @param {object} node
+ * @returns {string}
+ */
+export function describeNode(node) {
+    const type = TYPE_NAMES[node.type] ?? 'Node';
+    const text = (node.type === 'imageNode' ? node.data?.caption : node.data?.label)?.trim();
+    if (!text) return `${type} #${node.id}`;
+    const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+    return `${type} "${excerpt}"`;
+}
+
+/**
+ * Ids of every node reachable from `startId` by following edges
+ * (not including `startId` itself unless it lies on a cycle).
+ *
+ * @param {string}   startId
+ * @param {object[]} edges
+ * @returns {Set<string>}
+ */
+function reachableFrom(startId, edges) {
+    const seen = new Set();
+    const queue = [startId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const e of edges) {
+            if (e.source === current && !seen.has(e.target)) {
+                seen.add(e.target);
+                queue.push(e.target);
+            }
+        }
+    }
+    return seen;
+}
+
+/**
+ * Strongly connected components (Tarjan). Every cycle in the graph lies
+ * entirely inside one component.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {string[][]} Components as lists of node ids.
+ */
+function stronglyConnected(nodes, edges) {
+    const index = new Map();
+    const low = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = (id) => {
+        index.set(id, counter);
+        low.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const e of edges) {
+            if (e.source !== id) continue;
+            if (!index.has(e.target)) {
+                visit(e.target);
+                low.set(id, Math.min(low.get(id), low.get(e.target)));
+            } else if (onStack.has(e.target)) {
+                low.set(id, Math.min(low.get(id), index.get(e.target)));
+            }
+        }
+
+        if (low.get(id) === index.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            components.push(component);
+        }
+    };
+
+    nodes.forEach((n) => { if (!index.has(n.id)) visit(n.id); });
+    return components;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Engine
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Runs every rule over the graph.
+ *
+ * @param {object[]} graphNodes - Canvas nodes; group containers are skipped.
+ * @param {object[]} edges - Only edges between existing nodes are considered.
+ * @param {object}   [variables] - Flow variable settings ({ declared, samples }).
+ * @param {object}   [subflows]  - { sources, flowId }: the loaded subflow
+ *   sources (see loadSubflowSources) and the id of the flow being checked.
+ *   Without it subflow references are not checked.
+ * @param {object}   [languages] - Flow language settings ({ default, list }).
+ * @param {string[]} [channels]  - Ids of the channels the flow targets.
+ * @returns {object[]} Diagnostics, errors first, then in node order.
+ */
+export function diagnoseFlow(
+    graphNodes,
+    edges,
+    variables = EMPTY_VARIABLES,
+    subflows = null,
+    languages = DEFAULT_LANGUAGES,
+    channels = NO_CHANNELS
+) {
+    const nodes = graphNodes.filter(isFlowStep);
+    const found = [];
+    const report = (rule, severity, message, nodeIds = [], edgeIds = []) =>
+        found.push({ key: `${rule}:${nodeIds.join(',')}:${edgeIds.join(',')}`, rule, severity, message, nodeIds, edgeIds });
+
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const liveEdges = edges.filter((e) => byId.has(e.source) && byId.has(e.target));
+    const hasIncoming = new Set(liveEdges.map((e) => e.target));
+    const hasOutgoing = new Set(liveEdges.map((e) => e.source));
+
+    // ── shared-output ────────────────────────────────────────────────────
+    nodes.forEach((node) => {
+        const bySlot = new Map();
+        liveEdges
+            .filter((e) => e.source === node.id)
+            .forEach((e) => {
+                const slot = outputSlot(node, e);
+                bySlot.set(slot, [...(bySlot.get(slot) ?? []), e.id]);
+            });
+        bySlot.forEach((edgeIds) => {
+            if (edgeIds.length > 1) {
+                report('shared-output', 'error',
+                    `${describeNode(node)} has ${edgeIds.length} connections leaving the same output — keep one.`,
+                    [node.id], edgeIds);
+            }
+        });
+    });
+
+    // ── unconnected-reply ────────────────────────────────────────────────
+    nodes.forEach((node) => {
+        const loose = unconnectedQuickReplies(node, liveEdges);
+        if (loose.length === 0) return;
+        const names = loose.map((b) => `"${b.label || 'Unnamed'}"`).join(', ');
+        report('unconnected-reply', 'error',
+            `${describeNode(node)} has quick-reply button${loose.length > 1 ? 's' : ''} ${names} not connected to anything.`,
+            [node.id]);
+    });
+
+    // ── subflow-missing / subflow-endpoint / subflow-recursion ───────────
+    if (subflows) {
+        nodes.filter(isSubflow).forEach((node) => {
+            const problem = subflowProblem(node, subflows.sources, subflows.flowId);
+            if (problem) report(problem.rule, 'error', `${describeNode(node)} ${problem.message}`, [node.id]);
+        });
+    }
+
+    // ── channel-limit / channel-segments / channel-no-buttons ────────────
+    // Translations are measured too; the buttons' number is the same in
+    // every language, so only the default language reports it.
+    if (channels.length > 0) {
+        nodes.forEach((node) => {
+            languages.list.forEach((code) => {
+                const isDefault = code === languages.default;
+                const version = isDefault ? node : localizeNode(node, code, languages);
+                channelViolations(version, channels)
+                    .filter((v) => isDefault || v.kind === 'length' || v.kind === 'segments')
+                    .forEach((v) => found.push({
+                        key: `channel:${node.id}:${v.channel}:${v.field}:${v.kind}:${code}`,
+                        rule: CHANNEL_RULES[v.kind] ?? 'channel-limit',
+                        severity: v.severity,
+                        message: `${describeNode(node)}${isDefault ? '' : ` in ${languageName(code)}`} ${v.message}`,
+                        nodeIds: [node.id],
+                        edgeIds: [],
+                    }));
+            });
+        });
+    }
+
+    // ── orphan / multiple-starts / no-start ──────────────────────────────
+    const starts = nodes.filter((n) => !hasIncoming.has(n.id));
+    if (nodes.length > 1) {
+        // An orphan is only a save error when it is one of several starts;
+        // a lone unconnected start is legal, just useless.
+        const orphans = starts.filter((n) => !hasOutgoing.has(n.id));
+        orphans.forEach((n) =>
+            report('orphan', starts.length > 1 ? 'error' : 'warning', `${describeNode(n)} is not connected to anything.`, [n.id]));
+
+        if (starts.length > 1) {
+            starts
+                .filter((n) => hasOutgoing.has(n.id))
+                .forEach((n) =>
+                    report('multiple-starts', 'error',
+                        `${describeNode(n)} has no incoming connection — only one start node is allowed ` +
+                        `(${starts.length} found).`,
+                        [n.id]));
+        }
+    }
+    if (nodes.length > 0 && starts.length === 0) {
+        report('no-start', 'warning', 'No start node — every node has an incoming connection, so the conversation has nowhere to begin.');
+    }
+
+    // ── unreachable ──────────────────────────────────────────────────────
+    if (starts.length > 0) {
+        const reached = new Set(starts.map((n) => n.id));
+        starts.forEach((s) => reachableFrom(s.id, liveEdges).forEach((id) => reached.add(id)));
+        nodes
+            .filter((n) => !reached.has(n.id))
+            .forEach((n) =>
+                report('unreachable', 'warning', `${describeNode(n)} can never be reached from the start node.`, [n.id]));
+    }
+
+    // ── endless-cycle ────────────────────────────────────────────────────
+    // A loop is only a trap if nothing inside it can lead out: every output
+    // of every member is connected, and connected back into the loop. (An
+    // unconnected output is an exit — the conversation ends there.)
+    stronglyConnected(nodes, liveEdges)
+        .filter((component) => component.length > 1)
+        .forEach((component) => {
+            const members = new Set(component);
+            const hasExit = component.some((id) => {
+                const node = byId.get(id);
+                const outgoing = liveEdges.filter((e) => e.source === id);
+                const usedSlots = new Set(outgoing.map((e) => outputSlot(node, e)));
+                return sourceHandleIds(node).some((slot) => !usedSlots.has(slot))
+                    || outgoing.some((e) => !members.has(e.target));
+            });
+            if (hasExit) return;
+
+            const ordered = nodes.filter((n) => members.has(n.id));
+            report('endless-cycle', 'warning',
+                `${ordered.length} nodes form a loop with no way out, starting at ${describeNode(ordered[0])}.`,
+                ordered.map((n) => n.id),
+                liveEdges.filter((e) => members.has(e.source) && members.has(e.target)).map((e) => e.id));
+        });
+
+    // ── empty-label / placeholder ────────────────────────────────────────
+    nodes.forEach((node) => {
+        if (node.type === 'imageNode') {
+            if (!node.data?.url) report('empty-label', 'warning', `${describeNode(node)} has no image URL.`, [node.id]);
+            return;
+        }
+        if (node.type !== 'textNode' && node.type !== 'questionNode') return;
+
+        const label = node.data?.label?.trim() ?? '';
+        if (!label) {
+            report('empty-label', 'warning', `${TYPE_NAMES[node.type]} #${node.id} is empty.`, [node.id]);
+        } else if (PLACEHOLDER_PATTERNS[node.type].test(label)) {
+            report('placeholder', 'warning', `${describeNode(node)} still has its placeholder text.`, [node.id]);
+        }
+
+        const blank = quickReplies(node).filter((b) => !b.label.trim()).length;
+        if (blank > 0) {
+            found.push({
+                key: `empty-label:${node.id}:buttons`,
+                rule: 'empty-label',
+                severity: 'warning',
+                message: `${describeNode(node)} has ${blank} quick-reply button${blank > 1 ? 's' : ''} with no text.`,
+                nodeIds: [node.id],
+                edgeIds: [],
+            });
+        }
+    });
+
+    // ── no-variable / variable-reuse ─────────────────────────────────────
+    const questions = nodes.filter((n) => n.type === 'questionNode');
+    questions
+        .filter((q) => !q.data.variable?.trim())
+        .forEach((q) => report('no-variable', 'warning',
+            `${describeNode(q)} has no variable name — its answer is discarded.`, [q.id]));
+
+    const byVariable = new Map();
+    questions
+        .filter((q) => q.data.variable?.trim())
+        .forEach((q) => {
+            const name = q.data.variable.trim();
+            byVariable.set(name, [...(byVariable.get(name) ?? []), q]);
+        });
+
+    byVariable.forEach((group, name) => {
+        if (group.length < 2) return;
+        const reach = new Map(group.map((q) => [q.id, reachableFrom(q.id, liveEdges)]));
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const [a, b] = [group[i], group[j]];
+                if (reach.get(a.id).has(b.id) || reach.get(b.id).has(a.id)) {
+                    report('variable-reuse', 'warning',
+                        `${describeNode(a)} and ${describeNode(b)} both store into "${name}" on the same path — ` +
+                        `the later answer overwrites the earlier one.`,
+                        [a.id, b.id]);
+                }
+            }
+        }
+    });
+
+    // ── unknown-variable ─────────────────────────────────────────────────
+    const known = knownVariablesByNode(nodes, liveEdges, variables);
+    const allNames = allVariableNames(nodes, variables);
+    nodes.forEach((node) => {
+        checkPlaceholders(templatedTexts(node), known.get(node.id), allNames).forEach(({ name, reason, suggestion }) => {
+            const message = {
+                malformed: `${describeNode(node)} has a malformed placeholder {{${name}}} — use letters, digits and _ only.`,
+                downstream: `${describeNode(node)} uses {{${name}}}, but no question before it captures "${name}".`,
+                unknown: `${describeNode(node)} uses unknown variable {{${name}}}` +
+                    (suggestion ? ` — did you mean {{${suggestion}}}?` : '.'),
+            }[reason];
+            // Pushed directly: one node may have several, so the key names the variable
+            found.push({
+                key: `unknown-variable:${node.id}:${name}`,
+                rule: 'unknown-variable',
+                severity: 'warning',
+                message,
+                nodeIds: [node.id],
+                edgeIds: [],
+            });
+        });
+    });
+
+    // ── bad-link ─────────────────────────────────────────────────────────
+    nodes
+        .filter((node) => node.type === 'textNode')
+        .forEach((node) => {
+            languages.list.forEach((code) => {
+                const isDefault = code === languages.default;
+                const label = isDefault ? node.data?.label : node.data?.translations?.[code]?.label;
+                const bad = badLinks(label ?? '');
+                if (bad.length === 0) return;
+                found.push({
+                    key: `bad-link:${node.id}:${code}`,
+                    rule: 'bad-link',
+                    severity: 'warning',
+                    message: `${describeNode(node)}${isDefault ? '' : ` in ${languageName(code)}`} links to ` +
+                        `${bad.map((l) => `"${l.url}"`).join(', ')}, which ${bad.length > 1 ? 'are not valid addresses' : 'is not a valid address'}.`,
+                    nodeIds: [node.id],
+                    edgeIds: [],
+                });
+            });
+        });
+
+    // ── translation-missing ──────────────────────────────────────────────
+    const others = languages.list.filter((code) => code !== languages.default);
+    nodes.forEach((node) => {
+        const missing = others.filter((code) => missingTranslations(node, code).length > 0);
+        if (missing.length === 0) return;
+        report('translation-missing', 'warning',
+            `${describeNode(node)} is not translated into ${missing.map(languageName).join(', ')} yet.`,
+            [node.id]);
+    });
+
+    // Errors before warnings; stable otherwise
+    return [
+        ...found.filter((d) => d.severity === 'error'),
+        ...found.filter((d) => d.severity !== 'error'),
+    ];
+}
+
+/**
+ * Groups diagnostics by the nodes and edges they mention, for badges.
+ *
+ * @param {object[]} diagnostics - Output of diagnoseFlow.
+ * @returns {{ byNode: Map<string, object[]>, byEdge: Map<string, object[]> }}
+ */
+export function indexDiagnostics(diagnostics) {
+    const byNode = new Map();
+    const byEdge = new Map();
+    diagnostics.forEach((d) => {
+        d.nodeIds.forEach((id) => byNode.set(id, [...(byNode.get(id) ?? []), d]));
+        d.edgeIds.forEach((id) => byEdge.set(id, [...(byEdge.get(id) ?? []), d]));
+    });
+    return { byNode, byEdge };
+}
@@ -0,0 +1,264 @@
+/**
+ * @file diagramExport.js
+ * @description Turns a flow into diagram source for design docs and wikis:
+ *   Mermaid `flowchart` text and Graphviz DOT.
+ *
+ * Both exporters draw the same picture:
+ *
+ *   Node type       Mermaid            DOT
+ *   ─────────────   ────────────────   ──────────────────────
+ *   textNode        ("rounded")        box, rounded
+ *   imageNode       [/"slanted"/]      parallelogram
+ *   questionNode    {{"hexagon"}}      hexagon
+ *   conditionNode   {"diamond"}        diamond
+ *   subflowNode     [["subroutine"]]   box, double border
+ *   delayNode       (["stadium"])      oval
+ *   anything else   ["rectangle"]      box
+ *
+ * Group containers are not drawn: they are not steps (see groups.js).
+ *
+ * Node labels are the node's text (message, question, caption, condition
+ * name; a delay's duration) and edges leaving a named handle carry its label — the branch, the
+ * quick-reply button, "Otherwise", or "Any other reply" for a message's
+ * bottom handle once it has buttons. Labels are flattened to one line,
+ * truncated (MAX_NODE_LABEL / MAX_EDGE_LABEL characters) and escaped for
+ * the target syntax, so no message text can break the diagram.
+ *
+ * Pure functions: the output depends only on the graph, never on positions
+ * or selection, so exporting twice gives the same text.
+ */
+
+import { outputSlot, DEFAULT_SOURCE_HANDLE, quickReplies, isFlowStep } from './flowValidation.js';
+import { FALLBACK_HANDLE } from './conditions.js';
+import { clampDelay, formatDuration } from './delays.js';
+
+/** Longest node label, in characters, before it is cut with "…". */
+export const MAX_NODE_LABEL = 60;
+
+/** Longest edge label, in characters, before it is cut with "…". */
+export const MAX_EDGE_LABEL = 30;
+
+/** The diagram formats, keyed by id. */
+export const DIAGRAM_FORMATS = {
+    mermaid: { label: 'Mermaid', extension: 'mmd', mime: 'text/plain' },
+    dot: { label: 'Graphviz DOT', extension: 'dot', mime: 'text/vnd.graphviz' },
+};
+
+/** Shape and fill per node type; fills match the canvas headers. */
+const NODE_STYLES = {
+    textNode: { mermaid: ['(', ')'], dot: 'shape=box, style="rounded,filled"', fill: '#6366f1' },
+    imageNode: { mermaid: ['[/', '/]'], dot: 'shape=parallelogram, style=filled', fill: '#0ea5e9' },
+    questionNode: { mermaid: ['{{', '}}'], dot: 'shape=hexagon, style=filled', fill: '#f43f5e' },
+    conditionNode: { mermaid: ['{', '}'], dot: 'shape=diamond, style=filled', fill: '#f59e0b' },
+    subflowNode: { mermaid: ['[[', ']]'], dot: 'shape=box, peripheries=2, style=filled', fill: '#14b8a6' },
+    delayNode: { mermaid: ['([', '])'], dot: 'shape=oval, style=filled', fill: '#d946ef' },
+};
+
+const DEFAULT_STYLE = { mermaid: ['[', ']'], dot: 'shape=box, style=filled', fill: '#64748b' };
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Labels
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * One line of at most `max` characters.
+ *
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+export function truncateLabel(text, max) {
+    const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+}
+
+/**
+ * What a node is called in the diagram, before truncation.
+ *
+ * @param {object} node
+ * @returns {string}
+ */
+function nodeText(node) {
+    const data = node.data ?? {};
+    switch (node.type) {
+        case 'imageNode':
+            return data.caption || data.alt || 'Image';
+        case 'conditionNode':
+            return data.label || 'Condition';
+        case 'questionNode':
+            return data.label || 'Question';
+        case 'subflowNode':
+            return data.flowId ? `Subflow ${data.flowId}` : 'Subflow';
+        case 'delayNode':
+            return `Wait ${data.auto ? '(auto)' : formatDuration(clampDelay(data.duration))}${data.typing ? ', typing' : ''}`;
+        default:
+            return data.label || 'Empty message';
+    }
+}
+
+/**
+ * Label of the handle an edge leaves from, or '' for a node's only output.
+ *
+ * @param {object} node - The edge's source node.
+ * @param {object} edge
+ * @returns {string}
+ */
+function handleText(node, edge) {
+    const handle = outputSlot(node, edge);
+    if (node.type === 'conditionNode') {
+        if (handle === FALLBACK_HANDLE) return 'Otherwise';
+        return node.data.branches?.find((b) => b.id === handle)?.label || handle;
+    }
+    const buttons = quickReplies(node);
+    if (buttons.length === 0) return '';
+    if (handle === DEFAULT_SOURCE_HANDLE) return 'Any other reply';
+    return buttons.find((b) => b.id === handle)?.label || handle;
+}
+
+/**
+ * Diagram ids for the flow's node ids: letters, digits and _ only, unique,
+ * and stable across exports.
+ *
+ * @param {object[]} nodes
+ * @returns {Map<string, string>}
+ */
+function diagramIds(nodes) {
+    const ids = new Map();
+    const used = new Set();
+    nodes.forEach((node) => {
+        const base = `n_${String(node.id).replace(/[^A-Za-z0-9_]/g, '_')}`;
+        let id = base;
+        for (let i = 2; used.has(id); i++) id = `${base}_${i}`;
+        used.add(id);
+        ids.set(node.id, id);
+    });
+    return ids;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Mermaid
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Escapes text for a quoted Mermaid label. Mermaid's entity codes stand in
+ * for the characters its parser or its HTML labels would interpret.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeMermaid = (text) =>
+    text
+        .replace(/#/g, '#35;')
+        .replace(/"/g, '#quot;')
+        .replace(/</g, '#lt;')
+        .replace(/>/g, '#gt;')
+        .replace(/`/g, '#96;');
+
+/**
+ * Mermaid `flowchart` source for a flow.
+ *
+ * @param {object[]} graphNodes - Group containers among them are skipped.
+ * @param {object[]} edges
+ * @param {object}   [options]
+ * @param {string}   [options.title] - Written as the diagram's front-matter title.
+ * @returns {string}
+ */
+export function toMermaid(graphNodes, edges, { title } = {}) {
+    const nodes = graphNodes.filter(isFlowStep);
+    const ids = diagramIds(nodes);
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const lines = [];
+
+    if (title) lines.push('---', `title: ${JSON.stringify(truncateLabel(title, MAX_NODE_LABEL))}`, '---');
+    lines.push('flowchart TD');
+
+    nodes.forEach((node) => {
+        const [open, close] = (NODE_STYLES[node.type] ?? DEFAULT_STYLE).mermaid;
+        lines.push(`    ${ids.get(node.id)}${open}"${escapeMermaid(truncateLabel(nodeText(node), MAX_NODE_LABEL))}"${close}`);
+    });
+
+    edges.forEach((edge) => {
+        const source = byId.get(edge.source);
+        if (!source || !byId.has(edge.target)) return;
+        const label = truncateLabel(handleText(source, edge), MAX_EDGE_LABEL);
+        const arrow = label ? `-->|"${escapeMermaid(label)}"|` : '-->';
+        lines.push(`    ${ids.get(edge.source)} ${arrow} ${ids.get(edge.target)}`);
+    });
+
+    // One colour class per node type present
+    Object.entries(NODE_STYLES).forEach(([type, { fill }]) => {
+        const members = nodes.filter((n) => n.type === type).map((n) => ids.get(n.id));
+        if (members.length === 0) return;
+        lines.push(`    classDef ${type} fill:${fill},stroke:${fill},color:#ffffff`);
+        lines.push(`    class ${members.join(',')} ${type}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Graphviz DOT
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * A DOT double-quoted string.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const quoteDot = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Graphviz DOT source for a flow.
+ *
+ * @param {object[]} graphNodes - Group containers among them are skipped.
+ * @param {object[]} edges
+ * @param {object}   [options]
+ * @param {string}   [options.title] - Graph name and top label.
+ * @returns {string}
+ */
+export function toDot(graphNodes, edges, { title } = {}) {
+    const nodes = graphNodes.filter(isFlowStep);
+    const ids = diagramIds(nodes);
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const name = truncateLabel(title || 'flow', MAX_NODE_LABEL);
+
+    const lines = [
+        `digraph ${quoteDot(name)} {`,
+        ...(title ? [`    label=${quoteDot(name)};`, '    labelloc=t;'] : []),
+        '    rankdir=TB;',
+        '    node [fontname="Helvetica", fontcolor="#ffffff", color="#2d2b55"];',
+        '    edge [fontname="Helvetica", color="#818cf8"];',
+    ];
+
+    nodes.forEach((node) => {
+        const { dot, fill } = NODE_STYLES[node.type] ?? DEFAULT_STYLE;
+        const label = quoteDot(truncateLabel(nodeText(node), MAX_NODE_LABEL));
+        lines.push(`    ${ids.get(node.id)} [label=${label}, ${dot}, fillcolor="${fill}"];`);
+    });
+
+    edges.forEach((edge) => {
+        const source = byId.get(edge.source);
+        if (!source || !byId.has(edge.target)) return;
+        const label = truncateLabel(handleText(source, edge), MAX_EDGE_LABEL);
+        lines.push(`    ${ids.get(edge.source)} -> ${ids.get(edge.target)}${label ? ` [label=${quoteDot(label)}]` : ''};`);
+    });
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Diagram source in the given format.
+ *
+ * @param {'mermaid'|'dot'} format
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {object}   [options] - See toMermaid / toDot.
+ * @returns {string}
+ */
+export const exportDiagram = (format, nodes, edges, options) =>
+    (format === 'dot' ? toDot : toMermaid)(nodes, edges, options);
@@ -0,0 +1,40 @@
+/**
+ * @file download.js
+ * @description Tiny helper for saving generated text as a file.
+ *
+ * Builds a Blob, points a temporary <a download> at an object URL, clicks it
+ * and revokes the URL again. Works in every evergreen browser without any
+ * server round-trip.
+ */
+
+/**
+ * Triggers a browser download of `text` under `filename`.
+ *
+ * @param {string} filename - Suggested file name, e.g. "welcome.flow.json".
+ * @param {string} text     - File contents.
+ * @param {string} [mime]   - MIME type; defaults to plain text.
+ */
+export function downloadTextFile(filename, text, mime = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Turns an arbitrary display name into a safe, lowercase file-name stem.
+ *
+ * @param {string} name - e.g. "Welcome Flow (v2)"
+ * @returns {string} e.g. "welcome-flow-v2"; "flow" when nothing usable remains.
+ */
+export function slugify(name) {
+    const slug = String(name ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'flow';
+}
@@ -0,0 +1,153 @@
+/**
+ * @file flowRuntime.js
+ * @description Runs a flow outside the builder — in Node, a worker, a test
+ *   or a backend — with exactly the semantics of the Preview panel.
+ *
+ * No React, no DOM, no browser storage: the runtime only needs the flow's
+ * JSON, as written by Export (`*.flow.json`) or stored by Save Flow (a
+ * snapshot in browser storage or in the flow server's `flow-data/`).
+ *
+ *   import { createFlowRuntime } from 'chatbot-flow-builder/runtime';
+ *
+ *   const bot = createFlowRuntime(fs.readFileSync('welcome.flow.json', 'utf8'));
+ *   bot.start({ first_name: 'Ada' });   // → state, waiting at the first question
+ *   bot.send('ada@example.com');        // → state after the reply
+ *   bot.getState();                     // → the same state, again
+ *
+ * Loading goes through parseFlowDocument, so old files are migrated and a
+ * flow that Save Flow would refuse is refused here too (FlowLoadError).
+ * Walking the graph is conversation.js — the start node is the one with no
+ * incoming edge, each node's outgoing edge is followed, questions and
+ * quick replies wait for `send` — so a graph behaves the same in the
+ * builder's preview and in production.
+ *
+ * Subflow nodes run other flows. The runtime cannot know where those live,
+ * so the caller passes `resolveFlow(flowId)`, returning that flow's JSON
+ * (or null when there is none); every flow reached that way is loaded up
+ * front and inlined with expandSubflows, as the preview does. Without a
+ * resolver, subflows are skipped with a note.
+ *
+ * A translated flow (see translations.js) talks in its default language
+ * unless `language` picks another of its languages; a text without a
+ * translation is then sent in the default language.
+ *
+ * The state is the conversation state described in conversation.js:
+ * `messages` holds the whole transcript, `awaitingInput` tells whether the
+ * bot expects a reply, `ended` whether it has nothing more to say. States
+ * are never mutated, so a caller may keep old ones. A message held back by
+ * a Delay node carries `delay` (milliseconds) and `typing`: the runtime
+ * never waits itself, so a caller that delivers messages should wait that
+ * long before this one — showing a typing indicator when `typing` is set —
+ * as the Preview panel and `npm run chat` do (see delays.js).
+ */
+
+import { parseFlowDocument } from './flowSchema.js';
+import { startConversation, sendReply } from './conversation.js';
+import { referencedFlowIds, expandSubflows } from './subflows.js';
+import { localizeNode, languageName } from './translations.js';
+
+/**
+ * A flow that could not be loaded. `errors` lists every problem found, in
+ * the same words the builder's Import shows.
+ */
+export class FlowLoadError extends Error {
+    /**
+     * @param {string[]} errors
+     */
+    constructor(errors) {
+        super(`Invalid flow:\n${errors.map((e) => `  • ${e}`).join('\n')}`);
+        this.name = 'FlowLoadError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Parses one flow document.
+ *
+ * @param {string|object} source
+ * @param {string}        [flowId] - Set for a subflow: named in the errors.
+ * @returns {object} The flow.
+ * @throws {FlowLoadError}
+ */
+function loadFlow(source, flowId) {
+    const { flow, errors } = parseFlowDocument(typeof source === 'string' ? source : JSON.stringify(source));
+    if (errors.length > 0) throw new FlowLoadError(flowId ? errors.map((e) => `Subflow "${flowId}": ${e}`) : errors);
+    return flow;
+}
+
+/**
+ * Every flow the subflows of `flow` run, directly or through other
+ * subflows, in the shape expandSubflows takes.
+ *
+ * @param {object}   flow
+ * @param {Function} resolveFlow - (flowId) => string | object | null
+ * @returns {Map<string, { name: string, nodes: object[], edges: object[] }|null>}
+ * @throws {FlowLoadError} When a referenced flow is malformed.
+ */
+function loadSubflows(flow, resolveFlow) {
+    const sources = new Map();
+    const queue = referencedFlowIds(flow.nodes);
+    while (queue.length > 0) {
+        const flowId = queue.shift();
+        if (sources.has(flowId)) continue;
+        const source = resolveFlow(flowId);
+        const sub = source == null ? null : loadFlow(source, flowId);
+        sources.set(flowId, sub && { name: sub.meta.name, nodes: sub.nodes, edges: sub.edges });
+        if (sub) queue.push(...referencedFlowIds(sub.nodes));
+    }
+    return sources;
+}
+
+/**
+ * Loads a flow and returns a runtime for conversations with it.
+ *
+ * @param {string|object} source - The flow's JSON text, or the parsed object.
+ * @param {object}   [options]
+ * @param {Function} [options.resolveFlow] - (flowId) => string | object | null;
+ *   the JSON of a flow a Subflow node runs, or null when it does not exist.
+ * @param {string}   [options.language] - One of the flow's languages; its
+ *   default language when omitted.
+ * @returns {{
+ *   flow:     { meta: object, nodes: object[], edges: object[], variables: object, languages: object },
+ *   start:    (variables?: Record<string, string>) => object,
+ *   send:     (userInput: string) => object,
+ *   getState: () => object|null,
+ * }}
+ *   `start` begins a new conversation (discarding any running one) with
+ *   the given variable values and runs it up to the first wait or the end.
+ *   `send` delivers a reply; it returns the state unchanged when the bot is
+ *   not waiting for one. `getState` is null until `start` is called.
+ * @throws {FlowLoadError} When the flow is malformed or breaks the save rules.
+ * @throws {Error} When `language` is not one of the flow's languages.
+ */
+export function createFlowRuntime(source, { resolveFlow = null, language = null } = {}) {
+    const flow = loadFlow(source);
+    if (language && !flow.languages.list.includes(language)) {
+        throw new Error(`The flow has no ${languageName(language)} version — it has ${flow.languages.list.map(languageName).join(', ')}.`);
+    }
+    const expanded = resolveFlow
+        ? expandSubflows(flow.nodes, flow.edges, loadSubflows(flow, resolveFlow))
+        : { nodes: flow.nodes, edges: flow.edges };
+    const graph = language
+        ? { ...expanded, nodes: expanded.nodes.map((n) => localizeNode(n, language, flow.languages, true)) }
+        : expanded;
+
+    let state = null;
+
+    return {
+        flow,
+
+        start(variables = {}) {
+            state = startConversation(graph.nodes, graph.edges, { variables });
+            return state;
+        },
+
+        send(userInput) {
+            if (!state) throw new Error('The conversation has not started — call start() first.');
+            state = sendReply(state, String(userInput), graph.nodes, graph.edges);
+            return state;
+        },
+
+        getState: () => state,
+    };
+}
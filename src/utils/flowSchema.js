@@ -0,0 +1,481 @@
+/**
+ * @file flowSchema.js
+ * @description The versioned JSON file format used by Export / Import.
+ *
+ * Flows are passed around as `*.flow.json` files (e.g. attached to code
+ * reviews), so the format is deliberately small, explicit and stable.
+ *
+ * Schema — version 1
+ * ──────────────────
+ *   {
+ *     "schemaVersion": 1,
+ *     "meta": {
+ *       "name":       "Welcome flow",            // display name
+ *       "createdAt":  "2025-01-01T09:00:00.000Z",// when the flow was first created
+ *       "exportedAt": "2025-01-02T17:30:00.000Z" // when this file was written
+ *     },
+ *     "nodes": [
+ *       { "id": "1", "type": "textNode",
+ *         "position": { "x": 280, "y": 200 },
+ *         "data": { "label": "Hello!" } },
+ *       { "id": "2", "type": "imageNode",
+ *         "position": { "x": 280, "y": 400 },
+ *         "data": { "url": "https://…/menu.png", "alt": "Menu", "caption": "" } }
+ *     ],
+ *     "edges": [
+ *       { "id": "e1-2", "source": "1", "target": "2",
+ *         "sourceHandle": "source", "targetHandle": "target" }
+ *     ],
+ *     "viewport": { "x": 0, "y": 0, "zoom": 1 },  // optional
+ *     "variables": {                              // optional
+ *       "declared": ["first_name"],
+ *       "samples":  { "first_name": "Ada" }
+ *     },
+ *     "languages": { "default": "en", "list": ["en", "es"] }, // optional
+ *     "channels": ["whatsapp", "sms"]             // optional
+ *   }
+ *
+ * `data` depends on the node type — see NODE_DATA_CHECKS below. `imageNode`
+ * urls may be http(s) links or inline data: URLs from local uploads.
+ * `conditionNode` data is { label, branches: [{ id, label, variable,
+ * operator, value }] }; its edges use the branch id (or "otherwise") as
+ * `sourceHandle`, and each handle may be connected once. `questionNode`
+ * data is { label, variable, validation, choices, retryMessage }. A
+ * `textNode` may also carry quick-reply `buttons: [{ id, label }]`, whose
+ * ids are source handles just like branch ids (see quickReplies.js).
+ *
+ * A `subflowNode` runs another saved flow: { flowId, entryNodeId,
+ * returnNodeId }, the endpoints being node ids in that flow or '' for the
+ * defaults (see subflows.js). A `groupNode` frames other nodes on the
+ * canvas: { label, memberIds, collapsed } (see groups.js). Groups are not
+ * steps — no edge may start or end at one, each member must be a step of
+ * this document, and a node is in at most one group. A `delayNode` makes
+ * the bot wait before its next message: { duration, typing, auto }, the
+ * duration in milliseconds (see delays.js). These types were added without
+ * a new schema version: older files simply have none.
+ *
+ * Message text may contain `{{variable}}` placeholders; `variables` holds
+ * the flow-level variable list and sample values (see variables.js). Files
+ * without it simply have no declared variables, so adding it did not need a
+ * new schema version.
+ *
+ * `languages` names the flow's default language and the ones it is
+ * translated into; message, question and image nodes may then carry
+ * `translations: { <code>: { <field>: text } }` beside their default-language
+ * fields (see translations.js). Files without it are English only.
+ *
+ * `channels` lists the messaging channels the flow is published to; their
+ * limits are checked before saving (see channels.js). Files without it
+ * target none.
+ *
+ * Only semantic fields are written: edge colours, animation and arrowheads
+ * come from ReactFlow's defaultEdgeOptions on load, so a restyle of the
+ * canvas never changes the file format.
+ *
+ * Versioning
+ * ──────────
+ * Every breaking change bumps SCHEMA_VERSION and adds a MIGRATIONS entry
+ * that upgrades a document from the previous version. Import runs the chain
+ * oldest → newest before validating, so old files keep working forever.
+ *
+ *   0 → 1  Pre-versioned files: a bare { nodes, edges, viewport, savedAt }
+ *          snapshot, as kept in localStorage and by the flow server.
+ *          Gains schemaVersion + meta; the name, creation date,
+ *          variables, languages and channels of newer snapshots are kept.
+ */
+
+import { validateGraph, sourceHandleIds, edgeSourceHandle, DEFAULT_SOURCE_HANDLE } from './flowValidation.js';
+import { OPERATORS, FALLBACK_HANDLE } from './conditions.js';
+import { VALIDATION_TYPES } from './questions.js';
+import { MAX_QUICK_REPLIES } from './quickReplies.js';
+import { EMPTY_VARIABLES, checkVariablesShape } from './variables.js';
+import { DEFAULT_LANGUAGES, TRANSLATED_FIELDS, checkLanguagesShape, checkTranslationsShape } from './translations.js';
+import { NO_CHANNELS, checkChannelsShape } from './channels.js';
+import { MAX_DELAY } from './delays.js';
+
+/* Small type guards used by the shape checks below. */
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isOptionalString = (v) => v === undefined || v === null || typeof v === 'string';
+
+/** The version written by exportFlow and expected after migration. */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Per-type checks for `node.data`, keyed by node type. Each returns a list of
+ * problems located at `at` (e.g. "nodes[3]"). Adding a node type means adding
+ * an entry here — it also makes the type importable.
+ */
+const NODE_DATA_CHECKS = {
+    textNode: (data, at) => {
+        const errors = typeof data.label !== 'string' ? [`${at}.data.label must be a string.`] : [];
+        if (data.buttons === undefined) return errors;
+        if (!Array.isArray(data.buttons)) return [...errors, `${at}.data.buttons must be an array.`];
+        if (data.buttons.length > MAX_QUICK_REPLIES) {
+            errors.push(`${at}.data.buttons has ${data.buttons.length} buttons (at most ${MAX_QUICK_REPLIES}).`);
+        }
+        const ids = new Set();
+        data.buttons.forEach((b, j) => {
+            const bat = `${at}.data.buttons[${j}]`;
+            if (!isObject(b)) { errors.push(`${bat} must be an object.`); return; }
+            if (typeof b.id !== 'string' || !b.id || b.id === DEFAULT_SOURCE_HANDLE) {
+                errors.push(`${bat}.id must be a non-empty string other than "${DEFAULT_SOURCE_HANDLE}".`);
+            } else if (ids.has(b.id)) {
+                errors.push(`${bat}.id "${b.id}" is used by more than one button.`);
+            } else {
+                ids.add(b.id);
+            }
+            if (typeof b.label !== 'string') errors.push(`${bat}.label must be a string.`);
+        });
+        return errors;
+    },
+    imageNode: (data, at) => [
+        ...(typeof data.url !== 'string' ? [`${at}.data.url must be a string.`] : []),
+        ...(typeof data.alt !== 'string' ? [`${at}.data.alt must be a string.`] : []),
+        ...(!isOptionalString(data.caption) ? [`${at}.data.caption must be a string.`] : []),
+    ],
+    conditionNode: (data, at) => {
+        if (typeof data.label !== 'string') return [`${at}.data.label must be a string.`];
+        if (!Array.isArray(data.branches)) return [`${at}.data.branches must be an array.`];
+        const errors = [];
+        const ids = new Set();
+        data.branches.forEach((b, j) => {
+            const bat = `${at}.data.branches[${j}]`;
+            if (!isObject(b)) { errors.push(`${bat} must be an object.`); return; }
+            if (typeof b.id !== 'string' || !b.id || b.id === FALLBACK_HANDLE) {
+                errors.push(`${bat}.id must be a non-empty string other than "${FALLBACK_HANDLE}".`);
+            } else if (ids.has(b.id)) {
+                errors.push(`${bat}.id "${b.id}" is used by more than one branch.`);
+            } else {
+                ids.add(b.id);
+            }
+            ['label', 'variable', 'value'].forEach((field) => {
+                if (typeof b[field] !== 'string') errors.push(`${bat}.${field} must be a string.`);
+            });
+            if (!(b.operator in OPERATORS)) {
+                errors.push(`${bat}.operator "${b.operator}" is not one of ${Object.keys(OPERATORS).join(', ')}.`);
+            }
+        });
+        return errors;
+    },
+    subflowNode: (data, at) => ['flowId', 'entryNodeId', 'returnNodeId']
+        .filter((field) => typeof data[field] !== 'string')
+        .map((field) => `${at}.data.${field} must be a string.`),
+    groupNode: (data, at) => [
+        ...(typeof data.label !== 'string' ? [`${at}.data.label must be a string.`] : []),
+        ...(!Array.isArray(data.memberIds) || data.memberIds.some((id) => typeof id !== 'string')
+            ? [`${at}.data.memberIds must be an array of node ids.`]
+            : []),
+        ...(typeof data.collapsed !== 'boolean' ? [`${at}.data.collapsed must be true or false.`] : []),
+    ],
+    delayNode: (data, at) => [
+        ...(!Number.isInteger(data.duration) || data.duration < 0 || data.duration > MAX_DELAY
+            ? [`${at}.data.duration must be a whole number of milliseconds from 0 to ${MAX_DELAY}.`]
+            : []),
+        ...['typing', 'auto']
+            .filter((field) => typeof data[field] !== 'boolean')
+            .map((field) => `${at}.data.${field} must be true or false.`),
+    ],
+    questionNode: (data, at) => [
+        ...['label', 'variable', 'retryMessage']
+            .filter((field) => typeof data[field] !== 'string')
+            .map((field) => `${at}.data.${field} must be a string.`),
+        ...(!(data.validation in VALIDATION_TYPES)
+            ? [`${at}.data.validation "${data.validation}" is not one of ${Object.keys(VALIDATION_TYPES).join(', ')}.`]
+            : []),
+        ...(!Array.isArray(data.choices) || data.choices.some((c) => typeof c !== 'string')
+            ? [`${at}.data.choices must be an array of strings.`]
+            : []),
+    ],
+};
+
+/** Node `type` values this build knows how to render. */
+export const KNOWN_NODE_TYPES = Object.keys(NODE_DATA_CHECKS);
+
+/** Name given to flows that have never been named. */
+export const DEFAULT_FLOW_NAME = 'Untitled flow';
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   MIGRATIONS
+   ──────────
+   Keyed by the version a document is migrating FROM. Each function must be
+   pure and return a document one version newer.
+───────────────────────────────────────────────────────────────────────── */
+const MIGRATIONS = {
+    0: (doc) => ({
+        schemaVersion: 1,
+        meta: {
+            name: doc.meta?.name || DEFAULT_FLOW_NAME,
+            createdAt: doc.meta?.createdAt ?? doc.savedAt ?? new Date().toISOString(),
+        },
+        nodes: doc.nodes,
+        edges: doc.edges,
+        viewport: doc.viewport ?? null,
+        // Snapshots saved since variables were added carry them
+        ...(doc.variables !== undefined ? { variables: doc.variables } : {}),
+        ...(doc.languages !== undefined ? { languages: doc.languages } : {}),
+        ...(doc.channels !== undefined ? { channels: doc.channels } : {}),
+    }),
+};
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Export
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Builds a schema-conformant document from the current canvas.
+ *
+ * @param {object}      flow
+ * @param {object[]}    flow.nodes     - React Flow nodes.
+ * @param {object[]}    flow.edges     - React Flow edges.
+ * @param {object|null} flow.viewport  - Current { x, y, zoom }.
+ * @param {object}      flow.meta      - { name, createdAt }.
+ * @param {object}      [flow.variables] - { declared, samples }.
+ * @param {object}      [flow.languages] - { default, list }.
+ * @param {string[]}    [flow.channels]  - Targeted channel ids.
+ * @returns {object} A version-SCHEMA_VERSION flow document.
+ */
+export function exportFlow({
+    nodes,
+    edges,
+    viewport = null,
+    meta = {},
+    variables = EMPTY_VARIABLES,
+    languages = DEFAULT_LANGUAGES,
+    channels = NO_CHANNELS,
+}) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        meta: {
+            name: meta.name || DEFAULT_FLOW_NAME,
+            createdAt: meta.createdAt ?? new Date().toISOString(),
+            exportedAt: new Date().toISOString(),
+        },
+        nodes: nodes.map(({ id, type, position, data }) => ({
+            id,
+            type,
+            position: { x: position.x, y: position.y },
+            data: { ...data },
+        })),
+        edges: edges.map(({ id, source, target, sourceHandle, targetHandle }) => ({
+            id,
+            source,
+            target,
+            sourceHandle: sourceHandle ?? null,
+            targetHandle: targetHandle ?? null,
+        })),
+        viewport,
+        variables: { declared: [...variables.declared], samples: { ...variables.samples } },
+        languages: { default: languages.default, list: [...languages.list] },
+        channels: [...channels],
+    };
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Import
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Checks the document's shape field-by-field, collecting every problem with
+ * a JSON-path-like location so the user can find it in the file.
+ *
+ * @param {object} doc - A document already migrated to SCHEMA_VERSION.
+ * @returns {string[]} Shape problems; empty when well-formed.
+ */
+function checkShape(doc) {
+    const errors = [];
+
+    if (!isObject(doc.meta)) {
+        errors.push('meta must be an object.');
+    } else {
+        if (typeof doc.meta.name !== 'string') errors.push('meta.name must be a string.');
+        if (typeof doc.meta.createdAt !== 'string' || Number.isNaN(Date.parse(doc.meta.createdAt))) {
+            errors.push('meta.createdAt must be an ISO-8601 date string.');
+        }
+    }
+
+    errors.push(...checkGraphShape(doc.nodes, doc.edges));
+
+    if (doc.viewport != null && (
+        !isObject(doc.viewport) ||
+        !isFiniteNumber(doc.viewport.x) || !isFiniteNumber(doc.viewport.y) || !isFiniteNumber(doc.viewport.zoom)
+    )) {
+        errors.push('viewport must be { x: number, y: number, zoom: number } or null.');
+    }
+
+    if (doc.variables !== undefined) errors.push(...checkVariablesShape(doc.variables, 'variables'));
+    if (doc.languages !== undefined) errors.push(...checkLanguagesShape(doc.languages, 'languages'));
+    if (doc.channels !== undefined) errors.push(...checkChannelsShape(doc.channels, 'channels'));
+
+    return errors;
+}
+
+/**
+ * Checks the nodes and edges of a document — or of any other graph
+ * fragment, such as a clipboard payload — field-by-field.
+ *
+ * @param {unknown} nodes
+ * @param {unknown} edges
+ * @returns {string[]} Shape problems; empty when well-formed.
+ */
+export function checkGraphShape(nodes, edges) {
+    const errors = [];
+
+    if (!Array.isArray(nodes)) errors.push('nodes must be an array.');
+    if (!Array.isArray(edges)) errors.push('edges must be an array.');
+    if (errors.length > 0) return errors;
+
+    const nodeIds = new Set();
+    const wellFormed = new Map(); // id → node, for nodes whose data passed its checks
+    nodes.forEach((n, i) => {
+        const at = `nodes[${i}]`;
+        if (!isObject(n)) { errors.push(`${at} must be an object.`); return; }
+        if (typeof n.id !== 'string' || !n.id) errors.push(`${at}.id must be a non-empty string.`);
+        else if (nodeIds.has(n.id)) errors.push(`${at}.id "${n.id}" is used by more than one node.`);
+        else nodeIds.add(n.id);
+        const known = KNOWN_NODE_TYPES.includes(n.type);
+        if (!known) {
+            errors.push(`${at}.type "${n.type}" is not a known node type (expected ${KNOWN_NODE_TYPES.join(', ')}).`);
+        }
+        if (!isObject(n.position) || !isFiniteNumber(n.position.x) || !isFiniteNumber(n.position.y)) {
+            errors.push(`${at}.position must be { x: number, y: number }.`);
+        }
+        if (!isObject(n.data)) {
+            errors.push(`${at}.data must be an object.`);
+        } else if (known) {
+            const dataErrors = NODE_DATA_CHECKS[n.type](n.data, at);
+            if (n.data.translations !== undefined) {
+                dataErrors.push(...(TRANSLATED_FIELDS[n.type]
+                    ? checkTranslationsShape(n.data.translations, `${at}.data.translations`)
+                    : [`${at}.data.translations is only allowed on messages, questions and images.`]));
+            }
+            errors.push(...dataErrors);
+            if (dataErrors.length === 0) wellFormed.set(n.id, n);
+        }
+    });
+
+    // Groups hold steps of this graph, and each step sits in one group at most
+    const owner = new Map(); // member id → group id
+    wellFormed.forEach((n) => {
+        if (n.type !== 'groupNode') return;
+        n.data.memberIds.forEach((id) => {
+            const member = nodes.find((m) => m?.id === id);
+            if (!member || member.type === 'groupNode') {
+                errors.push(`Group "${n.id}" lists "${id}", which is not a message, question or other step of the flow.`);
+            } else if (owner.has(id)) {
+                errors.push(`Node "${id}" is in both group "${owner.get(id)}" and group "${n.id}".`);
+            } else {
+                owner.set(id, n.id);
+            }
+        });
+    });
+    const groupIds = new Set(nodes.filter((n) => n?.type === 'groupNode').map((n) => n.id));
+
+    const edgeIds = new Set();
+    edges.forEach((e, i) => {
+        const at = `edges[${i}]`;
+        if (!isObject(e)) { errors.push(`${at} must be an object.`); return; }
+        if (typeof e.id !== 'string' || !e.id) errors.push(`${at}.id must be a non-empty string.`);
+        else if (edgeIds.has(e.id)) errors.push(`${at}.id "${e.id}" is used by more than one edge.`);
+        else edgeIds.add(e.id);
+        if (!nodeIds.has(e.source)) errors.push(`${at}.source "${e.source}" does not match any node id.`);
+        if (!nodeIds.has(e.target)) errors.push(`${at}.target "${e.target}" does not match any node id.`);
+        if (e.source === e.target) errors.push(`${at} connects node "${e.source}" to itself.`);
+        if (groupIds.has(e.source) || groupIds.has(e.target)) {
+            errors.push(`${at} connects to group "${groupIds.has(e.source) ? e.source : e.target}" — groups cannot be connected.`);
+        }
+        if (!isOptionalString(e.sourceHandle)) errors.push(`${at}.sourceHandle must be a string or null.`);
+        if (!isOptionalString(e.targetHandle)) errors.push(`${at}.targetHandle must be a string or null.`);
+
+        // The edge must leave from a handle its source node actually renders
+        const source = wellFormed.get(e.source);
+        if (source && isOptionalString(e.sourceHandle)) {
+            const handles = sourceHandleIds(source);
+            if (!handles.includes(edgeSourceHandle(e))) {
+                errors.push(
+                    `${at}.sourceHandle "${e.sourceHandle}" is not an output of node "${e.source}" ` +
+                    `(expected ${handles.join(', ')}).`
+                );
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Parses, migrates and validates the text of a `.flow.json` file.
+ *
+ * Never throws — every failure is reported in `errors` so the caller can
+ * show the user exactly what is wrong with the file.
+ *
+ * @param {string} text - Raw file contents.
+ * @returns {{ flow: object|null, errors: string[] }}
+ *   `flow` is { meta, nodes, edges, viewport, variables, languages, channels }
+ *   ready for the canvas when
+ *   `errors` is empty, otherwise null.
+ */
+export function parseFlowDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        return { flow: null, errors: [`File is not valid JSON: ${err.message}`] };
+    }
+    if (!isObject(doc)) {
+        return { flow: null, errors: ['File must contain a JSON object at the top level.'] };
+    }
+
+    // Files without a version predate the schema — treat them as version 0
+    let version = doc.schemaVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        return { flow: null, errors: [`schemaVersion must be a non-negative integer (got ${JSON.stringify(doc.schemaVersion)}).`] };
+    }
+    if (version > SCHEMA_VERSION) {
+        return {
+            flow: null,
+            errors: [`schemaVersion ${version} is newer than this builder supports (${SCHEMA_VERSION}). Please update the app.`],
+        };
+    }
+    while (version < SCHEMA_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version = doc.schemaVersion;
+    }
+
+    const shapeErrors = checkShape(doc);
+    if (shapeErrors.length > 0) return { flow: null, errors: shapeErrors };
+
+    if (doc.nodes.length === 0) {
+        return { flow: null, errors: ['Flow contains no nodes.'] };
+    }
+
+    // Same rules as the Save Flow button
+    const ruleErrors = validateGraph(doc.nodes, doc.edges);
+    if (ruleErrors.length > 0) return { flow: null, errors: ruleErrors };
+
+    return {
+        flow: {
+            meta: { name: doc.meta.name || DEFAULT_FLOW_NAME, createdAt: doc.meta.createdAt },
+            nodes: doc.nodes.map(({ id, type, position, data }) => ({ id, type, position, data })),
+            edges: doc.edges.map(({ id, source, target, sourceHandle, targetHandle }) => ({
+                id,
+                source,
+                target,
+                sourceHandle: sourceHandle ?? null,
+                targetHandle: targetHandle ?? null,
+            })),
+            viewport: doc.viewport ?? null,
+            variables: doc.variables
+                ? { declared: [...new Set(doc.variables.declared)], samples: { ...doc.variables.samples } }
+                : EMPTY_VARIABLES,
+            languages: doc.languages
+                ? { default: doc.languages.default, list: [...new Set(doc.languages.list)] }
+                : DEFAULT_LANGUAGES,
+            channels: doc.channels ? [...new Set(doc.channels)] : NO_CHANNELS,
+        },
+        errors: [],
+    };
+}
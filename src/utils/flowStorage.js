@@ -0,0 +1,445 @@
+/**
+ * @file flowStorage.js
+ * @description Browser-storage persistence for the Chatbot Flow Builder.
+ *
+ * The workspace holds any number of named flows. Its index lives under one
+ * key; each flow then has two independent slots of its own:
+ *
+ *   • SAVED  — the last version of the flow that passed handleSave's
+ *              validation rules. This is what the canvas loads.
+ *   • DRAFT  — a debounced autosave of the flow's unsaved canvas, written
+ *              only while it differs from SAVED. If the tab crashes or is
+ *              closed before the user clicks "Save Flow", the draft is
+ *              offered back as "restore unsaved changes" on the next load;
+ *              switching flows keeps the draft, so work is never lost.
+ *
+ * Workspace index shape
+ * ─────────────────────
+ *   {
+ *     activeFlowId: string,
+ *     flows: [{ id, name, createdAt, updatedAt, nodeCount, edgeCount }]
+ *   }
+ *
+ * The counts are refreshed whenever either slot is written, so the flow
+ * list can show them without loading every flow.
+ *
+ * Each flow also has a REVISIONS slot: the immutable list of versions
+ * recorded by past saves (oldest first, see revisions.js). Browser storage
+ * keeps the newest MAX_STORED_REVISIONS of them — fewer once it runs out of
+ * room: the oldest revisions are the one thing dropped to make space, for a
+ * new revision or for the saved flow itself. A save never fails because
+ * its history could not be kept.
+ *
+ * Two small per-browser settings sit beside the workspace: the author name
+ * recorded on revisions, and the user's keyboard-shortcut overrides.
+ *
+ * Earlier versions kept a single anonymous flow under the un-prefixed
+ * saved / draft keys; loadWorkspace() adopts it as the first flow.
+ *
+ * Snapshot shape (both slots)
+ * ───────────────────────────
+ *   {
+ *     nodes:    [{ id, type, position, data }],
+ *     edges:    [{ id, source, target, sourceHandle, targetHandle, ... }],
+ *     viewport: { x, y, zoom } | null,
+ *     meta:     { name, createdAt } | null,
+ *     variables: { declared, samples },   // absent in older snapshots
+ *     languages: { default, list },       // absent in older snapshots
+ *     channels: string[],                  // absent in older snapshots
+ *     savedAt:  ISO-8601 timestamp string,
+ *     etag:     string | null,             // SAVED only, see below
+ *     revision: { id, author, message }    // SAVED / REVISIONS, see revisions.js
+ *   }
+ *
+ * Saves go through a storage adapter (storageAdapters.js) rather than
+ * straight to storeSavedFlow: either this SAVED slot is the store itself,
+ * or it caches the copy last saved to / loaded from a flow server. Either
+ * way `etag` names the stored version the slot holds, for conflict checks.
+ *
+ * Every storage call is wrapped in try/catch: localStorage throws in private
+ * browsing modes and when the quota is exceeded, and a broken storage layer
+ * must never take the whole canvas down with it. Readers return null and
+ * writers return false on failure so callers can surface a message.
+ */
+
+import { DEFAULT_FLOW_NAME } from './flowSchema.js';
+import { EMPTY_VARIABLES } from './variables.js';
+import { DEFAULT_LANGUAGES } from './translations.js';
+import { NO_CHANNELS } from './channels.js';
+import { sanitizeOverrides } from './shortcuts.js';
+
+/** localStorage keys — versioned so a future format change can start fresh. */
+const KEY_PREFIX = 'chatbot-flow-builder';
+const WORKSPACE_KEY = `${KEY_PREFIX}:workspace:v1`;
+const LEGACY_SAVED_KEY = `${KEY_PREFIX}:saved:v1`;
+const LEGACY_DRAFT_KEY = `${KEY_PREFIX}:draft:v1`;
+const AUTHOR_KEY = `${KEY_PREFIX}:author:v1`;
+const SHORTCUTS_KEY = `${KEY_PREFIX}:shortcuts:v1`;
+
+/** Most revisions kept per flow in browser storage; older ones are dropped. */
+export const MAX_STORED_REVISIONS = 50;
+
+/**
+ * Key of one flow's slot.
+ *
+ * @param {string}                          flowId
+ * @param {'saved' | 'draft' | 'revisions'} slot
+ * @returns {string}
+ */
+const flowKey = (flowId, slot) => `${KEY_PREFIX}:flow:${flowId}:${slot}:v1`;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Serialisation helpers
+   ─────────────────────
+   React Flow decorates nodes and edges with runtime-only fields such as
+   `selected`, `dragging`, `width`, `height` and `positionAbsolute`. These
+   must not be persisted — restoring `selected: true` would, for example,
+   re-select a node the user never clicked.
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Strips runtime-only fields from a node.
+ *
+ * @param {object} node - A React Flow node.
+ * @returns {object} A plain node with only id, type, position and data.
+ */
+const serializeNode = ({ id, type, position, data }) => ({
+    id,
+    type,
+    position: { x: position.x, y: position.y },
+    data: { ...data },
+});
+
+/**
+ * Strips runtime-only fields from an edge while keeping its visual style.
+ *
+ * @param {object} edge - A React Flow edge.
+ * @returns {object} A plain edge object.
+ */
+const serializeEdge = ({ id, source, target, sourceHandle, targetHandle, type, animated, style, markerEnd }) => ({
+    id,
+    source,
+    target,
+    sourceHandle: sourceHandle ?? null,
+    targetHandle: targetHandle ?? null,
+    type,
+    animated,
+    style,
+    markerEnd,
+});
+
+/**
+ * Builds a persistable snapshot of the canvas.
+ *
+ * @param {object[]}    nodes    - Current React Flow nodes.
+ * @param {object[]}    edges    - Current React Flow edges.
+ * @param {object|null} viewport - Current { x, y, zoom }, if known.
+ * @param {object|null} meta     - Flow metadata { name, createdAt }, if known.
+ * @param {object}      [variables] - Flow variable settings { declared, samples }.
+ * @param {object}      [languages] - Flow language settings { default, list }.
+ * @param {string[]}    [channels]  - Ids of the channels the flow targets.
+ * @returns {object} Snapshot object (see file header for the shape).
+ */
+export function createSnapshot(
+    nodes,
+    edges,
+    viewport = null,
+    meta = null,
+    variables = EMPTY_VARIABLES,
+    languages = DEFAULT_LANGUAGES,
+    channels = NO_CHANNELS
+) {
+    return {
+        nodes: nodes.map(serializeNode),
+        edges: edges.map(serializeEdge),
+        viewport,
+        meta,
+        variables,
+        languages,
+        channels,
+        savedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Returns true when two graphs have the same nodes, edges, variable,
+ * language and channel settings (a graph without `variables` has none,
+ * one without `languages` is English only, one without `channels` targets
+ * none).
+ * Viewport and timestamps are deliberately ignored — panning the canvas is
+ * not an "unsaved change" worth nagging the user about.
+ *
+ * @param {{ nodes: object[], edges: object[], variables?: object, languages?: object, channels?: string[] }} a
+ * @param {{ nodes: object[], edges: object[], variables?: object, languages?: object, channels?: string[] }} b
+ * @returns {boolean}
+ */
+export function isSameGraph(a, b) {
+    if (!a || !b) return false;
+    const key = (g) => JSON.stringify({
+        nodes: g.nodes.map(serializeNode),
+        edges: g.edges.map(serializeEdge),
+        variables: g.variables ?? EMPTY_VARIABLES,
+        languages: g.languages ?? DEFAULT_LANGUAGES,
+        channels: g.channels ?? NO_CHANNELS,
+    });
+    return key(a) === key(b);
+}
+
+/**
+ * Highest numeric node id in a list, or 0 when none are numeric.
+ * Used by App to resume its `_uid` counter after a restore so freshly
+ * dropped nodes never collide with restored ones.
+ *
+ * @param {object[]} nodes
+ * @returns {number}
+ */
+export function maxNumericId(nodes) {
+    return nodes.reduce((max, n) => {
+        const num = Number(n.id);
+        return Number.isInteger(num) && num > max ? num : max;
+    }, 0);
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Low-level read / write
+───────────────────────────────────────────────────────────────────────── */
+
+/** True for values shaped like a snapshot. */
+const isSnapshot = (value) => Array.isArray(value?.nodes) && Array.isArray(value?.edges);
+
+/** True for values shaped like the workspace index. */
+const isWorkspace = (value) =>
+    Array.isArray(value?.flows) && value.flows.every((f) => typeof f?.id === 'string');
+
+/**
+ * Reads and parses a stored value, rejecting anything of the wrong shape.
+ *
+ * @param {string}   key             - localStorage key.
+ * @param {Function} [isValid]       - Shape check; defaults to isSnapshot.
+ * @returns {object|null} The value, or null if missing / corrupt / unavailable.
+ */
+function read(key, isValid = isSnapshot) {
+    try {
+        const raw = window.localStorage.getItem(key);
+        if (!raw) return null;
+        const parsed = JSON.parse(raw);
+        return isValid(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Serialises and writes a snapshot.
+ *
+ * @param {string} key      - localStorage key.
+ * @param {object} snapshot - Value to store.
+ * @returns {boolean} true on success, false if storage is unavailable or full.
+ */
+function write(key, snapshot) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(snapshot));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Removes a key, swallowing storage errors.
+ *
+ * @param {string} key - localStorage key.
+ */
+function remove(key) {
+    try {
+        window.localStorage.removeItem(key);
+    } catch {
+        /* storage unavailable — nothing to clear */
+    }
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Workspace index
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * A new, collision-resistant flow id, e.g. "flow-lq8x2k-4f9a".
+ *
+ * @returns {string}
+ */
+export const createFlowId = () =>
+    `flow-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * A workspace index entry for a flow.
+ *
+ * @param {string}      id
+ * @param {string}      name
+ * @param {object|null} [snapshot] - Content to take the counts from.
+ * @returns {object}
+ */
+export function createFlowEntry(id, name, snapshot = null) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        name: name || DEFAULT_FLOW_NAME,
+        createdAt: snapshot?.meta?.createdAt ?? now,
+        updatedAt: now,
+        nodeCount: snapshot?.nodes.length ?? 0,
+        edgeCount: snapshot?.edges.length ?? 0,
+    };
+}
+
+/**
+ * Loads the workspace index. On first run it is created — adopting the
+ * single flow stored by earlier versions if there is one, otherwise with
+ * one empty flow — and written back immediately.
+ *
+ * @returns {{ activeFlowId: string, flows: object[] }}
+ */
+export function loadWorkspace() {
+    const stored = read(WORKSPACE_KEY, isWorkspace);
+    if (stored && stored.flows.length > 0) {
+        const active = stored.flows.some((f) => f.id === stored.activeFlowId);
+        return active ? stored : { ...stored, activeFlowId: stored.flows[0].id };
+    }
+
+    const id = createFlowId();
+    const legacySaved = read(LEGACY_SAVED_KEY);
+    const legacyDraft = read(LEGACY_DRAFT_KEY);
+    if (legacySaved) write(flowKey(id, 'saved'), legacySaved);
+    if (legacyDraft) write(flowKey(id, 'draft'), legacyDraft);
+
+    const latest = legacyDraft ?? legacySaved;
+    const workspace = {
+        activeFlowId: id,
+        flows: [createFlowEntry(id, latest?.meta?.name, latest)],
+    };
+    if (storeWorkspace(workspace)) {
+        remove(LEGACY_SAVED_KEY);
+        remove(LEGACY_DRAFT_KEY);
+    }
+    return workspace;
+}
+
+/** @returns {boolean} Whether the workspace index was written. */
+export const storeWorkspace = (workspace) => write(WORKSPACE_KEY, workspace);
+
+/**
+ * Removes every slot of a flow. The caller updates the index.
+ *
+ * @param {string} flowId
+ */
+export function deleteFlowData(flowId) {
+    remove(flowKey(flowId, 'saved'));
+    remove(flowKey(flowId, 'draft'));
+    remove(flowKey(flowId, 'revisions'));
+}
+
+/**
+ * Copies both slots of one flow to another id, renaming the copies. The
+ * copy has never been saved anywhere, so it gets no etag and no revisions.
+ *
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {object} meta - { name, createdAt } for the copy.
+ * @returns {boolean} false if storage failed part-way.
+ */
+export function copyFlowData(fromId, toId, meta) {
+    return ['saved', 'draft'].every((slot) => {
+        const snapshot = read(flowKey(fromId, slot));
+        return !snapshot || write(flowKey(toId, slot), { ...snapshot, meta, etag: null });
+    });
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Public API — per-flow slots
+───────────────────────────────────────────────────────────────────────── */
+
+/** @returns {object|null} The flow's last validated version, or null. */
+export const loadSavedFlow = (flowId) => read(flowKey(flowId, 'saved'));
+
+/**
+ * Writes the flow's validated version. When storage is full, the flow's
+ * revisions are set aside to make room; once the flow is written, the
+ * newest of them that still fit are put back. A flow that does not fit
+ * even then is not written, and its history is restored as it was.
+ *
+ * @param {string} flowId
+ * @param {object} snapshot
+ * @returns {boolean} Whether the validated flow was written.
+ */
+export function storeSavedFlow(flowId, snapshot) {
+    const savedKey = flowKey(flowId, 'saved');
+    if (write(savedKey, snapshot)) return true;
+
+    const revisionsKey = flowKey(flowId, 'revisions');
+    const revisions = loadRevisions(flowId);
+    if (revisions.length === 0) return false;
+    remove(revisionsKey);
+    if (!write(savedKey, snapshot)) {
+        // The previous version is still stored, so its history fits beside it
+        write(revisionsKey, revisions);
+        return false;
+    }
+    let kept = revisions;
+    while (kept.length > 0 && !write(revisionsKey, kept)) kept = kept.slice(1);
+    return true;
+}
+
+/** @returns {object|null} The flow's pending autosave draft, or null. */
+export const loadDraft = (flowId) => read(flowKey(flowId, 'draft'));
+
+/** @returns {boolean} Whether the draft was written. */
+export const storeDraft = (flowId, snapshot) => write(flowKey(flowId, 'draft'), snapshot);
+
+/** Discards the flow's pending autosave draft. */
+export const clearDraft = (flowId) => remove(flowKey(flowId, 'draft'));
+
+/** @returns {object[]} The flow's recorded revisions, oldest first. */
+export const loadRevisions = (flowId) =>
+    read(flowKey(flowId, 'revisions'), (value) => Array.isArray(value) && value.every(isSnapshot)) ?? [];
+
+/**
+ * Appends a revision, dropping the oldest beyond MAX_STORED_REVISIONS — and
+ * more of the oldest, one at a time, while the list does not fit.
+ *
+ * @param {string} flowId
+ * @param {object} snapshot - The saved snapshot, with its `revision` info.
+ * @returns {boolean} Whether the revision was recorded; false when not even
+ *   it alone fits, the stored list being left as it was.
+ */
+export function appendRevision(flowId, snapshot) {
+    let revisions = [...loadRevisions(flowId), snapshot].slice(-MAX_STORED_REVISIONS);
+    while (revisions.length > 0) {
+        if (write(flowKey(flowId, 'revisions'), revisions)) return true;
+        revisions = revisions.slice(1);
+    }
+    return false;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Public API — author name
+───────────────────────────────────────────────────────────────────────── */
+
+/** @returns {string} The name recorded on this browser's revisions, or ''. */
+export const loadAuthor = () => read(AUTHOR_KEY, (value) => typeof value === 'string') ?? '';
+
+/** @returns {boolean} Whether the author name was written. */
+export const storeAuthor = (name) => write(AUTHOR_KEY, name);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Public API — keyboard shortcuts
+───────────────────────────────────────────────────────────────────────── */
+
+/** @returns {Record<string, string[]>} The user's shortcut overrides (see shortcuts.js). */
+export const loadShortcuts = () => sanitizeOverrides(read(SHORTCUTS_KEY, (value) => !!value));
+
+/** @returns {boolean} Whether the overrides were written. */
+export const storeShortcuts = (overrides) => write(SHORTCUTS_KEY, overrides);
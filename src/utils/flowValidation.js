@@ -0,0 +1,157 @@
+/**
+ * @file flowValidation.js
+ * @description Structural validation rules shared by every path that accepts
+ *   a flow: the Save Flow button (App.handleSave) and the JSON importer
+ *   (flowSchema.parseFlowDocument).
+ *
+ * Keeping the rules in one pure function guarantees that a file which imports
+ * cleanly would also save cleanly, and vice versa.
+ *
+ * Rules
+ * ─────
+ *   Rule 1 — Each source handle may have at most ONE outgoing edge. Most
+ *            nodes have a single "source" handle, so this is one edge per
+ *            node; a condition node has one handle per branch plus
+ *            "otherwise", a message has one per quick-reply button plus
+ *            "source", and each of those may be connected once.
+ *   Rule 2 — Every node except one "start" node must have an incoming edge.
+ *   Rule 3 — Every quick-reply button must be connected: a button that
+ *            leads nowhere would silently end the conversation when tapped.
+ *
+ * A Subflow node (see subflows.js) stands in for a whole other flow but is
+ * checked like any single-output node: one incoming side, one outgoing
+ * edge. Group containers (see groups.js) are not steps of the conversation
+ * and are skipped by every rule — see isFlowStep.
+ *
+ * Messages are returned without a "Save failed:" / "Import failed:" prefix so
+ * each caller can frame them for its own context.
+ *
+ * Per-node diagnostics for the canvas — including softer, non-blocking
+ * warnings — live in diagnostics.js, which reuses the handle helpers below.
+ */
+
+import { FALLBACK_HANDLE } from './conditions.js';
+
+/** Handle id used by every node type with a single output. */
+export const DEFAULT_SOURCE_HANDLE = 'source';
+
+/**
+ * Whether a node is a step of the conversation. Group containers only
+ * frame other nodes on the canvas: they have no outputs of their own and
+ * never take part in a conversation.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+export const isFlowStep = (node) => node.type !== 'groupNode';
+
+/**
+ * The source-handle ids a node exposes, in display order.
+ *
+ * @param {object} node
+ * @returns {string[]}
+ */
+export function sourceHandleIds(node) {
+    if (node.type === 'conditionNode') {
+        return [...(node.data?.branches ?? []).map((b) => b.id), FALLBACK_HANDLE];
+    }
+    return [...quickReplies(node).map((b) => b.id), DEFAULT_SOURCE_HANDLE];
+}
+
+/**
+ * A message node's quick-reply buttons; empty for every other node.
+ *
+ * @param {object} node
+ * @returns {object[]}
+ */
+export const quickReplies = (node) => (node.type === 'textNode' ? node.data?.buttons ?? [] : []);
+
+/**
+ * Quick-reply buttons of `node` with no edge leaving their handle.
+ *
+ * @param {object}   node
+ * @param {object[]} edges
+ * @returns {object[]}
+ */
+export function unconnectedQuickReplies(node, edges) {
+    const used = new Set(edges.filter((e) => e.source === node.id).map(edgeSourceHandle));
+    return quickReplies(node).filter((b) => !used.has(b.id));
+}
+
+/**
+ * The handle an edge leaves from. Older edges may carry a null handle,
+ * which React Flow treats as the node's first (default) source handle.
+ *
+ * @param {object} edge
+ * @returns {string}
+ */
+export const edgeSourceHandle = (edge) => edge.sourceHandle ?? DEFAULT_SOURCE_HANDLE;
+
+/**
+ * The output slot an edge leaving `node` occupies. Single-output nodes have
+ * one slot whatever handle id the edge carries, so stray handle ids can
+ * never sneak a second outgoing edge past Rule 1.
+ *
+ * @param {object} node - The edge's source node.
+ * @param {object} edge
+ * @returns {string}
+ */
+export function outputSlot(node, edge) {
+    return sourceHandleIds(node).length > 1
+        ? edgeSourceHandle(edge)
+        : DEFAULT_SOURCE_HANDLE;
+}
+
+/**
+ * Runs every rule and collects all failures (not just the first).
+ *
+ * @param {object[]} nodes - Flow nodes; `id`, `type` and `data` are read.
+ * @param {object[]} edges - Flow edges; `source`, `sourceHandle` and `target` are read.
+ * @returns {string[]} Human-readable problems; empty when the flow is valid.
+ */
+export function validateGraph(nodes, edges) {
+    const problems = [];
+    const steps = nodes.filter(isFlowStep);
+
+    // Rule 1 — no source handle may have more than 1 outgoing edge
+    const multiOutgoing = steps.filter((n) => {
+        const slots = edges.filter((e) => e.source === n.id).map((e) => outputSlot(n, e));
+        return new Set(slots).size < slots.length;
+    });
+    if (multiOutgoing.length > 0) {
+        problems.push(
+            `node${multiOutgoing.length > 1 ? 's' : ''} ` +
+            `(id: ${multiOutgoing.map((n) => n.id).join(', ')}) ` +
+            `have more than one outgoing connection from the same output.`
+        );
+    }
+
+    // Rule 2 — every node except at most one must have ≥1 incoming edge
+    if (steps.length > 1) {
+        // Find nodes that are not the target of any edge
+        const disconnected = steps.filter(
+            (n) => !edges.some((e) => e.target === n.id)
+        );
+        // Exactly one "root" node is fine; two or more means orphaned nodes exist
+        if (disconnected.length > 1) {
+            problems.push(
+                `${disconnected.length} nodes have no incoming connections ` +
+                `(id: ${disconnected.map((n) => n.id).join(', ')}). ` +
+                `Only one "start" node is allowed to be unconnected.`
+            );
+        }
+    }
+
+    // Rule 3 — every quick-reply button leads somewhere
+    const loose = steps.filter((n) => unconnectedQuickReplies(n, edges).length > 0);
+    if (loose.length > 0) {
+        problems.push(
+            `node${loose.length > 1 ? 's' : ''} ` +
+            `(id: ${loose.map((n) => n.id).join(', ')}) ` +
+            `have quick-reply buttons that are not connected to anything.`
+        );
+    }
+
+    return problems;
+}
+
@@ -0,0 +1,255 @@
+/**
+ * @file groups.js
+ * @description Group containers: a named frame around a set of nodes that
+ *   can be collapsed to a single card.
+ *
+ * A group is a node of its own, stored beside the nodes it holds:
+ *
+ *   { id, type: 'groupNode', position, data: { label, memberIds, collapsed } }
+ *
+ * The members keep their own absolute positions — there is no React Flow
+ * parent / child nesting — so every other part of the builder (layout,
+ * clipboard, export, the conversation) sees exactly the graph it saw
+ * before the group was drawn. Groups are not steps of the conversation
+ * (see isFlowStep in flowValidation.js): they have no handles of their own
+ * and edges never start or end at one.
+ *
+ * The frame is derived, not stored: displayGroups sizes each group to the
+ * bounding box of its members on every render, so moving a member moves
+ * the frame's edge with it. `position` only records where the frame was
+ * last drawn.
+ *
+ * Collapsed, the members are hidden and the group is drawn as one card in
+ * the frame's top-left corner. Edges between a member and the rest of the
+ * flow are drawn to and from the card instead — with their own ids, so
+ * selecting and deleting them still works — and edges inside the group
+ * are hidden.
+ *
+ * Rules: at least two members, no groups inside groups, and a node is in
+ * at most one group — grouping a node that already has one moves it.
+ */
+
+import { isFlowStep } from './flowValidation.js';
+
+/** Space between the members' bounding box and the frame. */
+export const GROUP_PADDING = 24;
+
+/** Height of the frame's title bar, above the padding. */
+export const GROUP_HEADER_HEIGHT = 36;
+
+/** Fewest nodes a group may hold. */
+export const MIN_GROUP_SIZE = 2;
+
+/** Size assumed for a member React Flow has not measured yet. */
+const FALLBACK_SIZE = { width: 256, height: 120 };
+
+/** Groups are drawn behind everything, even while selected (+1000). */
+const GROUP_Z_INDEX = -1000;
+
+
+/**
+ * Whether a node is a group container.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+export const isGroup = (node) => node.type === 'groupNode';
+
+/**
+ * `data` of a new group.
+ *
+ * @param {string}   id
+ * @param {string[]} memberIds
+ * @returns {{ label: string, memberIds: string[], collapsed: boolean }}
+ */
+export const createGroupData = (id, memberIds) => ({ label: `Group ${id}`, memberIds, collapsed: false });
+
+/**
+ * The frame around a group's members, or null when none of them exists.
+ *
+ * @param {object}              group
+ * @param {Map<string, object>} byId - Every node by id.
+ * @returns {{ x: number, y: number, width: number, height: number }|null}
+ */
+export function groupFrame(group, byId) {
+    const members = (group.data.memberIds ?? []).map((id) => byId.get(id)).filter(Boolean);
+    if (members.length === 0) return null;
+
+    const left = Math.min(...members.map((n) => n.position.x));
+    const top = Math.min(...members.map((n) => n.position.y));
+    const right = Math.max(...members.map((n) => n.position.x + (n.width ?? FALLBACK_SIZE.width)));
+    const bottom = Math.max(...members.map((n) => n.position.y + (n.height ?? FALLBACK_SIZE.height)));
+
+    return {
+        x: left - GROUP_PADDING,
+        y: top - GROUP_PADDING - GROUP_HEADER_HEIGHT,
+        width: right - left + 2 * GROUP_PADDING,
+        height: bottom - top + 2 * GROUP_PADDING + GROUP_HEADER_HEIGHT,
+    };
+}
+
+/**
+ * Member id → id of the group holding it.
+ *
+ * @param {object[]} nodes
+ * @returns {Map<string, string>}
+ */
+export function groupOfMember(nodes) {
+    const owner = new Map();
+    nodes.filter(isGroup).forEach((g) => g.data.memberIds.forEach((id) => owner.set(id, g.id)));
+    return owner;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Editing
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Puts the flow steps among `ids` into a new group, taking them out of any
+ * group they were in. Groups left with too few members are dissolved.
+ *
+ * @param {object[]} nodes
+ * @param {string[]} ids     - Nodes to group; groups among them are ignored.
+ * @param {string}   groupId - Id for the new group.
+ * @returns {object[]|null} The new node list, or null when fewer than
+ *   MIN_GROUP_SIZE steps were given.
+ */
+export function groupNodes(nodes, ids, groupId) {
+    const wanted = new Set(ids);
+    const memberIds = nodes.filter((n) => wanted.has(n.id) && isFlowStep(n)).map((n) => n.id);
+    if (memberIds.length < MIN_GROUP_SIZE) return null;
+
+    const taken = new Set(memberIds);
+    const rest = nodes.map((n) =>
+        isGroup(n) && n.data.memberIds.some((id) => taken.has(id))
+            ? { ...n, data: { ...n.data, memberIds: n.data.memberIds.filter((id) => !taken.has(id)) } }
+            : n
+    );
+
+    const group = { id: groupId, type: 'groupNode', position: { x: 0, y: 0 }, data: createGroupData(groupId, memberIds) };
+    const frame = groupFrame(group, new Map(rest.map((n) => [n.id, n])));
+
+    // Groups go first so the frames are drawn beneath the nodes they hold
+    return pruneGroups([{ ...group, position: { x: frame.x, y: frame.y } }, ...rest]);
+}
+
+/**
+ * Drops member ids that no longer exist, and groups left with fewer than
+ * MIN_GROUP_SIZE members. Returns `nodes` itself when nothing changed.
+ *
+ * @param {object[]} nodes
+ * @returns {object[]}
+ */
+export function pruneGroups(nodes) {
+    if (!nodes.some(isGroup)) return nodes;
+    const steps = new Set(nodes.filter(isFlowStep).map((n) => n.id));
+    let changed = false;
+
+    const next = nodes.flatMap((n) => {
+        if (!isGroup(n)) return [n];
+        const memberIds = n.data.memberIds.filter((id) => steps.has(id));
+        if (memberIds.length < MIN_GROUP_SIZE) {
+            changed = true;
+            return [];
+        }
+        if (memberIds.length === n.data.memberIds.length) return [n];
+        changed = true;
+        return [{ ...n, data: { ...n.data, memberIds } }];
+    });
+    return changed ? next : nodes;
+}
+
+/**
+ * Turns React Flow's position changes for groups into the same move for
+ * every member — a frame is dragged by moving what it holds. Members that
+ * are being dragged themselves (both were selected) are moved only once.
+ *
+ * @param {object[]} changes - From onNodesChange.
+ * @param {object[]} nodes
+ * @returns {object[]} The changes, with one position change per member added.
+ */
+export function expandGroupMoves(changes, nodes) {
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const moving = new Set(changes.filter((c) => c.type === 'position' && c.position).map((c) => c.id));
+    const added = [];
+
+    changes.forEach((change) => {
+        const group = byId.get(change.id);
+        if (change.type !== 'position' || !change.position || !group || !isGroup(group)) return;
+        const frame = groupFrame(group, byId);
+        if (!frame) return;
+
+        const dx = change.position.x - frame.x;
+        const dy = change.position.y - frame.y;
+        group.data.memberIds.forEach((id) => {
+            const member = byId.get(id);
+            if (!member || moving.has(id)) return;
+            added.push({
+                type: 'position',
+                id,
+                position: { x: member.position.x + dx, y: member.position.y + dy },
+                dragging: change.dragging,
+            });
+        });
+    });
+
+    return added.length > 0 ? [...changes, ...added] : changes;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Display
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * What React Flow draws for a graph with groups: frames sized to their
+ * members, collapsed members hidden, and their edges moved to the card.
+ * Never stored — like the preview highlight, it is re-derived each render.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {{ nodes: object[], edges: object[] }} `nodes` and `edges`
+ *   themselves when the flow has no groups.
+ */
+export function displayGroups(nodes, edges) {
+    const groups = nodes.filter(isGroup);
+    if (groups.length === 0) return { nodes, edges };
+
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const collapsedOf = new Map(); // hidden member id → its collapsed group id
+    groups
+        .filter((g) => g.data.collapsed)
+        .forEach((g) => g.data.memberIds.forEach((id) => collapsedOf.set(id, g.id)));
+
+    const frames = groups.map((g) => {
+        const frame = groupFrame(g, byId) ?? { ...g.position, width: 0, height: 0 };
+        return {
+            ...g,
+            position: { x: frame.x, y: frame.y },
+            zIndex: GROUP_Z_INDEX,
+            deletable: false,          // removing a frame is "Ungroup", not Delete
+            dragHandle: '.group-drag-handle',
+            // An open frame lets clicks through to the nodes and pane below
+            style: g.data.collapsed ? undefined : { width: frame.width, height: frame.height, pointerEvents: 'none' },
+        };
+    });
+
+    const shown = nodes
+        .filter((n) => !isGroup(n))
+        .map((n) => (collapsedOf.has(n.id) ? { ...n, hidden: true, selected: false } : n));
+
+    const shownEdges = collapsedOf.size === 0 ? edges : edges.map((e) => {
+        const from = collapsedOf.get(e.source);
+        const to = collapsedOf.get(e.target);
+        if (!from && !to) return e;
+        if (from && from === to) return { ...e, hidden: true };
+        return {
+            ...e,
+            ...(from ? { source: from, sourceHandle: 'source' } : {}),
+            ...(to ? { target: to, targetHandle: 'target' } : {}),
+        };
+    });
+
+    return { nodes: [...frames, ...shown], edges: shownEdges };
+}
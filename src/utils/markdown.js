@@ -0,0 +1,336 @@
+/**
+ * @file markdown.js
+ * @description The Markdown subset message text may use, and how it is
+ *   rendered for each kind of channel.
+ *
+ * Syntax
+ * ──────
+ *   **bold**  __bold__       *italic*  _italic_     ***both***
+ *   [label](https://…)       a link; mailto: and tel: work too
+ *   - item  * item  + item   bulleted list, one item per line
+ *   1. item  2) item         numbered list
+ *   a single line break      is kept as a line break
+ *   a blank line             starts a new paragraph
+ *   \*  \_  \[  \\           a literal marker
+ *
+ * Nothing else is special: headings, code, tables and HTML are sent as
+ * written. `{{placeholders}}` are never read as formatting, so a variable
+ * such as {{first_name}} keeps its underscores, and `_` only italicises
+ * at word boundaries (snake_case stays as it is).
+ *
+ * Parsed form
+ * ───────────
+ *   blocks:  { type: 'paragraph', lines: Inline[][] }
+ *            { type: 'list', ordered: boolean, start: number, items: Inline[][] }
+ *   Inline:  { type: 'text', text }
+ *            { type: 'bold' | 'italic', children: Inline[] }
+ *            { type: 'link', url, children: Inline[] }
+ *
+ * Rendering
+ * ─────────
+ * Web chat renders the parsed blocks as HTML (components/MarkdownView.jsx).
+ * Channels render text (renderMarkdown): 'whatsapp' keeps bold and italic
+ * in WhatsApp's own *bold* / _italic_ syntax; 'plain' (SMS, Messenger)
+ * drops the markers. Both spell links out as "label (url)" and lists with
+ * "•" or their numbers. Channel limits are measured on this rendering,
+ * since that is what is sent (see channels.js).
+ */
+
+/** Characters a backslash makes literal. */
+const ESCAPABLE = '\\*_[]()';
+
+/**
+ * `[label](url)` at the start of a string. The target runs to its closing
+ * parenthesis — past balanced pairs such as "/wiki/Mercury_(planet)", or
+ * else to the first ")" — so a malformed one, e.g. with a space, is still
+ * read as a link and reported by badLinks.
+ */
+const LINK_PATTERN = /^\[([^\]\n]+)\]\(((?:[^()\n]|\([^()\n]*\))*|[^)\n]*)\)/;
+
+/** List item lines: marker, then the item text. */
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+/** URL schemes a link may use. */
+const LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+/** The channel renderings, keyed by format. */
+export const MARKDOWN_FORMATS = {
+    plain: { label: 'Plain text', bold: (s) => s, italic: (s) => s },
+    whatsapp: { label: 'WhatsApp', bold: (s) => `*${s}*`, italic: (s) => `_${s}_` },
+};
+
+const isWordChar = (c) => !!c && /[\p{L}\p{N}]/u.test(c);
+const isSpace = (c) => !c || /\s/.test(c);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Parsing
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Whether `marker` at `index` may open an emphasis.
+ *
+ * @param {string} src
+ * @param {number} index
+ * @param {string} marker - '*', '_', '**' or '__'
+ * @returns {boolean}
+ */
+function canOpen(src, index, marker) {
+    if (isSpace(src[index + marker.length])) return false;
+    return marker[0] !== '_' || !isWordChar(src[index - 1]);
+}
+
+/**
+ * Index of the marker closing an emphasis whose opening marker ends at
+ * `from`, on the same line and around at least one character; -1 when
+ * there is none. A run of three markers closes a single or double one
+ * together with the emphasis nested in it: "**a *b***", "*a **b***".
+ *
+ * @param {string} src
+ * @param {number} from
+ * @param {string} marker
+ * @returns {number}
+ */
+function findClose(src, from, marker) {
+    for (let j = from + 2; j < src.length; j++) {
+        if (src[j] === '\n') return -1;
+        if (src[j] === '\\') { j++; continue; }
+        if (src.startsWith('{{', j)) {
+            const end = src.indexOf('}}', j + 2);
+            if (end !== -1) { j = end + 1; continue; }
+        }
+        // Only at the start of a run of markers, which must match as a whole
+        if (src[j] !== marker[0] || src[j - 1] === marker[0] || isSpace(src[j - 1])) continue;
+        let run = 1;
+        while (src[j + run] === marker[0]) run++;
+        if (marker[0] === '_' && isWordChar(src[j + run])) continue;
+        if (run === marker.length) return j;
+        if (run === 3) return j + 3 - marker.length;
+    }
+    return -1;
+}
+
+/**
+ * The emphasis opening at `index`, when it is closed: its inline node and
+ * the index just past it. Three markers are bold and italic at once
+ * ("***both***"), or open one inside the other — whichever closes last
+ * is the outer one ("***bold** then italic*").
+ *
+ * @param {string} src
+ * @param {number} index
+ * @returns {{ node: object, end: number } | null}
+ */
+function parseEmphasis(src, index) {
+    const c = src[index];
+    const triple = c + c + c;
+    let marker = src[index + 1] === c ? c + c : c;
+    let close = -1;
+
+    if (src.startsWith(triple, index)) {
+        if (!canOpen(src, index, triple)) return null;
+        const both = findClose(src, index + 2, triple);
+        if (both !== -1) {
+            const children = [{ type: 'italic', children: parseInline(src.slice(index + 3, both)) }];
+            return { node: { type: 'bold', children }, end: both + 3 };
+        }
+        const single = findClose(src, index, c);
+        const double = findClose(src, index + 1, c + c);
+        marker = single > double ? c : c + c;
+        close = Math.max(single, double);
+    } else if (canOpen(src, index, marker)) {
+        close = findClose(src, index + marker.length - 1, marker);
+    }
+
+    if (close === -1) return null;
+    return {
+        node: {
+            type: marker.length === 2 ? 'bold' : 'italic',
+            children: parseInline(src.slice(index + marker.length, close)),
+        },
+        end: close + marker.length,
+    };
+}
+
+/**
+ * Parses the inline syntax of one line (or link label).
+ *
+ * @param {string} src
+ * @returns {object[]} Inline nodes.
+ */
+function parseInline(src) {
+    const out = [];
+    let text = '';
+    const flush = () => {
+        if (text) out.push({ type: 'text', text });
+        text = '';
+    };
+
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+
+        if (c === '\\' && ESCAPABLE.includes(src[i + 1] ?? '')) {
+            text += src[i + 1];
+            i += 2;
+            continue;
+        }
+
+        // Placeholders are copied as they are, underscores and all
+        if (src.startsWith('{{', i)) {
+            const end = src.indexOf('}}', i + 2);
+            if (end !== -1) {
+                text += src.slice(i, end + 2);
+                i = end + 2;
+                continue;
+            }
+        }
+
+        if (c === '[') {
+            const link = LINK_PATTERN.exec(src.slice(i));
+            if (link) {
+                flush();
+                out.push({ type: 'link', url: link[2], children: parseInline(link[1]) });
+                i += link[0].length;
+                continue;
+            }
+        }
+
+        if (c === '*' || c === '_') {
+            const emphasis = parseEmphasis(src, i);
+            if (emphasis) {
+                flush();
+                out.push(emphasis.node);
+                i = emphasis.end;
+                continue;
+            }
+        }
+
+        text += c;
+        i++;
+    }
+
+    flush();
+    return out;
+}
+
+/**
+ * Parses message text into blocks.
+ *
+ * @param {string} text
+ * @returns {object[]} Blocks — see "Parsed form" above.
+ */
+export function parseMarkdown(text = '') {
+    const blocks = [];
+    let current = null;
+
+    text.split('\n').forEach((line) => {
+        const bullet = BULLET_PATTERN.exec(line);
+        const numbered = !bullet && NUMBERED_PATTERN.exec(line);
+
+        if (bullet || numbered) {
+            const ordered = !!numbered;
+            if (current?.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, start: ordered ? Number(numbered[1]) : 1, items: [] };
+                blocks.push(current);
+            }
+            current.items.push(parseInline(bullet ? bullet[1] : numbered[2]));
+        } else if (!line.trim()) {
+            current = null;
+        } else {
+            if (current?.type !== 'paragraph') {
+                current = { type: 'paragraph', lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(parseInline(line));
+        }
+    });
+
+    return blocks;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Rendering
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Flattens inline nodes to text in a channel format.
+ *
+ * @param {object[]} inline
+ * @param {object}   format - A MARKDOWN_FORMATS entry.
+ * @returns {string}
+ */
+function inlineText(inline, format) {
+    return inline.map((node) => {
+        if (node.type === 'text') return node.text;
+        const inner = inlineText(node.children, format);
+        if (node.type === 'bold') return format.bold(inner);
+        if (node.type === 'italic') return format.italic(inner);
+        // Links: the label, then where it goes — unless the label is the address
+        const url = node.url.replace(/^(mailto|tel):/, '');
+        return inner === node.url || inner === url ? url : `${inner} (${url})`;
+    }).join('');
+}
+
+/**
+ * Message text as a text-only channel receives it.
+ *
+ * @param {string} text
+ * @param {'plain'|'whatsapp'} [format]
+ * @returns {string}
+ */
+export function renderMarkdown(text = '', format = 'plain') {
+    const rules = MARKDOWN_FORMATS[format] ?? MARKDOWN_FORMATS.plain;
+    return parseMarkdown(text).map((block) => (
+        block.type === 'paragraph'
+            ? block.lines.map((line) => inlineText(line, rules)).join('\n')
+            : block.items.map((item, i) => `${block.ordered ? `${block.start + i}.` : '•'} ${inlineText(item, rules)}`).join('\n')
+    )).join('\n\n');
+}
+
+/**
+ * Every link in message text.
+ *
+ * @param {string} text
+ * @returns {{ label: string, url: string }[]}
+ */
+export function markdownLinks(text = '') {
+    const links = [];
+    const walk = (inline) => inline.forEach((node) => {
+        if (node.type === 'link') links.push({ label: inlineText(node.children, MARKDOWN_FORMATS.plain), url: node.url });
+        if (node.children) walk(node.children);
+    });
+    parseMarkdown(text).forEach((block) => (block.lines ?? block.items).forEach(walk));
+    return links;
+}
+
+/**
+ * Whether a link target is a well-formed address: an http(s) URL with a
+ * host name that has a dot (or is localhost), or a mailto: / tel: link,
+ * without spaces or unpaired parentheses. A `{{placeholder}}` counts as a
+ * valid piece of the address.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isValidLinkUrl(url) {
+    if (/\s/.test(url) || url.split('(').length !== url.split(')').length) return false;
+    let parsed;
+    try {
+        parsed = new URL(url.replace(/\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}/g, 'x'));
+    } catch {
+        return false;
+    }
+    if (!LINK_PROTOCOLS.has(parsed.protocol)) return false;
+    if (parsed.protocol === 'mailto:' || parsed.protocol === 'tel:') return parsed.pathname.length > 0;
+    return parsed.hostname === 'localhost' || /^[^.]+(\.[^.]+)+$/.test(parsed.hostname);
+}
+
+/**
+ * Links in message text whose target is not a well-formed address.
+ *
+ * @param {string} text
+ * @returns {{ label: string, url: string }[]}
+ */
+export const badLinks = (text) => markdownLinks(text).filter((link) => !isValidLinkUrl(link.url));
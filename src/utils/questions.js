@@ -0,0 +1,86 @@
+/**
+ * @file questions.js
+ * @description Answer validation for the "questionNode" node type.
+ *
+ * A question node sends its text, then waits for the user's reply and stores
+ * it in a named conversation variable:
+ *
+ *   {
+ *     label:        'What is your email?',   // the question sent to the user
+ *     variable:     'email',                 // where the reply is stored
+ *     validation:   'email',                 // key of VALIDATION_TYPES
+ *     choices:      [],                      // allowed replies for 'choice'
+ *     retryMessage: 'That doesn't look like an email address — try again?'
+ *   }
+ *
+ * When a reply fails validation the bot sends `retryMessage` and asks again;
+ * the variable is only written once a reply passes.
+ */
+
+/** Pattern a variable name must match so it can be referenced elsewhere. */
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Supported validation types.
+ *   label — shown in the SettingsPanel select and on the canvas chip
+ *   retry — default retry message for a new question of this type
+ *   test  — (answer: string, choices: string[]) => boolean
+ */
+export const VALIDATION_TYPES = {
+    text: {
+        label: 'Free text',
+        retry: 'Sorry, I didn’t catch that — could you type your answer?',
+        test: (answer) => answer.trim().length > 0,
+    },
+    number: {
+        label: 'Number',
+        retry: 'Please reply with a number.',
+        test: (answer) => answer.trim() !== '' && Number.isFinite(Number(answer.trim())),
+    },
+    email: {
+        label: 'Email',
+        retry: 'That doesn’t look like an email address — please try again.',
+        test: (answer) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(answer.trim()),
+    },
+    phone: {
+        label: 'Phone',
+        retry: 'Please reply with a valid phone number, e.g. +1 555 123 4567.',
+        // 7–15 digits once separators are stripped (E.164 allows at most 15)
+        test: (answer) => /^\+?[\d\s().-]+$/.test(answer.trim()) && /^\d{7,15}$/.test(answer.replace(/\D/g, '')),
+    },
+    choice: {
+        label: 'Choice list',
+        retry: 'Please pick one of the options.',
+        test: (answer, choices = []) =>
+            choices.some((c) => c.trim().toLowerCase() === answer.trim().toLowerCase()),
+    },
+};
+
+/**
+ * Data for a freshly dropped question node.
+ *
+ * @param {string} id - The new node's id, used for a unique placeholder.
+ * @returns {object}
+ */
+export function createQuestionData(id) {
+    return {
+        label: `New question ${id}`,
+        variable: '',
+        validation: 'text',
+        choices: [],
+        retryMessage: VALIDATION_TYPES.text.retry,
+    };
+}
+
+/**
+ * True when `answer` satisfies the question's validation type.
+ * Unknown types accept any non-empty reply.
+ *
+ * @param {object} data   - questionNode data.
+ * @param {string} answer - The user's raw reply.
+ * @returns {boolean}
+ */
+export function isValidAnswer(data, answer) {
+    const type = VALIDATION_TYPES[data.validation];
+    return type ? type.test(answer, data.choices) : answer.trim().length > 0;
+}
@@ -0,0 +1,53 @@
+/**
+ * @file quickReplies.js
+ * @description Quick-reply buttons on "textNode" messages.
+ *
+ * A message may offer a short list of buttons under its text:
+ *
+ *   data.buttons = [
+ *     { id: 'reply-1', label: 'Track my order' },
+ *     { id: 'reply-2', label: 'Talk to a human' },
+ *   ]
+ *
+ * Like a condition branch, each button's `id` doubles as the id of its own
+ * source handle, so an edge leaving the "Track my order" chip has
+ * `sourceHandle: 'reply-1'` and every reply can lead somewhere different.
+ * The message keeps its ordinary bottom handle too: with buttons it is
+ * taken when the user types something that matches none of them.
+ *
+ * A message with buttons waits for the user, like a question.
+ */
+
+import { VALIDATION_TYPES } from './questions.js';
+
+/** Most buttons one message can carry. */
+export const MAX_QUICK_REPLIES = 10;
+
+/** Sent again when a reply matches no button and nothing handles other replies. */
+export const QUICK_REPLY_RETRY = VALIDATION_TYPES.choice.retry;
+
+/**
+ * A button with an id not yet used in `buttons` ("reply-1", "reply-2", …).
+ *
+ * @param {object[]} buttons
+ * @returns {{ id: string, label: string }}
+ */
+export function createQuickReply(buttons) {
+    const taken = new Set(buttons.map((b) => b.id));
+    let n = buttons.length + 1;
+    while (taken.has(`reply-${n}`)) n++;
+    return { id: `reply-${n}`, label: `Option ${buttons.length + 1}` };
+}
+
+/**
+ * The button a typed reply picks: an exact match of its label, ignoring
+ * case and surrounding spaces.
+ *
+ * @param {object[]} buttons
+ * @param {string}   reply
+ * @returns {object|undefined}
+ */
+export function matchQuickReply(buttons, reply) {
+    const wanted = reply.trim().toLowerCase();
+    return buttons.find((b) => b.label.trim().toLowerCase() === wanted);
+}
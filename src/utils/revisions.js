@@ -0,0 +1,239 @@
+/**
+ * @file revisions.js
+ * @description Revision history: what a save records, and how two versions
+ *   of a flow differ.
+ *
+ * Every successful save records an immutable REVISION — the saved snapshot
+ * (see flowStorage.js) carrying who saved it and why:
+ *
+ *   snapshot.revision = {
+ *     id:      'rev-lq8x2k-4f9a',
+ *     author:  'Ada',
+ *     message: 'Friendlier greeting',   // '' when none was given
+ *   }
+ *
+ * The storage adapter keeps the list (storageAdapters.js); the snapshot's
+ * `savedAt` is the revision's timestamp.
+ *
+ * Comparing
+ * ─────────
+ * diffSnapshots() matches nodes by id and reports each one as added,
+ * removed or changed (its data differs — moving a node is not a change),
+ * matches edges by their endpoints, and lists the user-facing texts that
+ * differ so bot copy can be reviewed side by side; diffWords() then
+ * highlights the words that changed inside one text.
+ */
+
+import { edgeSourceHandle } from './flowValidation.js';
+
+/** Author recorded when no name has been entered. */
+export const ANONYMOUS_AUTHOR = 'Anonymous';
+
+/** Texts longer than this (in words, multiplied) are diffed as a whole. */
+const MAX_WORD_DIFF_CELLS = 250000;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Recording
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * The `revision` info for a new save.
+ *
+ * @param {string} author
+ * @param {string} [message]
+ * @returns {{ id: string, author: string, message: string }}
+ */
+export const createRevisionInfo = (author, message = '') => ({
+    id: `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    author: author.trim() || ANONYMOUS_AUTHOR,
+    message: message.trim(),
+});
+
+/**
+ * The list entry of a stored revision — everything but the graph.
+ *
+ * @param {object} snapshot
+ * @returns {{ id: string, savedAt: string, author: string, message: string, nodeCount: number, edgeCount: number }}
+ */
+export const summarizeRevision = (snapshot) => ({
+    id: snapshot.revision?.id ?? snapshot.savedAt,
+    savedAt: snapshot.savedAt,
+    author: snapshot.revision?.author ?? ANONYMOUS_AUTHOR,
+    message: snapshot.revision?.message ?? '',
+    nodeCount: snapshot.nodes.length,
+    edgeCount: snapshot.edges.length,
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Node texts
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * The user-facing texts of a node, each with a key that stays the same
+ * across versions (so a renamed button is compared with itself).
+ *
+ * @param {object} node
+ * @returns {{ key: string, label: string, text: string }[]}
+ */
+export function nodeTexts(node) {
+    const data = node.data ?? {};
+    switch (node.type) {
+        case 'textNode':
+            return [
+                { key: 'label', label: 'Message', text: data.label ?? '' },
+                ...(data.buttons ?? []).map((b, i) => ({ key: `button:${b.id}`, label: `Button ${i + 1}`, text: b.label })),
+            ];
+        case 'imageNode':
+            return [
+                { key: 'caption', label: 'Caption', text: data.caption ?? '' },
+                { key: 'alt', label: 'Alt text', text: data.alt ?? '' },
+            ];
+        case 'questionNode':
+            return [
+                { key: 'label', label: 'Question', text: data.label ?? '' },
+                { key: 'choices', label: 'Choices', text: (data.choices ?? []).join(', ') },
+                { key: 'retryMessage', label: 'Retry message', text: data.retryMessage ?? '' },
+            ];
+        case 'conditionNode':
+            return [
+                { key: 'label', label: 'Name', text: data.label ?? '' },
+                ...(data.branches ?? []).map((b, i) => ({ key: `branch:${b.id}`, label: `Branch ${i + 1}`, text: b.label })),
+            ];
+        default:
+            return typeof data.label === 'string' ? [{ key: 'label', label: 'Label', text: data.label }] : [];
+    }
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Comparing
+───────────────────────────────────────────────────────────────────────── */
+
+/** Identity of an edge across versions: its endpoints, not its id. */
+const edgeKey = (edge) => `${edge.source}:${edgeSourceHandle(edge)}->${edge.target}`;
+
+/**
+ * Differences between two versions of a flow.
+ *
+ * @param {{ nodes: object[], edges: object[] }} from - The older version.
+ * @param {{ nodes: object[], edges: object[] }} to   - The newer version.
+ * @returns {{
+ *   nodeStatus:   Map<string, 'added'|'removed'|'changed'>,  // unchanged nodes omitted
+ *   removedNodes: object[],                                  // from `from`
+ *   addedEdges:   object[],                                  // from `to`
+ *   removedEdges: object[],                                  // from `from`
+ *   texts: { nodeId: string, type: string, status: string,
+ *            fields: { key: string, label: string, before: string, after: string }[] }[],
+ * }} `texts` has one entry per added, removed or changed node, in
+ *   canvas order; a changed node whose texts are all equal has no fields
+ *   (only its settings changed).
+ */
+export function diffSnapshots(from, to) {
+    const before = new Map(from.nodes.map((n) => [n.id, n]));
+    const after = new Map(to.nodes.map((n) => [n.id, n]));
+
+    const nodeStatus = new Map();
+    const texts = [];
+
+    /**
+     * Pairs the texts of both sides by key; only differing ones are kept.
+     *
+     * @param {object|undefined} oldNode
+     * @param {object|undefined} newNode
+     */
+    const textFields = (oldNode, newNode) => {
+        const oldTexts = oldNode ? nodeTexts(oldNode) : [];
+        const newTexts = newNode ? nodeTexts(newNode) : [];
+        const keys = [...new Set([...oldTexts, ...newTexts].map((t) => t.key))];
+        return keys
+            .map((key) => {
+                const o = oldTexts.find((t) => t.key === key);
+                const n = newTexts.find((t) => t.key === key);
+                return { key, label: (n ?? o).label, before: o?.text ?? '', after: n?.text ?? '' };
+            })
+            .filter((f) => f.before !== f.after);
+    };
+
+    for (const node of to.nodes) {
+        const old = before.get(node.id);
+        if (!old) {
+            nodeStatus.set(node.id, 'added');
+            texts.push({ nodeId: node.id, type: node.type, status: 'added', fields: textFields(undefined, node) });
+        } else if (old.type !== node.type || JSON.stringify(old.data) !== JSON.stringify(node.data)) {
+            nodeStatus.set(node.id, 'changed');
+            texts.push({ nodeId: node.id, type: node.type, status: 'changed', fields: textFields(old, node) });
+        }
+    }
+
+    const removedNodes = from.nodes.filter((n) => !after.has(n.id));
+    for (const node of removedNodes) {
+        nodeStatus.set(node.id, 'removed');
+        texts.push({ nodeId: node.id, type: node.type, status: 'removed', fields: textFields(node, undefined) });
+    }
+
+    const oldEdges = new Set(from.edges.map(edgeKey));
+    const newEdges = new Set(to.edges.map(edgeKey));
+
+    return {
+        nodeStatus,
+        removedNodes,
+        addedEdges: to.edges.filter((e) => !oldEdges.has(edgeKey(e))),
+        removedEdges: from.edges.filter((e) => !newEdges.has(edgeKey(e))),
+        texts,
+    };
+}
+
+/**
+ * Word-level diff of two texts. Whitespace is kept as its own tokens, so
+ * joining the parts of one side gives that side's text back.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ type: 'same'|'removed'|'added', text: string }[]} Adjacent
+ *   parts of one type are merged.
+ */
+export function diffWords(before, after) {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+
+    if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+        return [
+            ...(before ? [{ type: 'removed', text: before }] : []),
+            ...(after ? [{ type: 'added', text: after }] : []),
+        ];
+    }
+
+    // Longest common subsequence lengths of every suffix pair
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+}
@@ -0,0 +1,248 @@
+/**
+ * @file shortcuts.js
+ * @description The builder's commands and their keyboard shortcuts.
+ *
+ * Every action the command palette offers is listed in COMMANDS with an id,
+ * a title, a group and its default key combos. App supplies what each id
+ * DOES (see the command handlers in App.jsx); this module only knows names
+ * and keys, so the palette, the cheat sheet and the key listener all read
+ * the same table.
+ *
+ * Combo strings
+ * ─────────────
+ *   "Mod+K"        Ctrl on Windows / Linux, ⌘ on macOS
+ *   "Mod+Shift+Z"  modifiers in the order Mod, Alt, Shift, then the key
+ *   "Alt+1"        letters and digits are read from the physical key, so
+ *                  Alt / ⌥ combos work although ⌥ changes the character
+ *   "?"            other keys are the character typed; Shift is implied
+ *                  by the character and not written
+ *
+ * Users may rebind any command. Only the differences from the defaults are
+ * stored ({ [commandId]: combo[] }, see flowStorage.js), so a default that
+ * changes in a later release reaches everyone who has not overridden it.
+ * Giving a combo to one command takes it away from whichever command had it.
+ *
+ * A command with `global: true` also fires while a text field has focus —
+ * Save, Undo and the palette itself — as long as its combo holds Mod or
+ * Alt. All others leave a focused text field alone, so typing "?" into a
+ * message does not open the cheat sheet.
+ */
+
+/**
+ * The command table, in the order the palette lists it.
+ *
+ * Fields:
+ *   id       {string}    — key of App's handler
+ *   title    {string}    — palette and cheat-sheet text
+ *   group    {string}    — heading it is listed under
+ *   keys     {string[]}  — default combos (may be empty)
+ *   global   {boolean}   — fires inside text fields too
+ *   editing  {boolean}   — changes the graph, so unavailable while a
+ *                          past revision is on display
+ *   keywords {string}    — extra words the palette search matches
+ */
+export const COMMANDS = [
+    { id: 'palette.open', title: 'Command palette', group: 'General', keys: ['Mod+K'], global: true },
+    { id: 'shortcuts.show', title: 'Keyboard shortcuts', group: 'General', keys: ['?'], keywords: 'help cheat sheet keys' },
+
+    { id: 'flow.save', title: 'Save flow', group: 'Flow', keys: ['Mod+S'], global: true },
+    { id: 'flow.new', title: 'New flow', group: 'Flow', keys: [], keywords: 'create' },
+    { id: 'flow.export', title: 'Export as .flow.json', group: 'Flow', keys: [], keywords: 'download file' },
+    { id: 'flow.exportCsv', title: 'Export message script (.csv)', group: 'Flow', keys: [], keywords: 'download spreadsheet' },
+
+    { id: 'edit.undo', title: 'Undo', group: 'Edit', keys: ['Mod+Z'], global: true, editing: true },
+    { id: 'edit.redo', title: 'Redo', group: 'Edit', keys: ['Mod+Shift+Z', 'Mod+Y'], global: true, editing: true },
+    { id: 'edit.find', title: 'Find and replace', group: 'Edit', keys: ['Mod+F'], global: true, editing: true, keywords: 'search text rename' },
+    { id: 'edit.selectAll', title: 'Select all nodes', group: 'Edit', keys: ['Mod+A'], editing: true },
+    { id: 'edit.arrange', title: 'Auto-arrange flow', group: 'Edit', keys: ['Shift+A'], editing: true, keywords: 'layout tidy' },
+    { id: 'edit.group', title: 'Group selection', group: 'Edit', keys: ['Mod+G'], editing: true, keywords: 'frame container collapse' },
+    { id: 'edit.ungroup', title: 'Ungroup', group: 'Edit', keys: ['Mod+Shift+G'], editing: true, keywords: 'frame container' },
+
+    { id: 'add.textNode', title: 'Add message', group: 'Add node', keys: ['Alt+1'], editing: true, keywords: 'text' },
+    { id: 'add.imageNode', title: 'Add image', group: 'Add node', keys: ['Alt+2'], editing: true, keywords: 'picture' },
+    { id: 'add.conditionNode', title: 'Add condition', group: 'Add node', keys: ['Alt+3'], editing: true, keywords: 'branch if' },
+    { id: 'add.questionNode', title: 'Add question', group: 'Add node', keys: ['Alt+4'], editing: true, keywords: 'ask input' },
+    { id: 'add.subflowNode', title: 'Add subflow', group: 'Add node', keys: ['Alt+5'], editing: true, keywords: 'reuse another flow include' },
+    { id: 'add.delayNode', title: 'Add delay', group: 'Add node', keys: ['Alt+6'], editing: true, keywords: 'wait pause typing indicator' },
+
+    { id: 'view.fit', title: 'Fit view', group: 'View', keys: ['Shift+1'], keywords: 'zoom' },
+    { id: 'view.sidebar', title: 'Toggle sidebar', group: 'View', keys: ['Mod+B'], keywords: 'node library palette' },
+    { id: 'view.minimap', title: 'Toggle minimap', group: 'View', keys: ['Shift+M'] },
+    { id: 'view.problems', title: 'Toggle Problems panel', group: 'View', keys: ['Shift+E'], keywords: 'errors warnings diagnostics' },
+    { id: 'view.preview', title: 'Toggle preview', group: 'View', keys: ['Shift+P'], keywords: 'chat simulator play' },
+    { id: 'view.history', title: 'Toggle History panel', group: 'View', keys: ['Shift+H'], keywords: 'revisions versions' },
+];
+
+/**
+ * Shortcuts that belong to the browser or the canvas rather than to a
+ * command. Listed on the cheat sheet, but not rebindable.
+ */
+export const FIXED_SHORTCUTS = [
+    { title: 'Copy selection', group: 'Edit', keys: ['Mod+C'] },
+    { title: 'Paste', group: 'Edit', keys: ['Mod+V'] },
+    { title: 'Duplicate selection', group: 'Edit', keys: ['Mod+D'] },
+    { title: 'Delete selection', group: 'Edit', keys: ['Backspace', 'Delete'] },
+    { title: 'Add to selection', group: 'Edit', keys: ['Shift+Click'] },
+];
+
+/** Order of the groups on the cheat sheet and in the palette. */
+export const COMMAND_GROUPS = ['General', 'Flow', 'Edit', 'Add node', 'View'];
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform ?? '');
+
+/** How each modifier and named key is printed on a key cap. */
+const KEY_CAPS = IS_MAC
+    ? { Mod: '⌘', Alt: '⌥', Shift: '⇧', Backspace: '⌫', Delete: '⌦', Enter: '↩', Escape: 'Esc' }
+    : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift', Escape: 'Esc' };
+
+/** Keys that are only ever part of a combo, never the key itself. */
+const MODIFIER_KEYS = new Set(['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock', 'OS']);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Combos
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * The combo a keydown event stands for, or null for a lone modifier.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function comboFromEvent(event) {
+    if (MODIFIER_KEYS.has(event.key)) return null;
+
+    const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code ?? '');
+    let key;
+    let shift = event.shiftKey;
+    if (physical) {
+        key = physical[1] ?? physical[2];
+    } else if (event.key.length === 1) {
+        key = { ' ': 'Space', '+': 'Plus' }[event.key] ?? event.key.toUpperCase();
+        shift = false; // already in the character: "?" not "Shift+/"
+    } else {
+        key = event.key;
+    }
+
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Mod');
+    if (event.altKey) parts.push('Alt');
+    if (shift) parts.push('Shift');
+    return [...parts, key].join('+');
+}
+
+/**
+ * Key caps for a combo, e.g. "Mod+Shift+Z" → ['Ctrl', 'Shift', 'Z'].
+ *
+ * @param {string} combo
+ * @returns {string[]}
+ */
+export const formatCombo = (combo) => combo.split('+').map((part) => KEY_CAPS[part] ?? part);
+
+/**
+ * Whether a combo holds Mod or Alt, so pressing it cannot be mistaken for
+ * typing. Only such combos of `global` commands fire inside text fields.
+ *
+ * @param {string} combo
+ * @returns {boolean}
+ */
+export const hasModifier = (combo) => /^(?:Mod|Alt)\+/.test(combo);
+
+/**
+ * A reason a recorded combo cannot be a shortcut, or null when it can.
+ * Plain Enter / Escape / Tab drive the palette and dialogs themselves.
+ *
+ * @param {string} combo
+ * @returns {string|null}
+ */
+export function comboProblem(combo) {
+    if (['Escape', 'Tab', 'Enter', 'Shift+Tab'].includes(combo)) return `${formatCombo(combo).join(' ')} is reserved for moving around dialogs.`;
+    if (['Backspace', 'Delete'].includes(combo)) return 'Backspace and Delete already delete the selection.';
+    if (['Mod+C', 'Mod+V', 'Mod+X', 'Mod+D'].includes(combo)) return `${formatCombo(combo).join('+')} is used by copy and paste.`;
+    return null;
+}
+
+
+/**
+ * True when a keyboard / clipboard event belongs to a text field, where
+ * copy, paste and friends must keep their normal text behaviour.
+ *
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+export const isEditableTarget = (target) =>
+    !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Bindings
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * The combos in effect for each command: the defaults, with the user's
+ * overrides applied.
+ *
+ * @param {Record<string, string[]>} overrides
+ * @returns {Map<string, string[]>} commandId → combos
+ */
+export function resolveBindings(overrides) {
+    return new Map(COMMANDS.map((c) => [c.id, overrides[c.id] ?? c.keys]));
+}
+
+/**
+ * The command bound to a combo, if any.
+ *
+ * @param {Map<string, string[]>} bindings - From resolveBindings.
+ * @param {string}                combo
+ * @returns {string|null} The command id.
+ */
+export function commandForCombo(bindings, combo) {
+    for (const [id, combos] of bindings) {
+        if (combos.includes(combo)) return id;
+    }
+    return null;
+}
+
+/**
+ * New overrides with `commandId` bound to `combos`. The combos are taken
+ * away from any other command that had them, and entries equal to the
+ * defaults are dropped again.
+ *
+ * @param {Record<string, string[]>} overrides
+ * @param {string}                   commandId
+ * @param {string[]}                 combos - [] removes the shortcut.
+ * @returns {{ overrides: Record<string, string[]>, displaced: string[] }}
+ *   `displaced` lists the ids of commands that lost a combo.
+ */
+export function rebind(overrides, commandId, combos) {
+    const bindings = resolveBindings(overrides);
+    const next = {};
+    const displaced = [];
+
+    bindings.forEach((current, id) => {
+        let keys = id === commandId ? combos : current.filter((k) => !combos.includes(k));
+        if (id !== commandId && keys.length !== current.length) displaced.push(id);
+        const defaults = COMMANDS.find((c) => c.id === id).keys;
+        if (keys.length === defaults.length && keys.every((k, i) => k === defaults[i])) keys = null;
+        if (keys) next[id] = keys;
+    });
+
+    return { overrides: next, displaced };
+}
+
+/**
+ * Overrides read back from storage, minus unknown commands and malformed
+ * entries (e.g. from a newer or older version of the builder).
+ *
+ * @param {unknown} value
+ * @returns {Record<string, string[]>}
+ */
+export function sanitizeOverrides(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+    const known = new Set(COMMANDS.map((c) => c.id));
+    return Object.fromEntries(
+        Object.entries(value).filter(
+            ([id, keys]) => known.has(id) && Array.isArray(keys) && keys.every((k) => typeof k === 'string' && k)
+        )
+    );
+}
@@ -0,0 +1,246 @@
+/**
+ * @file storageAdapters.js
+ * @description Where "Save Flow" writes a flow's validated version.
+ *
+ * Saved flows go through a small asynchronous adapter, so the same save
+ * path works against browser storage or a server:
+ *
+ *   {
+ *     kind:   'browser' | 'http',
+ *     label:  string,                                  // shown in messages
+ *     list:   ()                   => Promise<Entry[]>,
+ *     load:   (flowId)             => Promise<{ snapshot, etag } | null>,
+ *     save:   (flowId, snapshot, etag) => Promise<etag>,
+ *     remove: (flowId)             => Promise<void>,
+ *     listRevisions: (flowId)      => Promise<RevisionEntry[]>,   // newest first
+ *     loadRevision:  (flowId, id)  => Promise<snapshot | null>,
+ *   }
+ *
+ * Each successful `save` also records the snapshot as an immutable
+ * revision (see revisions.js); revisions can be listed and read back but
+ * never changed.
+ *
+ * Every stored version has an ETAG — an opaque string that changes on each
+ * save. `save` takes the etag of the version the canvas was loaded from (or
+ * null for a flow that was never saved) and refuses with a "conflict"
+ * StorageError when the stored version has moved on, e.g. because another
+ * tab or teammate saved in between. Nothing is overwritten silently.
+ *
+ * Two adapters exist:
+ *
+ *   • Browser — the flow's SAVED slot in localStorage (see flowStorage.js).
+ *     The etag is kept inside the slot, so two tabs still detect each other.
+ *     Revisions are kept as room allows: a full storage drops the oldest
+ *     ones rather than failing the save.
+ *   • HTTP    — the bundled flow server (server/flowServer.js) or anything
+ *     speaking the same routes:
+ *
+ *       GET    /flows          → Entry[]
+ *       GET    /flows/:id      → snapshot, with an ETag header
+ *       PUT    /flows/:id      ← snapshot; If-Match: <etag>, or
+ *                                If-None-Match: * to create. 412 on conflict.
+ *       DELETE /flows/:id
+ *       GET    /flows/:id/revisions      → RevisionEntry[], newest first
+ *       GET    /flows/:id/revisions/:rev → one revision's snapshot
+ *
+ *     The server records a revision on every successful PUT.
+ *
+ *     The version the canvas holds is cached in the browser's saved slot
+ *     (etag included) — by `save` here, and by App when it adopts a newer
+ *     version from `load` — so the canvas still opens instantly and
+ *     offline, and App then checks the server for something newer.
+ *
+ * Which one is used is decided at build time: setting VITE_FLOW_SERVER_URL
+ * (e.g. in `.env.local`) selects the HTTP adapter for that URL.
+ *
+ * Adapters reject with a StorageError whose message is written for the
+ * user ("Could not reach the flow server at …") and whose `code` lets the
+ * caller tell a conflict from an outage.
+ */
+
+import {
+    loadSavedFlow,
+    storeSavedFlow,
+    deleteFlowData,
+    loadWorkspace,
+    loadRevisions,
+    appendRevision,
+} from './flowStorage.js';
+import { summarizeRevision } from './revisions.js';
+
+/** Requests to the flow server give up after this long. */
+const REQUEST_TIMEOUT_MS = 10000;
+
+
+/**
+ * A failed storage operation.
+ *
+ * `code` is one of:
+ *   'conflict'    — the stored version changed since it was loaded
+ *   'unavailable' — storage cannot be reached (offline, quota, private mode)
+ *   'server'      — the server answered with an error
+ */
+export class StorageError extends Error {
+    /**
+     * @param {string} message - User-facing description.
+     * @param {'conflict'|'unavailable'|'server'} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+    }
+}
+
+/** A fresh etag for the browser adapter, e.g. "lq8x2k-4f9a". */
+const createEtag = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Browser storage
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Saved flows in this browser's localStorage.
+ *
+ * @returns {object} A storage adapter.
+ */
+export function createBrowserAdapter() {
+    return {
+        kind: 'browser',
+        label: 'browser storage',
+
+        // The workspace index already lists every local flow
+        list: async () => loadWorkspace().flows,
+
+        load: async (flowId) => {
+            const snapshot = loadSavedFlow(flowId);
+            return snapshot ? { snapshot, etag: snapshot.etag ?? null } : null;
+        },
+
+        save: async (flowId, snapshot, etag) => {
+            const stored = loadSavedFlow(flowId);
+            if (stored && (stored.etag ?? null) !== etag) {
+                throw new StorageError('This flow was saved in another tab since you opened it.', 'conflict');
+            }
+            const next = createEtag();
+            // The flow first; its history is best-effort (see flowStorage.js)
+            if (!storeSavedFlow(flowId, { ...snapshot, etag: next })) {
+                throw new StorageError('Browser storage is unavailable or full.', 'unavailable');
+            }
+            appendRevision(flowId, snapshot);
+            return next;
+        },
+
+        remove: async (flowId) => deleteFlowData(flowId),
+
+        listRevisions: async (flowId) => loadRevisions(flowId).map(summarizeRevision).reverse(),
+
+        loadRevision: async (flowId, revisionId) =>
+            loadRevisions(flowId).find((r) => summarizeRevision(r).id === revisionId) ?? null,
+    };
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   HTTP
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Saved flows on a flow server.
+ *
+ * @param {string} baseUrl - e.g. "http://localhost:8787"; "/flows/…" is appended.
+ * @returns {object} A storage adapter.
+ */
+export function createHttpAdapter(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+    const flowUrl = (flowId) => `${root}/flows/${encodeURIComponent(flowId)}`;
+
+    /**
+     * fetch() with a timeout, turning network failures and error statuses
+     * into StorageErrors. 404 and 412 are returned for the caller to handle.
+     *
+     * @param {string} url
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    async function request(url, init = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        let response;
+        try {
+            // no-store: the etag must come from the server, not the HTTP cache
+            response = await fetch(url, { cache: 'no-store', ...init, signal: controller.signal });
+        } catch {
+            throw new StorageError(`Could not reach the flow server at ${root}.`, 'unavailable');
+        } finally {
+            clearTimeout(timer);
+        }
+        if (response.ok || response.status === 404 || response.status === 412) return response;
+
+        const body = await response.json().catch(() => null);
+        throw new StorageError(
+            `The flow server answered ${response.status}${body?.error ? `: ${body.error}` : '.'}`,
+            'server'
+        );
+    }
+
+    return {
+        kind: 'http',
+        label: root,
+
+        list: async () => {
+            const response = await request(`${root}/flows`);
+            return response.json();
+        },
+
+        load: async (flowId) => {
+            const response = await request(flowUrl(flowId));
+            if (response.status === 404) return null;
+            return { snapshot: await response.json(), etag: response.headers.get('ETag') };
+        },
+
+        save: async (flowId, snapshot, etag) => {
+            const response = await request(flowUrl(flowId), {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }),
+                },
+                body: JSON.stringify(snapshot),
+            });
+            if (response.status === 412) {
+                throw new StorageError('This flow was changed on the server since you opened it.', 'conflict');
+            }
+            const next = response.headers.get('ETag');
+            storeSavedFlow(flowId, { ...snapshot, etag: next }); // offline copy
+            return next;
+        },
+
+        remove: async (flowId) => {
+            await request(flowUrl(flowId), { method: 'DELETE' });
+            deleteFlowData(flowId);
+        },
+
+        listRevisions: async (flowId) => {
+            const response = await request(`${flowUrl(flowId)}/revisions`);
+            return response.status === 404 ? [] : response.json();
+        },
+
+        loadRevision: async (flowId, revisionId) => {
+            const response = await request(`${flowUrl(flowId)}/revisions/${encodeURIComponent(revisionId)}`);
+            return response.status === 404 ? null : response.json();
+        },
+    };
+}
+
+
+/**
+ * The adapter this build is configured for.
+ *
+ * @returns {object}
+ */
+export function createStorageAdapter() {
+    const url = import.meta.env?.VITE_FLOW_SERVER_URL;
+    return url ? createHttpAdapter(url) : createBrowserAdapter();
+}
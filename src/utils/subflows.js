@@ -0,0 +1,325 @@
+/**
+ * @file subflows.js
+ * @description Subflow nodes: one step that runs another saved flow.
+ *
+ *   { id, type: 'subflowNode', position, data: { flowId, entryNodeId, returnNodeId } }
+ *
+ *   flowId       — the workspace flow to run
+ *   entryNodeId  — where that flow is entered; '' for its start node
+ *   returnNodeId — the node after which the conversation comes back and
+ *                  follows the subflow node's own edge; '' to come back
+ *                  wherever the subflow ends
+ *
+ * On the canvas a subflow is a single node with one output, and it is
+ * validated as one (see flowValidation.js). What it runs is always the
+ * SAVED version of the referenced flow, read when it is needed — nothing
+ * is copied into the referencing flow — so saving the source flow updates
+ * every flow that uses it.
+ *
+ * Sources
+ * ───────
+ * The builder loads every flow referenced from the canvas, and every flow
+ * THOSE reference, into one map (loadSubflowSources):
+ *
+ *   Map<flowId, { name, nodes, edges } | null>   // null: deleted / never saved
+ *
+ * Running
+ * ───────
+ * expandSubflows inlines each subflow's nodes into the graph before the
+ * conversation starts, so conversation.js needs to know nothing about
+ * them. Inlined ids are prefixed with the subflow node's id and "/" —
+ * "7/3" is node 3 of the flow run by node 7 — and:
+ *
+ *   • edges into the subflow node lead to the entry node instead;
+ *   • only what can be reached from the entry node is inlined;
+ *   • with a return node, every output of that node leads to where the
+ *     subflow node's edge goes (its own edges inside the subflow are
+ *     dropped); without one, every output left unconnected does.
+ *
+ * Subflows inside subflows are expanded the same way, up to
+ * MAX_SUBFLOW_DEPTH levels. A flow that would run itself, or a subflow
+ * whose flow or endpoints cannot be found, is left as it is; the
+ * conversation then skips over it with a note.
+ */
+
+import { isFlowStep, sourceHandleIds, outputSlot } from './flowValidation.js';
+import { findStartNodes } from './conversation.js';
+
+/** Joins a subflow node's id and an inlined node's id. */
+export const SUBFLOW_SEPARATOR = '/';
+
+/** Deepest nesting of subflows that is expanded. */
+export const MAX_SUBFLOW_DEPTH = 8;
+
+/**
+ * `data` of a new subflow node: no flow picked yet, default endpoints.
+ *
+ * @returns {{ flowId: string, entryNodeId: string, returnNodeId: string }}
+ */
+export const createSubflowData = () => ({ flowId: '', entryNodeId: '', returnNodeId: '' });
+
+/**
+ * Whether a node is a subflow.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+export const isSubflow = (node) => node.type === 'subflowNode';
+
+/**
+ * Ids of the flows the subflow nodes among `nodes` run, each once.
+ *
+ * @param {object[]} nodes
+ * @returns {string[]}
+ */
+export const referencedFlowIds = (nodes) =>
+    [...new Set(nodes.filter(isSubflow).map((n) => n.data.flowId).filter(Boolean))];
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Sources
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Loads every flow referenced from `nodes`, directly or through other
+ * subflows. A flow that cannot be read is recorded as null, like one that
+ * does not exist.
+ *
+ * @param {object[]} nodes
+ * @param {(flowId: string) => Promise<{ snapshot: object }|null>} load -
+ *   E.g. a storage adapter's `load`.
+ * @returns {Promise<Map<string, { name: string, nodes: object[], edges: object[] }|null>>}
+ */
+export async function loadSubflowSources(nodes, load) {
+    const sources = new Map();
+    const queue = referencedFlowIds(nodes);
+
+    while (queue.length > 0) {
+        const flowId = queue.shift();
+        if (sources.has(flowId)) continue;
+
+        let stored = null;
+        try {
+            stored = await load(flowId);
+        } catch {
+            // Unreachable storage: treated like a missing flow
+        }
+        const snapshot = stored?.snapshot;
+        sources.set(flowId, snapshot
+            ? { name: snapshot.meta?.name ?? '', nodes: snapshot.nodes, edges: snapshot.edges }
+            : null);
+        if (snapshot) queue.push(...referencedFlowIds(snapshot.nodes));
+    }
+    return sources;
+}
+
+/**
+ * The entry and return nodes a subflow node picks in its source flow.
+ *
+ * @param {{ nodes: object[], edges: object[] }} source
+ * @param {object} data - The subflow node's data.
+ * @returns {{ entry: object|null, returnNode: object|null, returnMissing: boolean }}
+ *   `entry` is null when the picked node (or, by default, a start node)
+ *   does not exist; `returnMissing` is true when a picked return node
+ *   does not.
+ */
+export function subflowEndpoints(source, data) {
+    const steps = source.nodes.filter(isFlowStep);
+    const entry = data.entryNodeId
+        ? steps.find((n) => n.id === data.entryNodeId) ?? null
+        : findStartNodes(steps, source.edges)[0] ?? null;
+    const returnNode = data.returnNodeId ? steps.find((n) => n.id === data.returnNodeId) ?? null : null;
+    return { entry, returnNode, returnMissing: !!data.returnNodeId && !returnNode };
+}
+
+/**
+ * Whether running `flowId` would end up running `hostFlowId` again, or a
+ * flow it is already inside of.
+ *
+ * @param {string}   flowId
+ * @param {string}   hostFlowId - The flow the subflow node is in.
+ * @param {Map}      sources
+ * @returns {boolean}
+ */
+export function isRecursive(flowId, hostFlowId, sources) {
+    const visit = (id, chain) => {
+        if (id === hostFlowId || chain.includes(id)) return true;
+        const source = sources.get(id);
+        return !!source && referencedFlowIds(source.nodes).some((next) => visit(next, [...chain, id]));
+    };
+    return visit(flowId, []);
+}
+
+/**
+ * What is wrong with a subflow node, or null when it can run. A flow that
+ * is still loading (not in `sources` yet) is not reported.
+ *
+ * @param {object} node
+ * @param {Map}    sources
+ * @param {string} hostFlowId
+ * @returns {{ rule: 'subflow-missing'|'subflow-endpoint'|'subflow-recursion', message: string }|null}
+ *   `message` follows the node's description, e.g. `Subflow #7 ${message}`.
+ */
+export function subflowProblem(node, sources, hostFlowId) {
+    const { flowId } = node.data;
+    if (!flowId) return { rule: 'subflow-missing', message: 'does not run a flow yet — pick one in its settings.' };
+    if (flowId === hostFlowId) return { rule: 'subflow-recursion', message: 'runs the flow it is in.' };
+    if (!sources.has(flowId)) return null;
+
+    const source = sources.get(flowId);
+    if (!source) return { rule: 'subflow-missing', message: 'runs a flow that was deleted or has never been saved.' };
+    if (isRecursive(flowId, hostFlowId, sources)) {
+        return { rule: 'subflow-recursion', message: `runs "${source.name}", which runs this flow again.` };
+    }
+
+    const { entry, returnMissing } = subflowEndpoints(source, node.data);
+    if (!entry) {
+        return {
+            rule: 'subflow-endpoint',
+            message: node.data.entryNodeId
+                ? `enters "${source.name}" at node ${node.data.entryNodeId}, which no longer exists.`
+                : `runs "${source.name}", which has no start node.`,
+        };
+    }
+    if (returnMissing) {
+        return { rule: 'subflow-endpoint', message: `returns from "${source.name}" at node ${node.data.returnNodeId}, which no longer exists.` };
+    }
+    return null;
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Expansion
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Ids of the nodes reachable from `startId`, `startId` included.
+ *
+ * @param {string}   startId
+ * @param {object[]} edges
+ * @returns {Set<string>}
+ */
+function reachable(startId, edges) {
+    const seen = new Set([startId]);
+    const queue = [startId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        edges.forEach((e) => {
+            if (e.source === current && !seen.has(e.target)) {
+                seen.add(e.target);
+                queue.push(e.target);
+            }
+        });
+    }
+    return seen;
+}
+
+/**
+ * Replaces one subflow node with the part of its source flow it runs.
+ *
+ * @param {{ nodes: object[], edges: object[] }} graph
+ * @param {object} node      - The subflow node in `graph`.
+ * @param {object} source
+ * @param {{ entry: object, returnNode: object|null }} endpoints
+ * @returns {{ nodes: object[], edges: object[] }}
+ */
+function inlineSubflow(graph, node, source, { entry, returnNode }) {
+    const prefix = `${node.id}${SUBFLOW_SEPARATOR}`;
+    const steps = source.nodes.filter(isFlowStep);
+    const kept = reachable(entry.id, source.edges);
+    const inner = steps.filter((n) => kept.has(n.id));
+
+    // A return node hands control back: its own edges are not followed
+    const innerEdges = source.edges.filter((e) =>
+        kept.has(e.source) && kept.has(e.target) && e.source !== returnNode?.id);
+
+    const after = graph.edges.find((e) => e.source === node.id)?.target ?? null;
+    const exits = [];
+    if (after) {
+        (returnNode && kept.has(returnNode.id) ? [returnNode] : returnNode ? [] : inner).forEach((exit) => {
+            const used = new Set(innerEdges.filter((e) => e.source === exit.id).map((e) => outputSlot(exit, e)));
+            sourceHandleIds(exit)
+                .filter((slot) => !used.has(slot))
+                .forEach((slot) => exits.push({
+                    id: `${prefix}return:${exit.id}:${slot}`,
+                    source: `${prefix}${exit.id}`,
+                    target: after,
+                    sourceHandle: slot,
+                    targetHandle: null,
+                }));
+        });
+    }
+
+    return {
+        nodes: [
+            ...graph.nodes.filter((n) => n.id !== node.id),
+            ...inner.map((n) => ({ ...n, id: `${prefix}${n.id}` })),
+        ],
+        edges: [
+            ...graph.edges
+                .filter((e) => e.source !== node.id)
+                .map((e) => (e.target === node.id ? { ...e, target: `${prefix}${entry.id}`, targetHandle: null } : e)),
+            ...innerEdges.map((e) => ({
+                ...e,
+                id: `${prefix}${e.id}`,
+                source: `${prefix}${e.source}`,
+                target: `${prefix}${e.target}`,
+            })),
+            ...exits,
+        ],
+    };
+}
+
+/**
+ * The graph with every runnable subflow replaced by what it runs (see the
+ * file header). Group containers are dropped: they are not steps.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {Map}      sources    - From loadSubflowSources.
+ * @param {string}   [hostFlowId] - The flow `nodes` belong to, never run again.
+ * @returns {{ nodes: object[], edges: object[] }}
+ */
+export function expandSubflows(nodes, edges, sources, hostFlowId) {
+    let graph = { nodes: nodes.filter(isFlowStep), edges };
+    if (!graph.nodes.some(isSubflow)) return graph;
+
+    /** Subflow node id → the flows it is nested in, outermost first. */
+    const chains = new Map();
+    const skipped = new Set();
+
+    for (;;) {
+        const node = graph.nodes.find((n) => isSubflow(n) && !skipped.has(n.id));
+        if (!node) return graph;
+
+        const chain = chains.get(node.id) ?? (hostFlowId ? [hostFlowId] : []);
+        const source = sources.get(node.data.flowId);
+        const endpoints = source && subflowEndpoints(source, node.data);
+        if (!endpoints?.entry || endpoints.returnMissing
+            || chain.includes(node.data.flowId) || chain.length > MAX_SUBFLOW_DEPTH) {
+            skipped.add(node.id);
+            continue;
+        }
+
+        graph = inlineSubflow(graph, node, source, endpoints);
+        source.nodes
+            .filter(isSubflow)
+            .forEach((n) => chains.set(`${node.id}${SUBFLOW_SEPARATOR}${n.id}`, [...chain, node.data.flowId]));
+    }
+}
+
+/**
+ * The node of the host flow an expanded node came from: itself, or the
+ * subflow node it was inlined by — so the canvas can highlight it.
+ *
+ * @param {string|null} id
+ * @param {Set<string>} hostIds - Ids of the host flow's nodes.
+ * @returns {string|null}
+ */
+export function hostNodeId(id, hostIds) {
+    if (id === null || hostIds.has(id)) return id;
+    for (let i = id.indexOf(SUBFLOW_SEPARATOR); i >= 0; i = id.indexOf(SUBFLOW_SEPARATOR, i + 1)) {
+        if (hostIds.has(id.slice(0, i))) return id.slice(0, i);
+    }
+    return null;
+}
@@ -0,0 +1,171 @@
+/**
+ * @file textSearch.js
+ * @description Find and replace across the node labels of a flow.
+ *
+ * The searched text is each node's `data.label` — the message of a Text
+ * Message, the question of a Question and the name of a Condition. Image
+ * nodes have no label and never match.
+ *
+ * Options
+ * ───────
+ *   { query, regex, caseSensitive }
+ *
+ *   Plain text matches the query literally; `regex: true` reads it as a
+ *   JavaScript regular expression (without slashes or flags). Both are
+ *   case-insensitive unless `caseSensitive` is set. Empty matches — e.g.
+ *   from `^` or `x*` — are skipped: there is nothing to show or replace.
+ *
+ * A hit is one match in one label:
+ *
+ *   { nodeId, start, end, match }   // match: the RegExp result, for $1 …
+ *
+ * Replacements in regex mode understand $&, $1 … $99, $<name> and $$, as
+ * String.prototype.replace does; in plain mode they are inserted as typed.
+ */
+
+/** Most hits collected; beyond this the list says "N+" instead. */
+export const MAX_HITS = 1000;
+
+/**
+ * Escapes every RegExp metacharacter in `text`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The global RegExp for a search, or the reason there is none.
+ *
+ * @param {{ query: string, regex?: boolean, caseSensitive?: boolean }} options
+ * @returns {{ pattern: RegExp|null, error: string|null }}
+ */
+export function createMatcher({ query, regex = false, caseSensitive = false }) {
+    if (!query) return { pattern: null, error: null };
+    const flags = caseSensitive ? 'g' : 'gi';
+    try {
+        return { pattern: new RegExp(regex ? query : escapeRegExp(query), flags), error: null };
+    } catch (err) {
+        return { pattern: null, error: err.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '') };
+    }
+}
+
+/**
+ * Every non-empty match of `pattern` in `text`.
+ *
+ * @param {string} text
+ * @param {RegExp} pattern - Global.
+ * @returns {RegExpExecArray[]}
+ */
+function matchesIn(text, pattern) {
+    return [...text.matchAll(pattern)].filter((m) => m[0].length > 0);
+}
+
+/**
+ * Every hit in the flow, in node order then text order.
+ *
+ * @param {object[]} nodes
+ * @param {{ query: string, regex?: boolean, caseSensitive?: boolean }} options
+ * @returns {{ hits: object[], nodeIds: Set<string>, truncated: boolean, error: string|null }}
+ */
+export function findMatches(nodes, options) {
+    const { pattern, error } = createMatcher(options);
+    const hits = [];
+    const nodeIds = new Set();
+    let truncated = false;
+
+    if (pattern) {
+        for (const node of nodes) {
+            const label = node.data?.label;
+            if (typeof label !== 'string') continue;
+            for (const match of matchesIn(label, pattern)) {
+                if (hits.length === MAX_HITS) {
+                    truncated = true;
+                    break;
+                }
+                hits.push({ nodeId: node.id, start: match.index, end: match.index + match[0].length, match });
+                nodeIds.add(node.id);
+            }
+            if (truncated) break;
+        }
+    }
+
+    return { hits, nodeIds, truncated, error };
+}
+
+/**
+ * The text a regex-mode replacement stands for at one match.
+ *
+ * @param {string}          replacement
+ * @param {RegExpExecArray} match
+ * @returns {string}
+ */
+function expandReplacement(replacement, match) {
+    return replacement.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, what, name) => {
+        if (what === '$') return '$';
+        if (what === '&') return match[0];
+        if (name !== undefined) return match.groups?.[name] ?? (match.groups ? '' : token);
+        const index = Number(what);
+        if (index >= 1 && index < match.length) return match[index] ?? '';
+        // "$12" with only one group is "$1" followed by "2"
+        if (what.length === 2 && Number(what[0]) >= 1 && Number(what[0]) < match.length) return (match[what[0]] ?? '') + what[1];
+        return token;
+    });
+}
+
+/**
+ * The replacement text for one hit.
+ *
+ * @param {object}  hit         - From findMatches.
+ * @param {string}  replacement
+ * @param {boolean} regex       - Whether $-references are expanded.
+ * @returns {string}
+ */
+const replacementFor = (hit, replacement, regex) =>
+    (regex ? expandReplacement(replacement, hit.match) : replacement);
+
+/**
+ * `text` with one hit replaced.
+ *
+ * @param {string}  text
+ * @param {object}  hit
+ * @param {string}  replacement
+ * @param {boolean} regex
+ * @returns {string}
+ */
+export const replaceHit = (text, hit, replacement, regex) =>
+    text.slice(0, hit.start) + replacementFor(hit, replacement, regex) + text.slice(hit.end);
+
+/**
+ * New labels for every node with a hit, all matches replaced.
+ *
+ * @param {object[]} nodes
+ * @param {{ query: string, regex?: boolean, caseSensitive?: boolean }} options
+ * @param {string}   replacement
+ * @returns {{ labels: Map<string, string>, count: number }}
+ *   node id → new label, and the number of matches replaced.
+ */
+export function replaceAll(nodes, options, replacement) {
+    const { pattern } = createMatcher(options);
+    const labels = new Map();
+    let count = 0;
+    if (!pattern) return { labels, count };
+
+    for (const node of nodes) {
+        const label = node.data?.label;
+        if (typeof label !== 'string') continue;
+        const matches = matchesIn(label, pattern);
+        if (matches.length === 0) continue;
+
+        // Rebuild back to front so earlier offsets stay valid
+        let next = label;
+        for (let i = matches.length - 1; i >= 0; i--) {
+            const m = matches[i];
+            next = replaceHit(next, { start: m.index, end: m.index + m[0].length, match: m }, replacement, options.regex);
+        }
+        if (next !== label) labels.set(node.id, next);
+        count += matches.length;
+    }
+
+    return { labels, count };
+}
@@ -0,0 +1,575 @@
+/**
+ * @file translations.js
+ * @description Multilingual message text, and the translation files
+ *   (XLIFF, gettext PO) handed to translators.
+ *
+ * Languages
+ * ─────────
+ * A flow is written in one DEFAULT language and may be translated into
+ * others. The flow-level setting travels with the flow (snapshots and
+ * `.flow.json` files), like its variables:
+ *
+ *   { default: 'en', list: ['en', 'es', 'de'] }   // default is in list
+ *
+ * Flows without it are English only (DEFAULT_LANGUAGES). Codes are BCP 47
+ * style: "es", "de", "pt-BR".
+ *
+ * Per-node text
+ * ─────────────
+ * The default language stays where it always was — `data.label`,
+ * `data.caption`, each button's `label` — so everything that reads a node
+ * (validation, diagnostics, search, CSV, diagrams) keeps working on it.
+ * The other languages sit beside it, keyed by language and then by field:
+ *
+ *   data.translations = {
+ *     es: { label: '¡Hola!', 'button:reply-1': 'Sí' },
+ *     de: { label: 'Hallo!' },
+ *   }
+ *
+ * The fields are TRANSLATED_FIELDS of the node's type, plus one
+ * `button:<id>` key per quick-reply button. Question choices are not
+ * translated: replies are matched against them. A field whose default
+ * text is blank needs no translation; any other field without a non-blank
+ * translation is MISSING in that language.
+ *
+ * Files
+ * ─────
+ * Each non-default language exports as one XLIFF 1.2 or PO file holding
+ * every translatable text, the translation so far as the target. Units
+ * are identified as `<nodeId>.<field>` (e.g. "3.label", "3.button:reply-1")
+ * in the XLIFF `id` and the PO `msgctxt`. planTranslationImport reads a
+ * file back: the language comes from the file, units the flow no longer
+ * has are skipped, and units whose default text changed since the export
+ * are imported but reported.
+ */
+
+import { isFlowStep } from './flowValidation.js';
+
+/** Language settings of a flow that has none. */
+export const DEFAULT_LANGUAGES = { default: 'en', list: ['en'] };
+
+/** Names of common languages; other codes are shown as they are. */
+export const LANGUAGE_NAMES = {
+    ar: 'Arabic',
+    da: 'Danish',
+    de: 'German',
+    en: 'English',
+    es: 'Spanish',
+    fi: 'Finnish',
+    fr: 'French',
+    hi: 'Hindi',
+    it: 'Italian',
+    ja: 'Japanese',
+    ko: 'Korean',
+    nl: 'Dutch',
+    no: 'Norwegian',
+    pl: 'Polish',
+    pt: 'Portuguese',
+    'pt-BR': 'Portuguese (Brazil)',
+    ru: 'Russian',
+    sv: 'Swedish',
+    tr: 'Turkish',
+    uk: 'Ukrainian',
+    zh: 'Chinese',
+};
+
+/** "es", "de", "pt-BR", "zh-Hant". */
+export const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/** The translation file formats, keyed by id. */
+export const TRANSLATION_FORMATS = {
+    xliff: { label: 'XLIFF 1.2', extension: 'xlf', mime: 'application/xliff+xml' },
+    po: { label: 'gettext PO', extension: 'po', mime: 'text/x-gettext-translation' },
+};
+
+/** Node fields that are translated, keyed by node type. */
+export const TRANSLATED_FIELDS = {
+    textNode: ['label'],
+    imageNode: ['alt', 'caption'],
+    questionNode: ['label', 'retryMessage'],
+};
+
+/** What each field is, in words — for translators and tooltips. */
+const FIELD_NAMES = { label: 'text', alt: 'alt text', caption: 'caption', retryMessage: 'retry message' };
+
+/** Type names used in translator notes. */
+const TYPE_NAMES = { textNode: 'Message', imageNode: 'Image', questionNode: 'Question' };
+
+/** Prefix of a quick-reply button's key. */
+const BUTTON_KEY_PREFIX = 'button:';
+
+/**
+ * Display name of a language code, e.g. "Spanish (es)".
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export const languageName = (code) => (LANGUAGE_NAMES[code] ? `${LANGUAGE_NAMES[code]} (${code})` : code);
+
+/**
+ * Checks a `languages` setting, e.g. from an imported file.
+ *
+ * @param {unknown} value
+ * @param {string}  at - Location named in the messages.
+ * @returns {string[]} Problems; empty when well-formed.
+ */
+export function checkLanguagesShape(value, at) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return [`${at} must be an object.`];
+    const errors = [];
+    if (!Array.isArray(value.list) || value.list.some((code) => typeof code !== 'string' || !LANGUAGE_CODE_PATTERN.test(code))) {
+        errors.push(`${at}.list must be an array of language codes such as "en" or "pt-BR".`);
+    } else if (!value.list.includes(value.default)) {
+        errors.push(`${at}.default must be one of the codes in ${at}.list.`);
+    }
+    return errors;
+}
+
+/**
+ * Checks a node's `data.translations`.
+ *
+ * @param {unknown} value
+ * @param {string}  at
+ * @returns {string[]}
+ */
+export function checkTranslationsShape(value, at) {
+    const isTable = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isTable(value) || Object.values(value).some((texts) =>
+        !isTable(texts) || Object.values(texts).some((text) => typeof text !== 'string'))) {
+        return [`${at} must map language codes to objects of strings.`];
+    }
+    return [];
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Per-node text
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Every translatable text of a node in the default language.
+ *
+ * @param {object} node
+ * @returns {{ key: string, name: string, text: string }[]}
+ *   `name` says what the text is, e.g. 'text' or 'button'.
+ */
+export function translatableTexts(node) {
+    const fields = (TRANSLATED_FIELDS[node.type] ?? []).map((field) => ({
+        key: field,
+        name: FIELD_NAMES[field],
+        text: node.data?.[field] ?? '',
+    }));
+    const buttons = node.type === 'textNode' ? node.data?.buttons ?? [] : [];
+    return [
+        ...fields,
+        ...buttons.map((b) => ({ key: `${BUTTON_KEY_PREFIX}${b.id}`, name: 'button', text: b.label })),
+    ];
+}
+
+/**
+ * The translatable texts of a node that have no translation in `language`.
+ *
+ * @param {object} node
+ * @param {string} language - A non-default language.
+ * @returns {{ key: string, name: string, text: string }[]}
+ */
+export function missingTranslations(node, language) {
+    const texts = node.data?.translations?.[language] ?? {};
+    return translatableTexts(node).filter((t) => t.text.trim() && !texts[t.key]?.trim());
+}
+
+/**
+ * Nodes with missing translations, for each non-default language.
+ *
+ * @param {object[]} nodes
+ * @param {object}   languages - The flow's language settings.
+ * @returns {Map<string, Map<string, object[]>>} language → node id → missing texts
+ */
+export function translationGaps(nodes, languages) {
+    const gaps = new Map();
+    languages.list
+        .filter((code) => code !== languages.default)
+        .forEach((code) => {
+            const byNode = new Map();
+            nodes.filter(isFlowStep).forEach((node) => {
+                const missing = missingTranslations(node, code);
+                if (missing.length > 0) byNode.set(node.id, missing);
+            });
+            gaps.set(code, byNode);
+        });
+    return gaps;
+}
+
+/**
+ * The node as it reads in `language`: its translatable fields replaced by
+ * their translations. Other languages' text is left in `translations`.
+ *
+ * @param {object}  node
+ * @param {string}  language
+ * @param {object}  languages
+ * @param {boolean} [fallback=false] - Keep the default text where the
+ *   translation is missing (the preview) instead of showing '' (editing).
+ * @returns {object} `node` itself for the default language or an
+ *   untranslatable type.
+ */
+export function localizeNode(node, language, languages, fallback = false) {
+    if (language === languages.default || !TRANSLATED_FIELDS[node.type]) return node;
+    const texts = node.data.translations?.[language] ?? {};
+    const pick = (key, original) => (texts[key]?.trim() ? texts[key] : fallback ? original : '');
+
+    const data = { ...node.data };
+    TRANSLATED_FIELDS[node.type].forEach((field) => { data[field] = pick(field, node.data[field] ?? ''); });
+    if (node.data.buttons) {
+        data.buttons = node.data.buttons.map((b) => ({ ...b, label: pick(`${BUTTON_KEY_PREFIX}${b.id}`, b.label) }));
+    }
+    return { ...node, data };
+}
+
+/**
+ * Turns an edit made to a localized node (see localizeNode) into a patch
+ * of the node's real data: translated fields go into `translations`,
+ * everything else — including adding, removing and reordering buttons —
+ * is applied as it is.
+ *
+ * @param {object} node     - The node as stored, NOT localized.
+ * @param {object} patch    - Data fields as edited, in `language`.
+ * @param {string} language - A non-default language.
+ * @returns {object} A patch for node.data.
+ */
+export function translatePatch(node, patch, language) {
+    const fields = TRANSLATED_FIELDS[node.type] ?? [];
+    const base = {};
+    const texts = {};
+    Object.entries(patch).forEach(([field, value]) => {
+        if (fields.includes(field)) {
+            texts[field] = value;
+        } else if (field === 'buttons') {
+            // Existing buttons keep their default label; new ones start with the typed text
+            const current = new Map((node.data.buttons ?? []).map((b) => [b.id, b]));
+            base.buttons = value.map((b) => {
+                texts[`${BUTTON_KEY_PREFIX}${b.id}`] = b.label;
+                return current.has(b.id) ? { ...b, label: current.get(b.id).label } : b;
+            });
+        } else {
+            base[field] = value;
+        }
+    });
+    if (Object.keys(texts).length === 0) return base;
+
+    const translations = node.data.translations ?? {};
+    return { ...base, translations: { ...translations, [language]: { ...translations[language], ...texts } } };
+}
+
+/**
+ * Nodes with translated texts merged in.
+ *
+ * @param {object[]} nodes
+ * @param {string}   language
+ * @param {Map<string, Record<string, string>>} updates - node id → key → text
+ * @returns {object[]}
+ */
+export function applyTranslations(nodes, language, updates) {
+    return nodes.map((node) => {
+        const texts = updates.get(node.id);
+        if (!texts) return node;
+        const translations = node.data.translations ?? {};
+        return {
+            ...node,
+            data: { ...node.data, translations: { ...translations, [language]: { ...translations[language], ...texts } } },
+        };
+    });
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Export
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Every unit of a translation file, in node order.
+ *
+ * @param {object[]} nodes
+ * @param {string}   language
+ * @returns {{ id: string, source: string, target: string, note: string }[]}
+ */
+function translationUnits(nodes, language) {
+    return nodes.filter(isFlowStep).flatMap((node) => {
+        const texts = node.data.translations?.[language] ?? {};
+        return translatableTexts(node)
+            .filter((t) => t.text.trim())
+            .map((t) => ({
+                id: `${node.id}.${t.key}`,
+                source: t.text,
+                target: texts[t.key] ?? '',
+                note: `${TYPE_NAMES[node.type]} #${node.id} — ${t.name}`,
+            }));
+    });
+}
+
+/** Escapes text for XML content and attribute values. */
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * An XLIFF 1.2 file for translating the flow into `language`.
+ *
+ * @param {object[]} nodes
+ * @param {object}   options
+ * @param {object}   options.languages
+ * @param {string}   options.language - A non-default language.
+ * @param {string}   [options.title]  - The flow's name.
+ * @returns {string}
+ */
+export function toXliff(nodes, { languages, language, title = '' }) {
+    const units = translationUnits(nodes, language).map((u) => [
+        `      <trans-unit id="${escapeXml(u.id)}" xml:space="preserve">`,
+        `        <source>${escapeXml(u.source)}</source>`,
+        u.target.trim()
+            ? `        <target state="translated">${escapeXml(u.target)}</target>`
+            : '        <target state="needs-translation"></target>',
+        `        <note>${escapeXml(u.note)}</note>`,
+        '      </trans-unit>',
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        `  <file original="${escapeXml(title)}" source-language="${languages.default}" target-language="${language}" datatype="plaintext">`,
+        '    <body>',
+        ...units,
+        '    </body>',
+        '  </file>',
+        '</xliff>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * A PO string: quoted, escaped, and split after each line break so
+ * multi-line messages stay readable.
+ *
+ * @param {string} keyword - 'msgid', 'msgstr', …
+ * @param {string} text
+ * @returns {string}
+ */
+function poString(keyword, text) {
+    const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+    const lines = escaped.split('\n').map((line, i, all) => (i < all.length - 1 ? `${line}\\n` : line));
+    if (lines.length === 1) return `${keyword} "${lines[0]}"`;
+    return [`${keyword} ""`, ...lines.filter(Boolean).map((line) => `"${line}"`)].join('\n');
+}
+
+/**
+ * A gettext PO file for translating the flow into `language`.
+ *
+ * @param {object[]} nodes
+ * @param {object}   options - As for toXliff.
+ * @returns {string}
+ */
+export function toPo(nodes, { languages, language, title = '' }) {
+    const header = [
+        `# ${title || 'Flow'} — ${languageName(language)}`,
+        'msgid ""',
+        'msgstr ""',
+        `"Language: ${language}\\n"`,
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"',
+        `"X-Source-Language: ${languages.default}\\n"`,
+    ].join('\n');
+
+    const entries = translationUnits(nodes, language).map((u) => [
+        `#. ${u.note}`,
+        poString('msgctxt', u.id),
+        poString('msgid', u.source),
+        poString('msgstr', u.target),
+    ].join('\n'));
+
+    return [header, ...entries].join('\n\n') + '\n';
+}
+
+/**
+ * Translation file contents.
+ *
+ * @param {'xliff'|'po'} format
+ * @param {object[]}     nodes
+ * @param {object}       options - See toXliff.
+ * @returns {string}
+ */
+export const exportTranslations = (format, nodes, options) =>
+    (format === 'po' ? toPo : toXliff)(nodes, options);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Import
+───────────────────────────────────────────────────────────────────────── */
+
+/** The five predefined XML entities. */
+const XML_ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+/** Whether a code point is a character XML allows. */
+const isXmlChar = (code) =>
+    code === 0x9 || code === 0xA || code === 0xD ||
+    (code >= 0x20 && code <= 0xD7FF) || (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF);
+
+/**
+ * Decodes the five XML entities, numeric references and CDATA sections —
+ * in one pass, so the text a reference stands for is never decoded again.
+ *
+ * @param {string} text
+ * @returns {string}
+ * @throws {SyntaxError} On a reference to a character XML does not allow.
+ */
+function unescapeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+        .replace(/<[^>]+>/g, '') // inline markup a tool may add (<g>, <x/>) carries no text
+        .replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|quot|apos|amp));/g, (reference, hex, dec, name) => {
+            if (name) return XML_ENTITIES[name];
+            const code = hex ? parseInt(hex, 16) : Number(dec);
+            if (!isXmlChar(code)) throw new SyntaxError(`${reference} is not a valid character reference.`);
+            return String.fromCodePoint(code);
+        });
+}
+
+/** The value of one attribute in an XML start tag's attribute text. */
+const xmlAttribute = (attributes, name) =>
+    attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))?.slice(1).find((v) => v !== undefined);
+
+/**
+ * Reads the units of an XLIFF 1.2 file.
+ *
+ * @param {string} text
+ * @returns {{ language?: string, units: { id, source, target }[], error?: string }}
+ */
+export function parseXliff(text) {
+    const file = text.match(/<file\b([^>]*)>/);
+    if (!/<xliff\b/.test(text) || !file) return { units: [], error: 'The file is not XLIFF — no <xliff> and <file> elements.' };
+
+    let units;
+    try {
+        units = [...text.matchAll(/<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g)].map(([, attributes, body]) => {
+            const source = body.match(/<source\b[^>]*>([\s\S]*?)<\/source>/);
+            const target = body.match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+            return {
+                id: unescapeXml(xmlAttribute(attributes, 'id') ?? ''),
+                source: source ? unescapeXml(source[1]) : '',
+                target: target ? unescapeXml(target[1]) : '',
+            };
+        });
+    } catch (err) {
+        return { units: [], error: `The file is not valid XLIFF: ${err.message}` };
+    }
+    return { language: xmlAttribute(file[1], 'target-language'), units };
+}
+
+/** Decodes the escapes of one quoted PO string. */
+const unescapePo = (quoted) => quoted.replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t', r: '\r' })[c] ?? c);
+
+/**
+ * Reads the entries of a gettext PO file. Entries flagged `fuzzy` count as
+ * untranslated, as gettext's own tools treat them.
+ *
+ * @param {string} text
+ * @returns {{ language?: string, units: { id, source, target }[], error?: string }}
+ */
+export function parsePo(text) {
+    const entries = [];
+    let entry = { fuzzy: false };
+    let field = null;
+    let error = null;
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        if (error) return;
+        const line = raw.trim();
+        if (!line) {
+            if (entry.msgid !== undefined) entries.push(entry);
+            entry = { fuzzy: false };
+            field = null;
+            return;
+        }
+        if (line.startsWith('#')) {
+            if (/^#,.*\bfuzzy\b/.test(line)) entry.fuzzy = true;
+            return;
+        }
+        const keyword = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"$/);
+        const continuation = line.match(/^"(.*)"$/);
+        if (keyword) {
+            // A new keyword after a msgstr starts the next entry even without a blank line
+            if (keyword[1] !== 'msgstr' && entry.msgstr !== undefined) {
+                entries.push(entry);
+                entry = { fuzzy: false };
+            }
+            field = keyword[1];
+            entry[field] = unescapePo(keyword[2]);
+        } else if (continuation && field) {
+            entry[field] += unescapePo(continuation[1]);
+        } else {
+            error = `Line ${i + 1} is not valid PO: ${line.slice(0, 40)}`;
+        }
+    });
+    if (entry.msgid !== undefined) entries.push(entry);
+    if (error) return { units: [], error };
+
+    const header = entries.find((e) => e.msgid === '' && !e.msgctxt);
+    if (!header && entries.length === 0) return { units: [], error: 'The file is not a PO file — it has no msgid entries.' };
+
+    return {
+        language: header?.msgstr.match(/^Language:\s*(\S+)/m)?.[1],
+        units: entries
+            .filter((e) => e !== header)
+            .map((e) => ({ id: e.msgctxt ?? '', source: e.msgid, target: e.fuzzy ? '' : e.msgstr ?? '' })),
+    };
+}
+
+/**
+ * Works out what importing a translation file would do, without doing it.
+ *
+ * @param {string}   text      - The file's contents (XLIFF or PO; told apart by content).
+ * @param {object[]} nodes     - Canvas nodes.
+ * @param {object}   languages - The flow's language settings.
+ * @returns {{
+ *   errors: string[],
+ *   language?: string, updates?: Map<string, Record<string, string>>,
+ *   count?: number, warnings?: string[],
+ * }} `updates` is ready for applyTranslations when `errors` is empty.
+ */
+export function planTranslationImport(text, nodes, languages) {
+    const parsed = text.trimStart().startsWith('<') ? parseXliff(text) : parsePo(text);
+    if (parsed.error) return { errors: [parsed.error] };
+
+    const language = parsed.language?.replace('_', '-');
+    if (!language) return { errors: ['The file does not say which language it translates into.'] };
+    if (!LANGUAGE_CODE_PATTERN.test(language)) return { errors: [`"${language}" is not a language code such as "es" or "pt-BR".`] };
+    if (language === languages.default) {
+        return { errors: [`The file translates into ${languageName(language)}, which is this flow's default language.`] };
+    }
+
+    // Units the flow has now, by their file id
+    const known = new Map(nodes.filter(isFlowStep).flatMap((node) =>
+        translatableTexts(node).map((t) => [`${node.id}.${t.key}`, { nodeId: node.id, key: t.key, text: t.text }])));
+
+    const updates = new Map();
+    const unknown = [];
+    const changed = [];
+    let count = 0;
+    parsed.units.forEach((unit) => {
+        const target = known.get(unit.id);
+        if (!target) { unknown.push(unit.id || '(no id)'); return; }
+        if (!unit.target.trim()) return;
+        if (unit.source !== target.text) changed.push(unit.id);
+        updates.set(target.nodeId, { ...updates.get(target.nodeId), [target.key]: unit.target });
+        count++;
+    });
+
+    const warnings = [];
+    if (unknown.length > 0) {
+        warnings.push(`${unknown.length} text${unknown.length > 1 ? 's' : ''} no longer in the flow skipped: ${unknown.slice(0, 3).join(', ')}${unknown.length > 3 ? ', …' : ''}`);
+    }
+    if (changed.length > 0) {
+        warnings.push(`${changed.length} text${changed.length > 1 ? 's have' : ' has'} changed since the export — check: ${changed.slice(0, 3).join(', ')}${changed.length > 3 ? ', …' : ''}`);
+    }
+    return { errors: [], language, updates, count, warnings };
+}
@@ -0,0 +1,272 @@
+/**
+ * @file variables.js
+ * @description `{{variable}}` placeholders in message text.
+ *
+ * Bot-facing text may reference conversation variables as `{{name}}`; the
+ * bot substitutes the current value when it sends the message. A variable
+ * is KNOWN at a node when it is either
+ *
+ *   • declared on the flow — values the channel supplies before the
+ *     conversation starts (e.g. `first_name`), or
+ *   • captured UPSTREAM — stored by a questionNode from which some path
+ *     leads to the node, so the answer can exist by the time it is sent.
+ *
+ * Flow-level variable settings travel with the flow (snapshots and
+ * `.flow.json` files) in this shape:
+ *
+ *   {
+ *     declared: ['first_name', 'plan'],             // flow-level variables
+ *     samples:  { first_name: 'Ada', email: '…' }   // sample value per name
+ *   }
+ *
+ * Samples may be given for any variable, declared or captured. They are
+ * what the canvas shows in "sample values" mode, and the values declared
+ * variables start with in the chat preview.
+ */
+
+import { VARIABLE_NAME_PATTERN } from './questions.js';
+
+/** Variable settings of a flow that has none. */
+export const EMPTY_VARIABLES = { declared: [], samples: {} };
+
+/**
+ * Node fields that are sent to the user and may contain placeholders,
+ * keyed by node type.
+ */
+export const TEMPLATED_FIELDS = {
+    textNode: ['label'],
+    imageNode: ['caption'],
+    questionNode: ['label', 'retryMessage'],
+};
+
+/** `{{ anything }}` — the name is checked separately so typos can be reported. */
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/** An unfinished `{{name` directly before the caret. */
+const OPEN_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]*)$/;
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Placeholders
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Every placeholder in `text`, in order.
+ *
+ * @param {string} text
+ * @returns {{ name: string, valid: boolean, start: number, end: number }[]}
+ *   `valid` is false for names that could never be a variable, e.g. `{{ }}`
+ *   or `{{first name}}`.
+ */
+export function findPlaceholders(text) {
+    if (!text) return [];
+    return [...text.matchAll(PLACEHOLDER_PATTERN)].map((m) => ({
+        name: m[1],
+        valid: VARIABLE_NAME_PATTERN.test(m[1]),
+        start: m.index,
+        end: m.index + m[0].length,
+    }));
+}
+
+/**
+ * Replaces each placeholder with its value. Placeholders without a value
+ * are left exactly as written, so missing data stays visible.
+ *
+ * @param {string} text
+ * @param {Record<string, string>} values
+ * @returns {string}
+ */
+export function interpolate(text, values) {
+    if (!text) return text ?? '';
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        Object.hasOwn(values, name) ? String(values[name]) : match);
+}
+
+/**
+ * The placeholder being typed at `caret`, for autocomplete.
+ *
+ * @param {string} text
+ * @param {number} caret - Caret offset in `text`.
+ * @returns {{ start: number, query: string } | null} `start` is where the
+ *   `{{` begins; null when the caret is not inside an open placeholder.
+ */
+export function placeholderAt(text, caret) {
+    const match = OPEN_PLACEHOLDER_PATTERN.exec(text.slice(0, caret));
+    return match ? { start: match.index, query: match[1] } : null;
+}
+
+/**
+ * Closest name to a misspelled one — at most two edits away — or null.
+ *
+ * @param {string}   name
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function suggestVariable(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/** Levenshtein distance between two strings. */
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Known variables
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Variables stored by question nodes.
+ *
+ * @param {object[]} nodes
+ * @returns {Map<string, string[]>} Name → ids of the questions storing it.
+ */
+export function capturedVariables(nodes) {
+    const captured = new Map();
+    nodes
+        .filter((n) => n.type === 'questionNode' && n.data.variable?.trim())
+        .forEach((n) => {
+            const name = n.data.variable.trim();
+            captured.set(name, [...(captured.get(name) ?? []), n.id]);
+        });
+    return captured;
+}
+
+/**
+ * Every variable name the flow mentions as declared or captured, sorted.
+ *
+ * @param {object[]} nodes
+ * @param {object}   variables - Flow variable settings.
+ * @returns {string[]}
+ */
+export function allVariableNames(nodes, variables) {
+    return [...new Set([...variables.declared, ...capturedVariables(nodes).keys()])]
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The variables known at each node: declared ones plus those captured by
+ * a question upstream of it.
+ *
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {object}   variables - Flow variable settings.
+ * @returns {Map<string, string[]>} Node id → sorted variable names.
+ */
+export function knownVariablesByNode(nodes, edges, variables) {
+    const incoming = new Map(nodes.map((n) => [n.id, []]));
+    edges.forEach((e) => incoming.get(e.target)?.push(e.source));
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+
+    const known = new Map();
+    for (const node of nodes) {
+        const names = new Set(variables.declared);
+
+        // Walk edges backwards; every question met is upstream
+        const seen = new Set();
+        const queue = [...incoming.get(node.id)];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            const upstream = byId.get(id);
+            if (upstream?.type === 'questionNode' && upstream.data.variable?.trim()) {
+                names.add(upstream.data.variable.trim());
+            }
+            queue.push(...(incoming.get(id) ?? []));
+        }
+
+        known.set(node.id, [...names].sort((a, b) => a.localeCompare(b)));
+    }
+    return known;
+}
+
+/**
+ * The texts of a node that may contain placeholders.
+ *
+ * @param {object} node
+ * @returns {string[]}
+ */
+export const templatedTexts = (node) =>
+    (TEMPLATED_FIELDS[node.type] ?? []).map((field) => node.data?.[field] ?? '');
+
+/**
+ * Problems with the placeholders in some text sent from one node.
+ *
+ * @param {string[]} texts    - E.g. templatedTexts(node), or one editor's value.
+ * @param {string[]} known    - Variables known at the node.
+ * @param {string[]} allNames - Every variable in the flow.
+ * @returns {{ name: string, reason: 'malformed'|'downstream'|'unknown', suggestion: string|null }[]}
+ *   One entry per distinct offending placeholder.
+ */
+export function checkPlaceholders(texts, known, allNames) {
+    const problems = new Map();
+    for (const text of texts) {
+        for (const { name, valid } of findPlaceholders(text)) {
+            if (problems.has(name) || known.includes(name)) continue;
+            if (!valid) problems.set(name, { name, reason: 'malformed', suggestion: null });
+            else if (allNames.includes(name)) problems.set(name, { name, reason: 'downstream', suggestion: null });
+            else problems.set(name, { name, reason: 'unknown', suggestion: suggestVariable(name, known) });
+        }
+    }
+    return [...problems.values()];
+}
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Settings
+───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Shape problems of a variable-settings object read from a file.
+ *
+ * @param {unknown} value
+ * @param {string}  at - Location used in messages, e.g. "variables".
+ * @returns {string[]}
+ */
+export function checkVariablesShape(value, at) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return [`${at} must be an object.`];
+    const errors = [];
+    if (!Array.isArray(value.declared) || value.declared.some((name) => !VARIABLE_NAME_PATTERN.test(name))) {
+        errors.push(`${at}.declared must be an array of variable names (letters, digits and _, not starting with a digit).`);
+    }
+    if (
+        value.samples === null || typeof value.samples !== 'object' || Array.isArray(value.samples) ||
+        Object.values(value.samples).some((v) => typeof v !== 'string')
+    ) {
+        errors.push(`${at}.samples must be an object of strings.`);
+    }
+    return errors;
+}
+
+/**
+ * Sample values of the declared variables — what a conversation starts with.
+ *
+ * @param {object} variables - Flow variable settings.
+ * @returns {Record<string, string>}
+ */
+export function declaredSamples(variables) {
+    return Object.fromEntries(
+        variables.declared
+            .filter((name) => Object.hasOwn(variables.samples, name))
+            .map((name) => [name, variables.samples[name]])
+    );
+}
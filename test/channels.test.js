@@ -0,0 +1,53 @@
+/**
+ * @file channels.test.js
+ * @description Channel limits: what only costs more SMS and what a channel
+ *   rejects.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { channelViolations, measureText, smsSegments } from '../src/utils/channels.js';
+import { diagnoseFlow } from '../src/utils/diagnostics.js';
+
+const message = (label, id = '1') => ({ id, type: 'textNode', position: { x: 0, y: 0 }, data: { label } });
+
+test('smsSegments counts GSM-7 and UCS-2 texts', () => {
+    assert.deepEqual(smsSegments('a'.repeat(160)), { encoding: 'gsm', units: 160, limit: 160, segments: 1 });
+    assert.deepEqual(smsSegments('a'.repeat(161)), { encoding: 'gsm', units: 161, limit: 160, segments: 2 });
+    assert.deepEqual(smsSegments('€'.repeat(80)), { encoding: 'gsm', units: 160, limit: 160, segments: 1 });
+    assert.deepEqual(smsSegments('😀'.repeat(36)), { encoding: 'unicode', units: 72, limit: 70, segments: 2 });
+});
+
+test('a text over one SMS segment is a warning naming how many it takes', () => {
+    assert.deepEqual(channelViolations(message('a'.repeat(160)), ['sms']), []);
+    assert.deepEqual(channelViolations(message('a'.repeat(400)), ['sms']), [{
+        channel: 'sms',
+        kind: 'segments',
+        severity: 'warning',
+        field: 'label',
+        message: 'has text of 400 characters, sent as 3 SMS messages (160 fit in one).',
+    }]);
+    assert.equal(measureText('a'.repeat(400), ['sms']).over, false);
+});
+
+test('only a text over the most segments a carrier joins is an error', () => {
+    assert.deepEqual(channelViolations(message('a'.repeat(1530)), ['sms']).map((v) => v.severity), ['warning']);
+    assert.deepEqual(channelViolations(message('a'.repeat(1531)), ['sms']), [{
+        channel: 'sms',
+        kind: 'length',
+        severity: 'error',
+        field: 'label',
+        message: 'has text of 1531 characters — SMS allows 1530 (10 messages).',
+    }]);
+    assert.deepEqual(channelViolations(message('ć'.repeat(671)), ['sms']).map((v) => v.kind), ['length']);
+    assert.equal(measureText('a'.repeat(1531), ['sms']).over, true);
+});
+
+test('a long SMS does not block saving; a text a channel rejects does', () => {
+    const severities = (label, channels) => diagnoseFlow([message(label)], [], undefined, undefined, undefined, channels)
+        .filter((d) => d.rule.startsWith('channel-'))
+        .map((d) => `${d.rule}:${d.severity}`)
+        .sort();
+    assert.deepEqual(severities('a'.repeat(400), ['sms']), ['channel-segments:warning']);
+    assert.deepEqual(severities('a'.repeat(700), ['sms', 'messenger']), ['channel-limit:error', 'channel-segments:warning']);
+});
@@ -0,0 +1,160 @@
+/**
+ * @file csvScript.test.js
+ * @description CSV message scripts: parsing, the import plan and the
+ *   export round trip.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, planScriptImport, toScriptCsv } from '../src/utils/csvScript.js';
+
+const node = (id, type, data, x = 0) => ({ id, type, position: { x, y: 0 }, data });
+
+const edge = (source, target, sourceHandle = 'source') =>
+    ({ id: `e${source}-${sourceHandle}-${target}`, source, target, sourceHandle, targetHandle: null });
+
+const labels = (nodes) => Object.fromEntries(nodes.map((n) => [n.id, n.data.label]));
+
+const links = (edges) => edges.map((e) => `${e.source}>${e.target}`).sort();
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   parseCsv
+───────────────────────────────────────────────────────────────────────── */
+
+test('parseCsv reads quoted values, doubled quotes, line breaks and CRLF', () => {
+    const { rows, error } = parseCsv('\uFEFFid,message\r\n1,"Hi, ""you""\nthere"\r\n\r\n2,plain\n');
+    assert.equal(error, null);
+    assert.deepEqual(rows, [
+        { line: 1, values: ['id', 'message'] },
+        { line: 2, values: ['1', 'Hi, "you"\nthere'] },
+        { line: 5, values: ['2', 'plain'] },
+    ]);
+});
+
+test('parseCsv reports a quote that is never closed', () => {
+    assert.deepEqual(parseCsv('id,message\n1,"open\n2,x'), { rows: [], error: 'Line 2: a quoted value is never closed.' });
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   planScriptImport
+───────────────────────────────────────────────────────────────────────── */
+
+test('a script on an empty canvas becomes connected nodes', () => {
+    const plan = planScriptImport(
+        'ID,Message,Next ID,Type,Variable,Notes\n' +
+        'greet,"Hi! What\'s your name?",bye,question,first_name,draft\n' +
+        'bye,"Bye, {{first_name}}",,,\n',
+        [],
+        []
+    );
+    assert.deepEqual(plan.errors, []);
+    assert.equal(plan.added, 2);
+    assert.equal(plan.connected, 1);
+    const [greet, bye] = plan.nodes;
+    assert.equal(greet.type, 'questionNode');
+    assert.equal(greet.data.variable, 'first_name');
+    assert.equal(bye.type, 'textNode');
+    assert.deepEqual(links(plan.edges), ['greet>bye']);
+});
+
+test('rows for canvas nodes update them and re-point only their main output', () => {
+    const nodes = [
+        node('1', 'textNode', { label: 'Old', buttons: [{ id: 'b1', label: 'Go' }] }),
+        node('2', 'textNode', { label: 'Two' }, 300),
+        node('3', 'textNode', { label: 'Three' }, 600),
+    ];
+    const edges = [edge('1', '2'), edge('1', '3', 'b1')];
+    const plan = planScriptImport('id,message,next_id\n1,New,3\n4,Four,\n', nodes, edges);
+
+    assert.deepEqual(plan.errors, []);
+    assert.equal(plan.updated, 1);
+    assert.equal(plan.added, 1);
+    assert.deepEqual(labels(plan.nodes), { 1: 'New', 2: 'Two', 3: 'Three', 4: 'Four' });
+    assert.deepEqual(links(plan.edges), ['1>3', '1>3']);
+    assert.ok(plan.edges.some((e) => e.sourceHandle === 'b1'), 'the quick-reply edge is kept');
+    // New nodes go beside the existing ones
+    assert.ok(plan.nodes.find((n) => n.id === '4').position.x > 600);
+    // Nothing changes on the canvas itself
+    assert.equal(nodes[0].data.label, 'Old');
+});
+
+test('every problem in a script is reported before anything changes', () => {
+    const nodes = [node('img', 'imageNode', { url: '', alt: '' })];
+    const { errors, nodes: planned } = planScriptImport(
+        'id,message,next_id,type,variable\n' +
+        'a,One,"b, c",,\n' +
+        'a,Again,,,\n' +
+        'b,Two,b,,\n' +
+        'c,Three,nowhere,poll,\n' +
+        'img,Caption,,,\n' +
+        'd,Four,,message,name\n' +
+        'e,Five,,question,2nd\n' +
+        ',No id,,,\n',
+        nodes,
+        []
+    );
+    assert.equal(planned, undefined);
+    assert.deepEqual(errors, [
+        'Row 2: next_id lists 2 nodes (b, c) — a message can lead to only one.',
+        'Row 3: id "a" is already used by row 2.',
+        'Row 4: next_id points back to the row itself.',
+        'Row 5: type "poll" is not one of message, question.',
+        'Row 6: "img" is a imageNode on the canvas — only messages and questions have rows.',
+        'Row 7: only question rows can store the reply in a variable.',
+        'Row 8: "2nd" is not a valid variable name (letters, digits and _; not starting with a digit).',
+        'Row 9: the id is empty.',
+    ]);
+});
+
+test('a script without its required columns or rows is refused', () => {
+    assert.deepEqual(planScriptImport('', [], []).errors, ['The file is empty.']);
+    assert.deepEqual(planScriptImport('name,text\nx,y\n', [], []).errors, [
+        'The header row has no "id" column.',
+        'The header row has no "message" column.',
+    ]);
+    assert.deepEqual(planScriptImport('id,message\n', [], []).errors, ['The file has a header row but no script rows.']);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   toScriptCsv
+───────────────────────────────────────────────────────────────────────── */
+
+test('the export imports back unchanged', () => {
+    const nodes = [
+        node('1', 'textNode', { label: 'Hi, "friend"\nhow are you?' }),
+        node('2', 'questionNode', { label: 'Name?', variable: 'name', validation: 'text', retryMessage: '', choices: [] }),
+        node('3', 'imageNode', { url: 'https://example.com/a.png', alt: '' }),
+    ];
+    const edges = [edge('1', '2'), edge('2', '3')];
+    const csv = toScriptCsv(nodes, edges);
+    assert.ok(csv.startsWith('\uFEFFid,message,next_id,type,variable\r\n'));
+    assert.deepEqual(parseCsv(csv).rows.slice(1).map((row) => row.values[0]), ['1', '2'], 'images have no row');
+
+    const plan = planScriptImport(csv, nodes, edges);
+    assert.deepEqual(plan.errors, []);
+    assert.equal(plan.added, 0);
+    assert.deepEqual(plan.nodes, nodes);
+    assert.deepEqual(links(plan.edges), links(edges));
+});
+
+test('cells a spreadsheet would run as formulas are exported as text and imported back', () => {
+    const texts = ['=HYPERLINK("https://evil.example","Click")', '+1 555 0100', '- first item', '@channel', "'=kept as written", "'quoted"];
+    const nodes = texts.map((label, i) => node(String(i + 1), 'textNode', { label }));
+    const csv = toScriptCsv(nodes, []);
+
+    const cells = parseCsv(csv).rows.slice(1).map((row) => row.values[1]);
+    assert.deepEqual(cells, [
+        '\'=HYPERLINK("https://evil.example","Click")',
+        "'+1 555 0100",
+        "'- first item",
+        "'@channel",
+        "''=kept as written",
+        "'quoted",
+    ]);
+    assert.deepEqual(Object.values(labels(planScriptImport(csv, nodes, []).nodes)), texts);
+    // A script typed by hand keeps its text as written
+    assert.deepEqual(labels(planScriptImport('id,message\nx,=1+1\n', [], []).nodes), { x: '=1+1' });
+});
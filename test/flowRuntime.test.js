@@ -0,0 +1,277 @@
+/**
+ * @file flowRuntime.test.js
+ * @description The headless runtime backends import as
+ *   "chatbot-flow-builder/runtime", and the `npm run chat` command on top.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createFlowRuntime, FlowLoadError } from '../src/utils/flowRuntime.js';
+
+const node = (id, type, data) => ({ id, type, position: { x: 0, y: 0 }, data });
+
+const edge = (source, target, sourceHandle = 'source') =>
+    ({ id: `e${source}-${sourceHandle}`, source, target, sourceHandle, targetHandle: null });
+
+const flowDoc = (nodes, edges, extra = {}) => ({
+    schemaVersion: 1,
+    meta: { name: 'Test', createdAt: '2026-01-01T00:00:00.000Z' },
+    nodes,
+    edges,
+    viewport: null,
+    ...extra,
+});
+
+const question = (label, variable, validation = 'text', extra = {}) =>
+    ({ label, variable, validation, retryMessage: '', choices: [], ...extra });
+
+/** What the bot said, in order. */
+const botTexts = (state) => state.messages.filter((m) => m.from === 'bot').map((m) => m.text);
+
+/** The newsletter flow: quick replies, a question and a condition. */
+const newsletter = flowDoc(
+    [
+        node('1', 'textNode', {
+            label: 'Hi {{first_name}}! Want our news?',
+            buttons: [{ id: 'yes', label: 'Yes' }, { id: 'no', label: 'No' }],
+        }),
+        node('2', 'questionNode', question('Your email?', 'email', 'email', { retryMessage: 'That is not an email.' })),
+        node('3', 'conditionNode', {
+            label: 'Work address',
+            branches: [{ id: 'work', label: 'Work', variable: 'email', operator: 'contains', value: '@work.com' }],
+        }),
+        node('4', 'textNode', { label: 'We will write to {{email}} at work.' }),
+        node('5', 'textNode', { label: 'We will write to {{email}}.' }),
+        node('6', 'textNode', { label: 'Maybe later then.' }),
+    ],
+    [
+        edge('1', '2', 'yes'),
+        edge('1', '6', 'no'),
+        edge('2', '3'),
+        edge('3', '4', 'work'),
+        edge('3', '5', 'otherwise'),
+    ]
+);
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   start / send / getState
+───────────────────────────────────────────────────────────────────────── */
+
+test('start runs to the first wait and getState returns the same state', () => {
+    const bot = createFlowRuntime(JSON.stringify(newsletter));
+    assert.equal(bot.getState(), null);
+
+    const state = bot.start({ first_name: 'Ada' });
+    assert.deepEqual(botTexts(state), ['Hi Ada! Want our news?']);
+    assert.deepEqual(state.messages.at(-1).choices, ['Yes', 'No']);
+    assert.equal(state.awaitingInput, true);
+    assert.equal(state.ended, false);
+    assert.equal(bot.getState(), state);
+});
+
+test('send before start throws, and after the end leaves the state as it is', () => {
+    const bot = createFlowRuntime(newsletter);
+    assert.throws(() => bot.send('Yes'), /start\(\) first/);
+
+    bot.start();
+    const ended = bot.send('No');
+    assert.equal(ended.ended, true);
+    assert.deepEqual(botTexts(ended), ['Hi {{first_name}}! Want our news?', 'Maybe later then.']);
+    assert.equal(bot.send('Hello?'), ended);
+});
+
+test('states are never mutated, and start begins again', () => {
+    const bot = createFlowRuntime(newsletter);
+    const first = bot.start();
+    const count = first.messages.length;
+    bot.send('Yes');
+    assert.equal(first.messages.length, count);
+    assert.equal(first.awaitingInput, true);
+
+    const again = bot.start();
+    assert.deepEqual(again.messages, first.messages);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Branching and capture
+───────────────────────────────────────────────────────────────────────── */
+
+test('a quick reply follows its button; any other reply asks again', () => {
+    const bot = createFlowRuntime(newsletter);
+    bot.start();
+    const retried = bot.send('perhaps');
+    assert.equal(retried.awaitingInput, true);
+    assert.equal(retried.currentNodeId, '1');
+    assert.deepEqual(retried.messages.at(-1).choices, ['Yes', 'No']);
+
+    const asked = bot.send('yes');
+    assert.equal(asked.currentNodeId, '2');
+    assert.equal(botTexts(asked).at(-1), 'Your email?');
+});
+
+test('a question keeps an invalid answer out and stores a valid one', () => {
+    const bot = createFlowRuntime(newsletter);
+    bot.start();
+    bot.send('Yes');
+
+    const retry = bot.send('not an email');
+    assert.equal(botTexts(retry).at(-1), 'That is not an email.');
+    assert.equal(retry.awaitingInput, true);
+    assert.equal(retry.variables.email, undefined);
+
+    const done = bot.send('  ada@home.org ');
+    assert.equal(done.variables.email, 'ada@home.org');
+    assert.equal(botTexts(done).at(-1), 'We will write to ada@home.org.');
+    assert.equal(done.ended, true);
+});
+
+test('a condition follows the first matching branch', () => {
+    const bot = createFlowRuntime(newsletter);
+    bot.start();
+    bot.send('Yes');
+    const done = bot.send('ada@work.com');
+    assert.equal(botTexts(done).at(-1), 'We will write to ada@work.com at work.');
+    assert.ok(done.messages.some((m) => m.from === 'system' && m.text === 'Work address → Work'));
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Delays
+───────────────────────────────────────────────────────────────────────── */
+
+test('delays are carried by the next message and add up', () => {
+    const bot = createFlowRuntime(flowDoc(
+        [
+            node('1', 'textNode', { label: 'One' }),
+            node('2', 'delayNode', { duration: 700, typing: false, auto: false }),
+            node('3', 'delayNode', { duration: 0, typing: true, auto: true }),
+            node('4', 'textNode', { label: 'Two' }),
+            node('5', 'delayNode', { duration: 400, typing: false, auto: false }),
+        ],
+        [edge('1', '2'), edge('2', '3'), edge('3', '4'), edge('4', '5')]
+    ));
+    const { messages } = bot.start();
+    assert.equal(messages[0].delay, undefined);
+    const two = messages.find((m) => m.text === 'Two');
+    assert.ok(two.delay > 700, `waits ${two.delay} ms`);
+    assert.equal(two.typing, true);
+    // The runtime never waits itself: the end note carries the last delay
+    assert.equal(messages.at(-1).text, 'End of conversation.');
+    assert.equal(messages.at(-1).delay, 400);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Subflows
+───────────────────────────────────────────────────────────────────────── */
+
+const signup = flowDoc(
+    [node('1', 'questionNode', question('Your name?', 'name')), node('2', 'textNode', { label: 'Thanks, {{name}}.' })],
+    [edge('1', '2')]
+);
+
+const main = flowDoc(
+    [
+        node('1', 'textNode', { label: 'Welcome.' }),
+        node('2', 'subflowNode', { flowId: 'signup', entryNodeId: '', returnNodeId: '' }),
+        node('3', 'textNode', { label: 'Back in the main flow.' }),
+    ],
+    [edge('1', '2'), edge('2', '3')]
+);
+
+test('subflows are resolved through resolveFlow and run inline', () => {
+    const asked = [];
+    const bot = createFlowRuntime(main, {
+        resolveFlow: (flowId) => { asked.push(flowId); return flowId === 'signup' ? JSON.stringify(signup) : null; },
+    });
+    assert.deepEqual(asked, ['signup']);
+
+    const state = bot.start();
+    assert.deepEqual(botTexts(state), ['Welcome.', 'Your name?']);
+    assert.equal(state.currentNodeId, '2/1');
+    const done = bot.send('Ada');
+    assert.deepEqual(botTexts(done).slice(2), ['Thanks, Ada.', 'Back in the main flow.']);
+    assert.equal(done.ended, true);
+});
+
+test('a subflow that cannot be resolved is skipped with a note', () => {
+    const state = createFlowRuntime(main, { resolveFlow: () => null }).start();
+    assert.deepEqual(botTexts(state), ['Welcome.', 'Back in the main flow.']);
+    assert.ok(state.messages.some((m) => m.from === 'system' && /subflow/.test(m.text)));
+    assert.deepEqual(botTexts(createFlowRuntime(main).start()), ['Welcome.', 'Back in the main flow.']);
+});
+
+test('a malformed subflow is a FlowLoadError naming it', () => {
+    assert.throws(
+        () => createFlowRuntime(main, { resolveFlow: () => '{ nope' }),
+        (err) => err instanceof FlowLoadError && err.errors.every((e) => e.startsWith('Subflow "signup": '))
+    );
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Loading and languages
+───────────────────────────────────────────────────────────────────────── */
+
+test('a flow the builder would refuse is a FlowLoadError listing every problem', () => {
+    const orphans = flowDoc([node('1', 'textNode', { label: 'A' }), node('2', 'textNode', { label: 'B' })], []);
+    assert.throws(() => createFlowRuntime(orphans), (err) => err instanceof FlowLoadError && err.errors.length > 0);
+    assert.throws(() => createFlowRuntime('not json'), FlowLoadError);
+});
+
+const bilingual = flowDoc(
+    [
+        node('1', 'textNode', {
+            label: 'Hello!',
+            buttons: [{ id: 'ok', label: 'OK' }],
+            translations: { es: { label: '¡Hola!', 'button:ok': 'Vale' } },
+        }),
+        node('2', 'textNode', { label: 'Only in English.' }),
+    ],
+    [edge('1', '2', 'ok')],
+    { languages: { default: 'en', list: ['en', 'es'] } }
+);
+
+test('a language picks the translations and falls back to the default text', () => {
+    const spanish = createFlowRuntime(bilingual, { language: 'es' });
+    const state = spanish.start();
+    assert.deepEqual(botTexts(state), ['¡Hola!']);
+    assert.deepEqual(state.messages.at(-1).choices, ['Vale']);
+    assert.equal(botTexts(spanish.send('Vale')).at(-1), 'Only in English.');
+
+    assert.deepEqual(botTexts(createFlowRuntime(bilingual).start()), ['Hello!']);
+    assert.throws(() => createFlowRuntime(bilingual, { language: 'de' }), /no German \(de\) version/);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   npm run chat
+───────────────────────────────────────────────────────────────────────── */
+
+test('the chat command runs piped replies and subflows stored beside the flow', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'chat-flow-'));
+    try {
+        writeFileSync(path.join(dir, 'main.json'), JSON.stringify(main));
+        writeFileSync(path.join(dir, 'signup.json'), JSON.stringify(signup));
+        const run = spawnSync(process.execPath, ['cli/chatFlow.js', path.join(dir, 'main.json'), '--no-delays'], {
+            input: 'Ada\n',
+            encoding: 'utf8',
+            timeout: 20000,
+        });
+        assert.equal(run.status, 0, run.stderr);
+        ['Welcome.', 'Your name?', 'Thanks, Ada.', 'Back in the main flow.'].forEach((text) => {
+            assert.ok(run.stdout.includes(text), `prints "${text}"`);
+        });
+
+        const broken = spawnSync(process.execPath, ['cli/chatFlow.js', path.join(dir, 'missing.json')], { encoding: 'utf8', timeout: 20000 });
+        assert.equal(broken.status, 1);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
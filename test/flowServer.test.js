@@ -0,0 +1,88 @@
+/**
+ * @file flowServer.test.js
+ * @description The flow server's revisions, against a real server process
+ *   storing into a temporary directory.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const PORT = 18000 + Math.floor(Math.random() * 2000);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let dataDir;
+let server;
+
+before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'flow-server-'));
+    server = spawn(process.execPath, ['server/flowServer.js'], {
+        env: { ...process.env, PORT: String(PORT), FLOW_DATA_DIR: dataDir },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', (chunk) => { if (String(chunk).includes('listening')) resolve(); });
+        server.on('exit', (code) => reject(new Error(`The server exited with ${code}.`)));
+    });
+});
+
+after(async () => {
+    server.kill();
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+/** PUTs a snapshot whose revision has the id `rev`. */
+const put = (id, rev, etag) => fetch(`${BASE}/flows/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }) },
+    body: JSON.stringify({ nodes: [], edges: [], revision: { id: rev, author: '', message: rev } }),
+});
+
+const revisionIds = async (id) => (await (await fetch(`${BASE}/flows/${id}/revisions`)).json()).map((r) => r.id);
+
+test('a revision id that is already taken gets a fresh one', async () => {
+    const first = await put('taken', 'r1');
+    assert.equal(first.status, 201);
+    const second = await put('taken', 'r1', first.headers.get('ETag'));
+    assert.equal(second.status, 200);
+
+    const ids = await revisionIds('taken');
+    assert.equal(ids.length, 2);
+    assert.ok(ids.includes('r1'));
+    const fresh = ids.find((rev) => rev !== 'r1');
+    assert.match(fresh, /^rev-/);
+
+    const stored = await (await fetch(`${BASE}/flows/taken`)).json();
+    assert.equal(stored.revision.id, fresh);
+    assert.equal(stored.revision.message, 'r1');
+    assert.equal(stored.revision.id, (await (await fetch(`${BASE}/flows/taken/revisions/${fresh}`)).json()).revision.id);
+});
+
+test('a flow that cannot be written leaves no revision and keeps its ETag', async () => {
+    const first = await put('stuck', 'r1');
+    const etag = first.headers.get('ETag');
+    // writeFlow's temporary file cannot be created where a directory is
+    await mkdir(path.join(dataDir, `stuck.json.${server.pid}.tmp`));
+
+    const failed = await put('stuck', 'r2', etag);
+    assert.equal(failed.status, 500);
+    assert.deepEqual(await revisionIds('stuck'), ['r1']);
+    assert.equal((await fetch(`${BASE}/flows/stuck`)).headers.get('ETag'), etag);
+});
+
+test('a revision that cannot be written leaves the flow and its ETag as they were', async () => {
+    const first = await put('norev', 'r1');
+    const etag = first.headers.get('ETag');
+    // The revisions directory cannot be created where a file is
+    await rm(path.join(dataDir, 'norev.revisions'), { recursive: true });
+    await writeFile(path.join(dataDir, 'norev.revisions'), '');
+
+    const failed = await put('norev', 'r2', etag);
+    assert.equal(failed.status, 500);
+    const stored = await fetch(`${BASE}/flows/norev`);
+    assert.equal(stored.headers.get('ETag'), etag);
+    assert.equal((await stored.json()).revision.id, 'r1');
+});
@@ -0,0 +1,49 @@
+/**
+ * @file markdown.test.js
+ * @description Link targets and nested emphasis in message Markdown.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, markdownLinks, badLinks } from '../src/utils/markdown.js';
+
+test('a link target runs to its closing parenthesis', () => {
+    assert.deepEqual(markdownLinks('[x](http://exa mple.com)'), [{ label: 'x', url: 'http://exa mple.com' }]);
+    assert.deepEqual(
+        markdownLinks('[Mercury](https://en.wikipedia.org/wiki/Mercury_(planet)) (the planet)'),
+        [{ label: 'Mercury', url: 'https://en.wikipedia.org/wiki/Mercury_(planet)' }]
+    );
+    assert.equal(
+        renderMarkdown('See [Mercury](https://en.wikipedia.org/wiki/Mercury_(planet)).'),
+        'See Mercury (https://en.wikipedia.org/wiki/Mercury_(planet)).'
+    );
+});
+
+test('badLinks reports malformed targets', () => {
+    assert.deepEqual(badLinks('[x](http://exa mple.com)').map((l) => l.url), ['http://exa mple.com']);
+    assert.deepEqual(badLinks('[y](https://example.com/my file)').map((l) => l.url), ['https://example.com/my file']);
+    assert.deepEqual(badLinks('[z](https://example.com/(oops)').map((l) => l.url), ['https://example.com/(oops']);
+    assert.deepEqual(badLinks('[ok](https://en.wikipedia.org/wiki/Mercury_(planet)) [tel](tel:+15551234)'), []);
+});
+
+test('three markers are bold and italic at once', () => {
+    assert.equal(renderMarkdown('***x***'), 'x');
+    assert.equal(renderMarkdown('***x***', 'whatsapp'), '*_x_*');
+    assert.equal(renderMarkdown('___x___', 'whatsapp'), '*_x_*');
+    assert.equal(renderMarkdown('a ***big*** deal', 'whatsapp'), 'a *_big_* deal');
+});
+
+test('emphasis nested in emphasis may close together', () => {
+    assert.equal(renderMarkdown('**a *b***', 'whatsapp'), '*a _b_*');
+    assert.equal(renderMarkdown('*a **b***', 'whatsapp'), '_a *b*_');
+    assert.equal(renderMarkdown('***bold** then italic*', 'whatsapp'), '_*bold* then italic_');
+    assert.equal(renderMarkdown('***italic* then bold**', 'whatsapp'), '*_italic_ then bold*');
+    assert.equal(renderMarkdown('***both*** and **bold**'), 'both and bold');
+});
+
+test('single and double markers still work as before', () => {
+    assert.equal(renderMarkdown('**bold** and *italic* and _it_', 'whatsapp'), '*bold* and _italic_ and _it_');
+    assert.equal(renderMarkdown('*a**b*', 'whatsapp'), '_a**b_');
+    assert.equal(renderMarkdown('keep snake_case_names and {{first_name}}'), 'keep snake_case_names and {{first_name}}');
+    assert.equal(renderMarkdown('5 * 3 * 2'), '5 * 3 * 2');
+});
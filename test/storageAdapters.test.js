@@ -0,0 +1,96 @@
+/**
+ * @file storageAdapters.test.js
+ * @description Browser adapter saves against a localStorage that runs out
+ *   of room.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserAdapter } from '../src/utils/storageAdapters.js';
+import { loadSavedFlow, loadRevisions, appendRevision } from '../src/utils/flowStorage.js';
+
+/** localStorage with a quota, counted in characters of keys and values. */
+class QuotaStorage {
+    constructor(quota) {
+        this.quota = quota;
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        let used = key.length + String(value).length;
+        this.items.forEach((v, k) => { if (k !== key) used += k.length + v.length; });
+        if (used > this.quota) throw new Error('QuotaExceededError');
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/** A flow with one uploaded image of `size` characters. */
+const flowWithImage = (size, n) => ({
+    nodes: [{
+        id: '1',
+        type: 'imageNode',
+        position: { x: 0, y: 0 },
+        data: { url: `data:image/png;base64,${'A'.repeat(size)}`, alt: '', caption: `save ${n}` },
+    }],
+    edges: [],
+    viewport: null,
+    meta: { name: 'Images', createdAt: '2026-01-01T00:00:00.000Z' },
+    savedAt: new Date().toISOString(),
+    revision: { id: `r${n}`, author: '', message: '' },
+});
+
+beforeEach(() => {
+    globalThis.window = { localStorage: new QuotaStorage(1_000_000) };
+});
+
+test('saves keep working once revisions fill the quota', async () => {
+    const adapter = createBrowserAdapter();
+    let etag = null;
+    for (let n = 1; n <= 20; n++) {
+        etag = await adapter.save('f1', flowWithImage(150_000, n), etag);
+    }
+
+    assert.equal(loadSavedFlow('f1').nodes[0].data.caption, 'save 20');
+    assert.equal(loadSavedFlow('f1').etag, etag);
+    const revisions = loadRevisions('f1');
+    assert.ok(revisions.length > 0 && revisions.length < 20, `kept ${revisions.length} revisions`);
+    assert.equal(revisions.at(-1).revision.id, 'r20');
+    assert.deepEqual(revisions.map((r) => r.revision.id), revisions.map((_, i) => `r${21 - revisions.length + i}`));
+});
+
+test('the saved flow is written before its revision, and history is dropped to make room for it', async () => {
+    const adapter = createBrowserAdapter();
+    const first = await adapter.save('f1', flowWithImage(300_000, 1), null);
+    // Fills the rest of the storage with history
+    appendRevision('f1', flowWithImage(300_000, 2));
+
+    // Neither the bigger flow nor its revision fits beside the whole history
+    await adapter.save('f1', flowWithImage(450_000, 3), first);
+    assert.equal(loadSavedFlow('f1').nodes[0].data.caption, 'save 3');
+    assert.deepEqual(loadRevisions('f1').map((r) => r.revision.id), ['r3']);
+});
+
+test('a failing save leaves no revision behind', async () => {
+    const adapter = createBrowserAdapter();
+    await assert.rejects(adapter.save('f1', flowWithImage(2_000_000, 1), null), { code: 'unavailable' });
+    assert.equal(loadSavedFlow('f1'), null);
+    assert.deepEqual(loadRevisions('f1'), []);
+});
+
+test('a save too large for storage keeps the flow\'s history', async () => {
+    const adapter = createBrowserAdapter();
+    const first = await adapter.save('f1', flowWithImage(100_000, 1), null);
+    const second = await adapter.save('f1', flowWithImage(100_000, 2), first);
+
+    await assert.rejects(adapter.save('f1', flowWithImage(1_100_000, 3), second), { code: 'unavailable' });
+    assert.equal(loadSavedFlow('f1').nodes[0].data.caption, 'save 2');
+    assert.deepEqual(loadRevisions('f1').map((r) => r.revision.id), ['r1', 'r2']);
+});
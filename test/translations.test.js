@@ -0,0 +1,189 @@
+/**
+ * @file translations.test.js
+ * @description Translation files: XLIFF and PO in both directions, and
+ *   planning their import into a flow.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toXliff,
+    toPo,
+    parseXliff,
+    parsePo,
+    planTranslationImport,
+    applyTranslations,
+    localizeNode,
+} from '../src/utils/translations.js';
+
+const LANGUAGES = { default: 'en', list: ['en', 'es'] };
+
+const nodes = [
+    {
+        id: '1',
+        type: 'textNode',
+        position: { x: 0, y: 0 },
+        data: { label: 'Hello <b>&</b> welcome', buttons: [{ id: 'ok', label: 'OK' }], translations: { es: { label: '¡Hola!' } } },
+    },
+    {
+        id: '2',
+        type: 'questionNode',
+        position: { x: 0, y: 0 },
+        data: { label: 'Line one\r\nline "two"\ttab \\ slash', variable: 'x', validation: 'text', retryMessage: '', choices: [] },
+    },
+    { id: '3', type: 'conditionNode', position: { x: 0, y: 0 }, data: { label: 'Not translated', branches: [] } },
+];
+
+/** An XLIFF file holding one unit with `target` as written. */
+const xliffWith = (target, id = '1.label', source = 'Hello &lt;b&gt;&amp;&lt;/b&gt; welcome') => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2"><file original="Flow" source-language="en" target-language="es"><body>',
+    `<trans-unit id="${id}"><source>${source}</source><target>${target}</target></trans-unit>`,
+    '</body></file></xliff>',
+].join('\n');
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   Round trips
+───────────────────────────────────────────────────────────────────────── */
+
+test('an exported XLIFF file reads back as the units it was written from', () => {
+    const { language, units, error } = parseXliff(toXliff(nodes, { languages: LANGUAGES, language: 'es', title: 'A & B' }));
+    assert.equal(error, undefined);
+    assert.equal(language, 'es');
+    assert.deepEqual(units, [
+        { id: '1.label', source: 'Hello <b>&</b> welcome', target: '¡Hola!' },
+        { id: '1.button:ok', source: 'OK', target: '' },
+        { id: '2.label', source: nodes[1].data.label, target: '' },
+    ]);
+});
+
+test('an exported PO file reads back as the units it was written from', () => {
+    const po = toPo(nodes, { languages: LANGUAGES, language: 'es', title: 'Flow' });
+    assert.ok(po.includes('"Line one\\r\\n"'), 'carriage returns are escaped');
+    assert.ok(!po.includes('\r'), 'no raw carriage return breaks a string');
+
+    const { language, units, error } = parsePo(po);
+    assert.equal(error, undefined);
+    assert.equal(language, 'es');
+    assert.deepEqual(units, [
+        { id: '1.label', source: 'Hello <b>&</b> welcome', target: '¡Hola!' },
+        { id: '1.button:ok', source: 'OK', target: '' },
+        { id: '2.label', source: nodes[1].data.label, target: '' },
+    ]);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   XLIFF
+───────────────────────────────────────────────────────────────────────── */
+
+test('XLIFF references are decoded once, so escaped entities stay escaped', () => {
+    assert.equal(parseXliff(xliffWith('&#38;lt;b&#38;gt;')).units[0].target, '&lt;b&gt;');
+    assert.equal(parseXliff(xliffWith('&amp;amp; &#x1F600; &#233;')).units[0].target, '&amp; 😀 é');
+    assert.equal(parseXliff(xliffWith('<![CDATA[<i>&amp;</i>]]> <g id="1">bold</g>')).units[0].target, '<i>&amp;</i> bold');
+});
+
+test('an XLIFF reference to an invalid character is a parse error', () => {
+    ['&#99999999;', '&#x110000;', '&#0;', '&#xD800;'].forEach((reference) => {
+        assert.deepEqual(parseXliff(xliffWith(reference)), {
+            units: [],
+            error: `The file is not valid XLIFF: ${reference} is not a valid character reference.`,
+        });
+    });
+    assert.deepEqual(planTranslationImport(xliffWith('&#99999999;'), nodes, LANGUAGES).errors, [
+        'The file is not valid XLIFF: &#99999999; is not a valid character reference.',
+    ]);
+});
+
+test('a file that is not XLIFF says so', () => {
+    assert.match(parseXliff('<html></html>').error, /not XLIFF/);
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   PO
+───────────────────────────────────────────────────────────────────────── */
+
+test('PO entries may span lines, skip blank separators and be fuzzy', () => {
+    const { language, units } = parsePo([
+        'msgid ""',
+        'msgstr ""',
+        '"Language: pt_BR\\n"',
+        '',
+        'msgctxt "1.label"',
+        'msgid "Hello"',
+        'msgstr ""',
+        '"Olá, "',
+        '"mundo"',
+        'msgctxt "1.button:ok"',
+        'msgid "OK"',
+        'msgstr "Certo"',
+        '',
+        '#, fuzzy',
+        'msgctxt "2.label"',
+        'msgid "Guess"',
+        'msgstr "Palpite"',
+    ].join('\r\n'));
+    assert.equal(language, 'pt_BR');
+    assert.deepEqual(units, [
+        { id: '1.label', source: 'Hello', target: 'Olá, mundo' },
+        { id: '1.button:ok', source: 'OK', target: 'Certo' },
+        { id: '2.label', source: 'Guess', target: '' },
+    ]);
+});
+
+test('a PO line that is not PO is reported with its number', () => {
+    assert.deepEqual(parsePo('msgid ""\nmsgstr ""\nnonsense here\n'), { units: [], error: 'Line 3 is not valid PO: nonsense here' });
+});
+
+
+/* ─────────────────────────────────────────────────────────────────────────
+   planTranslationImport
+───────────────────────────────────────────────────────────────────────── */
+
+test('an import plans its translations and reports skipped and changed texts', () => {
+    const po = [
+        'msgid ""',
+        'msgstr "Language: es\\n"',
+        '',
+        'msgctxt "1.label"',
+        'msgid "Hello, welcome"',
+        'msgstr "Hola, bienvenido"',
+        '',
+        'msgctxt "1.button:ok"',
+        'msgid "OK"',
+        'msgstr "Vale"',
+        '',
+        'msgctxt "9.label"',
+        'msgid "Gone"',
+        'msgstr "Ido"',
+        '',
+        'msgctxt "2.label"',
+        'msgid "Untranslated"',
+        'msgstr ""',
+    ].join('\n');
+    const plan = planTranslationImport(po, nodes, LANGUAGES);
+    assert.deepEqual(plan.errors, []);
+    assert.equal(plan.language, 'es');
+    assert.equal(plan.count, 2);
+    assert.deepEqual([...plan.updates], [['1', { label: 'Hola, bienvenido', 'button:ok': 'Vale' }]]);
+    assert.deepEqual(plan.warnings, [
+        '1 text no longer in the flow skipped: 9.label',
+        '1 text has changed since the export — check: 1.label',
+    ]);
+
+    const spanish = localizeNode(applyTranslations(nodes, plan.language, plan.updates)[0], 'es', LANGUAGES);
+    assert.equal(spanish.data.label, 'Hola, bienvenido');
+    assert.deepEqual(spanish.data.buttons, [{ id: 'ok', label: 'Vale' }]);
+});
+
+test('an import is refused when its language is missing, malformed or the default', () => {
+    const withLanguage = (language) => xliffWith('x').replace('target-language="es"', language ? `target-language="${language}"` : '');
+    assert.deepEqual(planTranslationImport(withLanguage(''), nodes, LANGUAGES).errors, ['The file does not say which language it translates into.']);
+    assert.deepEqual(planTranslationImport(withLanguage('Spanish!'), nodes, LANGUAGES).errors, ['"Spanish!" is not a language code such as "es" or "pt-BR".']);
+    assert.deepEqual(planTranslationImport(withLanguage('en'), nodes, LANGUAGES).errors, [
+        'The file translates into English (en), which is this flow\'s default language.',
+    ]);
+    assert.deepEqual(planTranslationImport(withLanguage('pt_BR'), nodes, LANGUAGES).language, 'pt-BR');
+});